@@ -30,6 +30,14 @@ module.exports = {
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000 // Aumentado para producción
   },
   
+  // Datos del negocio para el encabezado de documentos impresos
+  negocio: {
+    nombre: process.env.NEGOCIO_NOMBRE || 'Carpintería',
+    direccion: process.env.NEGOCIO_DIRECCION || '',
+    telefono: process.env.NEGOCIO_TELEFONO || '',
+    nit: process.env.NEGOCIO_NIT || ''
+  },
+
   // Configuración de paginación por defecto
   pagination: {
     defaultPage: 1,
@@ -65,7 +65,16 @@ const PERMISOS = {
     listarPapelera: ['ADMINISTRADOR'],
     restaurar: ['ADMINISTRADOR'],
     eliminarPermanente: ['ADMINISTRADOR'],
-    verReportes: ['ADMINISTRADOR', 'VENDEDOR']
+    verReportes: ['ADMINISTRADOR', 'VENDEDOR'],
+    registrarPago: ['ADMINISTRADOR', 'VENDEDOR'], // Pago global; el sobrante queda como anticipo
+    verAnticipos: ['ADMINISTRADOR', 'VENDEDOR'],
+    verEstadoCuenta: ['ADMINISTRADOR', 'VENDEDOR'], // JSON o PDF imprimible
+    verPoliticaCredito: ['ADMINISTRADOR', 'VENDEDOR'],
+    configurarPoliticaCredito: ['ADMINISTRADOR'],
+    autorizarCredito: ['ADMINISTRADOR'], // Excepción al bloqueo por mora, con motivo
+    revisarLimites: ['ADMINISTRADOR'], // Aprobar o rechazar propuestas de límite
+    verNotasCredito: ['ADMINISTRADOR', 'VENDEDOR'],
+    crearNotaCredito: ['ADMINISTRADOR'] // Reduce saldo del crédito o deja saldo a favor; no toca stock
   },
 
   // VENTAS
@@ -75,7 +84,99 @@ const PERMISOS = {
     crearContado: ['ADMINISTRADOR', 'VENDEDOR'],
     crearCredito: ['ADMINISTRADOR', 'VENDEDOR'],
     anular: ['ADMINISTRADOR'], // Solo ADMIN puede anular
-    verReportes: ['ADMINISTRADOR', 'VENDEDOR'] // VENDEDOR ve solo sus reportes
+    registrarDevolucion: ['ADMINISTRADOR'], // Devoluciones parciales
+    verDevoluciones: ['ADMINISTRADOR', 'VENDEDOR'],
+    verReportes: ['ADMINISTRADOR', 'VENDEDOR'], // VENDEDOR ve solo sus reportes
+    verMargen: ['ADMINISTRADOR'], // Expone costos de productos
+    verPoliticaImpuestos: ['ADMINISTRADOR', 'VENDEDOR'],
+    configurarImpuestos: ['ADMINISTRADOR'] // Tasa de IVA y precios con/sin IVA
+  },
+
+  // CAJA
+  caja: {
+    abrir: ['ADMINISTRADOR', 'VENDEDOR'], // Una caja abierta por usuario
+    verActual: ['ADMINISTRADOR', 'VENDEDOR'],
+    registrarMovimiento: ['ADMINISTRADOR', 'VENDEDOR'], // Ingresos y egresos manuales de efectivo
+    cerrar: ['ADMINISTRADOR', 'VENDEDOR'], // VENDEDOR solo cierra su propia caja
+    listar: ['ADMINISTRADOR', 'VENDEDOR'], // VENDEDOR ve solo sus sesiones
+    verReporteZ: ['ADMINISTRADOR', 'VENDEDOR'], // VENDEDOR solo el de sus sesiones
+    verReporteZDiario: ['ADMINISTRADOR'],
+    verPolitica: ['ADMINISTRADOR', 'VENDEDOR'],
+    configurarPolitica: ['ADMINISTRADOR']
+  },
+
+  // COTIZACIONES
+  cotizaciones: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR', 'VENDEDOR'],
+    expirar: ['ADMINISTRADOR', 'VENDEDOR'],
+    convertir: ['ADMINISTRADOR', 'VENDEDOR'] // Revalida stock y precios al convertir
+  },
+
+  // PROVEEDORES
+  proveedores: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR'],
+    editar: ['ADMINISTRADOR'],
+    activar: ['ADMINISTRADOR'],
+    desactivar: ['ADMINISTRADOR']
+  },
+
+  // ÓRDENES DE COMPRA
+  ordenesCompra: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR'],
+    editar: ['ADMINISTRADOR'], // Solo en BORRADOR
+    enviar: ['ADMINISTRADOR'],
+    recibir: ['ADMINISTRADOR'], // Genera ENTRADAS de inventario
+    cancelar: ['ADMINISTRADOR'],
+    verReportes: ['ADMINISTRADOR', 'VENDEDOR']
+  },
+
+  // BODEGAS
+  bodegas: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    verStock: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR'],
+    editar: ['ADMINISTRADOR'],
+    cambiarEstado: ['ADMINISTRADOR'],
+    definirMinimos: ['ADMINISTRADOR'],
+    transferir: ['ADMINISTRADOR'], // Genera SALIDA y ENTRADA pareadas
+    verTransferencias: ['ADMINISTRADOR', 'VENDEDOR']
+  },
+
+  // TOMAS DE INVENTARIO
+  tomasInventario: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    abrir: ['ADMINISTRADOR'],
+    contar: ['ADMINISTRADOR', 'VENDEDOR'],
+    verDiferencias: ['ADMINISTRADOR', 'VENDEDOR'],
+    publicar: ['ADMINISTRADOR'], // Genera movimientos de ajuste
+    cancelar: ['ADMINISTRADOR']
+  },
+
+  // RECETAS DE PRODUCCIÓN
+  recetas: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR'],
+    editar: ['ADMINISTRADOR'],
+    activar: ['ADMINISTRADOR'],
+    desactivar: ['ADMINISTRADOR']
+  },
+
+  // ÓRDENES DE PRODUCCIÓN
+  ordenesProduccion: {
+    listar: ['ADMINISTRADOR', 'VENDEDOR'],
+    ver: ['ADMINISTRADOR', 'VENDEDOR'],
+    crear: ['ADMINISTRADOR'],
+    completar: ['ADMINISTRADOR'], // Genera SALIDAS de materiales y ENTRADA del producto terminado
+    cancelar: ['ADMINISTRADOR']
   },
 
   // CRÉDITOS
@@ -84,9 +185,16 @@ const PERMISOS = {
     ver: ['ADMINISTRADOR', 'VENDEDOR'],
     crear: ['ADMINISTRADOR', 'VENDEDOR'],
     registrarPago: ['ADMINISTRADOR', 'VENDEDOR'],
+    anularPago: ['ADMINISTRADOR'], // Con motivo; reabre el crédito si estaba PAGADO
     verVencidos: ['ADMINISTRADOR'],
     verDashboard: ['ADMINISTRADOR'],
-    verReportes: ['ADMINISTRADOR', 'VENDEDOR']
+    verReportes: ['ADMINISTRADOR', 'VENDEDOR'],
+    verMora: ['ADMINISTRADOR', 'VENDEDOR'],
+    configurarMora: ['ADMINISTRADOR'],
+    condonarMora: ['ADMINISTRADOR'],
+    castigar: ['ADMINISTRADOR'], // Castigo de cartera, con motivo y aprobador; admite recuperaciones
+    verCastigos: ['ADMINISTRADOR'],
+    gestionarCobranza: ['ADMINISTRADOR', 'VENDEDOR'] // Gestiones de cobro, promesas y lista de trabajo
   },
 
   // PAGOS
@@ -168,16 +276,48 @@ const ACCIONES_AUDITABLES = {
   // Ventas
   CREAR_VENTA: { recurso: 'ventas', accion: 'crear', nivel: 'INFO' },
   ANULAR_VENTA: { recurso: 'ventas', accion: 'anular', nivel: 'ERROR' },
+  DEVOLUCION_VENTA: { recurso: 'ventas', accion: 'registrarDevolucion', nivel: 'WARNING' },
+  ACTUALIZAR_POLITICA_IMPUESTOS: { recurso: 'ventas', accion: 'configurarImpuestos', nivel: 'WARNING' },
+
+  // Caja
+  ABRIR_CAJA: { recurso: 'caja', accion: 'abrir', nivel: 'INFO' },
+  CERRAR_CAJA: { recurso: 'caja', accion: 'cerrar', nivel: 'WARNING' },
+  MOVIMIENTO_CAJA: { recurso: 'caja', accion: 'registrarMovimiento', nivel: 'WARNING' },
+  ACTUALIZAR_POLITICA_CAJA: { recurso: 'caja', accion: 'configurarPolitica', nivel: 'WARNING' },
+
+  // Compras
+  RECIBIR_ORDEN_COMPRA: { recurso: 'ordenesCompra', accion: 'recibir', nivel: 'WARNING' },
+  CANCELAR_ORDEN_COMPRA: { recurso: 'ordenesCompra', accion: 'cancelar', nivel: 'WARNING' },
+
+  // Bodegas
+  TRANSFERIR_BODEGA: { recurso: 'bodegas', accion: 'transferir', nivel: 'WARNING' },
+
+  // Tomas de inventario
+  PUBLICAR_TOMA_INVENTARIO: { recurso: 'tomasInventario', accion: 'publicar', nivel: 'ERROR' },
+  CANCELAR_TOMA_INVENTARIO: { recurso: 'tomasInventario', accion: 'cancelar', nivel: 'WARNING' },
+
+  // Producción
+  COMPLETAR_ORDEN_PRODUCCION: { recurso: 'ordenesProduccion', accion: 'completar', nivel: 'WARNING' },
+  CANCELAR_ORDEN_PRODUCCION: { recurso: 'ordenesProduccion', accion: 'cancelar', nivel: 'WARNING' },
   
   // Créditos
   CREAR_CREDITO: { recurso: 'creditos', accion: 'crear', nivel: 'WARNING' },
   REGISTRAR_PAGO: { recurso: 'creditos', accion: 'pago', nivel: 'WARNING' },
+  ANULAR_PAGO: { recurso: 'creditos', accion: 'anularPago', nivel: 'ERROR' },
+  ANULAR_PAGO_CLIENTE: { recurso: 'clientes', accion: 'anularPago', nivel: 'ERROR' },
+  CONDONAR_MORA: { recurso: 'creditos', accion: 'condonarMora', nivel: 'ERROR' },
+  CASTIGAR_CREDITO: { recurso: 'creditos', accion: 'castigar', nivel: 'ERROR' },
+  ACTUALIZAR_POLITICA_MORA: { recurso: 'creditos', accion: 'configurarMora', nivel: 'WARNING' },
   
   // Categorías
   ELIMINAR_CATEGORIA: { recurso: 'categorias', accion: 'eliminar', nivel: 'WARNING' },
   
   // Clientes
-  ELIMINAR_CLIENTE: { recurso: 'clientes', accion: 'eliminar', nivel: 'WARNING' }
+  ELIMINAR_CLIENTE: { recurso: 'clientes', accion: 'eliminar', nivel: 'WARNING' },
+  ACTUALIZAR_POLITICA_CREDITO: { recurso: 'clientes', accion: 'configurarPoliticaCredito', nivel: 'WARNING' },
+  AUTORIZAR_CREDITO: { recurso: 'clientes', accion: 'autorizarCredito', nivel: 'ERROR' },
+  RESOLVER_PROPUESTA_LIMITE: { recurso: 'clientes', accion: 'revisarLimites', nivel: 'WARNING' },
+  CREAR_NOTA_CREDITO: { recurso: 'clientes', accion: 'crearNotaCredito', nivel: 'ERROR' }
 };
 
 /**
@@ -0,0 +1,211 @@
+/**
+ * Controlador de Bodegas
+ * Maneja las peticiones HTTP para bodegas, stock por bodega y transferencias
+ */
+
+const bodegasService = require('../services/bodegasService');
+const { exito, creado } = require('../utils/respuestas');
+
+/**
+ * GET /api/bodegas
+ * Obtiene las bodegas
+ * Query params: soloActivas
+ */
+async function obtenerBodegas(req, res, next) {
+  try {
+    const filtros = {
+      soloActivas: req.query.soloActivas !== 'false' // Por defecto true
+    };
+
+    const bodegas = await bodegasService.obtenerBodegas(filtros);
+
+    return exito({
+      res,
+      datos: bodegas,
+      mensaje: 'Bodegas obtenidas correctamente',
+      metadatos: { total: bodegas.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/bodegas/:id
+ * Obtiene una bodega por ID
+ */
+async function obtenerBodegaPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const bodega = await bodegasService.obtenerBodegaPorId(id);
+
+    return exito({ res, datos: bodega, mensaje: 'Bodega obtenida correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/bodegas/:id/stock
+ * Obtiene el inventario de una bodega
+ * Query params: conExistencia
+ */
+async function obtenerStockBodega(req, res, next) {
+  try {
+    const { id } = req.params;
+    const filtros = {
+      conExistencia: req.query.conExistencia === 'true'
+    };
+
+    const resultado = await bodegasService.obtenerStockBodega(id, filtros);
+
+    return exito({ res, datos: resultado, mensaje: 'Stock de la bodega obtenido correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/bodegas
+ * Crea una nueva bodega
+ */
+async function crear(req, res, next) {
+  try {
+    const bodega = await bodegasService.crear(req.body);
+
+    return creado({ res, datos: bodega, mensaje: 'Bodega creada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/bodegas/:id
+ * Actualiza una bodega
+ */
+async function actualizar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const bodega = await bodegasService.actualizar(id, req.body);
+
+    return exito({ res, datos: bodega, mensaje: 'Bodega actualizada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/bodegas/:id/activar
+ * Activa una bodega
+ */
+async function activar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const bodega = await bodegasService.activar(id);
+
+    return exito({ res, datos: bodega, mensaje: 'Bodega activada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/bodegas/:id/desactivar
+ * Desactiva una bodega sin existencias
+ */
+async function desactivar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const bodega = await bodegasService.desactivar(id);
+
+    return exito({ res, datos: bodega, mensaje: 'Bodega desactivada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/bodegas/:id/stock/:id_producto/minimo
+ * Define el stock mínimo de un producto en una bodega
+ */
+async function actualizarStockMinimo(req, res, next) {
+  try {
+    const { id, id_producto } = req.params;
+    const stockMinimo = req.body.stock_minimo === null ? null : parseInt(req.body.stock_minimo);
+
+    const stock = await bodegasService.actualizarStockMinimo(id, id_producto, stockMinimo);
+
+    return exito({ res, datos: stock, mensaje: 'Stock mínimo actualizado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/bodegas/transferencias
+ * Transfiere existencias de un producto entre bodegas
+ */
+async function transferir(req, res, next) {
+  try {
+    const datos = {
+      id_producto: req.body.id_producto,
+      id_bodega_origen: req.body.id_bodega_origen,
+      id_bodega_destino: req.body.id_bodega_destino,
+      cantidad: req.body.cantidad,
+      observaciones: req.body.observaciones,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const transferencia = await bodegasService.transferir(datos);
+
+    return creado({
+      res,
+      datos: transferencia,
+      mensaje: `Transferencia ${transferencia.numero_transferencia} registrada correctamente`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/bodegas/transferencias
+ * Obtiene transferencias con filtros opcionales y paginación
+ * Query params: id_bodega, id_producto, fecha_desde, fecha_hasta, page, limit
+ */
+async function obtenerTransferencias(req, res, next) {
+  try {
+    const filtros = {
+      id_bodega: req.query.id_bodega,
+      id_producto: req.query.id_producto,
+      fecha_desde: req.query.fecha_desde,
+      fecha_hasta: req.query.fecha_hasta,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await bodegasService.obtenerTransferencias(filtros);
+
+    return exito({
+      res,
+      datos: resultado.datos,
+      mensaje: 'Transferencias obtenidas correctamente',
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  obtenerBodegas,
+  obtenerBodegaPorId,
+  obtenerStockBodega,
+  crear,
+  actualizar,
+  activar,
+  desactivar,
+  actualizarStockMinimo,
+  transferir,
+  obtenerTransferencias
+};
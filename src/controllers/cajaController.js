@@ -0,0 +1,174 @@
+/**
+ * Controlador de Caja
+ * Maneja las peticiones HTTP para apertura y cierre de caja, movimientos de efectivo y reportes Z
+ */
+
+const cajaService = require('../services/cajaService');
+const { exito, creado } = require('../utils/respuestas');
+
+/**
+ * GET /api/caja/politica
+ * Obtiene la política de caja vigente
+ */
+async function obtenerPolitica(req, res, next) {
+  try {
+    const politica = await cajaService.obtenerPolitica();
+
+    return exito({ res, datos: politica, mensaje: 'Política de caja obtenida correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/caja/politica
+ * Actualiza la política de caja (solo administrador)
+ */
+async function actualizarPolitica(req, res, next) {
+  try {
+    const politica = await cajaService.actualizarPolitica(req.body, req.usuario.id_usuario);
+
+    return exito({ res, datos: politica, mensaje: 'Política de caja actualizada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/caja/abrir
+ * Abre la caja del usuario autenticado con su fondo inicial
+ */
+async function abrirSesion(req, res, next) {
+  try {
+    const sesion = await cajaService.abrirSesion({
+      ...req.body,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return creado({ res, datos: sesion, mensaje: 'Caja abierta correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/caja/actual
+ * Obtiene la caja abierta del usuario autenticado con su resumen al momento
+ */
+async function obtenerSesionActual(req, res, next) {
+  try {
+    const actual = await cajaService.obtenerSesionActual(req.usuario.id_usuario);
+
+    return exito({
+      res,
+      datos: actual,
+      mensaje: actual ? 'Caja abierta obtenida correctamente' : 'No tienes una caja abierta'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/caja/sesiones
+ * Obtiene sesiones de caja. El vendedor solo ve las suyas
+ * Query params: estado, id_usuario, fecha_desde, fecha_hasta
+ */
+async function obtenerSesiones(req, res, next) {
+  try {
+    const esAdministrador = req.usuario.rol_nombre === 'ADMINISTRADOR';
+    const sesiones = await cajaService.obtenerSesiones({
+      estado: req.query.estado,
+      id_usuario: esAdministrador ? req.query.id_usuario : req.usuario.id_usuario,
+      fecha_desde: req.query.fecha_desde,
+      fecha_hasta: req.query.fecha_hasta
+    });
+
+    return exito({
+      res,
+      datos: sesiones,
+      mensaje: 'Sesiones de caja obtenidas correctamente',
+      metadatos: { total: sesiones.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/caja/movimientos
+ * Registra un ingreso o egreso manual de efectivo en la caja abierta del usuario
+ */
+async function registrarMovimiento(req, res, next) {
+  try {
+    const resultado = await cajaService.registrarMovimientoManual({
+      ...req.body,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return creado({ res, datos: resultado, mensaje: 'Movimiento de caja registrado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/caja/:id/cerrar
+ * Cierra una caja con el efectivo contado y devuelve su reporte Z
+ */
+async function cerrarSesion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const reporte = await cajaService.cerrarSesion(id, req.body, req.usuario);
+
+    return exito({
+      res,
+      datos: reporte,
+      mensaje: `Caja cerrada correctamente (${reporte.resultado})`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/caja/:id/reporte-z
+ * Reporte Z de una sesión de caja
+ */
+async function obtenerReporteZ(req, res, next) {
+  try {
+    const { id } = req.params;
+    const reporte = await cajaService.obtenerReporteZ(id, req.usuario);
+
+    return exito({ res, datos: reporte, mensaje: 'Reporte Z obtenido correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/caja/reportes/z-diario
+ * Reporte Z del día con todas las cajas abiertas ese día
+ * Query params: fecha
+ */
+async function obtenerReporteZDiario(req, res, next) {
+  try {
+    const reporte = await cajaService.obtenerReporteZDiario(req.query.fecha);
+
+    return exito({ res, datos: reporte, mensaje: 'Reporte Z diario obtenido correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  obtenerPolitica,
+  actualizarPolitica,
+  abrirSesion,
+  obtenerSesionActual,
+  obtenerSesiones,
+  registrarMovimiento,
+  cerrarSesion,
+  obtenerReporteZ,
+  obtenerReporteZDiario
+};
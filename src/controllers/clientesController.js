@@ -4,7 +4,11 @@
  */
 
 const clientesService = require('../services/clientesService');
-const { exito, creado } = require('../utils/respuestas');
+const creditosService = require('../services/creditosService');
+const anticiposService = require('../services/anticiposService');
+const politicaCreditoService = require('../services/politicaCreditoService');
+const notasCreditoService = require('../services/notasCreditoService');
+const { exito, creado, archivo } = require('../utils/respuestas');
 
 /**
  * GET /api/clientes
@@ -234,6 +238,265 @@ async function obtenerReporteDeuda(req, res, next) {
   }
 }
 
+/**
+ * POST /api/clientes/:id/pagos
+ * Registra un pago global del cliente repartido entre sus créditos abiertos
+ * El sobrante queda como anticipo (saldo a favor)
+ */
+async function registrarPago(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      ...req.body,
+      id_usuario: req.usuario.id_usuario
+    };
+
+    const recibo = await creditosService.registrarPagoCliente(id, datos);
+
+    return creado({
+      res,
+      datos: recibo,
+      mensaje: recibo.monto_anticipo > 0
+        ? `Pago registrado correctamente. Q${recibo.monto_anticipo.toFixed(2)} quedaron como anticipo`
+        : 'Pago registrado correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clientes/:id/pagos/:id_pago_cliente/anular
+ * Anula un pago global con sus pagos a créditos y el anticipo que dejó (solo admin)
+ */
+async function anularPago(req, res, next) {
+  try {
+    const { id, id_pago_cliente } = req.params;
+    const resultado = await creditosService.anularPagoCliente(id, id_pago_cliente, {
+      motivo: req.body.motivo,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return exito({ res, datos: resultado, mensaje: 'Pago del cliente anulado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/:id/pagos
+ * Obtiene los pagos globales de un cliente con su reparto entre créditos
+ */
+async function obtenerPagos(req, res, next) {
+  try {
+    const { id } = req.params;
+    const pagos = await creditosService.obtenerPagosCliente(id);
+
+    return exito({ res, datos: pagos, mensaje: 'Pagos del cliente obtenidos correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/:id/anticipos
+ * Obtiene el saldo a favor del cliente y sus movimientos
+ */
+async function obtenerAnticipos(req, res, next) {
+  try {
+    const { id } = req.params;
+    const anticipos = await anticiposService.obtenerAnticipos(id);
+
+    return exito({ res, datos: anticipos, mensaje: 'Anticipos del cliente obtenidos correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/:id/estado-cuenta
+ * Estado de cuenta del cliente con saldo corrido
+ * Query params: desde, hasta (YYYY-MM-DD), formato (json | pdf)
+ */
+async function obtenerEstadoCuenta(req, res, next) {
+  try {
+    const { id } = req.params;
+    const filtros = {
+      desde: req.query.desde,
+      hasta: req.query.hasta
+    };
+
+    if (req.query.formato === 'pdf') {
+      const { nombreArchivo, contenido } = await clientesService.exportarEstadoCuentaPDF(id, filtros);
+      return archivo({ res, contenido, nombreArchivo, tipo: 'application/pdf' });
+    }
+
+    const estadoCuenta = await clientesService.obtenerEstadoCuenta(id, filtros);
+
+    return exito({ res, datos: estadoCuenta, mensaje: 'Estado de cuenta obtenido correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/politica-credito
+ * Obtiene la política de crédito vigente
+ */
+async function obtenerPoliticaCredito(req, res, next) {
+  try {
+    const politica = await politicaCreditoService.obtenerPolitica();
+
+    return exito({ res, datos: politica, mensaje: 'Política de crédito obtenida correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/clientes/politica-credito
+ * Configura la política de crédito (solo administradores)
+ */
+async function actualizarPoliticaCredito(req, res, next) {
+  try {
+    const politica = await politicaCreditoService.actualizarPolitica(req.body, req.usuario.id_usuario);
+
+    return exito({ res, datos: politica, mensaje: 'Política de crédito actualizada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/propuestas-limite
+ * Lista las propuestas de cambio de límite generadas por la revisión periódica
+ * Query params: estado, id_cliente
+ */
+async function obtenerPropuestasLimite(req, res, next) {
+  try {
+    const propuestas = await politicaCreditoService.obtenerPropuestas({
+      estado: req.query.estado,
+      id_cliente: req.query.id_cliente
+    });
+
+    return exito({ res, datos: propuestas, mensaje: 'Propuestas de límite obtenidas correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clientes/propuestas-limite/:id/aprobar
+ * Aprueba una propuesta y aplica el nuevo límite al cliente
+ */
+async function aprobarPropuestaLimite(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await politicaCreditoService.resolverPropuesta(id, {
+      aprobar: true,
+      observaciones: req.body.observaciones,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return exito({
+      res,
+      datos: resultado,
+      mensaje: `Propuesta aprobada. Nuevo límite: Q${parseFloat(resultado.cliente.limite_credito).toFixed(2)}`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clientes/propuestas-limite/:id/rechazar
+ * Rechaza una propuesta; el límite del cliente no cambia
+ */
+async function rechazarPropuestaLimite(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await politicaCreditoService.resolverPropuesta(id, {
+      aprobar: false,
+      observaciones: req.body.observaciones,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return exito({ res, datos: resultado, mensaje: 'Propuesta rechazada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clientes/:id/autorizaciones-credito
+ * Autoriza una venta al crédito a un cliente bloqueado por la política (solo administradores)
+ */
+async function autorizarCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const autorizacion = await politicaCreditoService.autorizarCredito(id, {
+      motivo: req.body.motivo,
+      dias_vigencia: req.body.dias_vigencia,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return creado({ res, datos: autorizacion, mensaje: 'Autorización de crédito registrada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/:id/autorizaciones-credito
+ * Historial de autorizaciones de crédito del cliente
+ */
+async function obtenerAutorizacionesCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const autorizaciones = await politicaCreditoService.obtenerAutorizaciones(id);
+
+    return exito({ res, datos: autorizaciones, mensaje: 'Autorizaciones de crédito obtenidas correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clientes/:id/notas-credito
+ * Emite una nota de crédito al cliente (solo administradores)
+ * Body: id_venta (opcional), monto, motivo
+ */
+async function crearNotaCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await notasCreditoService.crearNotaCredito(id, {
+      id_venta: req.body.id_venta,
+      monto: req.body.monto,
+      motivo: req.body.motivo,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    return creado({ res, datos: resultado, mensaje: 'Nota de crédito registrada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clientes/:id/notas-credito
+ * Notas de crédito emitidas al cliente
+ */
+async function obtenerNotasCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const notas = await notasCreditoService.obtenerNotasCliente(id);
+
+    return exito({ res, datos: notas, mensaje: 'Notas de crédito obtenidas correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   obtenerClientes,
   obtenerPapelera,
@@ -242,6 +505,20 @@ module.exports = {
   obtenerHistorialCreditos,
   obtenerHistorialCompras,
   obtenerReporteDeuda,
+  registrarPago,
+  anularPago,
+  obtenerPagos,
+  obtenerAnticipos,
+  obtenerEstadoCuenta,
+  obtenerPoliticaCredito,
+  actualizarPoliticaCredito,
+  obtenerPropuestasLimite,
+  aprobarPropuestaLimite,
+  rechazarPropuestaLimite,
+  autorizarCredito,
+  obtenerAutorizacionesCredito,
+  crearNotaCredito,
+  obtenerNotasCredito,
   crear,
   actualizar,
   activar,
@@ -0,0 +1,132 @@
+/**
+ * Controlador de Cotizaciones
+ * Maneja las peticiones HTTP para la gestión de cotizaciones
+ */
+
+const cotizacionesService = require('../services/cotizacionesService');
+const { exito } = require('../utils/respuestas');
+
+/**
+ * POST /api/cotizaciones
+ * Crea una cotización sin afectar inventario
+ */
+async function crearCotizacion(req, res, next) {
+  try {
+    const datos = {
+      ...req.body,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const cotizacion = await cotizacionesService.crearCotizacion(datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: 'Cotización creada correctamente',
+      datos: cotizacion
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/cotizaciones
+ * Obtiene cotizaciones con filtros opcionales y paginación
+ * Query params: id_cliente, id_usuario, estado, fecha_desde, fecha_hasta, page, limit
+ */
+async function obtenerCotizaciones(req, res, next) {
+  try {
+    const filtros = {
+      id_cliente: req.query.id_cliente,
+      id_usuario: req.query.id_usuario,
+      estado: req.query.estado,
+      fecha_desde: req.query.fecha_desde,
+      fecha_hasta: req.query.fecha_hasta,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await cotizacionesService.obtenerCotizaciones(filtros);
+
+    exito({
+      res,
+      mensaje: 'Cotizaciones obtenidas correctamente',
+      datos: resultado.datos,
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/cotizaciones/:id
+ * Obtiene una cotización con sus detalles
+ */
+async function obtenerCotizacionPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const cotizacion = await cotizacionesService.obtenerCotizacionPorId(id);
+
+    exito({
+      res,
+      mensaje: 'Cotización obtenida correctamente',
+      datos: cotizacion
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/cotizaciones/:id/expirar
+ * Marca una cotización pendiente como expirada
+ */
+async function expirarCotizacion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const cotizacion = await cotizacionesService.expirarCotizacion(id);
+
+    exito({
+      res,
+      mensaje: 'Cotización expirada correctamente',
+      datos: cotizacion
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/cotizaciones/:id/convertir
+ * Convierte una cotización en venta al CONTADO o a CRÉDITO
+ */
+async function convertirCotizacion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      ...req.body,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const resultado = await cotizacionesService.convertirCotizacion(id, datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: 'Cotización convertida en venta correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  crearCotizacion,
+  obtenerCotizaciones,
+  obtenerCotizacionPorId,
+  expirarCotizacion,
+  convertirCotizacion
+};
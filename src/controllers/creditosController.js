@@ -4,8 +4,10 @@
  */
 
 const creditosService = require('../services/creditosService');
+const moraService = require('../services/moraService');
+const cobranzaService = require('../services/cobranzaService');
 const pagosRepository = require('../repositories/pagosRepository');
-const { exito } = require('../utils/respuestas');
+const { exito, archivo } = require('../utils/respuestas');
 
 /**
  * POST /api/creditos
@@ -172,6 +174,30 @@ async function registrarPago(req, res, next) {
   }
 }
 
+/**
+ * POST /api/creditos/:id/pagos/:id_pago/anular
+ * Anula un pago y devuelve su monto al saldo del crédito (solo admin)
+ */
+async function anularPago(req, res, next) {
+  try {
+    const { id, id_pago } = req.params;
+    const resultado = await creditosService.anularPago(id, id_pago, {
+      motivo: req.body.motivo,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    exito({
+      res,
+      mensaje: resultado.credito_reabierto
+        ? 'Pago anulado correctamente. El crédito fue reabierto'
+        : 'Pago anulado correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET /api/creditos/dashboard/cobranza
  * Obtiene dashboard de cobranza
@@ -208,6 +234,38 @@ async function obtenerReporteCarteraVencida(req, res, next) {
   }
 }
 
+/**
+ * GET /api/creditos/reportes/antiguedad
+ * Reporte de antigüedad de saldos por cliente
+ * Query params: fecha_corte, tramos (ej. 30,60,90), id_cliente, formato (json/csv),
+ * nivel (cliente/credito, solo CSV)
+ */
+async function obtenerReporteAntiguedad(req, res, next) {
+  try {
+    const opciones = {
+      fecha_corte: req.query.fecha_corte,
+      tramos: req.query.tramos ? req.query.tramos.split(',').map(Number) : undefined,
+      id_cliente: req.query.id_cliente,
+      nivel: req.query.nivel
+    };
+
+    if (req.query.formato === 'csv') {
+      const { nombreArchivo, contenido } = await creditosService.exportarReporteAntiguedad(opciones);
+      return archivo({ res, contenido, nombreArchivo });
+    }
+
+    const reporte = await creditosService.obtenerReporteAntiguedad(opciones);
+
+    exito({
+      res,
+      mensaje: 'Reporte de antigüedad de saldos generado correctamente',
+      datos: reporte
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET /api/creditos/alertas/proximos-vencer
  * Obtiene créditos próximos a vencer
@@ -236,15 +294,21 @@ async function obtenerPagosDeCredito(req, res, next) {
     const { id } = req.params;
     const pagos = await pagosRepository.obtenerPorCredito(id);
 
-    const totalPagado = pagos.reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0);
+    // Los pagos anulados se muestran con su estado pero no suman a lo pagado
+    const anulados = pagos.filter(p => p.estado === creditosService.ESTADOS_PAGO.ANULADO);
+    const totalPagado = pagos
+      .filter(p => p.estado !== creditosService.ESTADOS_PAGO.ANULADO)
+      .reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0);
 
     exito({
       res,
       mensaje: 'Historial de pagos obtenido correctamente',
       datos: {
         pagos,
-        total_pagos: pagos.length,
-        total_pagado: totalPagado
+        total_pagos: pagos.length - anulados.length,
+        total_pagado: totalPagado,
+        pagos_anulados: anulados.length,
+        total_anulado: anulados.reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0)
       }
     });
   } catch (error) {
@@ -252,6 +316,221 @@ async function obtenerPagosDeCredito(req, res, next) {
   }
 }
 
+/**
+ * GET /api/creditos/politica-mora
+ * Obtiene la política de mora vigente
+ */
+async function obtenerPoliticaMora(req, res, next) {
+  try {
+    const politica = await moraService.obtenerPolitica();
+
+    exito({
+      res,
+      mensaje: 'Política de mora obtenida correctamente',
+      datos: politica
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/creditos/politica-mora
+ * Actualiza la política de mora (solo administrador)
+ */
+async function actualizarPoliticaMora(req, res, next) {
+  try {
+    const politica = await moraService.actualizarPolitica(req.body, req.usuario.id_usuario);
+
+    exito({
+      res,
+      mensaje: 'Política de mora actualizada correctamente',
+      datos: politica
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/creditos/:id/mora
+ * Obtiene los cargos de mora de un crédito con el desglose capital / mora
+ */
+async function obtenerMoraCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const mora = await moraService.obtenerMoraCredito(id);
+
+    exito({
+      res,
+      mensaje: 'Mora del crédito obtenida correctamente',
+      datos: mora
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/creditos/:id/mora/condonar
+ * Condona cargos de mora pendientes (solo administrador)
+ * Body: { motivo, ids_cargo (opcional) }
+ */
+async function condonarMora(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await moraService.condonarMora(id, {
+      motivo: req.body.motivo,
+      ids_cargo: req.body.ids_cargo,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    exito({
+      res,
+      mensaje: `Mora condonada correctamente: Q${resultado.monto_condonado.toFixed(2)}`,
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/creditos/:id/castigo
+ * Castiga un crédito vencido incobrable (solo administrador)
+ * Body: { motivo, id_aprobador }
+ */
+async function castigarCredito(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await creditosService.castigarCredito(id, {
+      motivo: req.body.motivo,
+      id_aprobador: req.body.id_aprobador,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    exito({
+      res,
+      mensaje: `Crédito castigado correctamente: Q${resultado.monto_castigado.toFixed(2)}`,
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/creditos/reportes/castigos
+ * Castigos y recuperaciones de un período
+ * Query params: desde, hasta (YYYY-MM-DD, por defecto el mes en curso)
+ */
+async function obtenerReporteCastigos(req, res, next) {
+  try {
+    const reporte = await creditosService.obtenerReporteCastigos({
+      desde: req.query.desde,
+      hasta: req.query.hasta
+    });
+
+    exito({
+      res,
+      mensaje: 'Reporte de castigos generado correctamente',
+      datos: reporte
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/creditos/cobranza/lista-trabajo
+ * Lista de trabajo del cobrador: créditos atrasados ordenados por prioridad
+ * Query: id_cliente, limite
+ */
+async function obtenerListaTrabajoCobranza(req, res, next) {
+  try {
+    const lista = await cobranzaService.obtenerListaTrabajo({
+      id_cliente: req.query.id_cliente,
+      limite: req.query.limite ? parseInt(req.query.limite) : null
+    });
+
+    exito({
+      res,
+      mensaje: 'Lista de trabajo de cobranza obtenida correctamente',
+      datos: lista
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/creditos/cobranza/promesas
+ * Obtiene promesas de pago (estado=INCUMPLIDA para ver las promesas rotas)
+ * Query: estado, id_cliente, fecha_desde, fecha_hasta
+ */
+async function obtenerPromesasPago(req, res, next) {
+  try {
+    const { estado, id_cliente, fecha_desde, fecha_hasta } = req.query;
+    const resultado = await cobranzaService.obtenerPromesas({ estado, id_cliente, fecha_desde, fecha_hasta });
+
+    exito({
+      res,
+      mensaje: 'Promesas de pago obtenidas correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/creditos/:id/gestiones
+ * Obtiene las gestiones de cobro y las promesas de pago de un crédito
+ */
+async function obtenerGestionesCobranza(req, res, next) {
+  try {
+    const { id } = req.params;
+    const historial = await cobranzaService.obtenerGestiones(id);
+
+    exito({
+      res,
+      mensaje: 'Gestiones de cobro obtenidas correctamente',
+      datos: historial
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/creditos/:id/gestiones
+ * Registra una gestión de cobro (llamada, visita o mensaje) y, opcionalmente, una promesa de pago
+ * Body: { tipo, resultado, observaciones, promesa: { fecha_promesa, monto } }
+ */
+async function registrarGestionCobranza(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await cobranzaService.registrarGestion(id, {
+      tipo: req.body.tipo,
+      resultado: req.body.resultado,
+      observaciones: req.body.observaciones,
+      promesa: req.body.promesa,
+      id_usuario: req.usuario.id_usuario
+    });
+
+    exito({
+      res,
+      status: 201,
+      mensaje: resultado.promesa
+        ? 'Gestión de cobro y promesa de pago registradas correctamente'
+        : 'Gestión de cobro registrada correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   crearCredito,
   obtenerCreditos,
@@ -260,8 +539,20 @@ module.exports = {
   obtenerCreditosVencidos,
   obtenerCreditosPorCliente,
   registrarPago,
+  anularPago,
   obtenerDashboardCobranza,
   obtenerReporteCarteraVencida,
+  obtenerReporteAntiguedad,
   obtenerCreditosProximosAVencer,
-  obtenerPagosDeCredito
+  obtenerPagosDeCredito,
+  obtenerPoliticaMora,
+  actualizarPoliticaMora,
+  obtenerMoraCredito,
+  condonarMora,
+  castigarCredito,
+  obtenerReporteCastigos,
+  obtenerListaTrabajoCobranza,
+  obtenerPromesasPago,
+  obtenerGestionesCobranza,
+  registrarGestionCobranza
 };
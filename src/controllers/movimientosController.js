@@ -74,13 +74,14 @@ async function registrarSalida(req, res, next) {
  */
 async function ajustarInventario(req, res, next) {
   try {
-    const { id_producto, cantidad_objetivo, motivo, referencia } = req.body;
+    const { id_producto, cantidad_objetivo, motivo, referencia, id_bodega } = req.body;
     
     const movimiento = await movimientosService.ajustarInventario(
       id_producto,
       cantidad_objetivo,
       motivo,
-      referencia
+      referencia,
+      id_bodega
     );
 
     exito({
@@ -97,13 +98,14 @@ async function ajustarInventario(req, res, next) {
 /**
  * GET /api/movimientos
  * Obtiene todos los movimientos con filtros opcionales y paginación
- * Query params: id_producto, tipo_movimiento, fecha_desde, fecha_hasta, page, limit
+ * Query params: id_producto, tipo_movimiento, id_bodega, fecha_desde, fecha_hasta, page, limit
  */
 async function obtenerMovimientos(req, res, next) {
   try {
     const filtros = {
       id_producto: req.query.id_producto,
       tipo_movimiento: req.query.tipo_movimiento,
+      id_bodega: req.query.id_bodega,
       fecha_desde: req.query.fecha_desde,
       fecha_hasta: req.query.fecha_hasta,
       page: req.query.page,
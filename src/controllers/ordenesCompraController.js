@@ -0,0 +1,223 @@
+/**
+ * Controlador de Órdenes de Compra
+ * Maneja las peticiones HTTP para órdenes de compra y recepción de mercadería
+ */
+
+const ordenesCompraService = require('../services/ordenesCompraService');
+const { exito } = require('../utils/respuestas');
+
+/**
+ * POST /api/ordenes-compra
+ * Crea una orden de compra en BORRADOR
+ */
+async function crearOrden(req, res, next) {
+  try {
+    const datos = {
+      ...req.body,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const orden = await ordenesCompraService.crearOrden(datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: 'Orden de compra creada correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-compra
+ * Obtiene órdenes de compra con filtros opcionales y paginación
+ * Query params: id_proveedor, estado, fecha_desde, fecha_hasta, page, limit
+ */
+async function obtenerOrdenes(req, res, next) {
+  try {
+    const filtros = {
+      id_proveedor: req.query.id_proveedor,
+      estado: req.query.estado,
+      fecha_desde: req.query.fecha_desde,
+      fecha_hasta: req.query.fecha_hasta,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await ordenesCompraService.obtenerOrdenes(filtros);
+
+    exito({
+      res,
+      mensaje: 'Órdenes de compra obtenidas correctamente',
+      datos: resultado.datos,
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-compra/:id
+ * Obtiene una orden de compra con detalles y recepciones
+ */
+async function obtenerOrdenPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesCompraService.obtenerOrdenPorId(id);
+
+    exito({
+      res,
+      mensaje: 'Orden de compra obtenida correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/ordenes-compra/:id
+ * Actualiza una orden de compra en BORRADOR
+ */
+async function actualizarOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesCompraService.actualizarOrden(id, req.body);
+
+    exito({
+      res,
+      mensaje: 'Orden de compra actualizada correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/ordenes-compra/:id/enviar
+ * Marca la orden como enviada al proveedor
+ */
+async function enviarOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesCompraService.enviarOrden(id);
+
+    exito({
+      res,
+      mensaje: 'Orden de compra enviada correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/ordenes-compra/:id/recibir
+ * Registra la recepción total o parcial de mercadería
+ * Genera entradas de inventario con el número de orden como referencia
+ */
+async function recibirOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      productos: req.body.productos,
+      observaciones: req.body.observaciones,
+      id_bodega: req.body.id_bodega,
+      id_usuario: req.usuario.id_usuario
+    };
+
+    const resultado = await ordenesCompraService.recibirOrden(id, datos);
+
+    exito({
+      res,
+      mensaje: `Recepción registrada. Orden en estado ${resultado.orden.estado}`,
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/ordenes-compra/:id/cancelar
+ * Cancela una orden de compra
+ */
+async function cancelarOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesCompraService.cancelarOrden(id, req.body.motivo);
+
+    exito({
+      res,
+      mensaje: 'Orden de compra cancelada correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-compra/reportes/pendientes-proveedor
+ * Reporte de cantidades pendientes de recibir por proveedor
+ */
+async function obtenerPendientesPorProveedor(req, res, next) {
+  try {
+    const filtros = {
+      id_proveedor: req.query.id_proveedor,
+      id_producto: req.query.id_producto
+    };
+
+    const reporte = await ordenesCompraService.obtenerPendientesPorProveedor(filtros);
+
+    exito({
+      res,
+      mensaje: 'Pendientes por proveedor obtenidos correctamente',
+      datos: reporte,
+      metadatos: { total_proveedores: reporte.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-compra/reportes/pendientes-producto
+ * Reporte de cantidades pendientes de recibir por producto
+ */
+async function obtenerPendientesPorProducto(req, res, next) {
+  try {
+    const filtros = {
+      id_proveedor: req.query.id_proveedor,
+      id_producto: req.query.id_producto
+    };
+
+    const reporte = await ordenesCompraService.obtenerPendientesPorProducto(filtros);
+
+    exito({
+      res,
+      mensaje: 'Pendientes por producto obtenidos correctamente',
+      datos: reporte,
+      metadatos: { total_productos: reporte.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  crearOrden,
+  obtenerOrdenes,
+  obtenerOrdenPorId,
+  actualizarOrden,
+  enviarOrden,
+  recibirOrden,
+  cancelarOrden,
+  obtenerPendientesPorProveedor,
+  obtenerPendientesPorProducto
+};
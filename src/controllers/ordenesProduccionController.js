@@ -0,0 +1,137 @@
+/**
+ * Controlador de Órdenes de Producción
+ * Maneja las peticiones HTTP para órdenes de producción y su cierre
+ */
+
+const ordenesProduccionService = require('../services/ordenesProduccionService');
+const { exito } = require('../utils/respuestas');
+
+/**
+ * POST /api/ordenes-produccion
+ * Crea una orden de producción PENDIENTE a partir de una receta
+ */
+async function crearOrden(req, res, next) {
+  try {
+    const datos = {
+      id_receta: req.body.id_receta,
+      id_producto: req.body.id_producto,
+      cantidad: req.body.cantidad,
+      id_bodega: req.body.id_bodega,
+      observaciones: req.body.observaciones,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const orden = await ordenesProduccionService.crearOrden(datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: `Orden de producción ${orden.numero_orden} creada correctamente`,
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-produccion
+ * Obtiene órdenes de producción con filtros opcionales y paginación
+ * Query params: estado, id_producto, id_bodega, fecha_desde, fecha_hasta, page, limit
+ */
+async function obtenerOrdenes(req, res, next) {
+  try {
+    const filtros = {
+      estado: req.query.estado,
+      id_producto: req.query.id_producto,
+      id_bodega: req.query.id_bodega,
+      fecha_desde: req.query.fecha_desde,
+      fecha_hasta: req.query.fecha_hasta,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await ordenesProduccionService.obtenerOrdenes(filtros);
+
+    exito({
+      res,
+      mensaje: 'Órdenes de producción obtenidas correctamente',
+      datos: resultado.datos,
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ordenes-produccion/:id
+ * Obtiene una orden de producción con sus materiales
+ */
+async function obtenerOrdenPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesProduccionService.obtenerOrdenPorId(id);
+
+    exito({
+      res,
+      mensaje: 'Orden de producción obtenida correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/ordenes-produccion/:id/completar
+ * Completa la orden: consume materiales y da entrada al producto terminado
+ */
+async function completarOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      cantidad_producida: req.body.cantidad_producida,
+      mermas: req.body.mermas,
+      observaciones: req.body.observaciones,
+      id_usuario: req.usuario.id_usuario
+    };
+
+    const resultado = await ordenesProduccionService.completarOrden(id, datos);
+
+    exito({
+      res,
+      mensaje: `Orden completada. Se generaron ${resultado.movimientos_generados} movimientos de inventario`,
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/ordenes-produccion/:id/cancelar
+ * Cancela una orden pendiente sin afectar el inventario
+ */
+async function cancelarOrden(req, res, next) {
+  try {
+    const { id } = req.params;
+    const orden = await ordenesProduccionService.cancelarOrden(id, req.body.motivo, req.usuario.id_usuario);
+
+    exito({
+      res,
+      mensaje: 'Orden de producción cancelada correctamente',
+      datos: orden
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  crearOrden,
+  obtenerOrdenes,
+  obtenerOrdenPorId,
+  completarOrden,
+  cancelarOrden
+};
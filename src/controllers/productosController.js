@@ -4,6 +4,7 @@
  */
 
 const productosService = require('../services/productosService');
+const unidadesProductoService = require('../services/unidadesProductoService');
 const { exito, creado, actualizado, eliminado } = require('../utils/respuestas');
 
 /**
@@ -65,12 +66,12 @@ const obtenerPapelera = async (req, res, next) => {
 };
 
 /**
- * Obtener productos con stock bajo
- * GET /api/productos/stock-bajo
+ * Obtener productos con stock bajo por bodega
+ * GET /api/productos/stock-bajo?id_bodega=uuid
  */
 const obtenerStockBajo = async (req, res, next) => {
   try {
-    const productos = await productosService.obtenerStockBajo();
+    const productos = await productosService.obtenerStockBajo(req.query.id_bodega);
     exito({ res, datos: productos, mensaje: 'Productos con stock bajo obtenidos exitosamente' });
   } catch (error) {
     next(error);
@@ -94,17 +95,18 @@ const obtenerPorId = async (req, res, next) => {
 /**
  * Crear nuevo producto
  * POST /api/productos
- * Body: { id_categoria, nombre, descripcion?, precio_venta, unidad_medida, cantidad_stock?, stock_minimo? }
+ * Body: { id_categoria, nombre, descripcion?, precio_venta, costo_promedio?, unidad_medida, cantidad_stock?, stock_minimo? }
  */
 const crear = async (req, res, next) => {
   try {
-    const { id_categoria, nombre, descripcion, precio_venta, unidad_medida, cantidad_stock, stock_minimo } = req.body;
+    const { id_categoria, nombre, descripcion, precio_venta, costo_promedio, unidad_medida, cantidad_stock, stock_minimo } = req.body;
     
     const producto = await productosService.crear({
       id_categoria,
       nombre,
       descripcion,
       precio_venta,
+      costo_promedio,
       unidad_medida,
       cantidad_stock,
       stock_minimo
@@ -119,18 +121,19 @@ const crear = async (req, res, next) => {
 /**
  * Actualizar producto
  * PUT /api/productos/:id
- * Body: { id_categoria?, nombre?, descripcion?, precio_venta?, unidad_medida?, cantidad_stock?, stock_minimo? }
+ * Body: { id_categoria?, nombre?, descripcion?, precio_venta?, costo_promedio?, unidad_medida?, cantidad_stock?, stock_minimo? }
  */
 const actualizar = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { id_categoria, nombre, descripcion, precio_venta, unidad_medida, cantidad_stock, stock_minimo } = req.body;
+    const { id_categoria, nombre, descripcion, precio_venta, costo_promedio, unidad_medida, cantidad_stock, stock_minimo } = req.body;
     
     const producto = await productosService.actualizar(id, {
       id_categoria,
       nombre,
       descripcion,
       precio_venta,
+      costo_promedio,
       unidad_medida,
       cantidad_stock,
       stock_minimo
@@ -212,6 +215,60 @@ const desactivar = async (req, res, next) => {
   }
 };
 
+/**
+ * Obtener la unidad base y las unidades alternas de un producto
+ * GET /api/productos/:id/unidades
+ */
+const obtenerUnidades = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const unidades = await unidadesProductoService.obtenerUnidades(id);
+    exito({ res, datos: unidades, mensaje: 'Unidades obtenidas exitosamente' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Crear unidad alterna de un producto
+ * POST /api/productos/:id/unidades
+ * Body: { nombre, calculo, factor?, grosor_pulgadas?, ancho_pulgadas?, largo_pies?, permite_decimales? }
+ */
+const crearUnidad = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { nombre, calculo, factor, grosor_pulgadas, ancho_pulgadas, largo_pies, permite_decimales } = req.body;
+
+    const unidad = await unidadesProductoService.crearUnidad(id, {
+      nombre,
+      calculo,
+      factor,
+      grosor_pulgadas,
+      ancho_pulgadas,
+      largo_pies,
+      permite_decimales
+    });
+
+    creado({ res, datos: unidad, mensaje: 'Unidad creada exitosamente' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Eliminar unidad alterna de un producto (solo si no se ha usado)
+ * DELETE /api/productos/:id/unidades/:id_unidad
+ */
+const eliminarUnidad = async (req, res, next) => {
+  try {
+    const { id, id_unidad } = req.params;
+    await unidadesProductoService.eliminarUnidad(id, parseInt(id_unidad));
+    eliminado({ res, mensaje: 'Unidad eliminada exitosamente' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   obtenerTodos,
   obtenerListaSimple,
@@ -224,5 +281,8 @@ module.exports = {
   restaurarDePapelera,
   eliminarPermanentemente,
   activar,
-  desactivar
+  desactivar,
+  obtenerUnidades,
+  crearUnidad,
+  eliminarUnidad
 };
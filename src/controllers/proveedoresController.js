@@ -0,0 +1,117 @@
+/**
+ * Controlador de Proveedores
+ * Maneja las peticiones HTTP para la gestión de proveedores
+ */
+
+const proveedoresService = require('../services/proveedoresService');
+const { exito, creado } = require('../utils/respuestas');
+
+/**
+ * GET /api/proveedores
+ * Obtiene proveedores con filtros opcionales y paginación
+ * Query params: busqueda, soloActivos, page, limit
+ */
+async function obtenerProveedores(req, res, next) {
+  try {
+    const filtros = {
+      busqueda: req.query.busqueda,
+      soloActivos: req.query.soloActivos !== 'false', // Por defecto true
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await proveedoresService.obtenerProveedores(filtros);
+
+    return exito({
+      res,
+      datos: resultado.datos,
+      mensaje: 'Proveedores obtenidos correctamente',
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/proveedores/:id
+ * Obtiene un proveedor por ID
+ */
+async function obtenerProveedorPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const proveedor = await proveedoresService.obtenerProveedorPorId(id);
+
+    return exito({ res, datos: proveedor, mensaje: 'Proveedor obtenido correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/proveedores
+ * Crea un nuevo proveedor
+ */
+async function crear(req, res, next) {
+  try {
+    const proveedor = await proveedoresService.crear(req.body);
+
+    return creado({ res, datos: proveedor, mensaje: 'Proveedor creado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/proveedores/:id
+ * Actualiza un proveedor existente
+ */
+async function actualizar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const proveedor = await proveedoresService.actualizar(id, req.body);
+
+    return exito({ res, datos: proveedor, mensaje: 'Proveedor actualizado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/proveedores/:id/activar
+ * Activa un proveedor
+ */
+async function activar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const proveedor = await proveedoresService.activar(id);
+
+    return exito({ res, datos: proveedor, mensaje: 'Proveedor activado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/proveedores/:id/desactivar
+ * Desactiva un proveedor
+ */
+async function desactivar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const proveedor = await proveedoresService.desactivar(id);
+
+    return exito({ res, datos: proveedor, mensaje: 'Proveedor desactivado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  obtenerProveedores,
+  obtenerProveedorPorId,
+  crear,
+  actualizar,
+  activar,
+  desactivar
+};
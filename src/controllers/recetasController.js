@@ -0,0 +1,128 @@
+/**
+ * Controlador de Recetas de Producción
+ * Maneja las peticiones HTTP para la lista de materiales de los productos terminados
+ */
+
+const recetasService = require('../services/recetasService');
+const { exito, creado } = require('../utils/respuestas');
+
+/**
+ * GET /api/recetas
+ * Obtiene recetas con filtros opcionales y paginación
+ * Query params: id_producto, soloActivas, page, limit
+ */
+async function obtenerRecetas(req, res, next) {
+  try {
+    const filtros = {
+      id_producto: req.query.id_producto,
+      soloActivas: req.query.soloActivas !== 'false', // Por defecto true
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await recetasService.obtenerRecetas(filtros);
+
+    return exito({
+      res,
+      datos: resultado.datos,
+      mensaje: 'Recetas obtenidas correctamente',
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/recetas/:id
+ * Obtiene una receta con sus componentes y costo estimado
+ */
+async function obtenerRecetaPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const receta = await recetasService.obtenerRecetaPorId(id);
+
+    return exito({ res, datos: receta, mensaje: 'Receta obtenida correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/recetas
+ * Crea la receta de un producto terminado
+ */
+async function crear(req, res, next) {
+  try {
+    const datos = {
+      id_producto: req.body.id_producto,
+      descripcion: req.body.descripcion,
+      componentes: req.body.componentes
+    };
+
+    const receta = await recetasService.crear(datos);
+
+    return creado({ res, datos: receta, mensaje: 'Receta creada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/recetas/:id
+ * Actualiza una receta (los componentes enviados reemplazan a los actuales)
+ */
+async function actualizar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      descripcion: req.body.descripcion,
+      componentes: req.body.componentes
+    };
+
+    const receta = await recetasService.actualizar(id, datos);
+
+    return exito({ res, datos: receta, mensaje: 'Receta actualizada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/recetas/:id/activar
+ * Activa una receta
+ */
+async function activar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const receta = await recetasService.activar(id);
+
+    return exito({ res, datos: receta, mensaje: 'Receta activada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/recetas/:id/desactivar
+ * Desactiva una receta
+ */
+async function desactivar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const receta = await recetasService.desactivar(id);
+
+    return exito({ res, datos: receta, mensaje: 'Receta desactivada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  obtenerRecetas,
+  obtenerRecetaPorId,
+  crear,
+  actualizar,
+  activar,
+  desactivar
+};
@@ -0,0 +1,181 @@
+/**
+ * Controlador de Tomas de Inventario
+ * Maneja las peticiones HTTP para conteos físicos y publicación de ajustes
+ */
+
+const tomasInventarioService = require('../services/tomasInventarioService');
+const { exito, archivo } = require('../utils/respuestas');
+
+/**
+ * POST /api/tomas-inventario
+ * Abre una toma de inventario y guarda el snapshot del stock
+ */
+async function abrirToma(req, res, next) {
+  try {
+    const datos = {
+      descripcion: req.body.descripcion,
+      id_categoria: req.body.id_categoria,
+      id_bodega: req.body.id_bodega,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const toma = await tomasInventarioService.abrirToma(datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: `Toma de inventario ${toma.numero_toma} abierta con ${toma.resumen.total_productos} productos`,
+      datos: toma
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/tomas-inventario
+ * Obtiene tomas de inventario con filtros opcionales y paginación
+ * Query params: estado, id_categoria, id_bodega, page, limit
+ */
+async function obtenerTomas(req, res, next) {
+  try {
+    const filtros = {
+      estado: req.query.estado,
+      id_categoria: req.query.id_categoria,
+      id_bodega: req.query.id_bodega,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const resultado = await tomasInventarioService.obtenerTomas(filtros);
+
+    exito({
+      res,
+      mensaje: 'Tomas de inventario obtenidas correctamente',
+      datos: resultado.datos,
+      metadatos: { paginacion: resultado.paginacion }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/tomas-inventario/:id
+ * Obtiene una toma con su resumen de avance y diferencias
+ */
+async function obtenerTomaPorId(req, res, next) {
+  try {
+    const { id } = req.params;
+    const toma = await tomasInventarioService.obtenerTomaPorId(id);
+
+    exito({
+      res,
+      mensaje: 'Toma de inventario obtenida correctamente',
+      datos: toma
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/tomas-inventario/:id/conteos
+ * Registra los conteos del usuario autenticado
+ */
+async function registrarConteos(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      conteos: req.body.conteos,
+      id_usuario: req.usuario.id_usuario
+    };
+
+    const resultado = await tomasInventarioService.registrarConteos(id, datos);
+
+    exito({
+      res,
+      mensaje: 'Conteos registrados correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/tomas-inventario/:id/diferencias
+ * Reporte de diferencias entre lo contado y el stock del sistema
+ * Query params: solo_diferencias (true/false), formato (json/csv)
+ */
+async function obtenerReporteDiferencias(req, res, next) {
+  try {
+    const { id } = req.params;
+    const opciones = {
+      soloDiferencias: req.query.solo_diferencias === 'true'
+    };
+
+    if (req.query.formato === 'csv') {
+      const { nombreArchivo, contenido } = await tomasInventarioService.exportarReporteDiferencias(id, opciones);
+      return archivo({ res, contenido, nombreArchivo });
+    }
+
+    const reporte = await tomasInventarioService.obtenerReporteDiferencias(id, opciones);
+
+    exito({
+      res,
+      mensaje: 'Reporte de diferencias obtenido correctamente',
+      datos: reporte
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/tomas-inventario/:id/publicar
+ * Publica la toma generando los movimientos de ajuste
+ */
+async function publicarToma(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await tomasInventarioService.publicarToma(id, req.usuario.id_usuario);
+
+    exito({
+      res,
+      mensaje: `Toma publicada. Se generaron ${resultado.movimientos_generados} movimientos de ajuste`,
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/tomas-inventario/:id/cancelar
+ * Cancela una toma abierta sin afectar el inventario
+ */
+async function cancelarToma(req, res, next) {
+  try {
+    const { id } = req.params;
+    const toma = await tomasInventarioService.cancelarToma(id, req.body.motivo, req.usuario.id_usuario);
+
+    exito({
+      res,
+      mensaje: 'Toma de inventario cancelada correctamente',
+      datos: toma
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  abrirToma,
+  obtenerTomas,
+  obtenerTomaPorId,
+  registrarConteos,
+  obtenerReporteDiferencias,
+  publicarToma,
+  cancelarToma
+};
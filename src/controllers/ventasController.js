@@ -4,6 +4,7 @@
  */
 
 const ventasService = require('../services/ventasService');
+const impuestosService = require('../services/impuestosService');
 const detalleVentaRepository = require('../repositories/detalleVentaRepository');
 const { exito } = require('../utils/respuestas');
 
@@ -129,6 +130,50 @@ async function anularVenta(req, res, next) {
   }
 }
 
+/**
+ * POST /api/ventas/:id/devoluciones
+ * Registra una devolución parcial de líneas de la venta
+ */
+async function registrarDevolucion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const datos = {
+      ...req.body,
+      id_usuario: req.usuario.id_usuario // Del token JWT
+    };
+
+    const resultado = await ventasService.registrarDevolucion(id, datos);
+
+    exito({
+      res,
+      status: 201,
+      mensaje: 'Devolución registrada correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ventas/:id/devoluciones
+ * Obtiene el historial de devoluciones de una venta
+ */
+async function obtenerDevolucionesVenta(req, res, next) {
+  try {
+    const { id } = req.params;
+    const resultado = await ventasService.obtenerDevolucionesVenta(id);
+
+    exito({
+      res,
+      mensaje: 'Devoluciones de la venta obtenidas correctamente',
+      datos: resultado
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET /api/ventas/cliente/:id_cliente
  * Obtiene ventas de un cliente específico
@@ -209,6 +254,65 @@ async function obtenerReportePorPeriodo(req, res, next) {
   }
 }
 
+/**
+ * GET /api/ventas/politica-impuestos
+ * Obtiene la política de IVA vigente
+ */
+async function obtenerPoliticaImpuestos(req, res, next) {
+  try {
+    const politica = await impuestosService.obtenerPolitica();
+
+    exito({
+      res,
+      mensaje: 'Política de impuestos obtenida correctamente',
+      datos: politica
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/ventas/politica-impuestos
+ * Actualiza la política de IVA (solo administrador)
+ */
+async function actualizarPoliticaImpuestos(req, res, next) {
+  try {
+    const politica = await impuestosService.actualizarPolitica(req.body, req.usuario.id_usuario);
+
+    exito({
+      res,
+      mensaje: 'Política de impuestos actualizada correctamente',
+      datos: politica
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/ventas/reportes/margen
+ * Obtiene el reporte de margen bruto por venta, producto, categoría, vendedor y mes
+ */
+async function obtenerReporteMargen(req, res, next) {
+  try {
+    const { fecha_desde, fecha_hasta } = req.query;
+
+    const reporte = await ventasService.obtenerReporteMargen(
+      fecha_desde,
+      fecha_hasta
+    );
+
+    exito({
+      res,
+      mensaje: 'Reporte de margen generado correctamente',
+      datos: reporte
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET /api/ventas/productos/mas-vendidos
  * Obtiene los productos más vendidos en un período
@@ -269,10 +373,15 @@ module.exports = {
   obtenerVentas,
   obtenerVentaPorId,
   anularVenta,
+  registrarDevolucion,
+  obtenerDevolucionesVenta,
   obtenerVentasPorCliente,
   obtenerVentasPorUsuario,
   obtenerDashboardDia,
   obtenerReportePorPeriodo,
+  obtenerReporteMargen,
+  obtenerPoliticaImpuestos,
+  actualizarPoliticaImpuestos,
   obtenerProductosMasVendidos,
   obtenerHistorialMensual
 };
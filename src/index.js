@@ -54,6 +54,14 @@ const movimientosRoutes = require('./routes/movimientos');
 const clientesRoutes = require('./routes/clientes');
 const ventasRoutes = require('./routes/ventas');
 const creditosRoutes = require('./routes/creditos');
+const cotizacionesRoutes = require('./routes/cotizaciones');
+const proveedoresRoutes = require('./routes/proveedores');
+const ordenesCompraRoutes = require('./routes/ordenesCompra');
+const tomasInventarioRoutes = require('./routes/tomasInventario');
+const bodegasRoutes = require('./routes/bodegas');
+const recetasRoutes = require('./routes/recetas');
+const ordenesProduccionRoutes = require('./routes/ordenesProduccion');
+const cajaRoutes = require('./routes/caja');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/usuarios', usuariosRoutes);
@@ -63,6 +71,14 @@ app.use('/api/movimientos', movimientosRoutes);
 app.use('/api/clientes', clientesRoutes);
 app.use('/api/ventas', ventasRoutes);
 app.use('/api/creditos', creditosRoutes);
+app.use('/api/cotizaciones', cotizacionesRoutes);
+app.use('/api/proveedores', proveedoresRoutes);
+app.use('/api/ordenes-compra', ordenesCompraRoutes);
+app.use('/api/tomas-inventario', tomasInventarioRoutes);
+app.use('/api/bodegas', bodegasRoutes);
+app.use('/api/recetas', recetasRoutes);
+app.use('/api/ordenes-produccion', ordenesProduccionRoutes);
+app.use('/api/caja', cajaRoutes);
 
 // Ruta de prueba
 app.get('/', (req, res) => {
@@ -1,14 +1,54 @@
 /**
  * Job: Actualización de Estado de Créditos Vencidos
- * Actualiza automáticamente el estado de créditos que han vencido
+ * Actualiza automáticamente el estado de créditos que han vencido y de las cuotas
+ * vencidas de los créditos con plan de cuotas
  */
 
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
+const creditosRepository = require('../repositories/creditosRepository');
+const cuotasRepository = require('../repositories/cuotasRepository');
 const { logger } = require('../utils/logger');
 const { obtenerFechaHoyGuatemala } = require('../utils/fechas');
 
+/**
+ * Marca como VENCIDA cada cuota no pagada cuya fecha ya pasó y pone en VENCIDO
+ * los créditos activos que tengan alguna cuota vencida
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {Promise<Object>} { cuotas_vencidas, creditos_actualizados }
+ */
+async function actualizarCuotasVencidas(hoy) {
+  const cuotasVencidas = await cuotasRepository.marcarVencidas(hoy);
+
+  if (cuotasVencidas.length === 0) {
+    return { cuotas_vencidas: [], creditos_actualizados: [] };
+  }
+
+  const idsCreditos = [...new Set(cuotasVencidas.map(c => c.id_credito))];
+  const creditosActualizados = await creditosRepository.actualizarEstado(
+    idsCreditos,
+    'VENCIDO',
+    ['ACTIVO']
+  );
+
+  logger.warn(`Actualización créditos vencidos: ${cuotasVencidas.length} cuotas marcadas como VENCIDA`, {
+    cantidad: cuotasVencidas.length,
+    cuotas: cuotasVencidas.map(c => ({
+      id_credito: c.id_credito,
+      numero: c.numero,
+      fecha_vencimiento: c.fecha_vencimiento,
+      saldo_cuota: parseFloat(c.monto) - parseFloat(c.monto_pagado || 0)
+    }))
+  });
+
+  return {
+    cuotas_vencidas: cuotasVencidas,
+    creditos_actualizados: creditosActualizados
+  };
+}
+
 /**
  * Actualiza créditos que ya vencieron a estado VENCIDO
+ * Un crédito con plan de cuotas vence en cuanto vence cualquiera de sus cuotas
  */
 async function actualizarCreditosVencidos() {
   try {
@@ -16,10 +56,13 @@ async function actualizarCreditosVencidos() {
     
     const hoy = obtenerFechaHoyGuatemala(); // Fecha en zona horaria de Guatemala
     
+    // Cuotas vencidas (y créditos activos que las tienen)
+    const cuotas = await actualizarCuotasVencidas(hoy);
+    
     // Buscar créditos ACTIVOS que ya vencieron
     const { data: creditosVencidos, error: errorBuscar } = await supabase
       .from('creditos')
-      .select('id, fecha_vencimiento, saldo_pendiente, clientes(nombre)')
+      .select('id_credito, fecha_vencimiento, saldo_pendiente, clientes(nombre)')
       .eq('estado', 'ACTIVO')
       .lt('fecha_vencimiento', hoy);
     
@@ -30,18 +73,19 @@ async function actualizarCreditosVencidos() {
     if (!creditosVencidos || creditosVencidos.length === 0) {
       logger.info('Actualización créditos vencidos: No hay créditos para actualizar');
       return { 
-        actualizados: 0, 
-        creditos: [] 
+        actualizados: cuotas.creditos_actualizados.length, 
+        creditos: cuotas.creditos_actualizados,
+        cuotas_vencidas: cuotas.cuotas_vencidas.length
       };
     }
     
     // Actualizar estado a VENCIDO
-    const idsActualizar = creditosVencidos.map(c => c.id);
+    const idsActualizar = creditosVencidos.map(c => c.id_credito);
     
     const { error: errorActualizar } = await supabase
       .from('creditos')
       .update({ estado: 'VENCIDO' })
-      .in('id', idsActualizar);
+      .in('id_credito', idsActualizar);
     
     if (errorActualizar) {
       throw errorActualizar;
@@ -51,7 +95,7 @@ async function actualizarCreditosVencidos() {
     logger.warn(`Actualización créditos vencidos: ${creditosVencidos.length} créditos marcados como VENCIDO`, {
       cantidad: creditosVencidos.length,
       creditos: creditosVencidos.map(c => ({
-        id: c.id,
+        id_credito: c.id_credito,
         cliente: c.clientes?.nombre || 'Desconocido',
         fecha_vencimiento: c.fecha_vencimiento,
         saldo_pendiente: c.saldo_pendiente
@@ -59,8 +103,9 @@ async function actualizarCreditosVencidos() {
     });
     
     return {
-      actualizados: creditosVencidos.length,
-      creditos: creditosVencidos
+      actualizados: creditosVencidos.length + cuotas.creditos_actualizados.length,
+      creditos: [...cuotas.creditos_actualizados, ...creditosVencidos],
+      cuotas_vencidas: cuotas.cuotas_vencidas.length
     };
     
   } catch (error) {
@@ -88,6 +133,7 @@ async function ejecutarActualizacionCreditos() {
     
     logger.info(`Actualización completada en ${duracion}ms`);
     logger.info(`Créditos actualizados a VENCIDO: ${resultado.actualizados}`);
+    logger.info(`Cuotas marcadas como VENCIDA: ${resultado.cuotas_vencidas}`);
     logger.info('========================================');
     
     return resultado;
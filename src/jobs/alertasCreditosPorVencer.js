@@ -1,9 +1,11 @@
 /**
  * Job: Alertas de Créditos Próximos a Vencer
- * Genera alertas para créditos que vencen pronto (próximos 7 días)
+ * Genera alertas para créditos que vencen pronto (próximos 7 días) y para las promesas
+ * de pago que vencen hoy
  */
 
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
+const cobranzaService = require('../services/cobranzaService');
 const { logger } = require('../utils/logger');
 const { obtenerFechaGuatemala, obtenerFechaFuturaGuatemala } = require('../utils/fechas');
 
@@ -30,12 +32,12 @@ async function detectarCreditosPorVencer() {
     const { data: creditosPorVencer, error } = await supabase
       .from('creditos')
       .select(`
-        id,
+        id_credito,
         fecha_inicio,
         fecha_vencimiento,
         monto_total,
         saldo_pendiente,
-        clientes(id, nombre, telefono, correo)
+        clientes(id_cliente, nombre, telefono, correo)
       `)
       .eq('estado', 'ACTIVO')
       .gte('fecha_vencimiento', hoyStr)
@@ -50,6 +52,8 @@ async function detectarCreditosPorVencer() {
       logger.info('Alertas créditos por vencer: No hay créditos próximos a vencer');
       return {
         total: 0,
+        urgentes: 0,
+        proximos: 0,
         creditos: []
       };
     }
@@ -79,7 +83,7 @@ async function detectarCreditosPorVencer() {
     if (urgentes.length > 0) {
       logger.error(`🚨 CRÉDITOS URGENTES (${urgentes.length}) - Vencen en 3 días o menos:`, {
         creditos: urgentes.map(c => ({
-          id: c.id,
+          id_credito: c.id_credito,
           cliente: c.clientes?.nombre || 'Desconocido',
           telefono: c.clientes?.telefono || 'N/A',
           dias_restantes: c.dias_restantes,
@@ -92,7 +96,7 @@ async function detectarCreditosPorVencer() {
     if (proximosAVencer.length > 0) {
       logger.warn(`⚠️ CRÉDITOS PRÓXIMOS A VENCER (${proximosAVencer.length}):`, {
         creditos: proximosAVencer.map(c => ({
-          id: c.id,
+          id_credito: c.id_credito,
           cliente: c.clientes?.nombre || 'Desconocido',
           telefono: c.clientes?.telefono || 'N/A',
           dias_restantes: c.dias_restantes,
@@ -119,7 +123,54 @@ async function detectarCreditosPorVencer() {
 }
 
 /**
- * Ejecuta la detección de créditos próximos a vencer
+ * Encuentra las promesas de pago que vencen hoy (para recordarlas al cobrador)
+ * Antes resuelve las promesas pendientes, así las ya cumplidas no aparecen
+ */
+async function detectarPromesasDelDia() {
+  try {
+    logger.info('Verificando promesas de pago que vencen hoy...');
+
+    const promesas = await cobranzaService.obtenerPromesasDelDia();
+
+    if (promesas.length === 0) {
+      logger.info('Alertas créditos por vencer: No hay promesas de pago para hoy');
+      return {
+        total: 0,
+        monto_prometido: 0,
+        promesas: []
+      };
+    }
+
+    const montoPrometido = promesas.reduce((sum, p) => sum + parseFloat(p.monto_prometido), 0);
+
+    logger.warn(`📞 PROMESAS DE PAGO PARA HOY (${promesas.length}) - Total prometido Q${montoPrometido.toFixed(2)}:`, {
+      promesas: promesas.map(p => ({
+        id_promesa: p.id_promesa,
+        id_credito: p.id_credito,
+        cliente: p.clientes ? `${p.clientes.nombre} ${p.clientes.apellido || ''}`.trim() : 'Desconocido',
+        telefono: p.clientes?.telefono || 'N/A',
+        monto_prometido: parseFloat(p.monto_prometido).toFixed(2),
+        monto_faltante: p.monto_faltante.toFixed(2)
+      }))
+    });
+
+    return {
+      total: promesas.length,
+      monto_prometido: parseFloat(montoPrometido.toFixed(2)),
+      promesas
+    };
+
+  } catch (error) {
+    logger.error('Error al detectar promesas de pago del día', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Ejecuta la detección de créditos próximos a vencer y de promesas de pago del día
  */
 async function ejecutarAlertasCreditosPorVencer() {
   logger.info('========================================');
@@ -130,15 +181,20 @@ async function ejecutarAlertasCreditosPorVencer() {
   
   try {
     const resultado = await detectarCreditosPorVencer();
+    const promesas = await detectarPromesasDelDia();
     const duracion = Date.now() - inicio;
     
     logger.info(`Verificación completada en ${duracion}ms`);
     logger.info(`Total créditos próximos a vencer: ${resultado.total}`);
     logger.info(`  - Urgentes (≤3 días): ${resultado.urgentes}`);
     logger.info(`  - Próximos (4-7 días): ${resultado.proximos}`);
+    logger.info(`Promesas de pago para hoy: ${promesas.total}`);
     logger.info('========================================');
     
-    return resultado;
+    return {
+      ...resultado,
+      promesas_hoy: promesas
+    };
     
   } catch (error) {
     logger.error('Error crítico en alertas de créditos por vencer', {
@@ -155,5 +211,6 @@ async function ejecutarAlertasCreditosPorVencer() {
 module.exports = {
   ejecutarAlertasCreditosPorVencer,
   detectarCreditosPorVencer,
+  detectarPromesasDelDia,
   DIAS_ANTICIPACION
 };
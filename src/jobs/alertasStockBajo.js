@@ -1,35 +1,20 @@
 /**
  * Job: Alertas de Productos con Stock Bajo
- * Genera alertas para productos que tienen stock por debajo del mínimo
+ * Genera alertas para productos que tienen stock por debajo del mínimo en cada bodega
  */
 
-const supabase = require('../config/database');
+const productosRepository = require('../repositories/productosRepository');
 const { logger } = require('../utils/logger');
 
 /**
- * Encuentra productos con stock bajo o agotado
+ * Encuentra productos con stock bajo o agotado por bodega
  */
 async function detectarProductosStockBajo() {
   try {
     logger.info('Verificando productos con stock bajo...');
     
-    // Buscar productos activos con stock <= stock_minimo
-    const { data: productosStockBajo, error } = await supabase
-      .from('productos')
-      .select(`
-        id,
-        nombre,
-        cantidad_stock,
-        stock_minimo,
-        categorias(nombre)
-      `)
-      .eq('estado', true)
-      .is('deleted_at', null)
-      .filter('cantidad_stock', 'lte', supabase.raw('stock_minimo'));
-    
-    if (error) {
-      throw error;
-    }
+    // Buscar productos activos con stock de la bodega <= mínimo de la bodega
+    const productosStockBajo = await productosRepository.obtenerStockBajo();
     
     if (!productosStockBajo || productosStockBajo.length === 0) {
       logger.info('Alertas stock bajo: No hay productos con stock bajo');
@@ -42,8 +27,8 @@ async function detectarProductosStockBajo() {
     }
     
     // Clasificar productos
-    const agotados = productosStockBajo.filter(p => p.cantidad_stock === 0);
-    const stockBajo = productosStockBajo.filter(p => p.cantidad_stock > 0);
+    const agotados = productosStockBajo.filter(p => p.stock_bodega === 0);
+    const stockBajo = productosStockBajo.filter(p => p.stock_bodega > 0);
     
     // Log detallado
     logger.warn(`⚠️ ALERTA STOCK BAJO: ${productosStockBajo.length} productos requieren atención`, {
@@ -55,11 +40,12 @@ async function detectarProductosStockBajo() {
     if (agotados.length > 0) {
       logger.error(`🚨 PRODUCTOS AGOTADOS (${agotados.length}):`, {
         productos: agotados.map(p => ({
-          id: p.id,
+          id: p.id_producto,
           nombre: p.nombre,
           categoria: p.categorias?.nombre || 'Sin categoría',
-          stock: p.cantidad_stock,
-          stock_minimo: p.stock_minimo
+          bodega: p.bodega?.nombre,
+          stock: p.stock_bodega,
+          stock_minimo: p.stock_minimo_bodega
         }))
       });
     }
@@ -67,11 +53,12 @@ async function detectarProductosStockBajo() {
     if (stockBajo.length > 0) {
       logger.warn(`⚠️ PRODUCTOS CON STOCK BAJO (${stockBajo.length}):`, {
         productos: stockBajo.map(p => ({
-          id: p.id,
+          id: p.id_producto,
           nombre: p.nombre,
           categoria: p.categorias?.nombre || 'Sin categoría',
-          stock: p.cantidad_stock,
-          stock_minimo: p.stock_minimo
+          bodega: p.bodega?.nombre,
+          stock: p.stock_bodega,
+          stock_minimo: p.stock_minimo_bodega
         }))
       });
     }
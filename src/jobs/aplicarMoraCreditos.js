@@ -0,0 +1,52 @@
+/**
+ * Job: Aplicación de Mora a Créditos Vencidos
+ * Registra los cargos de interés moratorio y penalidad del día según la política de mora
+ */
+
+const moraService = require('../services/moraService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Ejecuta la aplicación de mora
+ */
+async function ejecutarAplicacionMora() {
+  logger.info('========================================');
+  logger.info('Job: Aplicación de Mora');
+  logger.info('========================================');
+  
+  const inicio = Date.now();
+  
+  try {
+    const resultado = await moraService.aplicarMora();
+    const duracion = Date.now() - inicio;
+    
+    if (!resultado.politica_activa) {
+      logger.info('Aplicación de mora: la política de mora está inactiva');
+    } else {
+      logger.info(`Aplicación completada en ${duracion}ms`);
+      logger.info(`Créditos con cargos: ${resultado.creditos_con_cargos} de ${resultado.creditos_evaluados}`);
+      logger.info(`Total cargado: Q${resultado.total_cargado.toFixed(2)}`);
+      
+      if (resultado.errores > 0) {
+        logger.warn(`Aplicación de mora: ${resultado.errores} créditos con error (revisar log)`);
+      }
+    }
+    logger.info('========================================');
+    
+    return resultado;
+    
+  } catch (error) {
+    logger.error('Error crítico en aplicación de mora', {
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      exito: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  ejecutarAplicacionMora
+};
@@ -0,0 +1,49 @@
+/**
+ * Job: Revisión de Límites de Crédito
+ * Propone aumentos o disminuciones del límite de crédito según el historial de pago de cada
+ * cliente. Las propuestas quedan pendientes hasta que un administrador las apruebe
+ */
+
+const politicaCreditoService = require('../services/politicaCreditoService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Ejecuta la revisión de límites
+ */
+async function ejecutarRevisionLimites() {
+  logger.info('========================================');
+  logger.info('Job: Revisión de Límites de Crédito');
+  logger.info('========================================');
+  
+  const inicio = Date.now();
+  
+  try {
+    const resultado = await politicaCreditoService.revisarLimites();
+    const duracion = Date.now() - inicio;
+    
+    if (!resultado.revision_activa) {
+      logger.info('Revisión de límites: desactivada en la política de crédito');
+    } else {
+      logger.info(`Revisión completada en ${duracion}ms`);
+      logger.info(`Clientes evaluados: ${resultado.clientes_evaluados}`);
+      logger.info(`Propuestas de aumento: ${resultado.aumentos}, de disminución: ${resultado.disminuciones}`);
+    }
+    logger.info('========================================');
+    
+    return resultado;
+    
+  } catch (error) {
+    logger.error('Error crítico en revisión de límites de crédito', {
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      exito: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  ejecutarRevisionLimites
+};
@@ -9,6 +9,8 @@ const { ejecutarLimpiezaPapelera } = require('./limpiezaPapelera');
 const { ejecutarActualizacionCreditos } = require('./actualizarCreditosVencidos');
 const { ejecutarAlertasStockBajo } = require('./alertasStockBajo');
 const { ejecutarAlertasCreditosPorVencer } = require('./alertasCreditosPorVencer');
+const { ejecutarAplicacionMora } = require('./aplicarMoraCreditos');
+const { ejecutarRevisionLimites } = require('./revisionLimitesCredito');
 
 /**
  * Configuración de horarios de ejecución
@@ -21,10 +23,16 @@ const HORARIOS = {
   // Actualización créditos vencidos: Todos los días a las 1:00 AM
   CREDITOS_VENCIDOS: '0 1 * * *',
   
+  // Aplicación de mora: Todos los días a las 1:30 AM (después de marcar los vencidos)
+  MORA_CREDITOS: '30 1 * * *',
+  
+  // Revisión de límites de crédito: El día 1 de cada mes a las 3:00 AM
+  REVISION_LIMITES: '0 3 1 * *',
+  
   // Alertas stock bajo: Todos los días a las 8:00 AM
   ALERTAS_STOCK: '0 8 * * *',
   
-  // Alertas créditos por vencer: Todos los días a las 9:00 AM
+  // Alertas créditos por vencer y promesas de pago del día: Todos los días a las 9:00 AM
   ALERTAS_CREDITOS: '0 9 * * *'
 };
 
@@ -71,6 +79,36 @@ function iniciarJobs() {
   jobsActivos.push({ nombre: 'Créditos Vencidos', horario: HORARIOS.CREDITOS_VENCIDOS, job: jobCreditos });
   logger.info(`✅ Job "Créditos Vencidos" programado: ${HORARIOS.CREDITOS_VENCIDOS} (1:00 AM diario)`);
   
+  // Job 2b: Aplicación de mora a créditos vencidos
+  const jobMora = cron.schedule(HORARIOS.MORA_CREDITOS, async () => {
+    try {
+      await ejecutarAplicacionMora();
+    } catch (error) {
+      logger.error('Error en job de aplicación de mora', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: 'America/Mexico_City'
+  });
+  
+  jobsActivos.push({ nombre: 'Aplicación de Mora', horario: HORARIOS.MORA_CREDITOS, job: jobMora });
+  logger.info(`✅ Job "Aplicación de Mora" programado: ${HORARIOS.MORA_CREDITOS} (1:30 AM diario)`);
+  
+  // Job 2c: Propuestas de cambio de límite de crédito
+  const jobLimites = cron.schedule(HORARIOS.REVISION_LIMITES, async () => {
+    try {
+      await ejecutarRevisionLimites();
+    } catch (error) {
+      logger.error('Error en job de revisión de límites', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: 'America/Mexico_City'
+  });
+  
+  jobsActivos.push({ nombre: 'Revisión de Límites', horario: HORARIOS.REVISION_LIMITES, job: jobLimites });
+  logger.info(`✅ Job "Revisión de Límites" programado: ${HORARIOS.REVISION_LIMITES} (día 1 de cada mes a las 3:00 AM)`);
+  
   // Job 3: Alertas de stock bajo
   const jobStock = cron.schedule(HORARIOS.ALERTAS_STOCK, async () => {
     try {
@@ -142,6 +180,10 @@ async function ejecutarJobManual(nombreJob) {
       return await ejecutarLimpiezaPapelera();
     case 'creditos':
       return await ejecutarActualizacionCreditos();
+    case 'mora':
+      return await ejecutarAplicacionMora();
+    case 'limites':
+      return await ejecutarRevisionLimites();
     case 'stock':
       return await ejecutarAlertasStockBajo();
     case 'alertas-creditos':
@@ -3,7 +3,7 @@
  * Registra acciones críticas del sistema para trazabilidad
  */
 
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
 
 /**
  * Tipos de acciones auditables
@@ -33,15 +33,47 @@ const ACCIONES_AUDITABLES = {
   CREAR_VENTA_CONTADO: 'CREAR_VENTA_CONTADO',
   CREAR_VENTA_CREDITO: 'CREAR_VENTA_CREDITO',
   ANULAR_VENTA: 'ANULAR_VENTA',
+  DEVOLUCION_VENTA: 'DEVOLUCION_VENTA',
+  ACTUALIZAR_POLITICA_IMPUESTOS: 'ACTUALIZAR_POLITICA_IMPUESTOS',
+  
+  // Caja
+  ABRIR_CAJA: 'ABRIR_CAJA',
+  CERRAR_CAJA: 'CERRAR_CAJA',
+  MOVIMIENTO_CAJA: 'MOVIMIENTO_CAJA',
+  ACTUALIZAR_POLITICA_CAJA: 'ACTUALIZAR_POLITICA_CAJA',
+
+  // Compras
+  RECIBIR_ORDEN_COMPRA: 'RECIBIR_ORDEN_COMPRA',
+  CANCELAR_ORDEN_COMPRA: 'CANCELAR_ORDEN_COMPRA',
+
+  // Bodegas
+  TRANSFERIR_BODEGA: 'TRANSFERIR_BODEGA',
+
+  // Tomas de inventario
+  PUBLICAR_TOMA_INVENTARIO: 'PUBLICAR_TOMA_INVENTARIO',
+  CANCELAR_TOMA_INVENTARIO: 'CANCELAR_TOMA_INVENTARIO',
+
+  // Producción
+  COMPLETAR_ORDEN_PRODUCCION: 'COMPLETAR_ORDEN_PRODUCCION',
+  CANCELAR_ORDEN_PRODUCCION: 'CANCELAR_ORDEN_PRODUCCION',
   
   // Créditos y Pagos
   CREAR_CREDITO: 'CREAR_CREDITO',
   REGISTRAR_PAGO: 'REGISTRAR_PAGO',
+  ANULAR_PAGO: 'ANULAR_PAGO',
+  ANULAR_PAGO_CLIENTE: 'ANULAR_PAGO_CLIENTE',
+  CONDONAR_MORA: 'CONDONAR_MORA',
+  CASTIGAR_CREDITO: 'CASTIGAR_CREDITO',
+  ACTUALIZAR_POLITICA_MORA: 'ACTUALIZAR_POLITICA_MORA',
   
   // Clientes
   CREAR_CLIENTE: 'CREAR_CLIENTE',
   ACTUALIZAR_CLIENTE: 'ACTUALIZAR_CLIENTE',
-  ELIMINAR_CLIENTE: 'ELIMINAR_CLIENTE'
+  ELIMINAR_CLIENTE: 'ELIMINAR_CLIENTE',
+  ACTUALIZAR_POLITICA_CREDITO: 'ACTUALIZAR_POLITICA_CREDITO',
+  AUTORIZAR_CREDITO: 'AUTORIZAR_CREDITO',
+  RESOLVER_PROPUESTA_LIMITE: 'RESOLVER_PROPUESTA_LIMITE',
+  CREAR_NOTA_CREDITO: 'CREAR_NOTA_CREDITO'
 };
 
 /**
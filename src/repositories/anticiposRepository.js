@@ -0,0 +1,137 @@
+/**
+ * Repository de Anticipos de Clientes
+ * Gestiona el saldo a favor de cada cliente (clientes.saldo_anticipo) y su historial
+ * de movimientos (movimientos_anticipo)
+ */
+
+const { supabase } = require('../config/database');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene el saldo de anticipo de un cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<number>} Saldo a favor
+ */
+async function obtenerSaldo(id_cliente) {
+  const { data, error } = await supabase
+    .from('clientes')
+    .select('saldo_anticipo')
+    .eq('id_cliente', id_cliente)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return parseFloat(data.saldo_anticipo || 0);
+}
+
+/**
+ * Actualiza el saldo de anticipo de un cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} saldo - Nuevo saldo
+ * @returns {Promise<void>}
+ */
+async function actualizarSaldo(id_cliente, saldo) {
+  const { error } = await supabase
+    .from('clientes')
+    .update({ saldo_anticipo: saldo })
+    .eq('id_cliente', id_cliente);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Registra un movimiento de anticipo
+ * @param {Object} movimiento - Datos del movimiento
+ * @param {string} movimiento.id_cliente - UUID del cliente
+ * @param {string} movimiento.tipo - 'ABONO' o 'APLICACION'
+ * @param {number} movimiento.monto - Monto (siempre positivo)
+ * @param {number} movimiento.saldo_anterior - Saldo antes del movimiento
+ * @param {number} movimiento.saldo_nuevo - Saldo después del movimiento
+ * @param {string} movimiento.origen - Qué lo generó (PAGO_CLIENTE, VENTA, ANULACION_VENTA, NOTA_CREDITO...)
+ * @param {string} movimiento.id_pago_cliente - UUID del pago que lo originó (opcional)
+ * @param {string} movimiento.id_venta - UUID de la venta (opcional)
+ * @param {string} movimiento.descripcion - Detalle (opcional)
+ * @param {string} movimiento.id_usuario - UUID del usuario
+ * @returns {Promise<Object>} Movimiento creado
+ */
+async function crearMovimiento(movimiento) {
+  const { data, error } = await supabase
+    .from('movimientos_anticipo')
+    .insert({
+      id_cliente: movimiento.id_cliente,
+      tipo: movimiento.tipo,
+      monto: movimiento.monto,
+      saldo_anterior: movimiento.saldo_anterior,
+      saldo_nuevo: movimiento.saldo_nuevo,
+      origen: movimiento.origen,
+      id_pago_cliente: movimiento.id_pago_cliente || null,
+      id_venta: movimiento.id_venta || null,
+      descripcion: movimiento.descripcion || null,
+      id_usuario: movimiento.id_usuario || null,
+      fecha: formatearISO(obtenerFechaGuatemala())
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina un movimiento de anticipo
+ * Solo se usa como compensación cuando falla la operación que lo generó
+ * @param {number} id_movimiento - ID del movimiento
+ * @returns {Promise<void>}
+ */
+async function eliminarMovimiento(id_movimiento) {
+  const { error } = await supabase
+    .from('movimientos_anticipo')
+    .delete()
+    .eq('id_movimiento', id_movimiento);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los movimientos de anticipo de un cliente, del más reciente al más antiguo
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} limite - Cantidad máxima de movimientos (default: 100)
+ * @returns {Promise<Array>} Movimientos
+ */
+async function obtenerMovimientos(id_cliente, limite = 100) {
+  const { data, error } = await supabase
+    .from('movimientos_anticipo')
+    .select(`
+      *,
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_cliente', id_cliente)
+    .order('fecha', { ascending: false })
+    .limit(limite);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  obtenerSaldo,
+  actualizarSaldo,
+  crearMovimiento,
+  eliminarMovimiento,
+  obtenerMovimientos
+};
@@ -0,0 +1,506 @@
+/**
+ * Repository de Bodegas
+ * Gestiona el acceso a datos de bodegas, el stock por bodega y las transferencias entre bodegas
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene todas las bodegas (la principal primero)
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {boolean} filtros.soloActivas - Si true, solo bodegas con estado=true
+ * @returns {Promise<Array>} Bodegas
+ */
+async function obtenerTodas(filtros = {}) {
+  const { soloActivas = true } = filtros;
+
+  let query = supabase
+    .from('bodegas')
+    .select('*')
+    .order('es_principal', { ascending: false })
+    .order('nombre', { ascending: true });
+
+  if (soloActivas) {
+    query = query.eq('estado', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene una bodega por ID
+ * @param {string} id - UUID de la bodega
+ * @returns {Promise<Object>} Bodega encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('bodegas')
+    .select('*')
+    .eq('id_bodega', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Bodega no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene la bodega principal (la que se usa cuando un movimiento no indica bodega)
+ * @returns {Promise<Object>} Bodega principal
+ */
+async function obtenerPrincipal() {
+  const { data, error } = await supabase
+    .from('bodegas')
+    .select('*')
+    .eq('es_principal', true)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('No hay una bodega principal configurada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Crea una nueva bodega
+ * @param {Object} bodega - Datos de la bodega
+ * @returns {Promise<Object>} Bodega creada
+ */
+async function crear(bodega) {
+  const { data, error } = await supabase
+    .from('bodegas')
+    .insert(bodega)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza una bodega existente
+ * @param {string} id - UUID de la bodega
+ * @param {Object} datos - Datos a actualizar
+ * @returns {Promise<Object>} Bodega actualizada
+ */
+async function actualizar(id, datos) {
+  const { data, error } = await supabase
+    .from('bodegas')
+    .update(datos)
+    .eq('id_bodega', id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Bodega no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Verifica si ya existe una bodega con el nombre indicado
+ * @param {string} nombre - Nombre a verificar
+ * @param {string} excluirId - UUID a excluir (para actualizaciones)
+ * @returns {Promise<boolean>} true si el nombre ya está registrado
+ */
+async function existeNombre(nombre, excluirId = null) {
+  let query = supabase
+    .from('bodegas')
+    .select('id_bodega')
+    .ilike('nombre', nombre);
+
+  if (excluirId) {
+    query = query.neq('id_bodega', excluirId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0;
+}
+
+/**
+ * Obtiene el stock de todos los productos en una bodega
+ * @param {string} id_bodega - UUID de la bodega
+ * @param {Object} filtros - Filtros opcionales
+ * @param {boolean} filtros.conExistencia - Si true, solo productos con stock > 0
+ * @returns {Promise<Array>} Stock por producto con datos del producto
+ */
+async function obtenerStockPorBodega(id_bodega, filtros = {}) {
+  let query = supabase
+    .from('stock_bodega')
+    .select(`
+      id_producto,
+      id_bodega,
+      cantidad_stock,
+      stock_minimo,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida,
+        stock_minimo,
+        estado,
+        deleted_at,
+        categorias:id_categoria (
+          id_categoria,
+          nombre
+        )
+      )
+    `)
+    .eq('id_bodega', id_bodega);
+
+  if (filtros.conExistencia) {
+    query = query.gt('cantidad_stock', 0);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene el stock de un producto en cada bodega
+ * @param {string} id_producto - UUID del producto
+ * @returns {Promise<Array>} Stock por bodega
+ */
+async function obtenerStockProducto(id_producto) {
+  const { data, error } = await supabase
+    .from('stock_bodega')
+    .select(`
+      id_bodega,
+      cantidad_stock,
+      stock_minimo,
+      bodegas:id_bodega (
+        id_bodega,
+        nombre,
+        es_principal
+      )
+    `)
+    .eq('id_producto', id_producto);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene la cantidad en stock de un producto en una bodega
+ * @param {string} id_producto - UUID del producto
+ * @param {string} id_bodega - UUID de la bodega
+ * @returns {Promise<number>} Cantidad en stock (0 si el producto nunca tuvo existencias ahí)
+ */
+async function obtenerCantidadEnBodega(id_producto, id_bodega) {
+  const { data, error } = await supabase
+    .from('stock_bodega')
+    .select('cantidad_stock')
+    .eq('id_producto', id_producto)
+    .eq('id_bodega', id_bodega)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data ? data.cantidad_stock : 0;
+}
+
+/**
+ * Registra el stock inicial de un producto recién creado en una bodega
+ * @param {string} id_producto - UUID del producto
+ * @param {string} id_bodega - UUID de la bodega
+ * @param {number} cantidad - Cantidad inicial
+ * @returns {Promise<Object>} Registro de stock creado
+ */
+async function crearStockInicial(id_producto, id_bodega, cantidad) {
+  const { data, error } = await supabase
+    .from('stock_bodega')
+    .insert({ id_producto, id_bodega, cantidad_stock: cantidad })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Define el stock mínimo de un producto en una bodega
+ * Sin mínimo propio (null) la bodega usa el stock_minimo del producto
+ * @param {string} id_producto - UUID del producto
+ * @param {string} id_bodega - UUID de la bodega
+ * @param {number|null} stock_minimo - Mínimo para esa bodega
+ * @returns {Promise<Object>} Registro de stock actualizado
+ */
+async function actualizarStockMinimo(id_producto, id_bodega, stock_minimo) {
+  const { data, error } = await supabase
+    .from('stock_bodega')
+    .upsert(
+      { id_producto, id_bodega, stock_minimo },
+      { onConflict: 'id_producto,id_bodega' }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene el stock de productos activos en bodegas activas con su mínimo aplicable
+ * Se usa para evaluar el stock bajo por bodega
+ * @returns {Promise<Array>} Stock por producto y bodega
+ */
+async function obtenerStockConMinimos() {
+  const { data, error } = await supabase
+    .from('stock_bodega')
+    .select(`
+      id_producto,
+      id_bodega,
+      cantidad_stock,
+      stock_minimo,
+      productos:id_producto!inner (
+        id_producto,
+        nombre,
+        unidad_medida,
+        cantidad_stock,
+        stock_minimo,
+        estado,
+        deleted_at,
+        categorias (
+          id_categoria,
+          nombre
+        )
+      ),
+      bodegas:id_bodega!inner (
+        id_bodega,
+        nombre,
+        estado
+      )
+    `)
+    .eq('productos.estado', true)
+    .is('productos.deleted_at', null)
+    .eq('bodegas.estado', true);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Registra una transferencia entre bodegas (encabezado, antes de mover el stock)
+ * @param {Object} transferencia - Datos de la transferencia
+ * @returns {Promise<Object>} Transferencia creada con su número correlativo
+ */
+async function crearTransferencia(transferencia) {
+  const { data, error } = await supabase
+    .from('transferencias_bodega')
+    .insert({
+      ...transferencia,
+      fecha_transferencia: formatearISO(obtenerFechaGuatemala())
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza una transferencia (movimientos generados)
+ * @param {string} id - UUID de la transferencia
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Transferencia actualizada
+ */
+async function actualizarTransferencia(id, datos) {
+  const { data, error } = await supabase
+    .from('transferencias_bodega')
+    .update(datos)
+    .eq('id_transferencia', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una transferencia
+ * Solo se usa como compensación cuando falla el movimiento de stock
+ * @param {string} id - UUID de la transferencia
+ * @returns {Promise<void>}
+ */
+async function eliminarTransferencia(id) {
+  const { error } = await supabase
+    .from('transferencias_bodega')
+    .delete()
+    .eq('id_transferencia', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Obtiene transferencias con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.id_bodega - Bodega de origen o destino
+ * @param {string} filtros.id_producto - Producto transferido
+ * @param {string} filtros.fecha_desde - Fecha inicio
+ * @param {string} filtros.fecha_hasta - Fecha fin
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTransferencias(filtros = {}) {
+  const { id_bodega, id_producto, fecha_desde, fecha_hasta } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('transferencias_bodega')
+    .select('id_transferencia', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('transferencias_bodega')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      ),
+      origen:id_bodega_origen (
+        id_bodega,
+        nombre
+      ),
+      destino:id_bodega_destino (
+        id_bodega,
+        nombre
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .order('fecha_transferencia', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (id_bodega) {
+    const filtroBodega = `id_bodega_origen.eq.${id_bodega},id_bodega_destino.eq.${id_bodega}`;
+    query = query.or(filtroBodega);
+    countQuery = countQuery.or(filtroBodega);
+  }
+
+  if (id_producto) {
+    query = query.eq('id_producto', id_producto);
+    countQuery = countQuery.eq('id_producto', id_producto);
+  }
+
+  if (fecha_desde) {
+    query = query.gte('fecha_transferencia', fecha_desde);
+    countQuery = countQuery.gte('fecha_transferencia', fecha_desde);
+  }
+
+  if (fecha_hasta) {
+    query = query.lte('fecha_transferencia', fecha_hasta);
+    countQuery = countQuery.lte('fecha_transferencia', fecha_hasta);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+module.exports = {
+  obtenerTodas,
+  obtenerPorId,
+  obtenerPrincipal,
+  crear,
+  actualizar,
+  existeNombre,
+  obtenerStockPorBodega,
+  obtenerStockProducto,
+  obtenerCantidadEnBodega,
+  crearStockInicial,
+  actualizarStockMinimo,
+  obtenerStockConMinimos,
+  crearTransferencia,
+  actualizarTransferencia,
+  eliminarTransferencia,
+  obtenerTransferencias
+};
@@ -0,0 +1,379 @@
+/**
+ * Repositorio de Caja
+ * Acceso a datos de las sesiones de caja (apertura y cierre), sus movimientos de efectivo y
+ * la política de caja
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos, ErrorNoEncontrado, ErrorConflicto } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+const TAMANIO_LOTE = 250;
+
+const SELECT_SESION = `
+  *,
+  usuarios:id_usuario (
+    id_usuario,
+    nombre
+  ),
+  usuario_cierre:id_usuario_cierre (
+    id_usuario,
+    nombre
+  )
+`;
+
+/**
+ * Obtiene la política de caja vigente (registro único)
+ * @returns {Promise<Object|null>} Política o null si nunca se configuró
+ */
+async function obtenerPolitica() {
+  try {
+    const { data, error } = await supabase
+      .from('politica_caja')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener política de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda la política de caja (crea o reemplaza el registro único)
+ * @param {Object} politica - Datos de la política
+ * @returns {Promise<Object>} Política guardada
+ */
+async function guardarPolitica(politica) {
+  try {
+    const { data, error } = await supabase
+      .from('politica_caja')
+      .upsert({
+        id: 1,
+        ...politica,
+        fecha_actualizacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al guardar política de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Abre una sesión de caja
+ * El índice único parcial de la tabla impide dos sesiones ABIERTAS del mismo usuario
+ * @param {Object} sesion - { id_usuario, monto_apertura, observaciones_apertura }
+ * @returns {Promise<Object>} Sesión creada
+ */
+async function crearSesion(sesion) {
+  try {
+    const { data, error } = await supabase
+      .from('sesiones_caja')
+      .insert({
+        ...sesion,
+        estado: 'ABIERTA',
+        fecha_apertura: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new ErrorConflicto('El usuario ya tiene una caja abierta');
+      }
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    if (error instanceof ErrorConflicto) throw error;
+    throw new ErrorBaseDatos(`Error al abrir sesión de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene una sesión de caja por ID
+ * @param {string} id_sesion - UUID de la sesión
+ * @returns {Promise<Object>} Sesión con el usuario que la abrió y el que la cerró
+ */
+async function obtenerSesionPorId(id_sesion) {
+  try {
+    const { data, error } = await supabase
+      .from('sesiones_caja')
+      .select(SELECT_SESION)
+      .eq('id_sesion', id_sesion)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new ErrorNoEncontrado('Sesión de caja');
+      }
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    if (error instanceof ErrorNoEncontrado) throw error;
+    throw new ErrorBaseDatos(`Error al obtener sesión de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene la sesión ABIERTA de un usuario
+ * @param {string} id_usuario - UUID del usuario
+ * @returns {Promise<Object|null>} Sesión abierta o null si no tiene
+ */
+async function obtenerSesionAbierta(id_usuario) {
+  try {
+    const { data, error } = await supabase
+      .from('sesiones_caja')
+      .select(SELECT_SESION)
+      .eq('id_usuario', id_usuario)
+      .eq('estado', 'ABIERTA')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener caja abierta: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene sesiones de caja con filtros, de la más reciente a la más antigua
+ * @param {Object} filtros - { estado, id_usuario, desde, hasta } (desde/hasta: fecha/hora ISO de apertura)
+ * @returns {Promise<Array>} Sesiones con sus usuarios
+ */
+async function obtenerSesiones(filtros = {}) {
+  try {
+    let query = supabase
+      .from('sesiones_caja')
+      .select(SELECT_SESION)
+      .order('fecha_apertura', { ascending: false });
+
+    if (filtros.estado) {
+      query = query.eq('estado', filtros.estado);
+    }
+
+    if (filtros.id_usuario) {
+      query = query.eq('id_usuario', filtros.id_usuario);
+    }
+
+    if (filtros.desde) {
+      query = query.gte('fecha_apertura', filtros.desde);
+    }
+
+    if (filtros.hasta) {
+      query = query.lte('fecha_apertura', filtros.hasta);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener sesiones de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Cierra una sesión que sigue abierta
+ * Solo la cierra si sigue ABIERTA, para que dos cierres simultáneos no se pisen
+ * @param {string} id_sesion - UUID de la sesión
+ * @param {Object} cierre - { monto_esperado, monto_contado, diferencia, observaciones_cierre, id_usuario_cierre }
+ * @returns {Promise<Object|null>} Sesión cerrada o null si ya no estaba abierta
+ */
+async function cerrarSesion(id_sesion, cierre) {
+  try {
+    const { data, error } = await supabase
+      .from('sesiones_caja')
+      .update({
+        ...cierre,
+        estado: 'CERRADA',
+        fecha_cierre: formatearISO(obtenerFechaGuatemala())
+      })
+      .eq('id_sesion', id_sesion)
+      .eq('estado', 'ABIERTA')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al cerrar sesión de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Registra un movimiento de efectivo en una sesión
+ * @param {Object} movimiento - { id_sesion, tipo, monto, concepto, id_venta, id_pago, id_pago_cliente,
+ *   id_devolucion, id_usuario }
+ * @returns {Promise<Object>} Movimiento creado
+ */
+async function crearMovimiento(movimiento) {
+  try {
+    const { data, error } = await supabase
+      .from('movimientos_caja')
+      .insert({
+        ...movimiento,
+        fecha: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar movimiento de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina un movimiento de caja (compensación si falla la operación que lo generó)
+ * @param {number} id_movimiento - ID del movimiento
+ */
+async function eliminarMovimiento(id_movimiento) {
+  try {
+    const { error } = await supabase
+      .from('movimientos_caja')
+      .delete()
+      .eq('id_movimiento', id_movimiento);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar movimiento de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los movimientos de una sesión en orden cronológico
+ * @param {string} id_sesion - UUID de la sesión
+ * @returns {Promise<Array>} Movimientos con el usuario que los registró
+ */
+async function obtenerMovimientosPorSesion(id_sesion) {
+  try {
+    const { data, error } = await supabase
+      .from('movimientos_caja')
+      .select(`
+        *,
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_sesion', id_sesion)
+      .order('fecha', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener movimientos de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los movimientos de varias sesiones (consulta por lotes)
+ * @param {Array<string>} ids_sesion - UUIDs de las sesiones
+ * @returns {Promise<Array>} Movimientos en orden cronológico
+ */
+async function obtenerMovimientosPorSesiones(ids_sesion) {
+  const movimientos = [];
+
+  try {
+    for (let i = 0; i < ids_sesion.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('movimientos_caja')
+        .select('*')
+        .in('id_sesion', ids_sesion.slice(i, i + TAMANIO_LOTE))
+        .order('fecha', { ascending: true });
+
+      if (error) throw error;
+      movimientos.push(...(data || []));
+    }
+
+    return movimientos;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener movimientos de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los movimientos vigentes ligados a una venta, a un pago o a un pago global de cliente
+ * @param {Object} referencia - { id_venta }, { id_pago } o { id_pago_cliente }
+ * @returns {Promise<Array>} Movimientos sin anular con el estado de su sesión
+ */
+async function obtenerMovimientosPorReferencia(referencia) {
+  try {
+    let query = supabase
+      .from('movimientos_caja')
+      .select(`
+        *,
+        sesiones_caja:id_sesion (
+          id_sesion,
+          estado
+        )
+      `)
+      .eq('anulado', false);
+
+    if (referencia.id_venta) {
+      query = query.eq('id_venta', referencia.id_venta);
+    }
+
+    if (referencia.id_pago) {
+      query = query.eq('id_pago', referencia.id_pago);
+    }
+
+    if (referencia.id_pago_cliente) {
+      query = query.eq('id_pago_cliente', referencia.id_pago_cliente);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener movimientos de caja: ${error.message}`);
+  }
+}
+
+/**
+ * Marca (o desmarca, como compensación) movimientos de caja como anulados
+ * @param {Array<number>} ids_movimiento - IDs de los movimientos
+ * @param {boolean} anulado - true para anular, false para restaurar
+ */
+async function marcarAnulados(ids_movimiento, anulado = true) {
+  if (ids_movimiento.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('movimientos_caja')
+      .update({ anulado })
+      .in('id_movimiento', ids_movimiento);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al anular movimientos de caja: ${error.message}`);
+  }
+}
+
+module.exports = {
+  obtenerPolitica,
+  guardarPolitica,
+  crearSesion,
+  obtenerSesionPorId,
+  obtenerSesionAbierta,
+  obtenerSesiones,
+  cerrarSesion,
+  crearMovimiento,
+  eliminarMovimiento,
+  obtenerMovimientosPorSesion,
+  obtenerMovimientosPorSesiones,
+  obtenerMovimientosPorReferencia,
+  marcarAnulados
+};
@@ -402,8 +402,56 @@ async function obtenerVentasCliente(id_cliente, limite = 50) {
   return data || [];
 }
 
+/**
+ * Obtiene las notas de crédito de un cliente y su saldo a favor
+ * @param {Object} cliente - Cliente con saldo_anticipo
+ * @returns {Promise<Object>} { notas_credito, total_notas_credito, saldo_a_favor }
+ */
+async function obtenerNotasYSaldoAFavor(cliente) {
+  const { data: notas, error } = await supabase
+    .from('notas_credito')
+    .select('id_nota, id_venta, id_credito, monto, monto_aplicado_credito, monto_a_favor, motivo, fecha_nota')
+    .eq('id_cliente', cliente.id_cliente)
+    .order('fecha_nota', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    notas_credito: notas || [],
+    total_notas_credito: (notas || []).reduce((sum, n) => sum + parseFloat(n.monto), 0),
+    saldo_a_favor: parseFloat(cliente.saldo_anticipo || 0)
+  };
+}
+
+/**
+ * Obtiene el resumen de los créditos castigados de un cliente que aún tienen saldo
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} { creditos_castigados, saldo_castigado }
+ */
+async function obtenerResumenCastigados(id_cliente) {
+  const { data, error } = await supabase
+    .from('creditos')
+    .select('id_credito, id_venta, monto_castigado, saldo_pendiente, fecha_castigo, motivo_castigo')
+    .eq('id_cliente', id_cliente)
+    .eq('estado', 'CASTIGADO')
+    .order('fecha_castigo', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    creditos_castigados: data || [],
+    saldo_castigado: (data || []).reduce((sum, c) => sum + parseFloat(c.saldo_pendiente || 0), 0)
+  };
+}
+
 /**
  * Calcula la deuda total de un cliente (créditos activos y vencidos)
+ * Incluye las notas de crédito emitidas al cliente y su saldo a favor. Los créditos castigados
+ * no son deuda por cobrar: se informan aparte
  * @param {string} id_cliente - UUID del cliente
  * @returns {Promise<Object>} Reporte de deuda
  */
@@ -411,7 +459,7 @@ async function obtenerDeudaCliente(id_cliente) {
   // Obtener cliente
   const { data: cliente, error: errorCliente } = await supabase
     .from('clientes')
-    .select('id_cliente, nombre, apellido, tipo_cliente, limite_credito')
+    .select('id_cliente, nombre, apellido, tipo_cliente, limite_credito, saldo_anticipo')
     .eq('id_cliente', id_cliente)
     .is('deleted_at', null)
     .single();
@@ -420,6 +468,9 @@ async function obtenerDeudaCliente(id_cliente) {
     throw errorCliente;
   }
 
+  // Las notas de crédito aplican también a clientes de contado (quedan como saldo a favor)
+  const notas = await obtenerNotasYSaldoAFavor(cliente);
+
   // Si es cliente de contado, no tiene deuda
   if (cliente.tipo_cliente === 'CONTADO') {
     return {
@@ -430,10 +481,13 @@ async function obtenerDeudaCliente(id_cliente) {
       deuda_activa: 0,
       deuda_vencida: 0,
       credito_disponible: 0,
-      porcentaje_utilizado: 0
+      porcentaje_utilizado: 0,
+      ...notas
     };
   }
 
+  const castigados = await obtenerResumenCastigados(id_cliente);
+
   // Obtener créditos activos y vencidos
   const { data: creditos, error: errorCreditos } = await supabase
     .from('creditos')
@@ -468,7 +522,9 @@ async function obtenerDeudaCliente(id_cliente) {
     credito_disponible: creditoDisponible,
     limite_credito: limiteCredito,
     porcentaje_utilizado: Math.round(porcentajeUtilizado * 100) / 100,
-    en_mora: deudaVencida > 0
+    en_mora: deudaVencida > 0,
+    ...castigados,
+    ...notas
   };
 }
 
@@ -0,0 +1,295 @@
+/**
+ * Repositorio de Cobranza
+ * Acceso a datos de las gestiones de cobro (llamadas, visitas, mensajes) y de las
+ * promesas de pago registradas en cada crédito
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Cantidad de créditos por consulta .in() (evita exceder el tamaño de URL)
+ */
+const TAMANIO_LOTE = 250;
+
+/**
+ * Registra una gestión de cobro
+ * @param {Object} gestion - { id_credito, id_cliente, tipo, resultado, observaciones, id_usuario }
+ * @returns {Promise<Object>} Gestión creada
+ */
+async function crearGestion(gestion) {
+  try {
+    const { data, error } = await supabase
+      .from('gestiones_cobranza')
+      .insert({
+        ...gestion,
+        fecha_gestion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar gestión de cobro: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina una gestión (compensación si falla el registro de la promesa)
+ * @param {string} id_gestion - UUID de la gestión
+ */
+async function eliminarGestion(id_gestion) {
+  try {
+    const { error } = await supabase
+      .from('gestiones_cobranza')
+      .delete()
+      .eq('id_gestion', id_gestion);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar gestión de cobro: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las gestiones de un crédito, de la más reciente a la más antigua
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Array>} Gestiones con el usuario que las registró
+ */
+async function obtenerGestionesPorCredito(id_credito) {
+  try {
+    const { data, error } = await supabase
+      .from('gestiones_cobranza')
+      .select(`
+        *,
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_credito', id_credito)
+      .order('fecha_gestion', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener gestiones de cobro: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las gestiones de un conjunto de créditos, de la más reciente a la más antigua
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} Gestiones
+ */
+async function obtenerGestionesPorCreditos(ids_credito) {
+  const gestiones = [];
+
+  try {
+    for (let i = 0; i < ids_credito.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('gestiones_cobranza')
+        .select('id_gestion, id_credito, tipo, resultado, observaciones, fecha_gestion')
+        .in('id_credito', ids_credito.slice(i, i + TAMANIO_LOTE))
+        .order('fecha_gestion', { ascending: false });
+
+      if (error) throw error;
+      gestiones.push(...(data || []));
+    }
+
+    return gestiones;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener gestiones de cobro: ${error.message}`);
+  }
+}
+
+/**
+ * Registra una promesa de pago
+ * @param {Object} promesa - { id_credito, id_cliente, id_gestion, fecha_promesa, monto_prometido, id_usuario }
+ * @returns {Promise<Object>} Promesa creada
+ */
+async function crearPromesa(promesa) {
+  try {
+    const { data, error } = await supabase
+      .from('promesas_pago')
+      .insert({
+        ...promesa,
+        estado: 'PENDIENTE',
+        monto_cumplido: 0,
+        fecha_registro: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar promesa de pago: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina una promesa (compensación si falla el registro de la gestión)
+ * @param {string} id_promesa - UUID de la promesa
+ */
+async function eliminarPromesa(id_promesa) {
+  try {
+    const { error } = await supabase
+      .from('promesas_pago')
+      .delete()
+      .eq('id_promesa', id_promesa);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar promesa de pago: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las promesas pendientes con el estado y saldo actual de su crédito
+ * @returns {Promise<Array>} Promesas PENDIENTE
+ */
+async function obtenerPromesasPendientes() {
+  try {
+    const { data, error } = await supabase
+      .from('promesas_pago')
+      .select(`
+        *,
+        creditos:id_credito (
+          estado,
+          saldo_pendiente
+        )
+      `)
+      .eq('estado', 'PENDIENTE');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener promesas de pago pendientes: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene promesas con filtros
+ * @param {Object} filtros - { estado, id_cliente, id_credito, fecha_desde, fecha_hasta } (fechas sobre fecha_promesa)
+ * @returns {Promise<Array>} Promesas con datos del cliente y del crédito, por fecha prometida
+ */
+async function obtenerPromesas(filtros = {}) {
+  try {
+    let query = supabase
+      .from('promesas_pago')
+      .select(`
+        *,
+        clientes:id_cliente (
+          id_cliente,
+          nombre,
+          apellido,
+          telefono
+        ),
+        creditos:id_credito (
+          id_credito,
+          estado,
+          saldo_pendiente,
+          fecha_vencimiento
+        ),
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .order('fecha_promesa', { ascending: true });
+
+    if (filtros.estado) {
+      query = query.eq('estado', filtros.estado);
+    }
+
+    if (filtros.id_cliente) {
+      query = query.eq('id_cliente', filtros.id_cliente);
+    }
+
+    if (filtros.id_credito) {
+      query = query.eq('id_credito', filtros.id_credito);
+    }
+
+    if (filtros.fecha_desde) {
+      query = query.gte('fecha_promesa', filtros.fecha_desde);
+    }
+
+    if (filtros.fecha_hasta) {
+      query = query.lte('fecha_promesa', filtros.fecha_hasta);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener promesas de pago: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las promesas de un conjunto de créditos, de la más reciente a la más antigua
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} Promesas
+ */
+async function obtenerPromesasPorCreditos(ids_credito) {
+  const promesas = [];
+
+  try {
+    for (let i = 0; i < ids_credito.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('promesas_pago')
+        .select('*')
+        .in('id_credito', ids_credito.slice(i, i + TAMANIO_LOTE))
+        .order('fecha_registro', { ascending: false });
+
+      if (error) throw error;
+      promesas.push(...(data || []));
+    }
+
+    return promesas;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener promesas de pago: ${error.message}`);
+  }
+}
+
+/**
+ * Actualiza el estado y lo abonado de una promesa
+ * Solo la modifica si sigue en el estado esperado, para no pisar otra resolución
+ * @param {string} id_promesa - UUID de la promesa
+ * @param {Object} cambios - { estado, monto_cumplido, fecha_resolucion }
+ * @param {string} estadoEsperado - Estado que debe tener la promesa (default PENDIENTE)
+ * @returns {Promise<Object|null>} Promesa actualizada o null si ya no estaba en ese estado
+ */
+async function actualizarPromesa(id_promesa, cambios, estadoEsperado = 'PENDIENTE') {
+  try {
+    const { data, error } = await supabase
+      .from('promesas_pago')
+      .update(cambios)
+      .eq('id_promesa', id_promesa)
+      .eq('estado', estadoEsperado)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar promesa de pago: ${error.message}`);
+  }
+}
+
+module.exports = {
+  crearGestion,
+  eliminarGestion,
+  obtenerGestionesPorCredito,
+  obtenerGestionesPorCreditos,
+  crearPromesa,
+  eliminarPromesa,
+  obtenerPromesasPendientes,
+  obtenerPromesas,
+  obtenerPromesasPorCreditos,
+  actualizarPromesa
+};
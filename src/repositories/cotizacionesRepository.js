@@ -0,0 +1,401 @@
+/**
+ * Repository de Cotizaciones
+ * Gestiona el acceso a datos de cotizaciones y su detalle
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado, ErrorConflicto } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Crea una nueva cotización (solo encabezado)
+ * @param {Object} cotizacion - Datos de la cotización
+ * @param {string} cotizacion.id_cliente - UUID del cliente
+ * @param {string} cotizacion.id_usuario - UUID del usuario que cotiza
+ * @param {number} cotizacion.subtotal - Subtotal antes del descuento
+ * @param {string} cotizacion.descuento_tipo - Tipo de descuento (NINGUNO, PORCENTAJE, MONTO)
+ * @param {number} cotizacion.descuento_valor - Valor del descuento
+ * @param {number} cotizacion.descuento_monto - Monto del descuento calculado
+ * @param {number} cotizacion.total - Total después del descuento (con IVA si los precios no lo incluían)
+ * @param {number} cotizacion.base_imponible - Monto gravado sin IVA
+ * @param {number} cotizacion.monto_exento - Monto de productos exentos
+ * @param {number} cotizacion.monto_iva - IVA de la cotización
+ * @param {string} cotizacion.fecha_vencimiento - Fecha límite de vigencia (YYYY-MM-DD)
+ * @param {string} cotizacion.observaciones - Observaciones (opcional)
+ * @returns {Promise<Object>} Cotización creada
+ */
+async function crear(cotizacion) {
+  const fechaCotizacion = formatearISO(obtenerFechaGuatemala());
+
+  const { data, error } = await supabase
+    .from('cotizaciones')
+    .insert({
+      id_cliente: cotizacion.id_cliente,
+      id_usuario: cotizacion.id_usuario,
+      subtotal: cotizacion.subtotal,
+      descuento_tipo: cotizacion.descuento_tipo || 'NINGUNO',
+      descuento_valor: cotizacion.descuento_valor || 0,
+      descuento_monto: cotizacion.descuento_monto || 0,
+      total: cotizacion.total,
+      base_imponible: cotizacion.base_imponible ?? null,
+      monto_exento: cotizacion.monto_exento ?? null,
+      monto_iva: cotizacion.monto_iva ?? null,
+      estado: 'PENDIENTE',
+      fecha_cotizacion: fechaCotizacion,
+      fecha_vencimiento: cotizacion.fecha_vencimiento,
+      observaciones: cotizacion.observaciones || null
+    })
+    .select(`
+      *,
+      clientes:id_cliente (
+        id_cliente,
+        nombre,
+        apellido,
+        tipo_cliente
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Crea múltiples líneas de detalle de una cotización
+ * @param {Array} detalles - Array de detalles [{id_cotizacion, id_producto, cantidad, precio_unitario, subtotal}]
+ * @returns {Promise<Array>} Detalles creados
+ */
+async function crearDetalles(detalles) {
+  const { data, error } = await supabase
+    .from('detalle_cotizacion')
+    .insert(detalles)
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      )
+    `);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Elimina físicamente una cotización y su detalle
+ * Solo se usa como compensación cuando falla la creación de la cotización
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_cotizacion')
+    .delete()
+    .eq('id_cotizacion', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('cotizaciones')
+    .delete()
+    .eq('id_cotizacion', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Obtiene todas las cotizaciones con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.id_cliente - Filtrar por cliente
+ * @param {string} filtros.id_usuario - Filtrar por usuario/vendedor
+ * @param {string} filtros.estado - Filtrar por estado (PENDIENTE/CONVERTIDA/EXPIRADA)
+ * @param {Date} filtros.fecha_desde - Fecha inicio
+ * @param {Date} filtros.fecha_hasta - Fecha fin
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodos(filtros = {}) {
+  const {
+    id_cliente,
+    id_usuario,
+    estado,
+    fecha_desde,
+    fecha_hasta
+  } = filtros;
+
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('cotizaciones')
+    .select('id_cotizacion', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('cotizaciones')
+    .select(`
+      *,
+      clientes:id_cliente (
+        id_cliente,
+        nombre,
+        apellido,
+        tipo_cliente
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .order('fecha_cotizacion', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (id_cliente) {
+    query = query.eq('id_cliente', id_cliente);
+    countQuery = countQuery.eq('id_cliente', id_cliente);
+  }
+
+  if (id_usuario) {
+    query = query.eq('id_usuario', id_usuario);
+    countQuery = countQuery.eq('id_usuario', id_usuario);
+  }
+
+  if (estado) {
+    query = query.eq('estado', estado);
+    countQuery = countQuery.eq('estado', estado);
+  }
+
+  if (fecha_desde) {
+    query = query.gte('fecha_cotizacion', fecha_desde);
+    countQuery = countQuery.gte('fecha_cotizacion', fecha_desde);
+  }
+
+  if (fecha_hasta) {
+    query = query.lte('fecha_cotizacion', fecha_hasta);
+    countQuery = countQuery.lte('fecha_cotizacion', fecha_hasta);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene una cotización por ID
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<Object>} Cotización encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('cotizaciones')
+    .select(`
+      *,
+      clientes:id_cliente (
+        id_cliente,
+        nombre,
+        apellido,
+        tipo_cliente,
+        telefono,
+        correo
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_cotizacion', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Cotización no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene las líneas de detalle de una cotización
+ * @param {string} id_cotizacion - UUID de la cotización
+ * @returns {Promise<Array>} Detalles de la cotización
+ */
+async function obtenerDetalles(id_cotizacion) {
+  const { data, error } = await supabase
+    .from('detalle_cotizacion')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        precio_venta,
+        unidad_medida
+      )
+    `)
+    .eq('id_cotizacion', id_cotizacion)
+    .order('id_detalle', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Marca una cotización como EXPIRADA (solo si está PENDIENTE)
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<Object>} Cotización expirada
+ */
+async function expirar(id) {
+  const { data, error } = await supabase
+    .from('cotizaciones')
+    .update({ estado: 'EXPIRADA' })
+    .eq('id_cotizacion', id)
+    .eq('estado', 'PENDIENTE')
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Cotización no encontrada o ya no está pendiente');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Reserva una cotización PENDIENTE para convertirla, marcándola CONVERTIDA sin venta enlazada
+ * El cambio es condicional (solo si sigue PENDIENTE), así que de dos conversiones simultáneas
+ * solo una obtiene la reserva
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<Object>} Cotización reservada
+ * @throws {ErrorConflicto} Si la cotización ya no está pendiente
+ */
+async function reservarConversion(id) {
+  const { data, error } = await supabase
+    .from('cotizaciones')
+    .update({
+      estado: 'CONVERTIDA',
+      fecha_conversion: formatearISO(obtenerFechaGuatemala())
+    })
+    .eq('id_cotizacion', id)
+    .eq('estado', 'PENDIENTE')
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorConflicto('La cotización ya no está pendiente; otra conversión pudo haberla tomado');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Libera la reserva de una conversión que no llegó a generar venta (vuelve a PENDIENTE)
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<void>}
+ */
+async function liberarConversion(id) {
+  const { error } = await supabase
+    .from('cotizaciones')
+    .update({
+      estado: 'PENDIENTE',
+      fecha_conversion: null
+    })
+    .eq('id_cotizacion', id)
+    .eq('estado', 'CONVERTIDA')
+    .is('id_venta', null);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Enlaza la venta generada con una cotización reservada por reservarConversion
+ * @param {string} id - UUID de la cotización
+ * @param {string} id_venta - UUID de la venta generada
+ * @returns {Promise<Object>} Cotización convertida
+ */
+async function enlazarVenta(id, id_venta) {
+  const { data, error } = await supabase
+    .from('cotizaciones')
+    .update({ id_venta })
+    .eq('id_cotizacion', id)
+    .eq('estado', 'CONVERTIDA')
+    .is('id_venta', null)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Cotización no encontrada o no reservada para conversión');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  crear,
+  crearDetalles,
+  eliminar,
+  obtenerTodos,
+  obtenerPorId,
+  obtenerDetalles,
+  expirar,
+  reservarConversion,
+  liberarConversion,
+  enlazarVenta
+};
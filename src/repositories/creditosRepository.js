@@ -4,8 +4,9 @@
  */
 
 const { supabase } = require('../config/database');
-const { ErrorBaseDatos, ErrorNoEncontrado } = require('../utils/errores');
+const { ErrorBaseDatos, ErrorNoEncontrado, ErrorConflicto } = require('../utils/errores');
 const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+const { ejecutarRPC } = require('../utils/transacciones');
 
 /**
  * Crea un nuevo registro de crédito
@@ -25,6 +26,8 @@ async function crear(credito) {
         fecha_inicio: fechaInicio,
         fecha_vencimiento: credito.fecha_vencimiento,
         dias_credito: credito.dias_credito,
+        numero_cuotas: credito.numero_cuotas || null,
+        frecuencia_cuotas: credito.frecuencia_cuotas || null,
         estado: credito.estado || 'ACTIVO'
       }])
       .select(`
@@ -173,8 +176,11 @@ async function obtenerTodos(filtros = {}) {
 
 /**
  * Actualiza el saldo pendiente de un crédito
+ * @param {string} id_credito - UUID del crédito
+ * @param {number} nuevoSaldo - Saldo pendiente total (capital + mora)
+ * @param {number} saldoMora - Parte del saldo que es mora (opcional; si no se indica no cambia)
  */
-async function actualizarSaldo(id_credito, nuevoSaldo) {
+async function actualizarSaldo(id_credito, nuevoSaldo, saldoMora = undefined) {
   try {
     // Determinar el estado según el saldo
     let estado = 'ACTIVO';
@@ -186,6 +192,7 @@ async function actualizarSaldo(id_credito, nuevoSaldo) {
       .from('creditos')
       .update({
         saldo_pendiente: nuevoSaldo,
+        ...(saldoMora !== undefined ? { saldo_mora: saldoMora } : {}),
         estado: estado
       })
       .eq('id_credito', id_credito)
@@ -199,6 +206,89 @@ async function actualizarSaldo(id_credito, nuevoSaldo) {
   }
 }
 
+/**
+ * Actualiza el saldo pendiente y el saldo de mora sin cambiar el estado del crédito
+ * (salvo que el saldo llegue a 0, entonces queda PAGADO)
+ * @param {string} id_credito - UUID del crédito
+ * @param {Object} saldos - { saldo_pendiente, saldo_mora }
+ * @returns {Promise<Object>} Crédito actualizado
+ */
+async function actualizarSaldoMora(id_credito, { saldo_pendiente, saldo_mora }) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .update({
+        saldo_pendiente,
+        saldo_mora,
+        ...(saldo_pendiente <= 0 ? { estado: 'PAGADO' } : {})
+      })
+      .eq('id_credito', id_credito)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar saldo de mora del crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Suma un cargo de mora al saldo pendiente y al saldo de mora de forma atómica
+ * Usa la función RPC cargar_mora_credito, un único
+ * UPDATE ... SET saldo_pendiente = saldo_pendiente + p_monto, saldo_mora = saldo_mora + p_monto
+ * que solo se aplica si el crédito sigue VENCIDO con saldo; un pago, nota de crédito o
+ * devolución registrado mientras corre el job no se pierde
+ * @param {string} id_credito - UUID del crédito
+ * @param {number} monto - Monto de mora a cargar
+ * @returns {Promise<Object>} Crédito actualizado
+ * @throws {ErrorConflicto} Si el crédito ya no está vencido o ya no tiene saldo
+ */
+async function cargarMora(id_credito, monto) {
+  const data = await ejecutarRPC('cargar_mora_credito', {
+    p_id_credito: id_credito,
+    p_monto: monto
+  });
+
+  const credito = Array.isArray(data) ? data[0] : data;
+
+  // La función no actualiza ninguna fila si el crédito cambió de estado o quedó sin saldo
+  if (!credito) {
+    throw new ErrorConflicto(
+      `El crédito ${id_credito} ya no está vencido con saldo; no se le cargó mora`
+    );
+  }
+
+  return credito;
+}
+
+/**
+ * Cambia el estado de créditos
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @param {string} estado - Nuevo estado
+ * @param {Array<string>} estadosPermitidos - Solo cambia créditos que estén en uno de estos estados (opcional)
+ * @returns {Promise<Array>} Créditos actualizados
+ */
+async function actualizarEstado(ids_credito, estado, estadosPermitidos = null) {
+  try {
+    let query = supabase
+      .from('creditos')
+      .update({ estado })
+      .in('id_credito', ids_credito);
+
+    if (estadosPermitidos) {
+      query = query.in('estado', estadosPermitidos);
+    }
+
+    const { data, error } = await query.select('id_credito, estado, saldo_pendiente, fecha_vencimiento');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar estado de créditos: ${error.message}`);
+  }
+}
+
 /**
  * Obtiene créditos vencidos (fecha_vencimiento < hoy y estado ACTIVO)
  */
@@ -231,6 +321,216 @@ async function obtenerVencidos() {
   }
 }
 
+/**
+ * Obtiene los créditos ACTIVOS y VENCIDOS de un cliente, del vencimiento más antiguo
+ * al más reciente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} Créditos con saldo pendiente
+ */
+async function obtenerAbiertosPorCliente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('*')
+      .eq('id_cliente', id_cliente)
+      .in('estado', ['ACTIVO', 'VENCIDO'])
+      .gt('saldo_pendiente', 0)
+      .order('fecha_vencimiento', { ascending: true })
+      .order('fecha_inicio', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos abiertos del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos CASTIGADOS de un cliente que aún tienen saldo por recuperar
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} [{id_credito, saldo_pendiente}]
+ */
+async function obtenerCastigadosPendientesPorCliente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('id_credito, saldo_pendiente')
+      .eq('id_cliente', id_cliente)
+      .eq('estado', 'CASTIGADO')
+      .gt('saldo_pendiente', 0);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos castigados del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene todos los créditos de un cliente que no fueron anulados, del más antiguo al más
+ * reciente, con la fecha y el total de su venta
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} Créditos con ventas { fecha_venta, total, monto_anticipo }
+ */
+async function obtenerPorCliente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select(`
+        *,
+        ventas:id_venta (
+          id_venta,
+          fecha_venta,
+          total,
+          monto_anticipo
+        )
+      `)
+      .eq('id_cliente', id_cliente)
+      .neq('estado', 'ANULADO')
+      .order('fecha_inicio', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos que pudieron tener saldo a una fecha de corte: los ACTIVOS y VENCIDOS
+ * iniciados hasta esa fecha, más los que tuvieron movimientos después del corte aunque hoy
+ * estén PAGADOS (se indican por ID de crédito o de venta)
+ * @param {string} fecha_corte - Fecha YYYY-MM-DD
+ * @param {Object} adicionales - { ids_credito, ids_venta } a incluir sin importar su estado
+ * @returns {Promise<Array>} Créditos con los datos del cliente
+ */
+async function obtenerParaAntiguedad(fecha_corte, { ids_credito = [], ids_venta = [] } = {}) {
+  const columnas = `
+    *,
+    clientes:id_cliente (
+      id_cliente,
+      nombre,
+      apellido,
+      telefono,
+      limite_credito
+    )
+  `;
+
+  try {
+    const { data: abiertos, error } = await supabase
+      .from('creditos')
+      .select(columnas)
+      .in('estado', ['ACTIVO', 'VENCIDO'])
+      .lte('fecha_inicio', fecha_corte);
+
+    if (error) throw error;
+
+    const creditos = new Map((abiertos || []).map(c => [c.id_credito, c]));
+
+    for (const [columna, ids] of [['id_credito', ids_credito], ['id_venta', ids_venta]]) {
+      if (ids.length === 0) continue;
+
+      const { data, error: errorAdicionales } = await supabase
+        .from('creditos')
+        .select(columnas)
+        .in(columna, ids)
+        .neq('estado', 'ANULADO')
+        .lte('fecha_inicio', fecha_corte);
+
+      if (errorAdicionales) throw errorAdicionales;
+      (data || []).forEach(c => creditos.set(c.id_credito, c));
+    }
+
+    return [...creditos.values()];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos para antigüedad de saldos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos que sirven para evaluar el historial de pago de los clientes:
+ * los que vencen desde una fecha y los que siguen abiertos (sin anulados)
+ * @param {string} desde - Fecha YYYY-MM-DD
+ * @returns {Promise<Array>} Créditos
+ */
+async function obtenerParaRevisionLimites(desde) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('id_credito, id_cliente, monto_total, saldo_pendiente, fecha_inicio, fecha_vencimiento, numero_cuotas, estado')
+      .neq('estado', 'ANULADO')
+      .or(`fecha_vencimiento.gte.${desde},estado.in.(ACTIVO,VENCIDO)`);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos para revisión de límites: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos ACTIVOS y VENCIDOS con saldo, con los datos de contacto del cliente,
+ * para armar la lista de trabajo de cobranza
+ * @param {string} id_cliente - Solo los créditos de un cliente (opcional)
+ * @returns {Promise<Array>} Créditos abiertos
+ */
+async function obtenerParaCobranza(id_cliente = null) {
+  try {
+    let query = supabase
+      .from('creditos')
+      .select(`
+        id_credito,
+        id_cliente,
+        monto_total,
+        saldo_pendiente,
+        saldo_mora,
+        fecha_inicio,
+        fecha_vencimiento,
+        numero_cuotas,
+        estado,
+        clientes:id_cliente (
+          id_cliente,
+          nombre,
+          apellido,
+          telefono
+        )
+      `)
+      .in('estado', ['ACTIVO', 'VENCIDO'])
+      .gt('saldo_pendiente', 0);
+
+    if (id_cliente) {
+      query = query.eq('id_cliente', id_cliente);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos para cobranza: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos VENCIDOS con saldo, para aplicarles mora
+ * @returns {Promise<Array>} Créditos vencidos
+ */
+async function obtenerParaMora() {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('id_credito, id_cliente, monto_total, saldo_pendiente, saldo_mora, fecha_vencimiento, numero_cuotas, estado')
+      .eq('estado', 'VENCIDO')
+      .gt('saldo_pendiente', 0)
+      .order('fecha_vencimiento', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos para mora: ${error.message}`);
+  }
+}
+
 /**
  * Obtiene el total de deuda de un cliente
  */
@@ -287,6 +587,117 @@ async function obtenerPorVenta(id_venta) {
   }
 }
 
+/**
+ * Castiga un crédito: lo pasa a CASTIGADO conservando su saldo (para registrar recuperaciones)
+ * Solo lo modifica si sigue VENCIDO, para no castigar un crédito que se pagó o anuló mientras tanto
+ * @param {string} id_credito - UUID del crédito
+ * @param {Object} castigo - { monto_castigado, mora_castigada, motivo_castigo, id_aprobador_castigo, id_usuario_castigo, fecha_castigo }
+ * @returns {Promise<Object|null>} Crédito castigado o null si ya no estaba VENCIDO
+ */
+async function castigar(id_credito, castigo) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .update({
+        ...castigo,
+        estado: 'CASTIGADO'
+      })
+      .eq('id_credito', id_credito)
+      .eq('estado', 'VENCIDO')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al castigar crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos castigados (sigan CASTIGADOS o ya se hayan recuperado por completo)
+ * @param {Object} filtros - { desde, hasta } fechas/hora ISO sobre fecha_castigo (opcionales)
+ * @returns {Promise<Array>} Créditos con el cliente, quien aprobó y quien registró el castigo
+ */
+async function obtenerCastigados(filtros = {}) {
+  try {
+    let query = supabase
+      .from('creditos')
+      .select(`
+        *,
+        clientes:id_cliente (
+          id_cliente,
+          nombre,
+          apellido,
+          telefono
+        ),
+        aprobador:id_aprobador_castigo (
+          id_usuario,
+          nombre
+        ),
+        usuario_castigo:id_usuario_castigo (
+          id_usuario,
+          nombre
+        )
+      `)
+      .not('fecha_castigo', 'is', null)
+      .order('fecha_castigo', { ascending: true });
+
+    if (filtros.desde) {
+      query = query.gte('fecha_castigo', filtros.desde);
+    }
+
+    if (filtros.hasta) {
+      query = query.lte('fecha_castigo', filtros.hasta);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos castigados: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los créditos castigados después de un momento dado
+ * Sirve para reconstruir la cartera que todavía estaba abierta en una fecha pasada
+ * @param {string} desde - Fecha/hora ISO (exclusivo)
+ * @returns {Promise<Array>} [{id_credito, fecha_castigo}]
+ */
+async function obtenerCastigadosDesde(desde) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('id_credito, fecha_castigo')
+      .gt('fecha_castigo', desde);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener créditos castigados: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene el saldo de la cartera abierta y castigada, para el dashboard de cobranza
+ * @returns {Promise<Array>} [{id_credito, estado, saldo_pendiente}] de créditos ACTIVO, VENCIDO y CASTIGADO
+ */
+async function obtenerSaldosCartera() {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .select('id_credito, estado, saldo_pendiente')
+      .in('estado', ['ACTIVO', 'VENCIDO', 'CASTIGADO']);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener saldos de la cartera: ${error.message}`);
+  }
+}
+
 /**
  * Anula un crédito (cambia estado a ANULADO)
  */
@@ -296,7 +707,8 @@ async function anular(id_credito) {
       .from('creditos')
       .update({
         estado: 'ANULADO',
-        saldo_pendiente: 0 // Al anular, el saldo pendiente se pone en 0
+        saldo_pendiente: 0, // Al anular, el saldo pendiente se pone en 0
+        saldo_mora: 0
       })
       .eq('id_credito', id_credito)
       .select()
@@ -309,13 +721,70 @@ async function anular(id_credito) {
   }
 }
 
+/**
+ * Restaura el estado y saldo de un crédito
+ * Solo se usa como compensación cuando falla una operación a medias (ej. anulación de venta)
+ */
+async function restaurar(id_credito, { estado, saldo_pendiente, saldo_mora }) {
+  try {
+    const { data, error } = await supabase
+      .from('creditos')
+      .update({
+        estado,
+        saldo_pendiente,
+        ...(saldo_mora !== undefined ? { saldo_mora } : {})
+      })
+      .eq('id_credito', id_credito)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al restaurar crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina físicamente un crédito
+ * Solo se usa como compensación cuando falla la creación de la venta a crédito
+ */
+async function eliminar(id_credito) {
+  try {
+    const { error } = await supabase
+      .from('creditos')
+      .delete()
+      .eq('id_credito', id_credito);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar crédito: ${error.message}`);
+  }
+}
+
 module.exports = {
   crear,
   obtenerPorId,
   obtenerTodos,
   actualizarSaldo,
+  actualizarSaldoMora,
+  cargarMora,
+  actualizarEstado,
   obtenerVencidos,
+  obtenerParaMora,
+  obtenerParaCobranza,
+  obtenerAbiertosPorCliente,
+  obtenerCastigadosPendientesPorCliente,
+  obtenerPorCliente,
+  obtenerParaRevisionLimites,
+  obtenerParaAntiguedad,
   obtenerDeudaCliente,
   obtenerPorVenta,
-  anular
+  castigar,
+  obtenerCastigados,
+  obtenerCastigadosDesde,
+  obtenerSaldosCartera,
+  anular,
+  restaurar,
+  eliminar
 };
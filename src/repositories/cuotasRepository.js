@@ -0,0 +1,233 @@
+/**
+ * Repository de Cuotas de Crédito
+ * Maneja las operaciones de acceso a datos del plan de cuotas de un crédito
+ * y de la aplicación de cada pago a las cuotas
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+
+/**
+ * Crea las cuotas de un crédito
+ * @param {Array} cuotas - Cuotas [{id_credito, numero, monto, fecha_vencimiento}]
+ * @returns {Promise<Array>} Cuotas creadas
+ */
+async function crearMultiples(cuotas) {
+  try {
+    const { data, error } = await supabase
+      .from('cuotas_credito')
+      .insert(cuotas.map(c => ({
+        ...c,
+        monto_pagado: 0,
+        estado: 'PENDIENTE'
+      })))
+      .select()
+      .order('numero', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al crear cuotas del crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las cuotas de un crédito ordenadas por número
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Array>} Cuotas del crédito (vacío si el crédito no tiene plan)
+ */
+async function obtenerPorCredito(id_credito) {
+  try {
+    const { data, error } = await supabase
+      .from('cuotas_credito')
+      .select('*')
+      .eq('id_credito', id_credito)
+      .order('numero', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cuotas del crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Actualiza una cuota (monto, monto pagado, estado)
+ * @param {number} id_cuota - ID de la cuota
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Cuota actualizada
+ */
+async function actualizar(id_cuota, datos) {
+  try {
+    const { data, error } = await supabase
+      .from('cuotas_credito')
+      .update(datos)
+      .eq('id_cuota', id_cuota)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar cuota: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina las cuotas de un crédito
+ * Solo se usa como compensación cuando falla la creación del crédito
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<void>}
+ */
+async function eliminarPorCredito(id_credito) {
+  try {
+    const { error } = await supabase
+      .from('cuotas_credito')
+      .delete()
+      .eq('id_credito', id_credito);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar cuotas del crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Marca como VENCIDA toda cuota no pagada cuya fecha de vencimiento ya pasó
+ * @param {string} hoy - Fecha actual YYYY-MM-DD (Guatemala)
+ * @returns {Promise<Array>} Cuotas marcadas (con id_credito)
+ */
+async function marcarVencidas(hoy) {
+  try {
+    const { data, error } = await supabase
+      .from('cuotas_credito')
+      .update({ estado: 'VENCIDA' })
+      .in('estado', ['PENDIENTE', 'PARCIAL'])
+      .lt('fecha_vencimiento', hoy)
+      .select('id_cuota, id_credito, numero, monto, monto_pagado, fecha_vencimiento');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al marcar cuotas vencidas: ${error.message}`);
+  }
+}
+
+/**
+ * Registra cómo se repartió un pago entre las cuotas
+ * @param {Array} aplicaciones - [{id_pago, id_cuota, monto}]
+ * @returns {Promise<Array>} Aplicaciones creadas
+ */
+async function crearAplicaciones(aplicaciones) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_cuota')
+      .insert(aplicaciones)
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar aplicación del pago a cuotas: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina las aplicaciones de un pago
+ * Se usa como compensación cuando falla el registro del pago y al anular el pago
+ * @param {string} id_pago - UUID del pago
+ * @returns {Promise<void>}
+ */
+async function eliminarAplicaciones(id_pago) {
+  try {
+    const { error } = await supabase
+      .from('pagos_cuota')
+      .delete()
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar aplicación del pago a cuotas: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las cuotas de varios créditos
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} Cuotas ordenadas por crédito y número
+ */
+async function obtenerPorCreditos(ids_credito) {
+  if (ids_credito.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('cuotas_credito')
+      .select('*')
+      .in('id_credito', ids_credito)
+      .order('numero', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cuotas de los créditos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene cómo se repartió un pago entre las cuotas
+ * @param {string} id_pago - UUID del pago
+ * @returns {Promise<Array>} Aplicaciones [{id_pago, id_cuota, monto}]
+ */
+async function obtenerAplicacionesPorPago(id_pago) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_cuota')
+      .select('*')
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener aplicación del pago a cuotas: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las aplicaciones de pagos a las cuotas de un crédito
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Array>} Aplicaciones [{id_pago, id_cuota, monto}]
+ */
+async function obtenerAplicacionesPorCredito(id_credito) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_cuota')
+      .select(`
+        *,
+        cuotas_credito!inner (
+          id_credito,
+          numero
+        )
+      `)
+      .eq('cuotas_credito.id_credito', id_credito);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener aplicación de pagos a cuotas: ${error.message}`);
+  }
+}
+
+module.exports = {
+  crearMultiples,
+  obtenerPorCredito,
+  obtenerPorCreditos,
+  actualizar,
+  eliminarPorCredito,
+  marcarVencidas,
+  crearAplicaciones,
+  eliminarAplicaciones,
+  obtenerAplicacionesPorPago,
+  obtenerAplicacionesPorCredito
+};
@@ -11,7 +11,10 @@ const { ErrorNoEncontrado } = require('../utils/errores');
  * @param {Array} detalles - Array de detalles de venta
  * @param {string} detalles[].id_venta - UUID de la venta
  * @param {string} detalles[].id_producto - UUID del producto
- * @param {number} detalles[].cantidad - Cantidad vendida
+ * @param {number} detalles[].cantidad - Cantidad vendida (en la unidad de la línea)
+ * @param {number} detalles[].id_unidad - Unidad alterna vendida (null = unidad base)
+ * @param {number} detalles[].cantidad_base - Cantidad en unidad base
+ * @param {number} detalles[].factor_conversion - Unidades base por unidad vendida
  * @param {number} detalles[].precio_unitario - Precio unitario
  * @param {number} detalles[].subtotal - Subtotal (cantidad * precio_unitario)
  * @returns {Promise<Array>} Detalles creados
@@ -53,6 +56,10 @@ async function obtenerPorVenta(id_venta) {
         categorias:id_categoria (
           nombre
         )
+      ),
+      unidades_producto:id_unidad (
+        id_unidad,
+        nombre
       )
     `)
     .eq('id_venta', id_venta)
@@ -171,6 +178,7 @@ async function obtenerProductosMasVendidos(fecha_desde = null, fecha_hasta = nul
         id_venta,
         id_producto,
         cantidad,
+        cantidad_base,
         subtotal,
         productos:id_producto (
           id_producto,
@@ -209,7 +217,8 @@ async function obtenerProductosMasVendidos(fecha_desde = null, fecha_hasta = nul
       };
     }
 
-    productoMap[id].cantidad_total += Number(detalle.cantidad || 0);
+    // Las líneas pueden venderse en unidades alternas; el total se lleva en unidad base
+    productoMap[id].cantidad_total += Number(detalle.cantidad_base ?? detalle.cantidad ?? 0);
     productoMap[id].monto_total += Number(detalle.subtotal || 0);
     productoMap[id].numero_ventas += 1;
   });
@@ -222,10 +231,91 @@ async function obtenerProductosMasVendidos(fecha_desde = null, fecha_hasta = nul
   return productos;
 }
 
+/**
+ * Obtiene las ventas activas de un período con sus líneas de detalle, para reportes de margen
+ * Cada línea incluye el costo_unitario registrado al vender y la categoría del producto
+ * @param {Date} fecha_desde - Fecha inicio
+ * @param {Date} fecha_hasta - Fecha fin
+ * @returns {Promise<Object>} { ventas, detalles }
+ */
+async function obtenerDetallesParaMargen(fecha_desde, fecha_hasta) {
+  // Paso 1: ventas activas del período con su descuento y vendedor
+  const { data: ventas, error: ventasError } = await supabase
+    .from('ventas')
+    .select(`
+      id_venta,
+      fecha_venta,
+      id_usuario,
+      subtotal,
+      descuento_monto,
+      total,
+      base_imponible,
+      monto_exento,
+      usuarios:id_usuario (
+        nombre
+      )
+    `)
+    .eq('estado', 'ACTIVA')
+    .gte('fecha_venta', fecha_desde)
+    .lte('fecha_venta', fecha_hasta);
+
+  if (ventasError) {
+    throw ventasError;
+  }
+
+  const idsVentas = (ventas || []).map(v => v.id_venta);
+
+  if (idsVentas.length === 0) {
+    return { ventas: [], detalles: [] };
+  }
+
+  // Paso 2: detalles en lotes para evitar errores de fetch/URL por listas .in() muy grandes.
+  const detalles = [];
+  const TAMANIO_LOTE = 250;
+
+  for (let i = 0; i < idsVentas.length; i += TAMANIO_LOTE) {
+    const loteIds = idsVentas.slice(i, i + TAMANIO_LOTE);
+
+    const { data: loteDetalle, error: loteError } = await supabase
+      .from('detalle_venta')
+      .select(`
+        id_detalle,
+        id_venta,
+        id_producto,
+        cantidad,
+        factor_conversion,
+        precio_unitario,
+        subtotal,
+        costo_unitario,
+        productos:id_producto (
+          id_producto,
+          nombre,
+          unidad_medida,
+          categorias:id_categoria (
+            id_categoria,
+            nombre
+          )
+        )
+      `)
+      .in('id_venta', loteIds);
+
+    if (loteError) {
+      throw loteError;
+    }
+
+    if (loteDetalle?.length) {
+      detalles.push(...loteDetalle);
+    }
+  }
+
+  return { ventas, detalles };
+}
+
 module.exports = {
   crearMultiples,
   obtenerPorVenta,
   obtenerPorId,
   eliminarPorVenta,
-  obtenerProductosMasVendidos
+  obtenerProductosMasVendidos,
+  obtenerDetallesParaMargen
 };
@@ -0,0 +1,240 @@
+/**
+ * Repository de Devoluciones
+ * Gestiona el acceso a datos de devoluciones parciales de ventas y su detalle
+ */
+
+const { supabase } = require('../config/database');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Crea una nueva devolución (solo encabezado)
+ * @param {Object} devolucion - Datos de la devolución
+ * @param {string} devolucion.id_venta - UUID de la venta
+ * @param {string} devolucion.id_usuario - UUID del usuario que registra
+ * @param {number} devolucion.monto_total - Valor total devuelto (con descuento prorrateado)
+ * @param {number} devolucion.monto_reembolso - Monto reembolsado al cliente
+ * @param {number} devolucion.monto_aplicado_credito - Monto descontado del saldo del crédito
+ * @param {string} devolucion.motivo - Motivo de la devolución
+ * @returns {Promise<Object>} Devolución creada
+ */
+async function crear(devolucion) {
+  const fechaDevolucion = formatearISO(obtenerFechaGuatemala());
+
+  const { data, error } = await supabase
+    .from('devoluciones')
+    .insert({
+      id_venta: devolucion.id_venta,
+      id_usuario: devolucion.id_usuario,
+      monto_total: devolucion.monto_total,
+      monto_reembolso: devolucion.monto_reembolso || 0,
+      monto_aplicado_credito: devolucion.monto_aplicado_credito || 0,
+      motivo: devolucion.motivo || null,
+      fecha_devolucion: fechaDevolucion
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Crea múltiples líneas de detalle de una devolución
+ * @param {Array} detalles - Array de detalles
+ * @param {string} detalles[].id_devolucion - UUID de la devolución
+ * @param {number} detalles[].id_detalle - ID de la línea de detalle_venta devuelta
+ * @param {string} detalles[].id_producto - UUID del producto
+ * @param {number} detalles[].cantidad - Cantidad devuelta
+ * @param {number} detalles[].precio_unitario - Precio unitario de la venta
+ * @param {number} detalles[].subtotal - Valor devuelto de la línea
+ * @returns {Promise<Array>} Detalles creados
+ */
+async function crearDetalles(detalles) {
+  const { data, error } = await supabase
+    .from('detalle_devolucion')
+    .insert(detalles)
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      )
+    `);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Elimina una devolución y su detalle
+ * Solo se usa como compensación cuando falla el registro de la devolución
+ * @param {string} id - UUID de la devolución
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_devolucion')
+    .delete()
+    .eq('id_devolucion', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('devoluciones')
+    .delete()
+    .eq('id_devolucion', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Obtiene el historial de devoluciones de una venta con sus detalles
+ * @param {string} id_venta - UUID de la venta
+ * @returns {Promise<Array>} Devoluciones ordenadas de la más antigua a la más reciente
+ */
+async function obtenerPorVenta(id_venta) {
+  const { data, error } = await supabase
+    .from('devoluciones')
+    .select(`
+      *,
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      ),
+      detalle_devolucion (
+        *,
+        productos:id_producto (
+          id_producto,
+          nombre,
+          unidad_medida
+        )
+      )
+    `)
+    .eq('id_venta', id_venta)
+    .order('fecha_devolucion', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene las cantidades ya devueltas por línea de detalle de una venta
+ * @param {string} id_venta - UUID de la venta
+ * @returns {Promise<Object>} Mapa { id_detalle: cantidad_devuelta }
+ */
+async function obtenerCantidadesDevueltas(id_venta) {
+  const { data, error } = await supabase
+    .from('detalle_devolucion')
+    .select('id_detalle, cantidad, devoluciones!inner(id_venta)')
+    .eq('devoluciones.id_venta', id_venta);
+
+  if (error) {
+    throw error;
+  }
+
+  const cantidades = {};
+  (data || []).forEach(linea => {
+    cantidades[linea.id_detalle] = (cantidades[linea.id_detalle] || 0) + linea.cantidad;
+  });
+
+  return cantidades;
+}
+
+/**
+ * Obtiene las cantidades ya devueltas por línea para un conjunto de ventas
+ * Consulta en lotes para no exceder el tamaño de URL con listas .in() grandes
+ * @param {Array<string>} ids_venta - UUIDs de las ventas
+ * @returns {Promise<Object>} Mapa { id_detalle: cantidad_devuelta }
+ */
+async function obtenerCantidadesDevueltasPorVentas(ids_venta) {
+  const cantidades = {};
+  const TAMANIO_LOTE = 250;
+
+  for (let i = 0; i < ids_venta.length; i += TAMANIO_LOTE) {
+    const loteIds = ids_venta.slice(i, i + TAMANIO_LOTE);
+
+    const { data, error } = await supabase
+      .from('detalle_devolucion')
+      .select('id_detalle, cantidad, devoluciones!inner(id_venta)')
+      .in('devoluciones.id_venta', loteIds);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(linea => {
+      cantidades[linea.id_detalle] = (cantidades[linea.id_detalle] || 0) + linea.cantidad;
+    });
+  }
+
+  return cantidades;
+}
+
+/**
+ * Obtiene las devoluciones que rebajaron saldo de crédito después de una fecha
+ * Sirve para reconstruir el saldo que tenían los créditos en una fecha pasada
+ * @param {string} desde - Fecha/hora ISO (exclusivo)
+ * @returns {Promise<Array>} [{id_devolucion, id_venta, monto_aplicado_credito, fecha_devolucion}]
+ */
+async function obtenerAplicadasACreditoDesde(desde) {
+  const { data, error } = await supabase
+    .from('devoluciones')
+    .select('id_devolucion, id_venta, monto_aplicado_credito, fecha_devolucion')
+    .gt('fecha_devolucion', desde)
+    .gt('monto_aplicado_credito', 0);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene las devoluciones de un conjunto de ventas que rebajaron saldo de crédito
+ * @param {Array<string>} ids_venta - UUIDs de las ventas
+ * @returns {Promise<Array>} [{id_devolucion, id_venta, monto_aplicado_credito, motivo, fecha_devolucion}]
+ */
+async function obtenerAplicadasACreditoPorVentas(ids_venta) {
+  if (ids_venta.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('devoluciones')
+    .select('id_devolucion, id_venta, monto_aplicado_credito, motivo, fecha_devolucion')
+    .in('id_venta', ids_venta)
+    .gt('monto_aplicado_credito', 0)
+    .order('fecha_devolucion', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  crear,
+  crearDetalles,
+  eliminar,
+  obtenerPorVenta,
+  obtenerCantidadesDevueltas,
+  obtenerCantidadesDevueltasPorVentas,
+  obtenerAplicadasACreditoDesde,
+  obtenerAplicadasACreditoPorVentas
+};
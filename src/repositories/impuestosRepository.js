@@ -0,0 +1,56 @@
+/**
+ * Repositorio de Impuestos
+ * Acceso a datos de la política de IVA (tasa y si los precios lo incluyen)
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene la política de impuestos vigente (registro único)
+ * @returns {Promise<Object|null>} Política o null si nunca se configuró
+ */
+async function obtenerPolitica() {
+  try {
+    const { data, error } = await supabase
+      .from('politica_impuestos')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener política de impuestos: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda la política de impuestos (crea o reemplaza el registro único)
+ * @param {Object} politica - Datos de la política
+ * @returns {Promise<Object>} Política guardada
+ */
+async function guardarPolitica(politica) {
+  try {
+    const { data, error } = await supabase
+      .from('politica_impuestos')
+      .upsert({
+        id: 1,
+        ...politica,
+        fecha_actualizacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al guardar política de impuestos: ${error.message}`);
+  }
+}
+
+module.exports = {
+  obtenerPolitica,
+  guardarPolitica
+};
@@ -0,0 +1,283 @@
+/**
+ * Repository de Mora
+ * Maneja las operaciones de acceso a datos de la política de mora, los cargos de mora
+ * de cada crédito y la aplicación de los pagos a esos cargos
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene la política de mora vigente (registro único)
+ * @returns {Promise<Object|null>} Política o null si nunca se configuró
+ */
+async function obtenerPolitica() {
+  try {
+    const { data, error } = await supabase
+      .from('politica_mora')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener política de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda la política de mora (crea o reemplaza el registro único)
+ * @param {Object} politica - Datos de la política
+ * @returns {Promise<Object>} Política guardada
+ */
+async function guardarPolitica(politica) {
+  try {
+    const { data, error } = await supabase
+      .from('politica_mora')
+      .upsert({
+        id: 1,
+        ...politica,
+        fecha_actualizacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al guardar política de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los cargos de mora de un crédito ordenados por fecha
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Array>} Cargos del crédito
+ */
+async function obtenerCargosPorCredito(id_credito) {
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .select(`
+        *,
+        usuarios:id_usuario_condonacion (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_credito', id_credito)
+      .order('fecha_cargo', { ascending: true })
+      .order('id_cargo', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cargos de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los cargos de mora de varios créditos ordenados por fecha
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} Cargos de los créditos
+ */
+async function obtenerCargosPorCreditos(ids_credito) {
+  if (ids_credito.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .select('*')
+      .in('id_credito', ids_credito)
+      .order('fecha_cargo', { ascending: true })
+      .order('id_cargo', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cargos de mora de los créditos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los cargos de mora registrados o condonados después de una fecha
+ * Sirve para reconstruir el saldo que tenían los créditos en una fecha pasada
+ * @param {string} fecha - Fecha YYYY-MM-DD (exclusiva)
+ * @returns {Promise<Array>} Cargos con fecha_cargo, monto, monto_condonado y fecha_condonacion
+ */
+async function obtenerCargosPosteriores(fecha) {
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .select('id_cargo, id_credito, monto, monto_condonado, fecha_cargo, fecha_condonacion')
+      .or(`fecha_cargo.gt.${fecha},fecha_condonacion.gt.${fecha}T23:59:59-06:00`);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cargos de mora posteriores: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los cargos de mora pendientes de un crédito, del más antiguo al más reciente
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Array>} Cargos pendientes
+ */
+async function obtenerCargosPendientes(id_credito) {
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .select('*')
+      .eq('id_credito', id_credito)
+      .eq('estado', 'PENDIENTE')
+      .order('fecha_cargo', { ascending: true })
+      .order('id_cargo', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener cargos de mora pendientes: ${error.message}`);
+  }
+}
+
+/**
+ * Registra cargos de mora
+ * @param {Array} cargos - [{id_credito, id_cuota, tipo, monto, base_calculo, dias_atraso, fecha_cargo}]
+ * @returns {Promise<Array>} Cargos creados
+ */
+async function crearCargos(cargos) {
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .insert(cargos.map(c => ({
+        ...c,
+        monto_pagado: 0,
+        monto_condonado: 0,
+        estado: 'PENDIENTE'
+      })))
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar cargos de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina cargos de mora
+ * Solo se usa como compensación cuando falla la aplicación de la mora a un crédito
+ * @param {Array<number>} ids_cargo - IDs de los cargos
+ * @returns {Promise<void>}
+ */
+async function eliminarCargos(ids_cargo) {
+  try {
+    const { error } = await supabase
+      .from('cargos_mora')
+      .delete()
+      .in('id_cargo', ids_cargo);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar cargos de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Actualiza un cargo de mora (monto pagado, estado, condonación)
+ * @param {number} id_cargo - ID del cargo
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Cargo actualizado
+ */
+async function actualizarCargo(id_cargo, datos) {
+  try {
+    const { data, error } = await supabase
+      .from('cargos_mora')
+      .update(datos)
+      .eq('id_cargo', id_cargo)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar cargo de mora: ${error.message}`);
+  }
+}
+
+/**
+ * Registra cómo se repartió un pago entre los cargos de mora
+ * @param {Array} aplicaciones - [{id_pago, id_cargo, monto}]
+ * @returns {Promise<Array>} Aplicaciones creadas
+ */
+async function crearAplicaciones(aplicaciones) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_mora')
+      .insert(aplicaciones)
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar aplicación del pago a la mora: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene cómo se repartió un pago entre los cargos de mora
+ * @param {string} id_pago - UUID del pago
+ * @returns {Promise<Array>} Aplicaciones [{id_pago, id_cargo, monto}]
+ */
+async function obtenerAplicacionesPorPago(id_pago) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_mora')
+      .select('*')
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener aplicación del pago a la mora: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina las aplicaciones de un pago a los cargos de mora
+ * Se usa como compensación cuando falla el registro del pago y al anular el pago
+ * @param {string} id_pago - UUID del pago
+ * @returns {Promise<void>}
+ */
+async function eliminarAplicaciones(id_pago) {
+  try {
+    const { error } = await supabase
+      .from('pagos_mora')
+      .delete()
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar aplicación del pago a la mora: ${error.message}`);
+  }
+}
+
+module.exports = {
+  obtenerPolitica,
+  guardarPolitica,
+  obtenerCargosPorCredito,
+  obtenerCargosPorCreditos,
+  obtenerCargosPendientes,
+  obtenerCargosPosteriores,
+  crearCargos,
+  eliminarCargos,
+  actualizarCargo,
+  crearAplicaciones,
+  obtenerAplicacionesPorPago,
+  eliminarAplicaciones
+};
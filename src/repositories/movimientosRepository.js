@@ -4,19 +4,107 @@
  */
 
 const { supabase } = require('../config/database');
-const { ErrorNoEncontrado } = require('../utils/errores');
+const { ErrorNoEncontrado, ErrorConflicto, ErrorBaseDatos } = require('../utils/errores');
+const { ejecutarRPC } = require('../utils/transacciones');
 const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
 
+/**
+ * Aplica un ajuste de stock de forma atómica en la base de datos
+ * Usa la función RPC ajustar_stock, que ejecuta un único
+ * UPDATE ... SET cantidad_stock = cantidad_stock + ajuste con bloqueo de fila,
+ * por lo que movimientos simultáneos del mismo producto se serializan y ninguno se pierde.
+ * Si se indica costo_unitario, en el mismo UPDATE recalcula el costo promedio ponderado.
+ * El ajuste se aplica al stock de la bodega y al total del producto (cantidad_stock)
+ * @param {string} id_producto - UUID del producto
+ * @param {number} ajuste - Cantidad a sumar (positiva) o restar (negativa)
+ * @param {number|null} costo_unitario - Costo de las unidades que entran (o salen al revertir una entrada)
+ * @param {string|null} id_bodega - UUID de la bodega (null = bodega principal)
+ * @returns {Promise<Object>} { id_bodega, stock_anterior, stock_actual, stock_bodega_anterior,
+ *   stock_bodega_actual, costo_promedio_anterior, costo_promedio_actual }
+ * @throws {ErrorNoEncontrado} Si el producto no existe, o no hay bodega principal y no se indicó bodega
+ * @throws {ErrorConflicto} Si el ajuste dejaría el stock de la bodega en negativo
+ */
+async function ajustarStock(id_producto, ajuste, costo_unitario = null, id_bodega = null) {
+  const data = await ejecutarRPC('ajustar_stock', {
+    p_id_producto: id_producto,
+    p_ajuste: ajuste,
+    p_costo_unitario: costo_unitario,
+    p_id_bodega: id_bodega
+  });
+
+  const resultado = Array.isArray(data) ? data[0] : data;
+
+  // La función no actualiza ninguna fila si el stock de la bodega quedaría negativo,
+  // pero tampoco si el producto o la bodega principal no existen
+  if (!resultado) {
+    await verificarDestinoAjuste(id_producto, id_bodega);
+    throw new ErrorConflicto(
+      `Stock insuficiente en bodega para el producto ${id_producto}. ` +
+      `Cantidad solicitada: ${Math.abs(ajuste)}`
+    );
+  }
+
+  return {
+    id_bodega: resultado.id_bodega,
+    stock_anterior: parseFloat(resultado.stock_anterior),
+    stock_actual: parseFloat(resultado.stock_actual),
+    stock_bodega_anterior: parseFloat(resultado.stock_bodega_anterior),
+    stock_bodega_actual: parseFloat(resultado.stock_bodega_actual),
+    costo_promedio_anterior: parseFloat(resultado.costo_promedio_anterior) || 0,
+    costo_promedio_actual: parseFloat(resultado.costo_promedio_actual) || 0
+  };
+}
+
+/**
+ * Distingue por qué ajustar_stock no devolvió fila: si falta el producto o la bodega
+ * principal lanza ErrorNoEncontrado; si ambos existen, el rechazo fue por stock insuficiente
+ * @param {string} id_producto - UUID del producto
+ * @param {string|null} id_bodega - UUID de la bodega (null = bodega principal)
+ * @throws {ErrorNoEncontrado} Si el producto o la bodega principal no existen
+ */
+async function verificarDestinoAjuste(id_producto, id_bodega) {
+  const { data: producto, error: errorProducto } = await supabase
+    .from('productos')
+    .select('id_producto')
+    .eq('id_producto', id_producto)
+    .maybeSingle();
+
+  if (errorProducto) throw errorProducto;
+  if (!producto) {
+    throw new ErrorNoEncontrado('Producto');
+  }
+
+  if (id_bodega) return;
+
+  const { data: principal, error: errorBodega } = await supabase
+    .from('bodegas')
+    .select('id_bodega')
+    .eq('es_principal', true)
+    .maybeSingle();
+
+  if (errorBodega) throw errorBodega;
+  if (!principal) {
+    throw new ErrorNoEncontrado('Bodega principal');
+  }
+}
+
 /**
  * Registra un movimiento de inventario y actualiza el stock del producto
- * IMPORTANTE: Esta función debe ejecutarse dentro de una transacción
+ * El stock se ajusta primero de forma atómica (ver ajustarStock) y luego se inserta el
+ * movimiento; si el insert falla, el ajuste se revierte para no descuadrar el stock
  * @param {Object} movimiento - Datos del movimiento
  * @param {string} movimiento.id_producto - UUID del producto
  * @param {string} movimiento.tipo_movimiento - 'ENTRADA' o 'SALIDA'
- * @param {number} movimiento.cantidad - Cantidad del movimiento (> 0)
+ * @param {number} movimiento.cantidad - Cantidad del movimiento en unidad base (> 0)
+ * @param {number} movimiento.id_unidad - Unidad alterna con que se registró (opcional)
+ * @param {number} movimiento.cantidad_unidad - Cantidad en la unidad alterna (opcional)
  * @param {string} movimiento.motivo - Motivo del movimiento
  * @param {string} movimiento.referencia - Referencia externa (opcional)
- * @returns {Promise<Object>} Movimiento creado con datos del producto
+ * @param {number} movimiento.costo_unitario - Costo unitario de una ENTRADA (opcional;
+ *   sin él la entrada se valoriza al costo promedio vigente)
+ * @param {string} movimiento.id_bodega - UUID de la bodega (opcional; default bodega principal)
+ * @returns {Promise<Object>} Movimiento creado con datos del producto y de la bodega
+ * @throws {ErrorConflicto} Si una SALIDA dejaría el stock de la bodega en negativo
  */
 async function crear(movimiento) {
   const { id_producto, tipo_movimiento, cantidad, motivo, referencia } = movimiento;
@@ -24,7 +112,22 @@ async function crear(movimiento) {
   // Obtener la fecha actual en zona horaria de Guatemala
   const fechaMovimiento = formatearISO(obtenerFechaGuatemala());
 
-  // 1. Insertar el movimiento con fecha en zona horaria de Guatemala
+  // 1. Ajustar el stock de forma atómica
+  // ENTRADA: suma al stock
+  // SALIDA: resta del stock
+  // Solo una ENTRADA con costo recalcula el costo promedio ponderado
+  const ajuste = tipo_movimiento === 'ENTRADA' ? cantidad : -cantidad;
+  const tieneCosto = movimiento.costo_unitario !== undefined && movimiento.costo_unitario !== null;
+  const costoEntrada = tipo_movimiento === 'ENTRADA' && tieneCosto
+    ? parseFloat(movimiento.costo_unitario)
+    : null;
+  const stock = await ajustarStock(id_producto, ajuste, costoEntrada, movimiento.id_bodega || null);
+
+  // Costo con el que se valoriza el movimiento:
+  // ENTRADA al costo indicado (o al promedio vigente), SALIDA al promedio vigente
+  const costoUnitario = costoEntrada !== null ? costoEntrada : stock.costo_promedio_anterior;
+
+  // 2. Insertar el movimiento con fecha en zona horaria de Guatemala
   const { data: nuevoMovimiento, error: errorMovimiento } = await supabase
     .from('movimientos_inventario')
     .insert({
@@ -33,6 +136,11 @@ async function crear(movimiento) {
       cantidad,
       motivo,
       referencia,
+      costo_unitario: costoUnitario,
+      costo_total: parseFloat((cantidad * costoUnitario).toFixed(2)),
+      id_bodega: stock.id_bodega,
+      id_unidad: movimiento.id_unidad || null,
+      cantidad_unidad: movimiento.cantidad_unidad ?? null,
       fecha_movimiento: fechaMovimiento
     })
     .select(`
@@ -42,52 +150,67 @@ async function crear(movimiento) {
         nombre,
         cantidad_stock,
         unidad_medida
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      unidades_producto:id_unidad (
+        id_unidad,
+        nombre,
+        factor
       )
     `)
     .single();
 
   if (errorMovimiento) {
+    // Deshacer el ajuste para no dejar stock modificado sin movimiento
+    await ajustarStock(id_producto, -ajuste, costoEntrada, stock.id_bodega);
     throw errorMovimiento;
   }
 
-  // 2. Actualizar el stock del producto
-  // Primero obtener el stock actual
-  const { data: productoActual, error: errorGet } = await supabase
-    .from('productos')
-    .select('cantidad_stock')
-    .eq('id_producto', id_producto)
-    .single();
+  // Agregar el stock resultante de ESTE movimiento
+  return {
+    ...nuevoMovimiento,
+    stock_anterior: stock.stock_anterior,
+    stock_actual: stock.stock_actual,
+    stock_bodega_anterior: stock.stock_bodega_anterior,
+    stock_bodega_actual: stock.stock_bodega_actual,
+    costo_promedio_anterior: stock.costo_promedio_anterior,
+    costo_promedio_actual: stock.costo_promedio_actual
+  };
+}
 
-  if (errorGet) {
-    throw errorGet;
-  }
+/**
+ * Revierte un movimiento: deshace su efecto en el stock y elimina el registro
+ * Solo se usa como compensación cuando falla una operación de varios pasos,
+ * para no dejar movimientos huérfanos en el kardex
+ * El stock se ajusta primero: si no se puede (ej. una ENTRADA cuyo stock ya se vendió), el
+ * movimiento se conserva y el kardex sigue cuadrando con el stock
+ * @param {Object} movimiento - Movimiento previamente creado con crear()
+ * @returns {Promise<void>}
+ * @throws {ErrorConflicto} Si deshacer una ENTRADA dejaría el stock de la bodega en negativo
+ */
+async function revertir(movimiento) {
+  const { id_movimiento, id_producto, tipo_movimiento, cantidad } = movimiento;
+  const id_bodega = movimiento.id_bodega || null;
 
-  // Calcular nuevo stock
-  // ENTRADA: suma al stock
-  // SALIDA: resta del stock
-  const ajuste = tipo_movimiento === 'ENTRADA' ? cantidad : -cantidad;
-  const nuevoStock = productoActual.cantidad_stock + ajuste;
+  // Ajuste inverso al aplicado en crear()
+  // Una ENTRADA se retira a su mismo costo para deshacer su efecto en el costo promedio
+  const costoEntrada = tipo_movimiento === 'ENTRADA' ? (movimiento.costo_unitario ?? null) : null;
+  const ajuste = tipo_movimiento === 'ENTRADA' ? -cantidad : cantidad;
+  await ajustarStock(id_producto, ajuste, costoEntrada, id_bodega);
 
-  // Actualizar el stock
-  const { data: productoActualizado, error: errorStock } = await supabase
-    .from('productos')
-    .update({
-      cantidad_stock: nuevoStock
-    })
-    .eq('id_producto', id_producto)
-    .select('cantidad_stock')
-    .single();
+  const { error: errorDelete } = await supabase
+    .from('movimientos_inventario')
+    .delete()
+    .eq('id_movimiento', id_movimiento);
 
-  if (errorStock) {
-    throw errorStock;
+  if (errorDelete) {
+    // Volver a aplicar el movimiento, que sigue en el kardex
+    await ajustarStock(id_producto, -ajuste, costoEntrada, id_bodega);
+    throw new ErrorBaseDatos(`Error al revertir movimiento: ${errorDelete.message}`);
   }
-
-  // Agregar el stock actualizado al resultado
-  return {
-    ...nuevoMovimiento,
-    stock_anterior: productoActual.cantidad_stock,
-    stock_actual: productoActualizado.cantidad_stock
-  };
 }
 
 /**
@@ -95,6 +218,7 @@ async function crear(movimiento) {
  * @param {Object} filtros - Filtros de búsqueda
  * @param {string} filtros.id_producto - Filtrar por producto
  * @param {string} filtros.tipo_movimiento - Filtrar por tipo (ENTRADA/SALIDA)
+ * @param {string} filtros.id_bodega - Filtrar por bodega
  * @param {Date} filtros.fecha_desde - Fecha inicio
  * @param {Date} filtros.fecha_hasta - Fecha fin
  * @param {number} filtros.page - Número de página (default: 1)
@@ -105,6 +229,7 @@ async function obtenerTodos(filtros = {}) {
   const {
     id_producto,
     tipo_movimiento,
+    id_bodega,
     fecha_desde,
     fecha_hasta
   } = filtros;
@@ -131,6 +256,15 @@ async function obtenerTodos(filtros = {}) {
           id_categoria,
           nombre
         )
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      unidades_producto:id_unidad (
+        id_unidad,
+        nombre,
+        factor
       )
     `)
     .order('fecha_movimiento', { ascending: false });
@@ -146,6 +280,11 @@ async function obtenerTodos(filtros = {}) {
     countQuery = countQuery.eq('tipo_movimiento', tipo_movimiento);
   }
 
+  if (id_bodega) {
+    query = query.eq('id_bodega', id_bodega);
+    countQuery = countQuery.eq('id_bodega', id_bodega);
+  }
+
   if (fecha_desde) {
     query = query.gte('fecha_movimiento', fecha_desde);
     countQuery = countQuery.gte('fecha_movimiento', fecha_desde);
@@ -207,6 +346,15 @@ async function obtenerPorId(id) {
           id_categoria,
           nombre
         )
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      unidades_producto:id_unidad (
+        id_unidad,
+        nombre,
+        factor
       )
     `)
     .eq('id_movimiento', id)
@@ -271,13 +419,14 @@ async function obtenerEstadisticasProducto(id_producto) {
     throw errorSalidas;
   }
 
-  const totalEntradas = entradas.reduce((sum, mov) => sum + mov.cantidad, 0);
-  const totalSalidas = salidas.reduce((sum, mov) => sum + mov.cantidad, 0);
+  // Cantidades en unidad base (pueden tener decimales)
+  const totalEntradas = entradas.reduce((sum, mov) => sum + parseFloat(mov.cantidad), 0);
+  const totalSalidas = salidas.reduce((sum, mov) => sum + parseFloat(mov.cantidad), 0);
 
   return {
-    total_entradas: totalEntradas,
-    total_salidas: totalSalidas,
-    movimientos_neto: totalEntradas - totalSalidas,
+    total_entradas: parseFloat(totalEntradas.toFixed(3)),
+    total_salidas: parseFloat(totalSalidas.toFixed(3)),
+    movimientos_neto: parseFloat((totalEntradas - totalSalidas).toFixed(3)),
     cantidad_movimientos_entrada: entradas.length,
     cantidad_movimientos_salida: salidas.length
   };
@@ -311,8 +460,9 @@ async function obtenerReportePorFecha(fecha_desde, fecha_hasta) {
   const entradas = data.filter(m => m.tipo_movimiento === 'ENTRADA');
   const salidas = data.filter(m => m.tipo_movimiento === 'SALIDA');
 
-  const totalEntradas = entradas.reduce((sum, m) => sum + m.cantidad, 0);
-  const totalSalidas = salidas.reduce((sum, m) => sum + m.cantidad, 0);
+  // Cantidades en unidad base (pueden tener decimales)
+  const totalEntradas = entradas.reduce((sum, m) => sum + parseFloat(m.cantidad), 0);
+  const totalSalidas = salidas.reduce((sum, m) => sum + parseFloat(m.cantidad), 0);
 
   return {
     movimientos: data || [],
@@ -324,15 +474,51 @@ async function obtenerReportePorFecha(fecha_desde, fecha_hasta) {
       total_movimientos: data.length,
       total_entradas: entradas.length,
       total_salidas: salidas.length,
-      cantidad_entrada: totalEntradas,
-      cantidad_salida: totalSalidas,
-      diferencia: totalEntradas - totalSalidas
+      cantidad_entrada: parseFloat(totalEntradas.toFixed(3)),
+      cantidad_salida: parseFloat(totalSalidas.toFixed(3)),
+      diferencia: parseFloat((totalEntradas - totalSalidas).toFixed(3))
     }
   };
 }
 
 /**
- * Obtiene el kardex de un producto (historial detallado con stock)
+ * Aplica un movimiento a un saldo valorizado (cantidad y valor)
+ * Los movimientos anteriores al registro de costos no traen costo_total;
+ * se valorizan al costo promedio del saldo para no alterarlo
+ * @param {Object} saldo - { cantidad, valor, costo_promedio }
+ * @param {Object} movimiento - Movimiento con tipo_movimiento, cantidad y costo_total
+ * @returns {Object} Nuevo saldo { cantidad, valor, costo_promedio, costo_unitario, costo_total }
+ */
+function aplicarMovimientoValorizado(saldo, movimiento) {
+  const cantidadMovimiento = parseFloat(movimiento.cantidad);
+  const costoTotal = movimiento.costo_total !== null && movimiento.costo_total !== undefined
+    ? parseFloat(movimiento.costo_total)
+    : cantidadMovimiento * saldo.costo_promedio;
+  const costoUnitario = movimiento.costo_unitario !== null && movimiento.costo_unitario !== undefined
+    ? parseFloat(movimiento.costo_unitario)
+    : saldo.costo_promedio;
+
+  const esEntrada = movimiento.tipo_movimiento === 'ENTRADA';
+  const cantidad = parseFloat(
+    (saldo.cantidad + (esEntrada ? cantidadMovimiento : -cantidadMovimiento)).toFixed(3)
+  );
+  const valor = parseFloat((saldo.valor + (esEntrada ? costoTotal : -costoTotal)).toFixed(2));
+
+  return {
+    cantidad,
+    // Sin existencias el valor se reinicia; el promedio se conserva para la siguiente salida
+    valor: cantidad > 0 ? valor : 0,
+    costo_promedio: cantidad > 0 ? parseFloat((valor / cantidad).toFixed(4)) : saldo.costo_promedio,
+    costo_unitario: costoUnitario,
+    costo_total: parseFloat(costoTotal.toFixed(2))
+  };
+}
+
+/**
+ * Obtiene el kardex valorizado de un producto
+ * Cada movimiento incluye su costo y el saldo acumulado en cantidad, costo promedio y valor.
+ * Cantidades, saldos y costos van en unidad base; si el movimiento se registró en una unidad
+ * alterna, también se muestra la cantidad en esa unidad
  * @param {string} id_producto - UUID del producto
  * @param {Date} fecha_desde - Fecha inicio (opcional)
  * @param {Date} fecha_hasta - Fecha fin (opcional)
@@ -346,6 +532,7 @@ async function obtenerKardex(id_producto, fecha_desde = null, fecha_hasta = null
       id_producto,
       nombre,
       cantidad_stock,
+      costo_promedio,
       unidad_medida,
       categorias:id_categoria (
         nombre
@@ -364,7 +551,18 @@ async function obtenerKardex(id_producto, fecha_desde = null, fecha_hasta = null
   // Obtener movimientos
   let query = supabase
     .from('movimientos_inventario')
-    .select('*')
+    .select(`
+      *,
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      unidades_producto:id_unidad (
+        id_unidad,
+        nombre,
+        factor
+      )
+    `)
     .eq('id_producto', id_producto)
     .order('fecha_movimiento', { ascending: true });
 
@@ -382,44 +580,52 @@ async function obtenerKardex(id_producto, fecha_desde = null, fecha_hasta = null
     throw errorMovimientos;
   }
 
-  // Calcular stock inicial (antes del primer movimiento del rango)
-  let stockInicial = 0;
+  // Calcular saldo inicial (antes del primer movimiento del rango)
+  let saldo = { cantidad: 0, valor: 0, costo_promedio: 0 };
   if (fecha_desde && movimientos.length > 0) {
-    // Calcular stock hasta la fecha_desde
+    // Calcular saldo hasta la fecha_desde
     const { data: movimientosAnteriores } = await supabase
       .from('movimientos_inventario')
-      .select('tipo_movimiento, cantidad')
+      .select('tipo_movimiento, cantidad, costo_unitario, costo_total')
       .eq('id_producto', id_producto)
-      .lt('fecha_movimiento', fecha_desde);
+      .lt('fecha_movimiento', fecha_desde)
+      .order('fecha_movimiento', { ascending: true });
 
     if (movimientosAnteriores) {
-      stockInicial = movimientosAnteriores.reduce((stock, mov) => {
-        return stock + (mov.tipo_movimiento === 'ENTRADA' ? mov.cantidad : -mov.cantidad);
-      }, 0);
+      saldo = movimientosAnteriores.reduce(aplicarMovimientoValorizado, saldo);
     }
   }
 
-  // Construir kardex con stock acumulado
-  let stockActual = stockInicial;
+  const saldoInicial = { cantidad: saldo.cantidad, valor: saldo.valor, costo_promedio: saldo.costo_promedio };
+
+  // Construir kardex con saldo acumulado (cantidad y valor)
   const kardex = movimientos.map(movimiento => {
-    const cantidad = movimiento.tipo_movimiento === 'ENTRADA' 
-      ? movimiento.cantidad 
-      : -movimiento.cantidad;
-    
-    const stockAnterior = stockActual;
-    stockActual += cantidad;
+    const anterior = saldo;
+    saldo = aplicarMovimientoValorizado(saldo, movimiento);
 
     return {
       ...movimiento,
-      stock_anterior: stockAnterior,
-      stock_actual: stockActual
+      unidad_base: producto.unidad_medida,
+      unidad_registro: movimiento.unidades_producto?.nombre || producto.unidad_medida,
+      cantidad_registro: movimiento.cantidad_unidad ?? movimiento.cantidad,
+      costo_unitario: saldo.costo_unitario,
+      costo_total: saldo.costo_total,
+      stock_anterior: anterior.cantidad,
+      stock_actual: saldo.cantidad,
+      costo_promedio: saldo.costo_promedio,
+      valor_anterior: anterior.valor,
+      valor_actual: saldo.valor
     };
   });
 
   return {
     producto,
-    stock_inicial: stockInicial,
+    stock_inicial: saldoInicial.cantidad,
     stock_final: producto.cantidad_stock,
+    valor_inicial: saldoInicial.valor,
+    valor_final: saldo.valor,
+    costo_promedio_inicial: saldoInicial.costo_promedio,
+    costo_promedio_actual: parseFloat(producto.costo_promedio) || 0,
     kardex
   };
 }
@@ -444,6 +650,7 @@ async function contarMovimientos(id_producto) {
 
 module.exports = {
   crear,
+  revertir,
   obtenerTodos,
   obtenerPorId,
   obtenerHistorialProducto,
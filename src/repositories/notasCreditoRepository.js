@@ -0,0 +1,176 @@
+/**
+ * Repositorio de Notas de Crédito
+ * Acceso a datos de las notas de crédito emitidas a los clientes (correcciones de precio
+ * posteriores a la venta)
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Registra una nota de crédito
+ * @param {Object} nota - Datos de la nota
+ * @param {string} nota.id_cliente - UUID del cliente
+ * @param {string} nota.id_venta - UUID de la venta corregida (opcional)
+ * @param {string} nota.id_credito - UUID del crédito cuyo saldo se redujo (opcional)
+ * @param {number} nota.monto - Monto de la nota
+ * @param {number} nota.monto_aplicado_credito - Parte descontada del saldo del crédito
+ * @param {number} nota.monto_a_favor - Parte que quedó como saldo a favor del cliente
+ * @param {string} nota.motivo - Motivo
+ * @param {string} nota.id_usuario - UUID del administrador que la emite
+ * @returns {Promise<Object>} Nota creada
+ */
+async function crear(nota) {
+  try {
+    const { data, error } = await supabase
+      .from('notas_credito')
+      .insert({
+        ...nota,
+        fecha_nota: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al crear nota de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Liga a la nota el movimiento de anticipo que generó
+ * @param {string} id_nota - UUID de la nota
+ * @param {number} id_movimiento_anticipo - ID del movimiento de anticipo
+ */
+async function asignarMovimientoAnticipo(id_nota, id_movimiento_anticipo) {
+  try {
+    const { error } = await supabase
+      .from('notas_credito')
+      .update({ id_movimiento_anticipo })
+      .eq('id_nota', id_nota);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar nota de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina una nota (compensación si falla su aplicación)
+ * @param {string} id_nota - UUID de la nota
+ */
+async function eliminar(id_nota) {
+  try {
+    const { error } = await supabase
+      .from('notas_credito')
+      .delete()
+      .eq('id_nota', id_nota);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar nota de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las notas de crédito de un cliente, de la más reciente a la más antigua
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} Notas con el usuario que las emitió
+ */
+async function obtenerPorCliente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('notas_credito')
+      .select(`
+        *,
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_cliente', id_cliente)
+      .order('fecha_nota', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener notas de crédito del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las notas de crédito de una venta
+ * @param {string} id_venta - UUID de la venta
+ * @returns {Promise<Array>} Notas de la venta
+ */
+async function obtenerPorVenta(id_venta) {
+  try {
+    const { data, error } = await supabase
+      .from('notas_credito')
+      .select('*')
+      .eq('id_venta', id_venta)
+      .order('fecha_nota', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener notas de crédito de la venta: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las notas que redujeron el saldo de alguno de los créditos indicados
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} [{id_nota, id_credito, id_venta, monto_aplicado_credito, motivo, fecha_nota}]
+ */
+async function obtenerAplicadasACreditos(ids_credito) {
+  if (ids_credito.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('notas_credito')
+      .select('id_nota, id_credito, id_venta, monto_aplicado_credito, motivo, fecha_nota')
+      .in('id_credito', ids_credito)
+      .gt('monto_aplicado_credito', 0);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener notas de crédito de los créditos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las notas que redujeron el saldo de un crédito después de un momento dado
+ * Sirve para reconstruir el saldo que tenían los créditos en una fecha pasada
+ * @param {string} desde - Fecha/hora ISO (exclusivo)
+ * @returns {Promise<Array>} [{id_nota, id_credito, monto_aplicado_credito, fecha_nota}]
+ */
+async function obtenerAplicadasACreditoDesde(desde) {
+  try {
+    const { data, error } = await supabase
+      .from('notas_credito')
+      .select('id_nota, id_credito, monto_aplicado_credito, fecha_nota')
+      .gt('fecha_nota', desde)
+      .gt('monto_aplicado_credito', 0);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener notas de crédito posteriores: ${error.message}`);
+  }
+}
+
+module.exports = {
+  crear,
+  asignarMovimientoAnticipo,
+  eliminar,
+  obtenerPorCliente,
+  obtenerPorVenta,
+  obtenerAplicadasACreditos,
+  obtenerAplicadasACreditoDesde
+};
@@ -0,0 +1,433 @@
+/**
+ * Repository de Órdenes de Compra
+ * Gestiona el acceso a datos de órdenes de compra, su detalle y sus recepciones
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado, ErrorConflicto } = require('../utils/errores');
+const { ejecutarRPC } = require('../utils/transacciones');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Crea una nueva orden de compra (solo encabezado) en estado BORRADOR
+ * @param {Object} orden - Datos de la orden
+ * @param {string} orden.id_proveedor - UUID del proveedor
+ * @param {string} orden.id_usuario - UUID del usuario que crea la orden
+ * @param {number} orden.total - Total de la orden
+ * @param {string} orden.fecha_entrega_esperada - Fecha esperada de entrega (YYYY-MM-DD, opcional)
+ * @param {string} orden.observaciones - Observaciones (opcional)
+ * @returns {Promise<Object>} Orden creada
+ */
+async function crear(orden) {
+  const { data, error } = await supabase
+    .from('ordenes_compra')
+    .insert({
+      id_proveedor: orden.id_proveedor,
+      id_usuario: orden.id_usuario,
+      total: orden.total,
+      estado: 'BORRADOR',
+      fecha_orden: formatearISO(obtenerFechaGuatemala()),
+      fecha_entrega_esperada: orden.fecha_entrega_esperada || null,
+      observaciones: orden.observaciones || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza el encabezado de una orden de compra
+ * @param {string} id - UUID de la orden
+ * @param {Object} datos - Campos a actualizar
+ * @param {Array<string>} estadosPermitidos - Solo actualiza si la orden está en uno de estos estados (opcional)
+ * @returns {Promise<Object>} Orden actualizada
+ */
+async function actualizar(id, datos, estadosPermitidos = null) {
+  let query = supabase
+    .from('ordenes_compra')
+    .update(datos)
+    .eq('id_orden', id);
+
+  if (estadosPermitidos) {
+    query = query.in('estado', estadosPermitidos);
+  }
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Orden de compra no encontrada o en un estado que no permite el cambio');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una orden de compra y su detalle
+ * Solo se usa como compensación cuando falla la creación de la orden
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_orden_compra')
+    .delete()
+    .eq('id_orden', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('ordenes_compra')
+    .delete()
+    .eq('id_orden', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Reemplaza las líneas de detalle de una orden de compra
+ * @param {string} id_orden - UUID de la orden
+ * @param {Array} detalles - Líneas [{id_producto, cantidad, costo_unitario, subtotal}]
+ * @returns {Promise<Array>} Detalles creados
+ */
+async function reemplazarDetalles(id_orden, detalles) {
+  const { error: errorDelete } = await supabase
+    .from('detalle_orden_compra')
+    .delete()
+    .eq('id_orden', id_orden);
+
+  if (errorDelete) {
+    throw errorDelete;
+  }
+
+  const { data, error } = await supabase
+    .from('detalle_orden_compra')
+    .insert(detalles.map(d => ({ ...d, id_orden, cantidad_recibida: 0 })))
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      )
+    `);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene todas las órdenes de compra con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.id_proveedor - Filtrar por proveedor
+ * @param {string} filtros.estado - Filtrar por estado
+ * @param {Date} filtros.fecha_desde - Fecha inicio
+ * @param {Date} filtros.fecha_hasta - Fecha fin
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodos(filtros = {}) {
+  const { id_proveedor, estado, fecha_desde, fecha_hasta } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('ordenes_compra')
+    .select('id_orden', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('ordenes_compra')
+    .select(`
+      *,
+      proveedores:id_proveedor (
+        id_proveedor,
+        nombre,
+        nit
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .order('fecha_orden', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (id_proveedor) {
+    query = query.eq('id_proveedor', id_proveedor);
+    countQuery = countQuery.eq('id_proveedor', id_proveedor);
+  }
+
+  if (estado) {
+    query = query.eq('estado', estado);
+    countQuery = countQuery.eq('estado', estado);
+  }
+
+  if (fecha_desde) {
+    query = query.gte('fecha_orden', fecha_desde);
+    countQuery = countQuery.gte('fecha_orden', fecha_desde);
+  }
+
+  if (fecha_hasta) {
+    query = query.lte('fecha_orden', fecha_hasta);
+    countQuery = countQuery.lte('fecha_orden', fecha_hasta);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene una orden de compra por ID
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<Object>} Orden encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('ordenes_compra')
+    .select(`
+      *,
+      proveedores:id_proveedor (
+        id_proveedor,
+        nombre,
+        nit,
+        contacto,
+        telefono,
+        correo
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_orden', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Orden de compra no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene las líneas de detalle de una orden de compra
+ * @param {string} id_orden - UUID de la orden
+ * @returns {Promise<Array>} Detalles de la orden
+ */
+async function obtenerDetalles(id_orden) {
+  const { data, error } = await supabase
+    .from('detalle_orden_compra')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      )
+    `)
+    .eq('id_orden', id_orden)
+    .order('id_detalle', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Suma a la cantidad recibida de una línea de forma atómica (o resta, con cantidad negativa)
+ * Usa la función RPC incrementar_cantidad_recibida, un único
+ * UPDATE ... SET cantidad_recibida = cantidad_recibida + p_cantidad que solo se aplica si el
+ * resultado queda entre 0 y lo pedido; dos recepciones simultáneas de la misma línea no pueden
+ * pasar juntas de lo pendiente
+ * @param {number} id_detalle - ID de la línea
+ * @param {number} cantidad - Cantidad a sumar (negativa para revertir una recepción)
+ * @returns {Promise<Object>} Detalle actualizado
+ * @throws {ErrorConflicto} Si la cantidad recibida excedería lo pedido o quedaría negativa
+ */
+async function incrementarCantidadRecibida(id_detalle, cantidad) {
+  const data = await ejecutarRPC('incrementar_cantidad_recibida', {
+    p_id_detalle: id_detalle,
+    p_cantidad: cantidad
+  });
+
+  const detalle = Array.isArray(data) ? data[0] : data;
+
+  // La función no actualiza ninguna fila si se pasaría de lo pedido
+  if (!detalle) {
+    throw new ErrorConflicto(
+      `La línea ${id_detalle} ya no tiene ${Math.abs(cantidad)} pendiente(s); ` +
+      'otra recepción pudo haberla recibido'
+    );
+  }
+
+  return detalle;
+}
+
+/**
+ * Registra las líneas de una recepción de mercadería
+ * @param {Array} recepciones - Líneas [{id_orden, id_detalle, id_producto, cantidad, id_movimiento, id_usuario, observaciones}]
+ * @returns {Promise<Array>} Recepciones registradas
+ */
+async function crearRecepciones(recepciones) {
+  const fechaRecepcion = formatearISO(obtenerFechaGuatemala());
+
+  const { data, error } = await supabase
+    .from('recepciones_compra')
+    .insert(recepciones.map(r => ({ ...r, fecha_recepcion: fechaRecepcion })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene el historial de recepciones de una orden de compra
+ * @param {string} id_orden - UUID de la orden
+ * @returns {Promise<Array>} Recepciones ordenadas por fecha
+ */
+async function obtenerRecepciones(id_orden) {
+  const { data, error } = await supabase
+    .from('recepciones_compra')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_orden', id_orden)
+    .order('fecha_recepcion', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene las líneas con cantidades pendientes de recibir
+ * Solo considera órdenes ENVIADA o PARCIAL (las que siguen en camino)
+ * @param {Object} filtros - Filtros opcionales
+ * @param {string} filtros.id_proveedor - Filtrar por proveedor
+ * @param {string} filtros.id_producto - Filtrar por producto
+ * @returns {Promise<Array>} Líneas con cantidad_pendiente > 0
+ */
+async function obtenerLineasPendientes(filtros = {}) {
+  let query = supabase
+    .from('detalle_orden_compra')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      ),
+      ordenes_compra!inner (
+        id_orden,
+        numero,
+        estado,
+        fecha_orden,
+        fecha_entrega_esperada,
+        id_proveedor,
+        proveedores:id_proveedor (
+          id_proveedor,
+          nombre
+        )
+      )
+    `)
+    .in('ordenes_compra.estado', ['ENVIADA', 'PARCIAL']);
+
+  if (filtros.id_proveedor) {
+    query = query.eq('ordenes_compra.id_proveedor', filtros.id_proveedor);
+  }
+
+  if (filtros.id_producto) {
+    query = query.eq('id_producto', filtros.id_producto);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || [])
+    .map(linea => ({
+      ...linea,
+      cantidad_pendiente: parseFloat((linea.cantidad - linea.cantidad_recibida).toFixed(3))
+    }))
+    .filter(linea => linea.cantidad_pendiente > 0);
+}
+
+module.exports = {
+  crear,
+  actualizar,
+  eliminar,
+  reemplazarDetalles,
+  obtenerTodos,
+  obtenerPorId,
+  obtenerDetalles,
+  incrementarCantidadRecibida,
+  crearRecepciones,
+  obtenerRecepciones,
+  obtenerLineasPendientes
+};
@@ -0,0 +1,312 @@
+/**
+ * Repository de Órdenes de Producción
+ * Gestiona el acceso a datos de órdenes de producción y sus materiales
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Crea una orden de producción (solo encabezado) en estado PENDIENTE
+ * @param {Object} orden - Datos de la orden
+ * @param {string} orden.id_receta - UUID de la receta usada
+ * @param {string} orden.id_producto - UUID del producto terminado
+ * @param {number} orden.cantidad - Unidades a producir
+ * @param {string} orden.id_bodega - UUID de la bodega de materiales y producto terminado
+ * @param {string} orden.id_usuario - UUID del usuario que crea la orden
+ * @param {string} orden.observaciones - Observaciones (opcional)
+ * @returns {Promise<Object>} Orden creada con su número correlativo
+ */
+async function crear(orden) {
+  const { data, error } = await supabase
+    .from('ordenes_produccion')
+    .insert({
+      id_receta: orden.id_receta,
+      id_producto: orden.id_producto,
+      cantidad: orden.cantidad,
+      id_bodega: orden.id_bodega,
+      id_usuario: orden.id_usuario,
+      estado: 'PENDIENTE',
+      fecha_orden: formatearISO(obtenerFechaGuatemala()),
+      observaciones: orden.observaciones || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza el encabezado de una orden de producción
+ * @param {string} id - UUID de la orden
+ * @param {Object} datos - Campos a actualizar
+ * @param {Array<string>} estadosPermitidos - Solo actualiza si la orden está en uno de estos estados (opcional)
+ * @returns {Promise<Object>} Orden actualizada
+ */
+async function actualizar(id, datos, estadosPermitidos = null) {
+  let query = supabase
+    .from('ordenes_produccion')
+    .update(datos)
+    .eq('id_orden', id);
+
+  if (estadosPermitidos) {
+    query = query.in('estado', estadosPermitidos);
+  }
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Orden de producción no encontrada o en un estado que no permite el cambio');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una orden de producción y sus materiales
+ * Solo se usa como compensación cuando falla la creación de la orden
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_orden_produccion')
+    .delete()
+    .eq('id_orden', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('ordenes_produccion')
+    .delete()
+    .eq('id_orden', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Registra los materiales de una orden (copia de los componentes de la receta)
+ * @param {Array} detalles - Líneas [{id_orden, id_producto, cantidad_por_unidad, cantidad_requerida}]
+ * @returns {Promise<Array>} Detalles creados
+ */
+async function crearDetalles(detalles) {
+  const { data, error } = await supabase
+    .from('detalle_orden_produccion')
+    .insert(detalles.map(d => ({ ...d, cantidad_merma: 0 })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Actualiza una línea de materiales (consumo, merma, costo y movimientos generados)
+ * @param {number} id_detalle - ID de la línea
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Detalle actualizado
+ */
+async function actualizarDetalle(id_detalle, datos) {
+  const { data, error } = await supabase
+    .from('detalle_orden_produccion')
+    .update(datos)
+    .eq('id_detalle', id_detalle)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene todas las órdenes de producción con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.estado - Filtrar por estado
+ * @param {string} filtros.id_producto - Filtrar por producto terminado
+ * @param {string} filtros.id_bodega - Filtrar por bodega
+ * @param {Date} filtros.fecha_desde - Fecha inicio
+ * @param {Date} filtros.fecha_hasta - Fecha fin
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodos(filtros = {}) {
+  const { estado, id_producto, id_bodega, fecha_desde, fecha_hasta } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('ordenes_produccion')
+    .select('id_orden', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('ordenes_produccion')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .order('fecha_orden', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (estado) {
+    query = query.eq('estado', estado);
+    countQuery = countQuery.eq('estado', estado);
+  }
+
+  if (id_producto) {
+    query = query.eq('id_producto', id_producto);
+    countQuery = countQuery.eq('id_producto', id_producto);
+  }
+
+  if (id_bodega) {
+    query = query.eq('id_bodega', id_bodega);
+    countQuery = countQuery.eq('id_bodega', id_bodega);
+  }
+
+  if (fecha_desde) {
+    query = query.gte('fecha_orden', fecha_desde);
+    countQuery = countQuery.gte('fecha_orden', fecha_desde);
+  }
+
+  if (fecha_hasta) {
+    query = query.lte('fecha_orden', fecha_hasta);
+    countQuery = countQuery.lte('fecha_orden', fecha_hasta);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene una orden de producción por ID
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<Object>} Orden encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('ordenes_produccion')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_orden', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Orden de producción no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene los materiales de una orden de producción
+ * @param {string} id_orden - UUID de la orden
+ * @returns {Promise<Array>} Materiales de la orden
+ */
+async function obtenerDetalles(id_orden) {
+  const { data, error } = await supabase
+    .from('detalle_orden_produccion')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida,
+        costo_promedio
+      )
+    `)
+    .eq('id_orden', id_orden)
+    .order('id_detalle', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  crear,
+  actualizar,
+  eliminar,
+  crearDetalles,
+  actualizarDetalle,
+  obtenerTodos,
+  obtenerPorId,
+  obtenerDetalles
+};
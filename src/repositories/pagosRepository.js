@@ -4,7 +4,7 @@
  */
 
 const { supabase } = require('../config/database');
-const { ErrorBaseDatos, ErrorNoEncontrado } = require('../utils/errores');
+const { ErrorBaseDatos, ErrorNoEncontrado, ErrorConflicto } = require('../utils/errores');
 const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
 
 /**
@@ -23,6 +23,10 @@ async function crear(pago) {
         metodo_pago: pago.metodo_pago || null,
         observaciones: pago.observaciones || null,
         saldo_despues_pago: pago.saldo_despues_pago,
+        monto_mora: pago.monto_mora || 0,
+        monto_capital: pago.monto_capital ?? pago.monto_pagado,
+        id_pago_cliente: pago.id_pago_cliente || null,
+        es_enganche: pago.es_enganche || false,
         id_usuario: pago.id_usuario,
         fecha_pago: fechaPago
       }])
@@ -187,7 +191,8 @@ async function obtenerTotalPagado(id_credito) {
     const { data, error } = await supabase
       .from('pagos_credito')
       .select('monto_pagado')
-      .eq('id_credito', id_credito);
+      .eq('id_credito', id_credito)
+      .neq('estado', 'ANULADO');
 
     if (error) throw error;
 
@@ -240,11 +245,371 @@ async function obtenerHistorialPorCliente(id_cliente, filtros = {}) {
   }
 }
 
+/**
+ * Obtiene la fecha de los pagos activos de un conjunto de créditos
+ * Consulta en lotes para no exceder el tamaño de URL con listas .in() grandes
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @returns {Promise<Array>} [{id_credito, fecha_pago}]
+ */
+async function obtenerFechasPagoPorCreditos(ids_credito) {
+  const TAMANIO_LOTE = 250;
+  const pagos = [];
+
+  try {
+    for (let i = 0; i < ids_credito.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('pagos_credito')
+        .select('id_credito, fecha_pago')
+        .in('id_credito', ids_credito.slice(i, i + TAMANIO_LOTE))
+        .neq('estado', 'ANULADO');
+
+      if (error) throw error;
+      pagos.push(...(data || []));
+    }
+
+    return pagos;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener fechas de pago de los créditos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los pagos activos de un conjunto de créditos registrados desde un momento dado
+ * Consulta en lotes para no exceder el tamaño de URL con listas .in() grandes
+ * @param {Array<string>} ids_credito - UUIDs de los créditos
+ * @param {string} desde - Fecha/hora ISO (inclusive)
+ * @returns {Promise<Array>} [{id_pago, id_credito, monto_pagado, metodo_pago, fecha_pago}]
+ */
+async function obtenerPorCreditosDesde(ids_credito, desde) {
+  const TAMANIO_LOTE = 250;
+  const pagos = [];
+
+  try {
+    for (let i = 0; i < ids_credito.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('pagos_credito')
+        .select('id_pago, id_credito, monto_pagado, metodo_pago, fecha_pago')
+        .in('id_credito', ids_credito.slice(i, i + TAMANIO_LOTE))
+        .neq('estado', 'ANULADO')
+        .gte('fecha_pago', desde);
+
+      if (error) throw error;
+      pagos.push(...(data || []));
+    }
+
+    return pagos;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener pagos de los créditos: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los pagos registrados o anulados después de un momento dado
+ * Sirve para reconstruir el saldo que tenían los créditos en una fecha pasada
+ * @param {string} desde - Fecha/hora ISO (exclusivo)
+ * @returns {Promise<Array>} [{id_pago, id_credito, monto_pagado, monto_mora, estado, fecha_pago, fecha_anulacion}]
+ */
+async function obtenerMovimientosPosteriores(desde) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_credito')
+      .select('id_pago, id_credito, monto_pagado, monto_mora, estado, fecha_pago, fecha_anulacion')
+      .or(`fecha_pago.gt.${desde},fecha_anulacion.gt.${desde}`);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener pagos posteriores: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina físicamente un pago
+ * Solo se usa como compensación cuando falla el registro del pago a medias
+ */
+async function eliminar(id_pago) {
+  try {
+    const { error } = await supabase
+      .from('pagos_credito')
+      .delete()
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar pago: ${error.message}`);
+  }
+}
+
+/**
+ * Marca un pago como ANULADO con su motivo
+ * @param {string} id_pago - UUID del pago
+ * @param {Object} datos - { motivo, id_usuario }
+ * @returns {Promise<Object>} Pago anulado
+ */
+async function anular(id_pago, { motivo, id_usuario }) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_credito')
+      .update({
+        estado: 'ANULADO',
+        motivo_anulacion: motivo,
+        id_usuario_anulacion: id_usuario,
+        fecha_anulacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .eq('id_pago', id_pago)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al anular pago: ${error.message}`);
+  }
+}
+
+/**
+ * Deja un pago anulado como ACTIVO otra vez
+ * Solo se usa como compensación cuando falla la anulación del pago
+ * @param {string} id_pago - UUID del pago
+ * @returns {Promise<void>}
+ */
+async function reactivar(id_pago) {
+  try {
+    const { error } = await supabase
+      .from('pagos_credito')
+      .update({
+        estado: 'ACTIVO',
+        motivo_anulacion: null,
+        id_usuario_anulacion: null,
+        fecha_anulacion: null
+      })
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al reactivar pago: ${error.message}`);
+  }
+}
+
+/**
+ * Actualiza el saldo que quedó después de un pago
+ * @param {string} id_pago - UUID del pago
+ * @param {number} saldo - Saldo del crédito después del pago
+ * @returns {Promise<void>}
+ */
+async function actualizarSaldoDespues(id_pago, saldo) {
+  try {
+    const { error } = await supabase
+      .from('pagos_credito')
+      .update({ saldo_despues_pago: saldo })
+      .eq('id_pago', id_pago);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al actualizar saldo del pago: ${error.message}`);
+  }
+}
+
+/**
+ * Registra un pago global de cliente (recibo que agrupa los pagos a cada crédito)
+ * @param {Object} pagoCliente - Datos del pago
+ * @returns {Promise<Object>} Pago de cliente creado
+ */
+async function crearPagoCliente(pagoCliente) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_cliente')
+      .insert([{
+        id_cliente: pagoCliente.id_cliente,
+        monto_total: pagoCliente.monto_total,
+        monto_aplicado: pagoCliente.monto_aplicado,
+        monto_anticipo: pagoCliente.monto_anticipo,
+        metodo_pago: pagoCliente.metodo_pago || null,
+        observaciones: pagoCliente.observaciones || null,
+        id_usuario: pagoCliente.id_usuario,
+        fecha_pago: formatearISO(obtenerFechaGuatemala())
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar pago del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina un pago global de cliente
+ * Solo se usa como compensación cuando falla la aplicación del pago
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @returns {Promise<void>}
+ */
+async function eliminarPagoCliente(id_pago_cliente) {
+  try {
+    const { error } = await supabase
+      .from('pagos_cliente')
+      .delete()
+      .eq('id_pago_cliente', id_pago_cliente);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar pago del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los pagos globales de un cliente con los pagos a cada crédito que generaron
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} Pagos de cliente, del más reciente al más antiguo
+ */
+async function obtenerPagosCliente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_cliente')
+      .select(`
+        *,
+        pagos_credito (
+          id_pago,
+          id_credito,
+          estado,
+          monto_pagado,
+          monto_mora,
+          monto_capital,
+          saldo_despues_pago
+        ),
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_cliente', id_cliente)
+      .order('fecha_pago', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener pagos del cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene un pago global de cliente
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @returns {Promise<Object>} Pago de cliente
+ */
+async function obtenerPagoClientePorId(id_pago_cliente) {
+  const { data, error } = await supabase
+    .from('pagos_cliente')
+    .select('*')
+    .eq('id_pago_cliente', id_pago_cliente)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Pago del cliente');
+    }
+    throw new ErrorBaseDatos(`Error al obtener pago del cliente: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene los pagos a créditos que generó un pago global de cliente
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @returns {Promise<Array>} Pagos de crédito del recibo
+ */
+async function obtenerPorPagoCliente(id_pago_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_credito')
+      .select('*')
+      .eq('id_pago_cliente', id_pago_cliente)
+      .order('fecha_pago', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener pagos del recibo: ${error.message}`);
+  }
+}
+
+/**
+ * Marca un pago global de cliente como ANULADO
+ * Solo actualiza si sigue ACTIVO, para que dos anulaciones simultáneas no se apliquen dos veces
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @param {Object} datos - { motivo, id_usuario }
+ * @returns {Promise<Object>} Pago de cliente anulado
+ * @throws {ErrorConflicto} Si ya estaba anulado
+ */
+async function anularPagoCliente(id_pago_cliente, { motivo, id_usuario }) {
+  const { data, error } = await supabase
+    .from('pagos_cliente')
+    .update({
+      estado: 'ANULADO',
+      motivo_anulacion: motivo,
+      id_usuario_anulacion: id_usuario,
+      fecha_anulacion: formatearISO(obtenerFechaGuatemala())
+    })
+    .eq('id_pago_cliente', id_pago_cliente)
+    .eq('estado', 'ACTIVO')
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorConflicto('El pago del cliente ya está anulado');
+    }
+    throw new ErrorBaseDatos(`Error al anular pago del cliente: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Deja un pago global de cliente anulado como ACTIVO otra vez
+ * Solo se usa como compensación cuando falla la anulación del recibo
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @returns {Promise<void>}
+ */
+async function reactivarPagoCliente(id_pago_cliente) {
+  try {
+    const { error } = await supabase
+      .from('pagos_cliente')
+      .update({
+        estado: 'ACTIVO',
+        motivo_anulacion: null,
+        id_usuario_anulacion: null,
+        fecha_anulacion: null
+      })
+      .eq('id_pago_cliente', id_pago_cliente);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al reactivar pago del cliente: ${error.message}`);
+  }
+}
+
 module.exports = {
   crear,
+  eliminar,
+  anular,
+  reactivar,
+  actualizarSaldoDespues,
   obtenerPorId,
   obtenerPorCredito,
   obtenerTodos,
   obtenerTotalPagado,
-  obtenerHistorialPorCliente
+  obtenerHistorialPorCliente,
+  obtenerMovimientosPosteriores,
+  obtenerFechasPagoPorCreditos,
+  obtenerPorCreditosDesde,
+  crearPagoCliente,
+  eliminarPagoCliente,
+  obtenerPagosCliente,
+  obtenerPagoClientePorId,
+  obtenerPorPagoCliente,
+  anularPagoCliente,
+  reactivarPagoCliente
 };
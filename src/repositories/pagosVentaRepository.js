@@ -0,0 +1,102 @@
+/**
+ * Repositorio de Pagos de Venta
+ * Acceso a datos de las formas de pago (efectivo, tarjeta, transferencia) con que se cobró
+ * una venta al contado
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos } = require('../utils/errores');
+
+const TAMANIO_LOTE = 250;
+
+/**
+ * Registra las formas de pago de una venta
+ * @param {Array} pagos - [{id_venta, metodo_pago, monto, monto_recibido, cambio, referencia}]
+ * @returns {Promise<Array>} Pagos creados
+ */
+async function crearMultiples(pagos) {
+  if (pagos.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('pagos_venta')
+      .insert(pagos)
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al registrar formas de pago de la venta: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las formas de pago de una venta
+ * @param {string} id_venta - UUID de la venta
+ * @returns {Promise<Array>} Pagos en el orden en que se registraron
+ */
+async function obtenerPorVenta(id_venta) {
+  try {
+    const { data, error } = await supabase
+      .from('pagos_venta')
+      .select('*')
+      .eq('id_venta', id_venta)
+      .order('id_pago_venta', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener formas de pago de la venta: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las formas de pago de varias ventas (consulta por lotes)
+ * @param {Array<string>} ids_venta - UUIDs de las ventas
+ * @returns {Promise<Array>} Pagos de las ventas
+ */
+async function obtenerPorVentas(ids_venta) {
+  const pagos = [];
+
+  try {
+    for (let i = 0; i < ids_venta.length; i += TAMANIO_LOTE) {
+      const { data, error } = await supabase
+        .from('pagos_venta')
+        .select('*')
+        .in('id_venta', ids_venta.slice(i, i + TAMANIO_LOTE));
+
+      if (error) throw error;
+      pagos.push(...(data || []));
+    }
+
+    return pagos;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener formas de pago de las ventas: ${error.message}`);
+  }
+}
+
+/**
+ * Elimina las formas de pago de una venta (compensación si falla la venta)
+ * @param {string} id_venta - UUID de la venta
+ */
+async function eliminarPorVenta(id_venta) {
+  try {
+    const { error } = await supabase
+      .from('pagos_venta')
+      .delete()
+      .eq('id_venta', id_venta);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al eliminar formas de pago de la venta: ${error.message}`);
+  }
+}
+
+module.exports = {
+  crearMultiples,
+  obtenerPorVenta,
+  obtenerPorVentas,
+  eliminarPorVenta
+};
@@ -0,0 +1,326 @@
+/**
+ * Repositorio de Política de Crédito
+ * Acceso a datos de la política de bloqueo, las autorizaciones de excepción y las
+ * propuestas de cambio de límite de crédito
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorBaseDatos, ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene la política de crédito vigente (registro único)
+ * @returns {Promise<Object|null>} Política o null si nunca se configuró
+ */
+async function obtenerPolitica() {
+  try {
+    const { data, error } = await supabase
+      .from('politica_credito')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener política de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda la política de crédito (crea o reemplaza el registro único)
+ * @param {Object} politica - Datos de la política
+ * @returns {Promise<Object>} Política guardada
+ */
+async function guardarPolitica(politica) {
+  try {
+    const { data, error } = await supabase
+      .from('politica_credito')
+      .upsert({
+        id: 1,
+        ...politica,
+        fecha_actualizacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al guardar política de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Registra una autorización de crédito para un cliente bloqueado
+ * @param {Object} autorizacion - { id_cliente, motivo, motivos_bloqueo, dias_atraso, fecha_expiracion, id_usuario }
+ * @returns {Promise<Object>} Autorización creada
+ */
+async function crearAutorizacion(autorizacion) {
+  try {
+    const { data, error } = await supabase
+      .from('autorizaciones_credito')
+      .insert({
+        ...autorizacion,
+        fecha_autorizacion: formatearISO(obtenerFechaGuatemala())
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al crear autorización de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene la autorización sin usar y no expirada de un cliente (la más reciente)
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object|null>} Autorización vigente o null
+ */
+async function obtenerAutorizacionVigente(id_cliente) {
+  try {
+    const { data, error } = await supabase
+      .from('autorizaciones_credito')
+      .select('*')
+      .eq('id_cliente', id_cliente)
+      .is('id_venta', null)
+      .gt('fecha_expiracion', formatearISO(obtenerFechaGuatemala()))
+      .order('fecha_autorizacion', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener autorización de crédito vigente: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene las autorizaciones de un cliente, de la más reciente a la más antigua
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} limite - Cantidad máxima (opcional)
+ * @returns {Promise<Array>} Autorizaciones con el usuario que autorizó
+ */
+async function obtenerAutorizacionesPorCliente(id_cliente, limite = null) {
+  try {
+    let query = supabase
+      .from('autorizaciones_credito')
+      .select(`
+        *,
+        usuarios:id_usuario (
+          id_usuario,
+          nombre
+        )
+      `)
+      .eq('id_cliente', id_cliente)
+      .order('fecha_autorizacion', { ascending: false });
+
+    if (limite) {
+      query = query.limit(limite);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener autorizaciones de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Marca una autorización como usada por una venta
+ * Solo la marca si sigue sin usar, para que dos ventas simultáneas no usen la misma
+ * @param {string} id_autorizacion - UUID de la autorización
+ * @param {string} id_venta - UUID de la venta
+ * @returns {Promise<Object|null>} Autorización actualizada o null si ya estaba usada
+ */
+async function usarAutorizacion(id_autorizacion, id_venta) {
+  try {
+    const { data, error } = await supabase
+      .from('autorizaciones_credito')
+      .update({
+        id_venta,
+        fecha_uso: formatearISO(obtenerFechaGuatemala())
+      })
+      .eq('id_autorizacion', id_autorizacion)
+      .is('id_venta', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al usar autorización de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Deja una autorización sin usar otra vez (compensación si la venta falla)
+ * @param {string} id_autorizacion - UUID de la autorización
+ */
+async function liberarAutorizacion(id_autorizacion) {
+  try {
+    const { error } = await supabase
+      .from('autorizaciones_credito')
+      .update({ id_venta: null, fecha_uso: null })
+      .eq('id_autorizacion', id_autorizacion);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al liberar autorización de crédito: ${error.message}`);
+  }
+}
+
+/**
+ * Registra propuestas de cambio de límite
+ * @param {Array} propuestas - Propuestas a registrar
+ * @returns {Promise<Array>} Propuestas creadas
+ */
+async function crearPropuestas(propuestas) {
+  if (propuestas.length === 0) {
+    return [];
+  }
+
+  try {
+    const fecha = formatearISO(obtenerFechaGuatemala());
+    const { data, error } = await supabase
+      .from('propuestas_limite_credito')
+      .insert(propuestas.map(p => ({ ...p, fecha_propuesta: fecha })))
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al crear propuestas de límite: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene propuestas de límite con filtros
+ * @param {Object} filtros - { estado, id_cliente }
+ * @returns {Promise<Array>} Propuestas con los datos del cliente, de la más reciente a la más antigua
+ */
+async function obtenerPropuestas(filtros = {}) {
+  try {
+    let query = supabase
+      .from('propuestas_limite_credito')
+      .select(`
+        *,
+        clientes:id_cliente (
+          id_cliente,
+          nombre,
+          apellido,
+          limite_credito
+        )
+      `)
+      .order('fecha_propuesta', { ascending: false });
+
+    if (filtros.estado) {
+      query = query.eq('estado', filtros.estado);
+    }
+
+    if (filtros.id_cliente) {
+      query = query.eq('id_cliente', filtros.id_cliente);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al obtener propuestas de límite: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene una propuesta de límite por ID
+ * @param {string} id_propuesta - UUID de la propuesta
+ * @returns {Promise<Object>} Propuesta
+ */
+async function obtenerPropuestaPorId(id_propuesta) {
+  try {
+    const { data, error } = await supabase
+      .from('propuestas_limite_credito')
+      .select('*')
+      .eq('id_propuesta', id_propuesta)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new ErrorNoEncontrado('Propuesta de límite');
+      }
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    if (error instanceof ErrorNoEncontrado) throw error;
+    throw new ErrorBaseDatos(`Error al obtener propuesta de límite: ${error.message}`);
+  }
+}
+
+/**
+ * Registra la resolución de una propuesta pendiente
+ * @param {string} id_propuesta - UUID de la propuesta
+ * @param {Object} resolucion - { estado, observaciones, id_usuario_resolucion }
+ * @returns {Promise<Object|null>} Propuesta actualizada o null si ya no estaba pendiente
+ */
+async function resolverPropuesta(id_propuesta, resolucion) {
+  try {
+    const { data, error } = await supabase
+      .from('propuestas_limite_credito')
+      .update({
+        ...resolucion,
+        fecha_resolucion: formatearISO(obtenerFechaGuatemala())
+      })
+      .eq('id_propuesta', id_propuesta)
+      .eq('estado', 'PENDIENTE')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al resolver propuesta de límite: ${error.message}`);
+  }
+}
+
+/**
+ * Devuelve una propuesta a PENDIENTE (compensación si falla el cambio de límite)
+ * @param {string} id_propuesta - UUID de la propuesta
+ */
+async function reabrirPropuesta(id_propuesta) {
+  try {
+    const { error } = await supabase
+      .from('propuestas_limite_credito')
+      .update({
+        estado: 'PENDIENTE',
+        observaciones: null,
+        id_usuario_resolucion: null,
+        fecha_resolucion: null
+      })
+      .eq('id_propuesta', id_propuesta);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new ErrorBaseDatos(`Error al reabrir propuesta de límite: ${error.message}`);
+  }
+}
+
+module.exports = {
+  obtenerPolitica,
+  guardarPolitica,
+  crearAutorizacion,
+  obtenerAutorizacionVigente,
+  obtenerAutorizacionesPorCliente,
+  usarAutorizacion,
+  liberarAutorizacion,
+  crearPropuestas,
+  obtenerPropuestas,
+  obtenerPropuestaPorId,
+  resolverPropuesta,
+  reabrirPropuesta
+};
@@ -147,6 +147,7 @@ const obtenerListaSimple = async () => {
         cantidad_stock, 
         stock_minimo,
         unidad_medida,
+        exento_iva,
         categorias (
           id_categoria,
           nombre
@@ -168,30 +169,54 @@ const obtenerListaSimple = async () => {
 };
 
 /**
- * Obtener productos con stock bajo o agotado
- * @returns {Promise<Array>} Productos donde cantidad_stock <= stock_minimo
+ * Obtener productos con stock bajo o agotado, evaluado por bodega
+ * Cada bodega usa su propio stock mínimo y, si no lo tiene, el stock_minimo del producto
+ * @param {string} idBodega - UUID de la bodega (opcional; sin él evalúa todas las bodegas activas)
+ * @returns {Promise<Array>} Una fila por producto y bodega donde el stock de la bodega <= mínimo
  */
-const obtenerStockBajo = async () => {
+const obtenerStockBajo = async (idBodega = null) => {
   try {
-    const { data, error } = await supabase
-      .from('productos')
+    let query = supabase
+      .from('stock_bodega')
       .select(`
-        *,
-        categorias (
-          id_categoria,
+        cantidad_stock,
+        stock_minimo,
+        productos:id_producto!inner (
+          *,
+          categorias (
+            id_categoria,
+            nombre
+          )
+        ),
+        bodegas:id_bodega!inner (
+          id_bodega,
           nombre
         )
       `)
-      .is('deleted_at', null)
-      .eq('estado', true)
-      .filter('cantidad_stock', 'lte', 'stock_minimo')
-      .order('cantidad_stock', { ascending: true });
+      .is('productos.deleted_at', null)
+      .eq('productos.estado', true)
+      .eq('bodegas.estado', true);
+
+    if (idBodega) {
+      query = query.eq('id_bodega', idBodega);
+    }
+
+    const { data, error } = await query;
 
     if (error) {
       throw new ErrorBaseDatos('Error al obtener productos con stock bajo', error);
     }
 
-    return data || [];
+    // El mínimo aplicable depende de dos columnas, por eso se compara aquí
+    return (data || [])
+      .map(fila => ({
+        ...fila.productos,
+        bodega: fila.bodegas,
+        stock_bodega: fila.cantidad_stock,
+        stock_minimo_bodega: fila.stock_minimo ?? fila.productos.stock_minimo
+      }))
+      .filter(p => p.stock_bodega <= p.stock_minimo_bodega)
+      .sort((a, b) => a.stock_bodega - b.stock_bodega);
   } catch (error) {
     if (error instanceof ErrorBaseDatos) throw error;
     throw new ErrorBaseDatos('Error al obtener productos con stock bajo', error);
@@ -271,7 +296,7 @@ const existePorNombre = async (nombre, idProductoExcluir = null) => {
 
 /**
  * Crear nuevo producto
- * @param {Object} datosProducto - { id_categoria, nombre, descripcion?, precio_venta, unidad_medida, stock_minimo? }
+ * @param {Object} datosProducto - { id_categoria, nombre, descripcion?, precio_venta, unidad_medida, stock_minimo?, exento_iva? }
  * @returns {Promise<Object>} Producto creado con información de categoría
  */
 const crear = async (datosProducto) => {
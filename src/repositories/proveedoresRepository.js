@@ -0,0 +1,194 @@
+/**
+ * Repository de Proveedores
+ * Gestiona el acceso a datos del catálogo de proveedores
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+
+/**
+ * Obtiene todos los proveedores con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.busqueda - Búsqueda por nombre, NIT, contacto, teléfono o correo
+ * @param {boolean} filtros.soloActivos - Si true, solo proveedores con estado=true
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodos(filtros = {}) {
+  const { busqueda, soloActivos = true } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('proveedores')
+    .select('id_proveedor', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('proveedores')
+    .select('*')
+    .order('nombre', { ascending: true });
+
+  // Aplicar filtros a ambas queries
+  if (soloActivos) {
+    query = query.eq('estado', true);
+    countQuery = countQuery.eq('estado', true);
+  }
+
+  if (busqueda) {
+    const searchPattern = `nombre.ilike.%${busqueda}%,nit.ilike.%${busqueda}%,contacto.ilike.%${busqueda}%,telefono.ilike.%${busqueda}%,correo.ilike.%${busqueda}%`;
+    query = query.or(searchPattern);
+    countQuery = countQuery.or(searchPattern);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene un proveedor por ID
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor encontrado
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('proveedores')
+    .select('*')
+    .eq('id_proveedor', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Proveedor no encontrado');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Crea un nuevo proveedor
+ * @param {Object} proveedor - Datos del proveedor
+ * @returns {Promise<Object>} Proveedor creado
+ */
+async function crear(proveedor) {
+  const { data, error } = await supabase
+    .from('proveedores')
+    .insert(proveedor)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza un proveedor existente
+ * @param {string} id - UUID del proveedor
+ * @param {Object} datos - Datos a actualizar
+ * @returns {Promise<Object>} Proveedor actualizado
+ */
+async function actualizar(id, datos) {
+  const { data, error } = await supabase
+    .from('proveedores')
+    .update(datos)
+    .eq('id_proveedor', id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Proveedor no encontrado');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Activa un proveedor
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor activado
+ */
+async function activar(id) {
+  return await actualizar(id, { estado: true });
+}
+
+/**
+ * Desactiva un proveedor
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor desactivado
+ */
+async function desactivar(id) {
+  return await actualizar(id, { estado: false });
+}
+
+/**
+ * Verifica si ya existe un proveedor con el NIT indicado
+ * @param {string} nit - NIT a verificar
+ * @param {string} excluirId - UUID a excluir (para actualizaciones)
+ * @returns {Promise<boolean>} true si el NIT ya está registrado
+ */
+async function existeNit(nit, excluirId = null) {
+  let query = supabase
+    .from('proveedores')
+    .select('id_proveedor')
+    .eq('nit', nit);
+
+  if (excluirId) {
+    query = query.neq('id_proveedor', excluirId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0;
+}
+
+module.exports = {
+  obtenerTodos,
+  obtenerPorId,
+  crear,
+  actualizar,
+  activar,
+  desactivar,
+  existeNit
+};
@@ -0,0 +1,287 @@
+/**
+ * Repository de Recetas de Producción
+ * Gestiona el acceso a datos de las recetas (lista de materiales) y sus componentes
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene todas las recetas con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.id_producto - Filtrar por producto terminado
+ * @param {boolean} filtros.soloActivas - Si true, solo recetas con estado=true
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodas(filtros = {}) {
+  const { id_producto, soloActivas = true } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('recetas')
+    .select('id_receta', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('recetas')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida
+      )
+    `)
+    .order('fecha_creacion', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (soloActivas) {
+    query = query.eq('estado', true);
+    countQuery = countQuery.eq('estado', true);
+  }
+
+  if (id_producto) {
+    query = query.eq('id_producto', id_producto);
+    countQuery = countQuery.eq('id_producto', id_producto);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene una receta por ID
+ * @param {string} id - UUID de la receta
+ * @returns {Promise<Object>} Receta encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('recetas')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida,
+        costo_promedio
+      )
+    `)
+    .eq('id_receta', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Receta no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene la receta activa de un producto terminado
+ * @param {string} id_producto - UUID del producto
+ * @returns {Promise<Object|null>} Receta activa o null si el producto no tiene
+ */
+async function obtenerActivaPorProducto(id_producto) {
+  const { data, error } = await supabase
+    .from('recetas')
+    .select('*')
+    .eq('id_producto', id_producto)
+    .eq('estado', true)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Crea una receta (solo encabezado)
+ * @param {Object} receta - Datos de la receta
+ * @param {string} receta.id_producto - UUID del producto terminado
+ * @param {string} receta.descripcion - Descripción (opcional)
+ * @returns {Promise<Object>} Receta creada
+ */
+async function crear(receta) {
+  const fecha = formatearISO(obtenerFechaGuatemala());
+
+  const { data, error } = await supabase
+    .from('recetas')
+    .insert({
+      id_producto: receta.id_producto,
+      descripcion: receta.descripcion || null,
+      estado: true,
+      fecha_creacion: fecha,
+      fecha_actualizacion: fecha
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza el encabezado de una receta
+ * @param {string} id - UUID de la receta
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Receta actualizada
+ */
+async function actualizar(id, datos) {
+  const { data, error } = await supabase
+    .from('recetas')
+    .update({
+      ...datos,
+      fecha_actualizacion: formatearISO(obtenerFechaGuatemala())
+    })
+    .eq('id_receta', id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Receta no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una receta y sus componentes
+ * Solo se usa como compensación cuando falla la creación de la receta
+ * @param {string} id - UUID de la receta
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_receta')
+    .delete()
+    .eq('id_receta', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('recetas')
+    .delete()
+    .eq('id_receta', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Reemplaza los componentes de una receta
+ * @param {string} id_receta - UUID de la receta
+ * @param {Array} componentes - Componentes [{id_producto, cantidad}]
+ * @returns {Promise<Array>} Componentes creados
+ */
+async function reemplazarComponentes(id_receta, componentes) {
+  const { error: errorDelete } = await supabase
+    .from('detalle_receta')
+    .delete()
+    .eq('id_receta', id_receta);
+
+  if (errorDelete) {
+    throw errorDelete;
+  }
+
+  const { data, error } = await supabase
+    .from('detalle_receta')
+    .insert(componentes.map(c => ({
+      id_receta,
+      id_producto: c.id_producto,
+      cantidad: c.cantidad
+    })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene los componentes de una receta con el costo promedio vigente de cada uno
+ * @param {string} id_receta - UUID de la receta
+ * @returns {Promise<Array>} Componentes de la receta
+ */
+async function obtenerComponentes(id_receta) {
+  const { data, error } = await supabase
+    .from('detalle_receta')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida,
+        costo_promedio,
+        estado,
+        deleted_at
+      )
+    `)
+    .eq('id_receta', id_receta)
+    .order('id_detalle', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  obtenerTodas,
+  obtenerPorId,
+  obtenerActivaPorProducto,
+  crear,
+  actualizar,
+  eliminar,
+  reemplazarComponentes,
+  obtenerComponentes
+};
@@ -0,0 +1,391 @@
+/**
+ * Repository de Tomas de Inventario
+ * Gestiona el acceso a datos de sesiones de conteo físico, su snapshot de stock y los conteos
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Crea una nueva toma de inventario (solo encabezado) en estado ABIERTA
+ * @param {Object} toma - Datos de la toma
+ * @param {string} toma.descripcion - Descripción de la toma
+ * @param {string} toma.id_categoria - UUID de la categoría (null = todo el inventario)
+ * @param {string} toma.id_bodega - UUID de la bodega que se cuenta
+ * @param {string} toma.id_usuario - UUID del usuario que abre la toma
+ * @returns {Promise<Object>} Toma creada
+ */
+async function crear(toma) {
+  const { data, error } = await supabase
+    .from('tomas_inventario')
+    .insert({
+      descripcion: toma.descripcion,
+      id_categoria: toma.id_categoria || null,
+      id_bodega: toma.id_bodega,
+      id_usuario_apertura: toma.id_usuario,
+      estado: 'ABIERTA',
+      fecha_apertura: formatearISO(obtenerFechaGuatemala())
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Actualiza el encabezado de una toma de inventario
+ * @param {string} id - UUID de la toma
+ * @param {Object} datos - Campos a actualizar
+ * @param {Array<string>} estadosPermitidos - Solo actualiza si la toma está en uno de estos estados (opcional)
+ * @returns {Promise<Object>} Toma actualizada
+ */
+async function actualizar(id, datos, estadosPermitidos = null) {
+  let query = supabase
+    .from('tomas_inventario')
+    .update(datos)
+    .eq('id_toma', id);
+
+  if (estadosPermitidos) {
+    query = query.in('estado', estadosPermitidos);
+  }
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Toma de inventario no encontrada o en un estado que no permite el cambio');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una toma y su snapshot
+ * Solo se usa como compensación cuando falla la apertura de la toma
+ * @param {string} id - UUID de la toma
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error: errorDetalle } = await supabase
+    .from('detalle_toma_inventario')
+    .delete()
+    .eq('id_toma', id);
+
+  if (errorDetalle) {
+    throw errorDetalle;
+  }
+
+  const { error } = await supabase
+    .from('tomas_inventario')
+    .delete()
+    .eq('id_toma', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los productos activos a incluir en una toma
+ * @param {string} id_categoria - UUID de la categoría (opcional)
+ * @returns {Promise<Array>} Productos [{id_producto, costo_promedio}]
+ */
+async function obtenerProductosParaConteo(id_categoria = null) {
+  let query = supabase
+    .from('productos')
+    .select('id_producto, costo_promedio')
+    .is('deleted_at', null)
+    .eq('estado', true);
+
+  if (id_categoria) {
+    query = query.eq('id_categoria', id_categoria);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Registra el snapshot de stock del sistema para cada producto de la toma
+ * @param {Array} detalles - Líneas [{id_toma, id_producto, stock_sistema, costo_unitario}]
+ * @returns {Promise<Array>} Detalles creados
+ */
+async function crearDetalles(detalles) {
+  const { data, error } = await supabase
+    .from('detalle_toma_inventario')
+    .insert(detalles)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Actualiza una línea del snapshot (cantidad contada, diferencia o movimiento generado)
+ * @param {number} id_detalle - ID de la línea
+ * @param {Object} datos - Campos a actualizar
+ * @returns {Promise<Object>} Línea actualizada
+ */
+async function actualizarDetalle(id_detalle, datos) {
+  const { data, error } = await supabase
+    .from('detalle_toma_inventario')
+    .update(datos)
+    .eq('id_detalle', id_detalle)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene todas las tomas de inventario con filtros y paginación
+ * @param {Object} filtros - Filtros de búsqueda
+ * @param {string} filtros.estado - Filtrar por estado
+ * @param {string} filtros.id_categoria - Filtrar por categoría
+ * @param {string} filtros.id_bodega - Filtrar por bodega
+ * @param {number} filtros.page - Número de página (default: 1)
+ * @param {number} filtros.limit - Registros por página (default: 10)
+ * @returns {Promise<Object>} Objeto con datos paginados y metadatos
+ */
+async function obtenerTodos(filtros = {}) {
+  const { estado, id_categoria, id_bodega } = filtros;
+  const page = parseInt(filtros.page) || 1;
+  const limit = parseInt(filtros.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  // Query para contar total de registros
+  let countQuery = supabase
+    .from('tomas_inventario')
+    .select('id_toma', { count: 'exact', head: true });
+
+  // Query para obtener datos
+  let query = supabase
+    .from('tomas_inventario')
+    .select(`
+      *,
+      categorias:id_categoria (
+        id_categoria,
+        nombre
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      usuarios:id_usuario_apertura (
+        id_usuario,
+        nombre
+      )
+    `)
+    .order('fecha_apertura', { ascending: false });
+
+  // Aplicar filtros a ambas queries
+  if (estado) {
+    query = query.eq('estado', estado);
+    countQuery = countQuery.eq('estado', estado);
+  }
+
+  if (id_categoria) {
+    query = query.eq('id_categoria', id_categoria);
+    countQuery = countQuery.eq('id_categoria', id_categoria);
+  }
+
+  if (id_bodega) {
+    query = query.eq('id_bodega', id_bodega);
+    countQuery = countQuery.eq('id_bodega', id_bodega);
+  }
+
+  // Aplicar paginación
+  query = query.range(offset, offset + limit - 1);
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    query,
+    countQuery
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  if (countError) {
+    throw countError;
+  }
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    datos: data || [],
+    paginacion: {
+      page,
+      limit,
+      total: count,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Obtiene las tomas que siguen abiertas
+ * @returns {Promise<Array>} Tomas en estado ABIERTA
+ */
+async function obtenerAbiertas() {
+  const { data, error } = await supabase
+    .from('tomas_inventario')
+    .select('id_toma, numero, id_categoria, id_bodega')
+    .eq('estado', 'ABIERTA');
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene una toma de inventario por ID
+ * @param {string} id - UUID de la toma
+ * @returns {Promise<Object>} Toma encontrada
+ */
+async function obtenerPorId(id) {
+  const { data, error } = await supabase
+    .from('tomas_inventario')
+    .select(`
+      *,
+      categorias:id_categoria (
+        id_categoria,
+        nombre
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
+      ),
+      usuarios:id_usuario_apertura (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_toma', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Toma de inventario no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Obtiene el snapshot de una toma con los datos de cada producto
+ * @param {string} id_toma - UUID de la toma
+ * @returns {Promise<Array>} Líneas de la toma
+ */
+async function obtenerDetalles(id_toma) {
+  const { data, error } = await supabase
+    .from('detalle_toma_inventario')
+    .select(`
+      *,
+      productos:id_producto (
+        id_producto,
+        nombre,
+        unidad_medida,
+        categorias:id_categoria (
+          nombre
+        )
+      )
+    `)
+    .eq('id_toma', id_toma)
+    .order('id_detalle', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Registra o reemplaza los conteos de un usuario
+ * Cada usuario tiene un único conteo por producto; volver a enviarlo lo corrige
+ * @param {Array} conteos - [{id_toma, id_producto, id_usuario, cantidad, observaciones}]
+ * @returns {Promise<Array>} Conteos guardados
+ */
+async function registrarConteos(conteos) {
+  const fechaConteo = formatearISO(obtenerFechaGuatemala());
+
+  const { data, error } = await supabase
+    .from('conteos_toma_inventario')
+    .upsert(
+      conteos.map(c => ({ ...c, fecha_conteo: fechaConteo })),
+      { onConflict: 'id_toma,id_producto,id_usuario' }
+    )
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene todos los conteos registrados en una toma
+ * @param {string} id_toma - UUID de la toma
+ * @returns {Promise<Array>} Conteos con el usuario que los registró
+ */
+async function obtenerConteos(id_toma) {
+  const { data, error } = await supabase
+    .from('conteos_toma_inventario')
+    .select(`
+      *,
+      usuarios:id_usuario (
+        id_usuario,
+        nombre
+      )
+    `)
+    .eq('id_toma', id_toma)
+    .order('fecha_conteo', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  crear,
+  actualizar,
+  eliminar,
+  obtenerProductosParaConteo,
+  crearDetalles,
+  actualizarDetalle,
+  obtenerTodos,
+  obtenerAbiertas,
+  obtenerPorId,
+  obtenerDetalles,
+  registrarConteos,
+  obtenerConteos
+};
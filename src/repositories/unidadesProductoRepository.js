@@ -0,0 +1,160 @@
+/**
+ * Repository de Unidades de Producto
+ * Gestiona el acceso a datos de las unidades alternas de cada producto y su factor de conversión
+ */
+
+const { supabase } = require('../config/database');
+const { ErrorNoEncontrado } = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Obtiene las unidades alternas de un producto
+ * @param {string} id_producto - UUID del producto
+ * @returns {Promise<Array>} Unidades del producto
+ */
+async function obtenerPorProducto(id_producto) {
+  const { data, error } = await supabase
+    .from('unidades_producto')
+    .select('*')
+    .eq('id_producto', id_producto)
+    .order('nombre', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Obtiene una unidad alterna por ID
+ * @param {number} id_unidad - ID de la unidad
+ * @returns {Promise<Object>} Unidad encontrada
+ */
+async function obtenerPorId(id_unidad) {
+  const { data, error } = await supabase
+    .from('unidades_producto')
+    .select('*')
+    .eq('id_unidad', id_unidad)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new ErrorNoEncontrado('Unidad de medida no encontrada');
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Verifica si un producto ya tiene una unidad con ese nombre (sin distinguir mayúsculas)
+ * @param {string} id_producto - UUID del producto
+ * @param {string} nombre - Nombre de la unidad
+ * @returns {Promise<boolean>} true si el nombre ya existe
+ */
+async function existeNombre(id_producto, nombre) {
+  const { data, error } = await supabase
+    .from('unidades_producto')
+    .select('id_unidad')
+    .eq('id_producto', id_producto)
+    .ilike('nombre', nombre)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Crea una unidad alterna
+ * @param {Object} unidad - Datos de la unidad
+ * @param {string} unidad.id_producto - UUID del producto
+ * @param {string} unidad.nombre - Nombre de la unidad (ej. 'Pie tablar', 'Metro lineal')
+ * @param {string} unidad.calculo - 'FACTOR' o 'PIES_TABLARES'
+ * @param {number} unidad.factor - Unidades base que equivalen a 1 unidad alterna
+ * @param {boolean} unidad.permite_decimales - Si admite cantidades fraccionarias
+ * @param {number} unidad.grosor_pulgadas - Solo PIES_TABLARES
+ * @param {number} unidad.ancho_pulgadas - Solo PIES_TABLARES
+ * @param {number} unidad.largo_pies - Solo PIES_TABLARES
+ * @returns {Promise<Object>} Unidad creada
+ */
+async function crear(unidad) {
+  const { data, error } = await supabase
+    .from('unidades_producto')
+    .insert({
+      id_producto: unidad.id_producto,
+      nombre: unidad.nombre,
+      calculo: unidad.calculo,
+      factor: unidad.factor,
+      permite_decimales: unidad.permite_decimales || false,
+      grosor_pulgadas: unidad.grosor_pulgadas ?? null,
+      ancho_pulgadas: unidad.ancho_pulgadas ?? null,
+      largo_pies: unidad.largo_pies ?? null,
+      fecha_creacion: formatearISO(obtenerFechaGuatemala())
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente una unidad alterna
+ * @param {number} id_unidad - ID de la unidad
+ * @returns {Promise<void>}
+ */
+async function eliminar(id_unidad) {
+  const { error } = await supabase
+    .from('unidades_producto')
+    .delete()
+    .eq('id_unidad', id_unidad);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Indica si una unidad ya se usó en movimientos de inventario o en ventas
+ * @param {number} id_unidad - ID de la unidad
+ * @returns {Promise<boolean>} true si la unidad tiene historial
+ */
+async function estaEnUso(id_unidad) {
+  const [movimientos, ventas] = await Promise.all([
+    supabase
+      .from('movimientos_inventario')
+      .select('id_movimiento', { count: 'exact', head: true })
+      .eq('id_unidad', id_unidad),
+    supabase
+      .from('detalle_venta')
+      .select('id_detalle', { count: 'exact', head: true })
+      .eq('id_unidad', id_unidad)
+  ]);
+
+  if (movimientos.error) {
+    throw movimientos.error;
+  }
+
+  if (ventas.error) {
+    throw ventas.error;
+  }
+
+  return (movimientos.count || 0) + (ventas.count || 0) > 0;
+}
+
+module.exports = {
+  obtenerPorProducto,
+  obtenerPorId,
+  existeNombre,
+  crear,
+  eliminar,
+  estaEnUso
+};
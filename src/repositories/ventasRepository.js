@@ -13,11 +13,20 @@ const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
  * @param {string} venta.id_cliente - UUID del cliente
  * @param {string} venta.id_usuario - UUID del usuario que registra
  * @param {string} venta.tipo_venta - CONTADO o CREDITO
+ * @param {string} venta.id_bodega - UUID de la bodega que despacha
  * @param {number} venta.subtotal - Subtotal antes del descuento
  * @param {string} venta.descuento_tipo - Tipo de descuento (NINGUNO, PORCENTAJE, MONTO)
  * @param {number} venta.descuento_valor - Valor del descuento
  * @param {number} venta.descuento_monto - Monto del descuento calculado
- * @param {number} venta.total - Total después del descuento
+ * @param {number} venta.total - Total después del descuento (con IVA si los precios no lo incluían)
+ * @param {number} venta.tasa_iva - Tasa de IVA (%) con que se calculó la venta
+ * @param {boolean} venta.precios_incluyen_iva - Los precios de la venta ya incluían el IVA
+ * @param {number} venta.base_imponible - Monto gravado sin IVA
+ * @param {number} venta.monto_exento - Monto de productos exentos
+ * @param {number} venta.monto_iva - IVA de la venta
+ * @param {string} venta.metodo_pago - Método de pago de una venta al contado (MIXTO si se usaron varios)
+ * @param {number} venta.cambio - Cambio entregado en efectivo
+ * @param {number} venta.monto_enganche - Pago inicial de una venta a crédito
  * @returns {Promise<Object>} Venta creada
  */
 async function crear(venta) {
@@ -30,11 +39,21 @@ async function crear(venta) {
       id_cliente: venta.id_cliente,
       id_usuario: venta.id_usuario,
       tipo_venta: venta.tipo_venta,
+      id_bodega: venta.id_bodega || null,
       subtotal: venta.subtotal,
       descuento_tipo: venta.descuento_tipo || 'NINGUNO',
       descuento_valor: venta.descuento_valor || 0,
       descuento_monto: venta.descuento_monto || 0,
       total: venta.total,
+      tasa_iva: venta.tasa_iva ?? null,
+      precios_incluyen_iva: venta.precios_incluyen_iva ?? null,
+      base_imponible: venta.base_imponible ?? null,
+      monto_exento: venta.monto_exento ?? null,
+      monto_iva: venta.monto_iva ?? null,
+      monto_anticipo: venta.monto_anticipo || 0,
+      metodo_pago: venta.metodo_pago || null,
+      cambio: venta.cambio || 0,
+      monto_enganche: venta.monto_enganche || 0,
       estado: 'ACTIVA',
       fecha_venta: fechaVenta
     })
@@ -205,6 +224,10 @@ async function obtenerPorId(id) {
       usuarios:id_usuario (
         id_usuario,
         nombre
+      ),
+      bodegas:id_bodega (
+        id_bodega,
+        nombre
       )
     `)
     .eq('id_venta', id)
@@ -244,6 +267,45 @@ async function anular(id) {
   return data;
 }
 
+/**
+ * Reactiva una venta anulada (cambia estado a ACTIVA)
+ * Solo se usa como compensación cuando falla una anulación a medias
+ * @param {string} id - UUID de la venta
+ * @returns {Promise<Object>} Venta reactivada
+ */
+async function reactivar(id) {
+  const { data, error } = await supabase
+    .from('ventas')
+    .update({ estado: 'ACTIVA' })
+    .eq('id_venta', id)
+    .eq('estado', 'ANULADA')
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Elimina físicamente el encabezado de una venta
+ * Solo se usa como compensación cuando falla la creación de la venta
+ * @param {string} id - UUID de la venta
+ * @returns {Promise<void>}
+ */
+async function eliminar(id) {
+  const { error } = await supabase
+    .from('ventas')
+    .delete()
+    .eq('id_venta', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
 /**
  * Obtiene el total de ventas por cliente
  * @param {string} id_cliente - UUID del cliente
@@ -312,7 +374,17 @@ async function obtenerDashboardDia() {
 
   const { data, error } = await supabase
     .from('ventas')
-    .select('total, tipo_venta, estado')
+    .select(`
+      total,
+      tipo_venta,
+      estado,
+      monto_anticipo,
+      pagos_venta (
+        metodo_pago,
+        monto,
+        cambio
+      )
+    `)
     .gte('fecha_venta', hoy.toISOString())
     .lt('fecha_venta', manana.toISOString());
 
@@ -323,6 +395,30 @@ async function obtenerDashboardDia() {
   const ventas = data || [];
   const ventasActivas = ventas.filter(v => v.estado === 'ACTIVA');
 
+  // Lo cobrado en las ventas al contado, por método de pago; el anticipo es saldo a favor usado
+  const porMetodoPago = {
+    EFECTIVO: { cantidad: 0, monto: 0 },
+    TARJETA: { cantidad: 0, monto: 0 },
+    TRANSFERENCIA: { cantidad: 0, monto: 0 }
+  };
+  let cambioEntregado = 0;
+  let montoAnticipo = 0;
+  ventasActivas
+    .filter(v => v.tipo_venta === 'CONTADO')
+    .forEach(v => {
+      montoAnticipo += parseFloat(v.monto_anticipo || 0);
+      (v.pagos_venta || []).forEach(p => {
+        if (!porMetodoPago[p.metodo_pago]) {
+          porMetodoPago[p.metodo_pago] = { cantidad: 0, monto: 0 };
+        }
+        porMetodoPago[p.metodo_pago].cantidad += 1;
+        porMetodoPago[p.metodo_pago].monto = parseFloat(
+          (porMetodoPago[p.metodo_pago].monto + parseFloat(p.monto)).toFixed(2)
+        );
+        cambioEntregado += parseFloat(p.cambio || 0);
+      });
+    });
+
   return {
     fecha: hoy.toISOString().split('T')[0],
     total_ventas: ventas.length,
@@ -336,7 +432,10 @@ async function obtenerDashboardDia() {
       .reduce((sum, v) => sum + parseFloat(v.total), 0),
     monto_credito: ventasActivas
       .filter(v => v.tipo_venta === 'CREDITO')
-      .reduce((sum, v) => sum + parseFloat(v.total), 0)
+      .reduce((sum, v) => sum + parseFloat(v.total), 0),
+    por_metodo_pago: porMetodoPago,
+    monto_anticipo_contado: parseFloat(montoAnticipo.toFixed(2)),
+    cambio_entregado: parseFloat(cambioEntregado.toFixed(2))
   };
 }
 
@@ -370,6 +469,12 @@ async function obtenerReportePorPeriodo(fecha_desde, fecha_hasta) {
   const ventas = data || [];
   const ventasActivas = ventas.filter(v => v.estado === 'ACTIVA');
 
+  // Las ventas registradas antes del desglose de IVA no tienen base imponible
+  const ventasConIva = ventasActivas.filter(v => v.monto_iva !== null && v.monto_iva !== undefined);
+  const sumar = (campo) => parseFloat(
+    ventasConIva.reduce((sum, v) => sum + parseFloat(v[campo] || 0), 0).toFixed(2)
+  );
+
   return {
     ventas,
     periodo: {
@@ -388,7 +493,13 @@ async function obtenerReportePorPeriodo(fecha_desde, fecha_hasta) {
         .reduce((sum, v) => sum + parseFloat(v.total), 0),
       monto_credito: ventasActivas
         .filter(v => v.tipo_venta === 'CREDITO')
-        .reduce((sum, v) => sum + parseFloat(v.total), 0)
+        .reduce((sum, v) => sum + parseFloat(v.total), 0),
+      impuestos: {
+        base_imponible: sumar('base_imponible'),
+        monto_exento: sumar('monto_exento'),
+        monto_iva: sumar('monto_iva'),
+        ventas_sin_desglose: ventasActivas.length - ventasConIva.length
+      }
     }
   };
 }
@@ -495,6 +606,8 @@ module.exports = {
   obtenerTodos,
   obtenerPorId,
   anular,
+  reactivar,
+  eliminar,
   obtenerTotalesPorCliente,
   obtenerTotalesPorUsuario,
   obtenerDashboardDia,
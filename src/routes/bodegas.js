@@ -0,0 +1,252 @@
+/**
+ * Rutas de Bodegas
+ * Define endpoints para bodegas, stock por bodega y transferencias entre bodegas
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarCreacion
+} = require('../middlewares');
+const bodegasController = require('../controllers/bodegasController');
+
+// ===== VALIDACIONES =====
+
+// Validaciones comunes de campos de bodega
+const camposBodega = (esCreacion) => [
+  esCreacion
+    ? body('nombre')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('El nombre debe tener entre 1 y 100 caracteres')
+    : body('nombre')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+
+  body('descripcion')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres')
+];
+
+// Validación para crear bodega
+const validacionCrear = [
+  ...camposBodega(true),
+
+  validarRequest
+];
+
+// Validación para actualizar bodega
+const validacionActualizar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la bodega debe ser un UUID válido'),
+
+  ...camposBodega(false),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para consultar el stock de una bodega
+const validacionStock = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la bodega debe ser un UUID válido'),
+
+  query('conExistencia')
+    .optional()
+    .isBoolean()
+    .withMessage('conExistencia debe ser un valor booleano'),
+
+  validarRequest
+];
+
+// Validación para definir el stock mínimo por bodega
+const validacionStockMinimo = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la bodega debe ser un UUID válido'),
+
+  param('id_producto')
+    .isUUID()
+    .withMessage('El ID del producto debe ser un UUID válido'),
+
+  body('stock_minimo')
+    .custom(valor => valor === null || (Number.isInteger(Number(valor)) && Number(valor) >= 0))
+    .withMessage('El stock_minimo debe ser un número entero no negativo o null'),
+
+  validarRequest
+];
+
+// Validación para transferir entre bodegas
+const validacionTransferir = [
+  body('id_producto')
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  body('id_bodega_origen')
+    .isUUID()
+    .withMessage('El id_bodega_origen debe ser un UUID válido'),
+
+  body('id_bodega_destino')
+    .isUUID()
+    .withMessage('El id_bodega_destino debe ser un UUID válido'),
+
+  body('cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número mayor a 0')
+    .toFloat(),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para filtros de transferencias
+const validacionFiltrosTransferencias = [
+  query('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  query('id_producto')
+    .optional()
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// Validación para listado de bodegas
+const validacionFiltros = [
+  query('soloActivas')
+    .optional()
+    .isBoolean()
+    .withMessage('soloActivas debe ser un valor booleano'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// POST /api/bodegas/transferencias - Transferir existencias entre bodegas (solo admin)
+router.post(
+  '/transferencias',
+  soloAdministrador,
+  validacionTransferir,
+  auditarCreacion(ACCIONES_AUDITABLES.TRANSFERIR_BODEGA, 'transferencias_bodega'),
+  bodegasController.transferir
+);
+
+// GET /api/bodegas/transferencias - Listar transferencias con filtros
+router.get(
+  '/transferencias',
+  administradorOVendedor,
+  validacionFiltrosTransferencias,
+  bodegasController.obtenerTransferencias
+);
+
+// GET /api/bodegas - Listar bodegas
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  bodegasController.obtenerBodegas
+);
+
+// GET /api/bodegas/:id - Obtener bodega por ID
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  bodegasController.obtenerBodegaPorId
+);
+
+// GET /api/bodegas/:id/stock - Inventario de una bodega
+router.get(
+  '/:id/stock',
+  administradorOVendedor,
+  validacionStock,
+  bodegasController.obtenerStockBodega
+);
+
+// POST /api/bodegas - Crear bodega (solo admin)
+router.post(
+  '/',
+  soloAdministrador,
+  validacionCrear,
+  bodegasController.crear
+);
+
+// PUT /api/bodegas/:id - Actualizar bodega (solo admin)
+router.put(
+  '/:id',
+  soloAdministrador,
+  validacionActualizar,
+  bodegasController.actualizar
+);
+
+// PATCH /api/bodegas/:id/activar - Activar bodega (solo admin)
+router.patch(
+  '/:id/activar',
+  soloAdministrador,
+  validacionId,
+  bodegasController.activar
+);
+
+// PATCH /api/bodegas/:id/desactivar - Desactivar bodega sin existencias (solo admin)
+router.patch(
+  '/:id/desactivar',
+  soloAdministrador,
+  validacionId,
+  bodegasController.desactivar
+);
+
+// PUT /api/bodegas/:id/stock/:id_producto/minimo - Stock mínimo del producto en la bodega (solo admin)
+router.put(
+  '/:id/stock/:id_producto/minimo',
+  soloAdministrador,
+  validacionStockMinimo,
+  bodegasController.actualizarStockMinimo
+);
+
+module.exports = router;
@@ -0,0 +1,224 @@
+/**
+ * Rutas de Caja
+ * Define endpoints para apertura y cierre de caja, movimientos de efectivo y reportes Z
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarCreacion,
+  auditarActualizacion
+} = require('../middlewares');
+const cajaController = require('../controllers/cajaController');
+const cajaRepository = require('../repositories/cajaRepository');
+const cajaService = require('../services/cajaService');
+
+// ===== VALIDACIONES =====
+
+// Validación para abrir caja
+const validacionAbrir = [
+  body('monto_apertura')
+    .isFloat({ min: 0 })
+    .withMessage('El monto_apertura debe ser un número mayor o igual a 0')
+    .toFloat(),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para ingresos y egresos manuales
+const validacionMovimiento = [
+  body('tipo')
+    .isIn([cajaService.TIPOS_MOVIMIENTO_CAJA.INGRESO, cajaService.TIPOS_MOVIMIENTO_CAJA.EGRESO])
+    .withMessage('El tipo debe ser INGRESO o EGRESO'),
+
+  body('monto')
+    .isFloat({ gt: 0 })
+    .withMessage('El monto debe ser un número mayor a 0')
+    .toFloat(),
+
+  body('concepto')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El concepto debe tener entre 1 y 200 caracteres'),
+
+  validarRequest
+];
+
+// Validación para cerrar caja
+const validacionCerrar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la sesión debe ser un UUID válido'),
+
+  body('monto_contado')
+    .isFloat({ min: 0 })
+    .withMessage('El monto_contado debe ser un número mayor o igual a 0')
+    .toFloat(),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la sesión debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de sesiones
+const validacionFiltros = [
+  query('estado')
+    .optional()
+    .isIn(Object.values(cajaService.ESTADOS_SESION))
+    .withMessage(`El estado debe ser: ${Object.values(cajaService.ESTADOS_SESION).join(', ')}`),
+
+  query('id_usuario')
+    .optional()
+    .isUUID()
+    .withMessage('El id_usuario debe ser un UUID válido'),
+
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// Validación para el reporte Z diario
+const validacionZDiario = [
+  query('fecha')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// Validación para la política de caja
+const validacionPolitica = [
+  body('exigir_caja_abierta')
+    .optional()
+    .isBoolean()
+    .withMessage('exigir_caja_abierta debe ser true o false')
+    .toBoolean(),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// GET /api/caja/politica - Política de caja vigente
+router.get(
+  '/politica',
+  administradorOVendedor,
+  cajaController.obtenerPolitica
+);
+
+// PUT /api/caja/politica - Configurar política de caja (solo admin)
+router.put(
+  '/politica',
+  soloAdministrador,
+  validacionPolitica,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ACTUALIZAR_POLITICA_CAJA,
+    'politica_caja',
+    () => cajaService.obtenerPolitica()
+  ),
+  cajaController.actualizarPolitica
+);
+
+// POST /api/caja/abrir - Abrir caja con fondo inicial
+router.post(
+  '/abrir',
+  administradorOVendedor,
+  validacionAbrir,
+  auditarCreacion(ACCIONES_AUDITABLES.ABRIR_CAJA, 'sesiones_caja'),
+  cajaController.abrirSesion
+);
+
+// GET /api/caja/actual - Caja abierta del usuario con su resumen
+router.get(
+  '/actual',
+  administradorOVendedor,
+  cajaController.obtenerSesionActual
+);
+
+// POST /api/caja/movimientos - Ingreso o egreso manual de efectivo
+router.post(
+  '/movimientos',
+  administradorOVendedor,
+  validacionMovimiento,
+  auditarCreacion(ACCIONES_AUDITABLES.MOVIMIENTO_CAJA, 'movimientos_caja'),
+  cajaController.registrarMovimiento
+);
+
+// GET /api/caja/sesiones - Listar sesiones de caja
+router.get(
+  '/sesiones',
+  administradorOVendedor,
+  validacionFiltros,
+  cajaController.obtenerSesiones
+);
+
+// GET /api/caja/reportes/z-diario - Reporte Z del día (solo admin)
+router.get(
+  '/reportes/z-diario',
+  soloAdministrador,
+  validacionZDiario,
+  cajaController.obtenerReporteZDiario
+);
+
+// POST /api/caja/:id/cerrar - Cerrar caja con el efectivo contado
+router.post(
+  '/:id/cerrar',
+  administradorOVendedor,
+  validacionCerrar,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.CERRAR_CAJA,
+    'sesiones_caja',
+    (req) => cajaRepository.obtenerSesionPorId(req.params.id)
+  ),
+  cajaController.cerrarSesion
+);
+
+// GET /api/caja/:id/reporte-z - Reporte Z de una sesión
+router.get(
+  '/:id/reporte-z',
+  administradorOVendedor,
+  validacionId,
+  cajaController.obtenerReporteZ
+);
+
+module.exports = router;
@@ -8,8 +8,18 @@ const router = express.Router();
 const { body, param, query } = require('express-validator');
 const clientesController = require('../controllers/clientesController');
 const { validarRequest } = require('../middlewares/validarRequest');
-const { verificarToken, soloAdministrador, administradorOVendedor } = require('../middlewares');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarCreacion,
+  auditarActualizacion
+} = require('../middlewares');
 const { esUUID } = require('../utils/validaciones');
+const politicaCreditoService = require('../services/politicaCreditoService');
+const politicaCreditoRepository = require('../repositories/politicaCreditoRepository');
+const pagosRepository = require('../repositories/pagosRepository');
 
 /**
  * Validaciones para crear cliente
@@ -117,9 +127,205 @@ const validacionId = [
   validarRequest
 ];
 
+/**
+ * Validaciones para pago global del cliente
+ */
+const validacionPago = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del cliente debe ser un UUID válido'),
+  
+  body('monto')
+    .isFloat({ gt: 0 }).withMessage('El monto debe ser un número mayor a 0')
+    .toFloat(),
+  
+  body('metodo_pago')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 }).withMessage('El método de pago no puede exceder 50 caracteres'),
+  
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Las observaciones no pueden exceder 500 caracteres'),
+  
+  body('asignaciones')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Las asignaciones deben ser una lista con al menos un crédito'),
+  
+  body('asignaciones.*.id_credito')
+    .custom(esUUID).withMessage('Cada id_credito debe ser un UUID válido'),
+  
+  body('asignaciones.*.monto')
+    .isFloat({ gt: 0 }).withMessage('El monto de cada asignación debe ser mayor a 0')
+    .toFloat(),
+  
+  validarRequest
+];
+
+/**
+ * Validaciones para anular un pago global
+ */
+const validacionAnularPago = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del cliente debe ser un UUID válido'),
+
+  param('id_pago_cliente')
+    .custom(esUUID).withMessage('El ID del pago debe ser un UUID válido'),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para la política de crédito
+ */
+const validacionPoliticaCredito = [
+  body('bloquear_en_mora')
+    .optional()
+    .isBoolean().withMessage('bloquear_en_mora debe ser true o false')
+    .toBoolean(),
+
+  body('dias_atraso_maximo')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 }).withMessage('dias_atraso_maximo debe ser un número entre 0 y 365 (o null para no tener tope)')
+    .toInt(),
+
+  body('revision_activa')
+    .optional()
+    .isBoolean().withMessage('revision_activa debe ser true o false')
+    .toBoolean(),
+
+  body('revision_dias_historial')
+    .optional()
+    .isInt({ min: 30, max: 730 }).withMessage('revision_dias_historial debe ser un número entre 30 y 730')
+    .toInt(),
+
+  body('revision_minimo_vencimientos')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('revision_minimo_vencimientos debe ser un número entre 1 y 100')
+    .toInt(),
+
+  body('revision_tolerancia_dias')
+    .optional()
+    .isInt({ min: 0, max: 60 }).withMessage('revision_tolerancia_dias debe ser un número entre 0 y 60')
+    .toInt(),
+
+  body('revision_porcentaje_ajuste')
+    .optional()
+    .isFloat({ gt: 0, max: 100 }).withMessage('revision_porcentaje_ajuste debe ser un porcentaje mayor a 0 y hasta 100')
+    .toFloat(),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para autorizar crédito a un cliente bloqueado
+ */
+const validacionAutorizacion = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del cliente debe ser un UUID válido'),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+
+  body('dias_vigencia')
+    .optional()
+    .isInt({ min: 1, max: 30 }).withMessage('dias_vigencia debe ser un número entre 1 y 30')
+    .toInt(),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para emitir una nota de crédito
+ */
+const validacionNotaCredito = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del cliente debe ser un UUID válido'),
+
+  body('id_venta')
+    .optional({ nullable: true })
+    .custom(esUUID).withMessage('El ID de la venta debe ser un UUID válido'),
+
+  body('monto')
+    .isFloat({ min: 0.01 }).withMessage('El monto debe ser un número mayor a 0')
+    .toFloat(),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para listar propuestas de límite
+ */
+const validacionPropuestas = [
+  query('estado')
+    .optional()
+    .isIn(Object.values(politicaCreditoService.ESTADOS_PROPUESTA))
+    .withMessage(`El estado debe ser: ${Object.values(politicaCreditoService.ESTADOS_PROPUESTA).join(', ')}`),
+
+  query('id_cliente')
+    .optional()
+    .custom(esUUID).withMessage('El id_cliente debe ser un UUID válido'),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para aprobar o rechazar una propuesta de límite
+ */
+const validacionResolverPropuesta = [
+  param('id')
+    .custom(esUUID).withMessage('El ID de la propuesta debe ser un UUID válido'),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
 /**
  * Validaciones para parámetro de tipo
  */
+/**
+ * Validaciones para el estado de cuenta
+ */
+const validacionEstadoCuenta = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del cliente debe ser un UUID válido'),
+
+  query('desde')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('desde debe tener formato YYYY-MM-DD')
+    .isISO8601({ strict: true }).withMessage('desde no es una fecha válida'),
+
+  query('hasta')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('hasta debe tener formato YYYY-MM-DD')
+    .isISO8601({ strict: true }).withMessage('hasta no es una fecha válida'),
+
+  query('formato')
+    .optional()
+    .isIn(['json', 'pdf']).withMessage('formato debe ser json o pdf'),
+
+  validarRequest
+];
+
 const validacionTipo = [
   param('tipo')
     .isIn(['CONTADO', 'CREDITO', 'contado', 'credito'])
@@ -193,9 +399,90 @@ router.get(
   clientesController.obtenerPorTipo
 );
 
+/**
+ * GET /api/clientes/politica-credito
+ * Obtener la política de crédito vigente (bloqueo por mora y revisión de límites)
+ * IMPORTANTE: Las rutas de política y propuestas deben ir ANTES de /:id
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/politica-credito',
+  verificarToken,
+  administradorOVendedor,
+  clientesController.obtenerPoliticaCredito
+);
+
+/**
+ * PUT /api/clientes/politica-credito
+ * Configurar la política de crédito
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.put(
+  '/politica-credito',
+  verificarToken,
+  soloAdministrador,
+  validacionPoliticaCredito,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ACTUALIZAR_POLITICA_CREDITO,
+    'politica_credito',
+    () => politicaCreditoService.obtenerPolitica()
+  ),
+  clientesController.actualizarPoliticaCredito
+);
+
+/**
+ * GET /api/clientes/propuestas-limite
+ * Listar las propuestas de cambio de límite generadas por la revisión mensual
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.get(
+  '/propuestas-limite',
+  verificarToken,
+  soloAdministrador,
+  validacionPropuestas,
+  clientesController.obtenerPropuestasLimite
+);
+
+/**
+ * POST /api/clientes/propuestas-limite/:id/aprobar
+ * Aprobar una propuesta: el límite del cliente pasa al valor propuesto
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.post(
+  '/propuestas-limite/:id/aprobar',
+  verificarToken,
+  soloAdministrador,
+  validacionResolverPropuesta,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.RESOLVER_PROPUESTA_LIMITE,
+    'propuestas_limite_credito',
+    req => politicaCreditoRepository.obtenerPropuestaPorId(req.params.id)
+  ),
+  clientesController.aprobarPropuestaLimite
+);
+
+/**
+ * POST /api/clientes/propuestas-limite/:id/rechazar
+ * Rechazar una propuesta; el límite no cambia
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.post(
+  '/propuestas-limite/:id/rechazar',
+  verificarToken,
+  soloAdministrador,
+  validacionResolverPropuesta,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.RESOLVER_PROPUESTA_LIMITE,
+    'propuestas_limite_credito',
+    req => politicaCreditoRepository.obtenerPropuestaPorId(req.params.id)
+  ),
+  clientesController.rechazarPropuestaLimite
+);
+
 /**
  * GET /api/clientes/:id
  * Obtener cliente por ID
+ * Incluye politica_credito (bloqueo, autorizaciones y propuesta de límite) si es CREDITO
  * Acceso: ADMINISTRADOR, VENDEDOR
  */
 router.get(
@@ -247,6 +534,140 @@ router.get(
   clientesController.obtenerReporteDeuda
 );
 
+/**
+ * GET /api/clientes/:id/pagos
+ * Obtener los pagos globales del cliente y cómo se repartieron entre sus créditos
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/pagos',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  clientesController.obtenerPagos
+);
+
+/**
+ * GET /api/clientes/:id/anticipos
+ * Obtener el saldo a favor (anticipo) del cliente y sus movimientos
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/anticipos',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  clientesController.obtenerAnticipos
+);
+
+/**
+ * GET /api/clientes/:id/estado-cuenta
+ * Estado de cuenta del cliente: saldo inicial, movimientos con saldo corrido y saldo final
+ * Query params: desde, hasta (YYYY-MM-DD, por defecto el mes en curso), formato (json | pdf)
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/estado-cuenta',
+  verificarToken,
+  administradorOVendedor,
+  validacionEstadoCuenta,
+  clientesController.obtenerEstadoCuenta
+);
+
+/**
+ * GET /api/clientes/:id/autorizaciones-credito
+ * Historial de autorizaciones de crédito del cliente
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/autorizaciones-credito',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  clientesController.obtenerAutorizacionesCredito
+);
+
+/**
+ * POST /api/clientes/:id/autorizaciones-credito
+ * Autorizar una venta al crédito a un cliente bloqueado por la política de crédito
+ * Sirve para una sola venta y vence a los dias_vigencia indicados (default 1)
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.post(
+  '/:id/autorizaciones-credito',
+  verificarToken,
+  soloAdministrador,
+  validacionAutorizacion,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.AUTORIZAR_CREDITO,
+    'clientes',
+    req => politicaCreditoService.evaluarCliente(req.params.id)
+  ),
+  clientesController.autorizarCredito
+);
+
+/**
+ * GET /api/clientes/:id/notas-credito
+ * Notas de crédito emitidas al cliente, con totales aplicados a créditos y a saldo a favor
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/notas-credito',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  clientesController.obtenerNotasCredito
+);
+
+/**
+ * POST /api/clientes/:id/notas-credito
+ * Emitir una nota de crédito (corrección de precio posterior a la venta, sin mover inventario)
+ * Reduce el saldo del crédito de la venta; lo que no cabe queda como saldo a favor del cliente
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.post(
+  '/:id/notas-credito',
+  verificarToken,
+  soloAdministrador,
+  validacionNotaCredito,
+  auditarCreacion(ACCIONES_AUDITABLES.CREAR_NOTA_CREDITO, 'notas_credito'),
+  clientesController.crearNotaCredito
+);
+
+/**
+ * POST /api/clientes/:id/pagos
+ * Registrar un pago global del cliente
+ * Sin asignaciones se paga primero el crédito con el vencimiento más antiguo;
+ * el sobrante queda como anticipo para ventas futuras
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.post(
+  '/:id/pagos',
+  verificarToken,
+  administradorOVendedor,
+  validacionPago,
+  clientesController.registrarPago
+);
+
+/**
+ * POST /api/clientes/:id/pagos/:id_pago_cliente/anular
+ * Anular un pago global registrado por error: anula sus pagos a créditos, retira el anticipo
+ * que dejó y saca su efectivo de la caja (si sigue abierta)
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.post(
+  '/:id/pagos/:id_pago_cliente/anular',
+  verificarToken,
+  soloAdministrador,
+  validacionAnularPago,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ANULAR_PAGO_CLIENTE,
+    'pagos_cliente',
+    req => pagosRepository.obtenerPagoClientePorId(req.params.id_pago_cliente)
+  ),
+  clientesController.anularPago
+);
+
 // ============================================
 // RUTAS DE ADMINISTRACIÓN (Solo ADMINISTRADOR)
 // ============================================
@@ -0,0 +1,188 @@
+/**
+ * Rutas de Cotizaciones
+ * Define endpoints para cotizaciones y su conversión a ventas
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const { verificarToken, administradorOVendedor } = require('../middlewares');
+const cotizacionesController = require('../controllers/cotizacionesController');
+const { ESTADOS_COTIZACION } = require('../services/cotizacionesService');
+const { TIPOS_VENTA, METODOS_PAGO } = require('../services/ventasService');
+
+// ===== VALIDACIONES =====
+
+// Validación para crear cotización
+const validacionCrear = [
+  body('id_cliente')
+    .isUUID()
+    .withMessage('El id_cliente debe ser un UUID válido'),
+
+  body('productos')
+    .isArray({ min: 1 })
+    .withMessage('Debe incluir al menos un producto'),
+
+  body('productos.*.id_producto')
+    .isUUID()
+    .withMessage('Cada id_producto debe ser un UUID válido'),
+
+  body('productos.*.cantidad')
+    .isInt({ min: 1 })
+    .withMessage('La cantidad debe ser un número entero mayor a 0'),
+
+  body('productos.*.precio_unitario')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio_unitario debe ser un número mayor o igual a 0'),
+
+  body('dias_vigencia')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Los días de vigencia deben ser un número entre 1 y 90'),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para convertir cotización
+const validacionConvertir = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la cotización debe ser un UUID válido'),
+
+  body('tipo_venta')
+    .isIn([TIPOS_VENTA.CONTADO, TIPOS_VENTA.CREDITO])
+    .withMessage(`El tipo_venta debe ser ${TIPOS_VENTA.CONTADO} o ${TIPOS_VENTA.CREDITO}`),
+
+  body('dias_credito')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Los días de crédito deben ser un número entre 1 y 365'),
+
+  body('actualizar_precios')
+    .optional()
+    .isBoolean()
+    .withMessage('actualizar_precios debe ser un valor booleano'),
+
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  body('metodo_pago')
+    .optional()
+    .isIn(Object.values(METODOS_PAGO))
+    .withMessage(`El metodo_pago debe ser: ${Object.values(METODOS_PAGO).join(', ')}`),
+
+  body('pagos')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('pagos debe ser una lista de 1 a 5 formas de pago'),
+
+  body('monto_enganche')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_enganche debe ser un número mayor o igual a 0')
+    .toFloat(),
+
+  body('metodo_pago_enganche')
+    .optional()
+    .isIn(Object.values(METODOS_PAGO))
+    .withMessage(`El metodo_pago_enganche debe ser: ${Object.values(METODOS_PAGO).join(', ')}`),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de listado
+const validacionFiltros = [
+  query('id_cliente')
+    .optional()
+    .isUUID()
+    .withMessage('El id_cliente debe ser un UUID válido'),
+
+  query('id_usuario')
+    .optional()
+    .isUUID()
+    .withMessage('El id_usuario debe ser un UUID válido'),
+
+  query('estado')
+    .optional()
+    .isIn(Object.values(ESTADOS_COTIZACION))
+    .withMessage(`El estado debe ser ${Object.values(ESTADOS_COTIZACION).join(', ')}`),
+
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// POST /api/cotizaciones - Crear cotización
+router.post(
+  '/',
+  administradorOVendedor,
+  validacionCrear,
+  cotizacionesController.crearCotizacion
+);
+
+// GET /api/cotizaciones - Listar cotizaciones con filtros
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  cotizacionesController.obtenerCotizaciones
+);
+
+// GET /api/cotizaciones/:id - Obtener cotización por ID
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  cotizacionesController.obtenerCotizacionPorId
+);
+
+// POST /api/cotizaciones/:id/expirar - Expirar cotización
+router.post(
+  '/:id/expirar',
+  administradorOVendedor,
+  validacionId,
+  cotizacionesController.expirarCotizacion
+);
+
+// POST /api/cotizaciones/:id/convertir - Convertir cotización en venta
+router.post(
+  '/:id/convertir',
+  administradorOVendedor,
+  validacionConvertir,
+  cotizacionesController.convertirCotizacion
+);
+
+module.exports = router;
@@ -7,9 +7,20 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { validarRequest } = require('../middlewares/validarRequest');
-const { verificarToken, soloAdministrador, administradorOVendedor } = require('../middlewares');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarCreacion,
+  auditarActualizacion
+} = require('../middlewares');
 const creditosController = require('../controllers/creditosController');
-const { ESTADOS_CREDITO } = require('../services/creditosService');
+const creditosRepository = require('../repositories/creditosRepository');
+const { ESTADOS_CREDITO, FRECUENCIAS_CUOTA } = require('../services/creditosService');
+const moraService = require('../services/moraService');
+const cobranzaService = require('../services/cobranzaService');
+const pagosRepository = require('../repositories/pagosRepository');
 
 // ===== VALIDACIONES =====
 
@@ -27,10 +38,28 @@ const validacionCrearCredito = [
     .isISO8601()
     .withMessage('La fecha_inicio debe tener formato ISO8601 (YYYY-MM-DD)'),
   
+  // Con plan de cuotas el vencimiento se calcula con la última cuota
   body('fecha_vencimiento')
+    .if(body('plan_cuotas').not().exists())
     .isISO8601()
     .withMessage('La fecha_vencimiento debe tener formato ISO8601 (YYYY-MM-DD)'),
   
+  body('plan_cuotas.numero_cuotas')
+    .if(body('plan_cuotas').exists())
+    .isInt({ min: 2, max: 24 })
+    .withMessage('El número de cuotas debe ser un entero entre 2 y 24')
+    .toInt(),
+  
+  body('plan_cuotas.frecuencia')
+    .optional()
+    .isIn(Object.values(FRECUENCIAS_CUOTA))
+    .withMessage(`La frecuencia debe ser: ${Object.values(FRECUENCIAS_CUOTA).join(', ')}`),
+  
+  body('plan_cuotas.fecha_primera_cuota')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_primera_cuota debe tener formato ISO8601 (YYYY-MM-DD)'),
+  
   validarRequest
 ];
 
@@ -61,6 +90,25 @@ const validacionRegistrarPago = [
   validarRequest
 ];
 
+// Validación para anular pago
+const validacionAnularPago = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID del crédito debe ser un UUID válido'),
+  
+  param('id_pago')
+    .isUUID()
+    .withMessage('El ID del pago debe ser un UUID válido'),
+  
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+  
+  validarRequest
+];
+
 // Validación para obtener por ID
 const validacionId = [
   param('id')
@@ -88,8 +136,8 @@ const validacionFiltros = [
   
   query('estado')
     .optional()
-    .isIn([ESTADOS_CREDITO.ACTIVO, ESTADOS_CREDITO.PAGADO, ESTADOS_CREDITO.VENCIDO, ESTADOS_CREDITO.ANULADO])
-    .withMessage(`El estado debe ser ${ESTADOS_CREDITO.ACTIVO}, ${ESTADOS_CREDITO.PAGADO}, ${ESTADOS_CREDITO.VENCIDO} o ${ESTADOS_CREDITO.ANULADO}`),
+    .isIn(Object.values(ESTADOS_CREDITO))
+    .withMessage(`El estado debe ser: ${Object.values(ESTADOS_CREDITO).join(', ')}`),
   
   query('fecha_desde')
     .optional()
@@ -114,6 +162,215 @@ const validacionFiltros = [
   validarRequest
 ];
 
+// Validación para política de mora
+const validacionPoliticaMora = [
+  body('activa')
+    .optional()
+    .isBoolean()
+    .withMessage('activa debe ser true o false')
+    .toBoolean(),
+  
+  body('tipo_tasa')
+    .optional()
+    .isIn(Object.values(moraService.TIPOS_TASA))
+    .withMessage(`El tipo_tasa debe ser: ${Object.values(moraService.TIPOS_TASA).join(', ')}`),
+  
+  body('tasa')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La tasa debe ser un porcentaje entre 0 y 100')
+    .toFloat(),
+  
+  body('dias_gracia')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Los días de gracia deben ser un número entre 0 y 365')
+    .toInt(),
+  
+  body('cargo_fijo')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El cargo_fijo debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('tope_porcentaje')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('El tope_porcentaje debe ser un número mayor a 0 (o null para no tener tope)')
+    .toFloat(),
+  
+  validarRequest
+];
+
+// Validación para condonar mora
+const validacionCondonarMora = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID del crédito debe ser un UUID válido'),
+  
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+  
+  body('ids_cargo')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('ids_cargo debe ser un arreglo con al menos un cargo'),
+  
+  body('ids_cargo.*')
+    .isInt({ min: 1 })
+    .withMessage('Cada id de cargo debe ser un entero')
+    .toInt(),
+  
+  validarRequest
+];
+
+// Validación para reporte de antigüedad de saldos
+const validacionAntiguedad = [
+  query('fecha_corte')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_corte debe tener formato ISO8601 (YYYY-MM-DD)'),
+  
+  query('tramos')
+    .optional()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('Los tramos deben ser días separados por coma (ej. 30,60,90)'),
+  
+  query('id_cliente')
+    .optional()
+    .isUUID()
+    .withMessage('El id_cliente debe ser un UUID válido'),
+  
+  query('formato')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('El formato debe ser json o csv'),
+  
+  query('nivel')
+    .optional()
+    .isIn(['cliente', 'credito'])
+    .withMessage('El nivel debe ser cliente o credito'),
+  
+  validarRequest
+];
+
+// Validación para castigar un crédito
+const validacionCastigo = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID del crédito debe ser un UUID válido'),
+  
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo es requerido (entre 5 y 500 caracteres)'),
+  
+  body('id_aprobador')
+    .isUUID()
+    .withMessage('El id_aprobador (administrador que aprueba el castigo) debe ser un UUID válido'),
+  
+  validarRequest
+];
+
+// Validación para reporte de castigos
+const validacionReporteCastigos = [
+  query('desde')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('La fecha desde debe tener formato YYYY-MM-DD'),
+  
+  query('hasta')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('La fecha hasta debe tener formato YYYY-MM-DD'),
+  
+  validarRequest
+];
+
+// Validación para registrar gestión de cobro
+const validacionGestion = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID del crédito debe ser un UUID válido'),
+  
+  body('tipo')
+    .isIn(Object.values(cobranzaService.TIPOS_GESTION))
+    .withMessage(`El tipo debe ser: ${Object.values(cobranzaService.TIPOS_GESTION).join(', ')}`),
+  
+  // Con promesa el resultado es PROMESA_PAGO
+  body('resultado')
+    .if(body('promesa').not().exists())
+    .isIn(Object.values(cobranzaService.RESULTADOS_GESTION))
+    .withMessage(`El resultado debe ser: ${Object.values(cobranzaService.RESULTADOS_GESTION).join(', ')}`),
+  
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+  
+  body('promesa.fecha_promesa')
+    .if(body('promesa').exists())
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('La fecha_promesa debe tener formato YYYY-MM-DD'),
+  
+  body('promesa.monto')
+    .if(body('promesa').exists())
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto prometido debe ser un número mayor a 0')
+    .toFloat(),
+  
+  validarRequest
+];
+
+// Validación para consultar promesas de pago
+const validacionPromesas = [
+  query('estado')
+    .optional()
+    .isIn(Object.values(cobranzaService.ESTADOS_PROMESA))
+    .withMessage(`El estado debe ser: ${Object.values(cobranzaService.ESTADOS_PROMESA).join(', ')}`),
+  
+  query('id_cliente')
+    .optional()
+    .isUUID()
+    .withMessage('El id_cliente debe ser un UUID válido'),
+  
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+  
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+  
+  validarRequest
+];
+
+// Validación para la lista de trabajo de cobranza
+const validacionListaTrabajo = [
+  query('id_cliente')
+    .optional()
+    .isUUID()
+    .withMessage('El id_cliente debe ser un UUID válido'),
+  
+  query('limite')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('El límite debe ser un número entre 1 y 500'),
+  
+  validarRequest
+];
+
 // Validación para días de alerta
 const validacionDiasAlerta = [
   query('dias')
@@ -143,6 +400,38 @@ router.get(
   creditosController.obtenerReporteCarteraVencida
 );
 
+// GET /api/creditos/reportes/antiguedad - Antigüedad de saldos por cliente (JSON o CSV)
+router.get(
+  '/reportes/antiguedad',
+  administradorOVendedor,
+  validacionAntiguedad,
+  creditosController.obtenerReporteAntiguedad
+);
+
+// GET /api/creditos/reportes/castigos - Castigos de cartera y recuperaciones por período (solo admin)
+router.get(
+  '/reportes/castigos',
+  soloAdministrador,
+  validacionReporteCastigos,
+  creditosController.obtenerReporteCastigos
+);
+
+// GET /api/creditos/cobranza/lista-trabajo - Créditos atrasados por prioridad de cobro
+router.get(
+  '/cobranza/lista-trabajo',
+  administradorOVendedor,
+  validacionListaTrabajo,
+  creditosController.obtenerListaTrabajoCobranza
+);
+
+// GET /api/creditos/cobranza/promesas - Promesas de pago (estado=INCUMPLIDA: promesas rotas)
+router.get(
+  '/cobranza/promesas',
+  administradorOVendedor,
+  validacionPromesas,
+  creditosController.obtenerPromesasPago
+);
+
 // GET /api/creditos/alertas/proximos-vencer - Alertas
 router.get(
   '/alertas/proximos-vencer',
@@ -151,6 +440,26 @@ router.get(
   creditosController.obtenerCreditosProximosAVencer
 );
 
+// GET /api/creditos/politica-mora - Política de mora vigente
+router.get(
+  '/politica-mora',
+  administradorOVendedor,
+  creditosController.obtenerPoliticaMora
+);
+
+// PUT /api/creditos/politica-mora - Configurar política de mora (solo admin)
+router.put(
+  '/politica-mora',
+  soloAdministrador,
+  validacionPoliticaMora,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ACTUALIZAR_POLITICA_MORA,
+    'politica_mora',
+    () => moraService.obtenerPolitica()
+  ),
+  creditosController.actualizarPoliticaMora
+);
+
 // GET /api/creditos/activos - Créditos activos
 router.get(
   '/activos',
@@ -205,6 +514,52 @@ router.post(
   creditosController.registrarPago
 );
 
+// GET /api/creditos/:id/mora - Cargos de mora del crédito
+router.get(
+  '/:id/mora',
+  administradorOVendedor,
+  validacionId,
+  creditosController.obtenerMoraCredito
+);
+
+// POST /api/creditos/:id/mora/condonar - Condonar mora (solo admin, queda en auditoría)
+router.post(
+  '/:id/mora/condonar',
+  soloAdministrador,
+  validacionCondonarMora,
+  auditarCreacion(ACCIONES_AUDITABLES.CONDONAR_MORA, 'creditos'),
+  creditosController.condonarMora
+);
+
+// POST /api/creditos/:id/castigo - Castigar crédito vencido incobrable (solo admin, queda en auditoría)
+router.post(
+  '/:id/castigo',
+  soloAdministrador,
+  validacionCastigo,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.CASTIGAR_CREDITO,
+    'creditos',
+    (req) => creditosRepository.obtenerPorId(req.params.id)
+  ),
+  creditosController.castigarCredito
+);
+
+// GET /api/creditos/:id/gestiones - Gestiones de cobro y promesas de pago
+router.get(
+  '/:id/gestiones',
+  administradorOVendedor,
+  validacionId,
+  creditosController.obtenerGestionesCobranza
+);
+
+// POST /api/creditos/:id/gestiones - Registrar gestión de cobro (y promesa de pago)
+router.post(
+  '/:id/gestiones',
+  administradorOVendedor,
+  validacionGestion,
+  creditosController.registrarGestionCobranza
+);
+
 // GET /api/creditos/:id/pagos - Historial de pagos
 router.get(
   '/:id/pagos',
@@ -213,4 +568,17 @@ router.get(
   creditosController.obtenerPagosDeCredito
 );
 
+// POST /api/creditos/:id/pagos/:id_pago/anular - Anular pago (solo admin, queda en auditoría)
+router.post(
+  '/:id/pagos/:id_pago/anular',
+  soloAdministrador,
+  validacionAnularPago,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ANULAR_PAGO,
+    'pagos_credito',
+    (req) => pagosRepository.obtenerPorId(req.params.id_pago)
+  ),
+  creditosController.anularPago
+);
+
 module.exports = router;
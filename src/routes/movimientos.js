@@ -25,7 +25,11 @@ const validacionCrearMovimiento = [
   
   body('cantidad')
     .notEmpty().withMessage('La cantidad es requerida')
-    .isInt({ min: 1 }).withMessage('La cantidad debe ser un número entero mayor a 0'),
+    .isFloat({ gt: 0 }).withMessage('La cantidad debe ser un número mayor a 0').toFloat(),
+  
+  body('id_unidad')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('El id_unidad debe ser el ID de una unidad del producto'),
   
   body('motivo')
     .notEmpty().withMessage('El motivo es requerido')
@@ -39,6 +43,14 @@ const validacionCrearMovimiento = [
     .trim()
     .isLength({ max: 200 }).withMessage('La referencia no puede exceder 200 caracteres'),
   
+  body('costo_unitario')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El costo unitario debe ser un número positivo'),
+  
+  body('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
   validarRequest
 ];
 
@@ -52,7 +64,11 @@ const validacionCrearEntrada = [
   
   body('cantidad')
     .notEmpty().withMessage('La cantidad es requerida')
-    .isInt({ min: 1 }).withMessage('La cantidad debe ser un número entero mayor a 0'),
+    .isFloat({ gt: 0 }).withMessage('La cantidad debe ser un número mayor a 0').toFloat(),
+  
+  body('id_unidad')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('El id_unidad debe ser el ID de una unidad del producto'),
   
   body('motivo')
     .notEmpty().withMessage('El motivo es requerido')
@@ -66,6 +82,14 @@ const validacionCrearEntrada = [
     .trim()
     .isLength({ max: 200 }).withMessage('La referencia no puede exceder 200 caracteres'),
   
+  body('costo_unitario')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El costo unitario debe ser un número positivo'),
+  
+  body('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
   validarRequest
 ];
 
@@ -79,7 +103,11 @@ const validacionCrearSalida = [
   
   body('cantidad')
     .notEmpty().withMessage('La cantidad es requerida')
-    .isInt({ min: 1 }).withMessage('La cantidad debe ser un número entero mayor a 0'),
+    .isFloat({ gt: 0 }).withMessage('La cantidad debe ser un número mayor a 0').toFloat(),
+  
+  body('id_unidad')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('El id_unidad debe ser el ID de una unidad del producto'),
   
   body('motivo')
     .notEmpty().withMessage('El motivo es requerido')
@@ -93,6 +121,10 @@ const validacionCrearSalida = [
     .trim()
     .isLength({ max: 200 }).withMessage('La referencia no puede exceder 200 caracteres'),
   
+  body('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
   validarRequest
 ];
 
@@ -106,7 +138,7 @@ const validacionAjusteInventario = [
   
   body('cantidad_objetivo')
     .notEmpty().withMessage('La cantidad objetivo es requerida')
-    .isInt({ min: 0 }).withMessage('La cantidad objetivo debe ser un número entero no negativo'),
+    .isFloat({ min: 0 }).withMessage('La cantidad objetivo debe ser un número no negativo'),
   
   body('motivo')
     .optional()
@@ -120,6 +152,10 @@ const validacionAjusteInventario = [
     .trim()
     .isLength({ max: 200 }).withMessage('La referencia no puede exceder 200 caracteres'),
   
+  body('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
   validarRequest
 ];
 
@@ -155,6 +191,10 @@ const validacionFiltros = [
     .optional()
     .isIn(['ENTRADA', 'SALIDA']).withMessage('El tipo de movimiento debe ser ENTRADA o SALIDA'),
   
+  query('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
   query('fecha_desde')
     .optional()
     .isISO8601().withMessage('fecha_desde debe ser una fecha válida en formato ISO8601'),
@@ -227,6 +267,7 @@ router.post(
 /**
  * POST /api/movimientos/entrada
  * Registra una entrada de productos
+ * costo_unitario (opcional) actualiza el costo promedio ponderado del producto
  * Acceso: Solo ADMINISTRADOR
  */
 router.post(
@@ -310,7 +351,7 @@ router.get(
 
 /**
  * GET /api/movimientos/producto/:id_producto/kardex
- * Obtiene el kardex (registro contable) de un producto
+ * Obtiene el kardex valorizado (cantidad, costo unitario y valor acumulado) de un producto
  * Acceso: ADMINISTRADOR, VENDEDOR
  */
 router.get(
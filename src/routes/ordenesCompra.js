@@ -0,0 +1,272 @@
+/**
+ * Rutas de Órdenes de Compra
+ * Define endpoints para órdenes de compra, recepción de mercadería y reportes de pendientes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarActualizacion
+} = require('../middlewares');
+const ordenesCompraController = require('../controllers/ordenesCompraController');
+const ordenesCompraRepository = require('../repositories/ordenesCompraRepository');
+const { ESTADOS_ORDEN } = require('../services/ordenesCompraService');
+
+// ===== VALIDACIONES =====
+
+// Validaciones de las líneas de productos
+const validacionProductos = (opcional) => [
+  opcional
+    ? body('productos')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Debe incluir al menos un producto')
+    : body('productos')
+      .isArray({ min: 1 })
+      .withMessage('Debe incluir al menos un producto'),
+
+  body('productos.*.id_producto')
+    .isUUID()
+    .withMessage('Cada id_producto debe ser un UUID válido'),
+
+  body('productos.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número mayor a 0')
+    .toFloat(),
+
+  body('productos.*.costo_unitario')
+    .isFloat({ min: 0 })
+    .withMessage('El costo_unitario debe ser un número mayor o igual a 0')
+];
+
+// Validaciones de campos generales de la orden
+const camposOrden = [
+  body('fecha_entrega_esperada')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha_entrega_esperada debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  body('observaciones')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres')
+];
+
+// Validación para crear orden
+const validacionCrear = [
+  body('id_proveedor')
+    .isUUID()
+    .withMessage('El id_proveedor debe ser un UUID válido'),
+
+  ...validacionProductos(false),
+  ...camposOrden,
+
+  validarRequest
+];
+
+// Validación para actualizar orden
+const validacionActualizar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la orden debe ser un UUID válido'),
+
+  ...validacionProductos(true),
+  ...camposOrden,
+
+  validarRequest
+];
+
+// Validación para recibir mercadería
+const validacionRecibir = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la orden debe ser un UUID válido'),
+
+  body('productos')
+    .isArray({ min: 1 })
+    .withMessage('Debe incluir al menos una línea recibida'),
+
+  body('productos.*.id_detalle')
+    .isInt({ min: 1 })
+    .withMessage('Cada id_detalle debe ser un número entero válido'),
+
+  body('productos.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad recibida debe ser un número mayor a 0')
+    .toFloat(),
+
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  body('observaciones')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para cancelar orden
+const validacionCancelar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la orden debe ser un UUID válido'),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo debe tener entre 5 y 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de listado
+const validacionFiltros = [
+  query('id_proveedor')
+    .optional()
+    .isUUID()
+    .withMessage('El id_proveedor debe ser un UUID válido'),
+
+  query('estado')
+    .optional()
+    .isIn(Object.values(ESTADOS_ORDEN))
+    .withMessage(`El estado debe ser ${Object.values(ESTADOS_ORDEN).join(', ')}`),
+
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// Validación para filtros de reportes de pendientes
+const validacionPendientes = [
+  query('id_proveedor')
+    .optional()
+    .isUUID()
+    .withMessage('El id_proveedor debe ser un UUID válido'),
+
+  query('id_producto')
+    .optional()
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// GET /api/ordenes-compra/reportes/pendientes-proveedor - Pendientes de recibir por proveedor
+router.get(
+  '/reportes/pendientes-proveedor',
+  administradorOVendedor,
+  validacionPendientes,
+  ordenesCompraController.obtenerPendientesPorProveedor
+);
+
+// GET /api/ordenes-compra/reportes/pendientes-producto - Pendientes de recibir por producto
+router.get(
+  '/reportes/pendientes-producto',
+  administradorOVendedor,
+  validacionPendientes,
+  ordenesCompraController.obtenerPendientesPorProducto
+);
+
+// POST /api/ordenes-compra - Crear orden de compra (solo admin)
+router.post(
+  '/',
+  soloAdministrador,
+  validacionCrear,
+  ordenesCompraController.crearOrden
+);
+
+// GET /api/ordenes-compra - Listar órdenes de compra con filtros
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  ordenesCompraController.obtenerOrdenes
+);
+
+// GET /api/ordenes-compra/:id - Obtener orden de compra por ID
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  ordenesCompraController.obtenerOrdenPorId
+);
+
+// PUT /api/ordenes-compra/:id - Actualizar orden en BORRADOR (solo admin)
+router.put(
+  '/:id',
+  soloAdministrador,
+  validacionActualizar,
+  ordenesCompraController.actualizarOrden
+);
+
+// POST /api/ordenes-compra/:id/enviar - Enviar orden al proveedor (solo admin)
+router.post(
+  '/:id/enviar',
+  soloAdministrador,
+  validacionId,
+  ordenesCompraController.enviarOrden
+);
+
+// POST /api/ordenes-compra/:id/recibir - Recibir mercadería (solo admin)
+router.post(
+  '/:id/recibir',
+  soloAdministrador,
+  validacionRecibir,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.RECIBIR_ORDEN_COMPRA,
+    'ordenes_compra',
+    (req) => ordenesCompraRepository.obtenerPorId(req.params.id)
+  ),
+  ordenesCompraController.recibirOrden
+);
+
+// POST /api/ordenes-compra/:id/cancelar - Cancelar orden (solo admin)
+router.post(
+  '/:id/cancelar',
+  soloAdministrador,
+  validacionCancelar,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.CANCELAR_ORDEN_COMPRA,
+    'ordenes_compra',
+    (req) => ordenesCompraRepository.obtenerPorId(req.params.id)
+  ),
+  ordenesCompraController.cancelarOrden
+);
+
+module.exports = router;
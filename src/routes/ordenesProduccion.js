@@ -0,0 +1,198 @@
+/**
+ * Rutas de Órdenes de Producción
+ * Define endpoints para fabricar productos terminados a partir de sus recetas
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarActualizacion
+} = require('../middlewares');
+const ordenesProduccionController = require('../controllers/ordenesProduccionController');
+const ordenesProduccionRepository = require('../repositories/ordenesProduccionRepository');
+const { ESTADOS_ORDEN_PRODUCCION } = require('../services/ordenesProduccionService');
+
+// ===== VALIDACIONES =====
+
+// Validación de observaciones
+const campoObservaciones = body('observaciones')
+  .optional({ nullable: true })
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Las observaciones no pueden exceder 500 caracteres');
+
+// Validación para crear orden
+const validacionCrear = [
+  body('id_receta')
+    .optional()
+    .isUUID()
+    .withMessage('El id_receta debe ser un UUID válido'),
+
+  body('id_producto')
+    .if(body('id_receta').not().exists())
+    .isUUID()
+    .withMessage('Debe indicar id_receta o un id_producto válido'),
+
+  body('cantidad')
+    .isInt({ min: 1 })
+    .withMessage('La cantidad a producir debe ser un número entero mayor a 0')
+    .toInt(),
+
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  campoObservaciones,
+
+  validarRequest
+];
+
+// Validación para completar orden
+const validacionCompletar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la orden debe ser un UUID válido'),
+
+  body('cantidad_producida')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La cantidad producida debe ser un número entero mayor a 0')
+    .toInt(),
+
+  body('mermas')
+    .optional()
+    .isArray()
+    .withMessage('mermas debe ser un arreglo'),
+
+  body('mermas.*.id_producto')
+    .isUUID()
+    .withMessage('Cada id_producto de merma debe ser un UUID válido'),
+
+  body('mermas.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La merma debe ser un número mayor a 0')
+    .toFloat(),
+
+  campoObservaciones,
+
+  validarRequest
+];
+
+// Validación para cancelar orden
+const validacionCancelar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la orden debe ser un UUID válido'),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo debe tener entre 5 y 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de listado
+const validacionFiltros = [
+  query('estado')
+    .optional()
+    .isIn(Object.values(ESTADOS_ORDEN_PRODUCCION))
+    .withMessage(`El estado debe ser ${Object.values(ESTADOS_ORDEN_PRODUCCION).join(', ')}`),
+
+  query('id_producto')
+    .optional()
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  query('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_desde debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_hasta debe tener formato ISO8601 (YYYY-MM-DD)'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// POST /api/ordenes-produccion - Crear orden de producción (solo admin)
+router.post(
+  '/',
+  soloAdministrador,
+  validacionCrear,
+  ordenesProduccionController.crearOrden
+);
+
+// GET /api/ordenes-produccion - Listar órdenes de producción con filtros
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  ordenesProduccionController.obtenerOrdenes
+);
+
+// GET /api/ordenes-produccion/:id - Obtener orden con materiales
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  ordenesProduccionController.obtenerOrdenPorId
+);
+
+// POST /api/ordenes-produccion/:id/completar - Completar orden y mover inventario (solo admin)
+router.post(
+  '/:id/completar',
+  soloAdministrador,
+  validacionCompletar,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.COMPLETAR_ORDEN_PRODUCCION,
+    'ordenes_produccion',
+    (req) => ordenesProduccionRepository.obtenerPorId(req.params.id)
+  ),
+  ordenesProduccionController.completarOrden
+);
+
+// POST /api/ordenes-produccion/:id/cancelar - Cancelar orden pendiente (solo admin)
+router.post(
+  '/:id/cancelar',
+  soloAdministrador,
+  validacionCancelar,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.CANCELAR_ORDEN_PRODUCCION,
+    'ordenes_produccion',
+    (req) => ordenesProduccionRepository.obtenerPorId(req.params.id)
+  ),
+  ordenesProduccionController.cancelarOrden
+);
+
+module.exports = router;
@@ -34,6 +34,10 @@ const validacionCrear = [
     .notEmpty().withMessage('El precio de venta es requerido')
     .isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número positivo'),
   
+  body('costo_promedio')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El costo promedio debe ser un número positivo'),
+  
   body('unidad_medida')
     .notEmpty().withMessage('La unidad de medida es requerida')
     .isString().withMessage('La unidad de medida debe ser texto')
@@ -48,6 +52,11 @@ const validacionCrear = [
     .optional()
     .isInt({ min: 0 }).withMessage('El stock mínimo debe ser un número entero positivo'),
   
+  body('exento_iva')
+    .optional()
+    .isBoolean().withMessage('exento_iva debe ser un valor booleano')
+    .toBoolean(),
+  
   validarRequest
 ];
 
@@ -77,6 +86,10 @@ const validacionActualizar = [
     .optional()
     .isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número positivo'),
   
+  body('costo_promedio')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El costo promedio debe ser un número positivo'),
+  
   body('unidad_medida')
     .optional()
     .isString().withMessage('La unidad de medida debe ser texto')
@@ -87,6 +100,11 @@ const validacionActualizar = [
     .optional()
     .isInt({ min: 0 }).withMessage('El stock mínimo debe ser un número entero positivo'),
   
+  body('exento_iva')
+    .optional()
+    .isBoolean().withMessage('exento_iva debe ser un valor booleano')
+    .toBoolean(),
+  
   // Permitir actualizar cantidad_stock
   body('cantidad_stock')
     .optional()
@@ -129,6 +147,64 @@ const validacionBusqueda = [
   validarRequest
 ];
 
+/**
+ * Validaciones para stock bajo por bodega
+ */
+const validacionStockBajo = [
+  query('id_bodega')
+    .optional()
+    .custom(esUUID).withMessage('El ID de la bodega debe ser un UUID válido'),
+  
+  validarRequest
+];
+
+/**
+ * Validaciones para crear unidad alterna
+ */
+const validacionCrearUnidad = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del producto debe ser un UUID válido'),
+  
+  body('nombre')
+    .notEmpty().withMessage('El nombre de la unidad es requerido')
+    .isString().withMessage('El nombre debe ser texto')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('El nombre debe tener entre 1 y 50 caracteres'),
+  
+  body('calculo')
+    .notEmpty().withMessage('El cálculo es requerido')
+    .isIn(['FACTOR', 'PIES_TABLARES']).withMessage('El cálculo debe ser FACTOR o PIES_TABLARES'),
+  
+  body('factor')
+    .if(body('calculo').equals('FACTOR'))
+    .notEmpty().withMessage('El factor es requerido')
+    .isFloat({ gt: 0 }).withMessage('El factor debe ser un número mayor a 0'),
+  
+  body(['grosor_pulgadas', 'ancho_pulgadas', 'largo_pies'])
+    .if(body('calculo').equals('PIES_TABLARES'))
+    .notEmpty().withMessage('Las medidas son requeridas para calcular pies tablares')
+    .isFloat({ gt: 0 }).withMessage('Las medidas deben ser números mayores a 0'),
+  
+  body('permite_decimales')
+    .optional()
+    .isBoolean().withMessage('permite_decimales debe ser un valor booleano'),
+  
+  validarRequest
+];
+
+/**
+ * Validaciones para eliminar unidad alterna
+ */
+const validacionUnidad = [
+  param('id')
+    .custom(esUUID).withMessage('El ID del producto debe ser un UUID válido'),
+  
+  param('id_unidad')
+    .isInt({ min: 1 }).withMessage('El ID de la unidad debe ser un número entero'),
+  
+  validarRequest
+];
+
 // ============================================
 // RUTAS PÚBLICAS (Lectura - VENDEDOR puede ver)
 // ============================================
@@ -150,7 +226,7 @@ router.get(
 /**
  * GET /api/productos/lista-simple
  * Obtener lista simple de todos los productos activos (sin paginación)
- * Retorna: id, nombre, descripción, precio_venta, cantidad_stock, stock_minimo, unidad_medida, categorías
+ * Retorna: id, nombre, descripción, precio_venta, cantidad_stock, stock_minimo, unidad_medida, exento_iva, categorías
  * Útil para selectores, dropdowns y buscadores en el frontend
  * Acceso: ADMINISTRADOR y VENDEDOR
  */
@@ -176,7 +252,7 @@ router.get(
 
 /**
  * GET /api/productos/stock-bajo
- * Obtener productos con stock bajo o agotado
+ * Obtener productos con stock bajo o agotado por bodega (?id_bodega= opcional)
  * IMPORTANTE: Debe ir ANTES de /:id
  * Acceso: ADMINISTRADOR, VENDEDOR
  */
@@ -184,6 +260,7 @@ router.get(
   '/stock-bajo',
   verificarToken,
   administradorOVendedor,
+  validacionStockBajo,
   productosController.obtenerStockBajo
 );
 
@@ -200,6 +277,19 @@ router.get(
   productosController.obtenerPorId
 );
 
+/**
+ * GET /api/productos/:id/unidades
+ * Obtener la unidad base y las unidades alternas (con su factor de conversión)
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id/unidades',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  productosController.obtenerUnidades
+);
+
 // ============================================
 // RUTAS DE ADMINISTRACIÓN (Solo ADMINISTRADOR)
 // ============================================
@@ -302,4 +392,32 @@ router.delete(
   productosController.eliminarPermanentemente
 );
 
+/**
+ * POST /api/productos/:id/unidades
+ * Crear unidad alterna (factor directo o calculado en pies tablares)
+ * Acceso: Solo ADMINISTRADOR
+ * Nota: El factor no se puede modificar; para cambiarlo se crea otra unidad
+ */
+router.post(
+  '/:id/unidades',
+  verificarToken,
+  soloAdministrador,
+  validacionCrearUnidad,
+  productosController.crearUnidad
+);
+
+/**
+ * DELETE /api/productos/:id/unidades/:id_unidad
+ * Eliminar unidad alterna
+ * Acceso: Solo ADMINISTRADOR
+ * VALIDACIÓN: Solo permite si la unidad no se ha usado en movimientos ni ventas
+ */
+router.delete(
+  '/:id/unidades/:id_unidad',
+  verificarToken,
+  soloAdministrador,
+  validacionUnidad,
+  productosController.eliminarUnidad
+);
+
 module.exports = router;
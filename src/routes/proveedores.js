@@ -0,0 +1,196 @@
+/**
+ * Rutas de Proveedores
+ * Define los endpoints para la gestión del catálogo de proveedores
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const proveedoresController = require('../controllers/proveedoresController');
+const { validarRequest } = require('../middlewares/validarRequest');
+const { verificarToken, soloAdministrador, administradorOVendedor } = require('../middlewares');
+
+/**
+ * Validaciones comunes de campos de proveedor
+ * @param {boolean} esCreacion - Si el nombre es obligatorio
+ */
+const camposProveedor = (esCreacion) => [
+  esCreacion
+    ? body('nombre')
+      .notEmpty().withMessage('El nombre es requerido')
+      .isString().withMessage('El nombre debe ser texto')
+      .trim()
+      .isLength({ min: 1, max: 150 }).withMessage('El nombre debe tener entre 1 y 150 caracteres')
+    : body('nombre')
+      .optional()
+      .isString().withMessage('El nombre debe ser texto')
+      .trim()
+      .isLength({ min: 1, max: 150 }).withMessage('El nombre debe tener entre 1 y 150 caracteres'),
+
+  body('nit')
+    .optional()
+    .isString().withMessage('El NIT debe ser texto')
+    .trim()
+    .isLength({ max: 20 }).withMessage('El NIT no puede exceder 20 caracteres'),
+
+  body('contacto')
+    .optional()
+    .isString().withMessage('El contacto debe ser texto')
+    .trim()
+    .isLength({ max: 100 }).withMessage('El contacto no puede exceder 100 caracteres'),
+
+  body('telefono')
+    .optional()
+    .isString().withMessage('El teléfono debe ser texto')
+    .trim()
+    .isLength({ max: 20 }).withMessage('El teléfono no puede exceder 20 caracteres'),
+
+  body('correo')
+    .optional()
+    .isEmail().withMessage('El correo electrónico no es válido')
+    .trim()
+    .isLength({ max: 150 }).withMessage('El correo no puede exceder 150 caracteres'),
+
+  body('direccion')
+    .optional()
+    .isString().withMessage('La dirección debe ser texto')
+    .trim(),
+
+  body('dias_entrega')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Los días de entrega deben ser un número entero no negativo')
+];
+
+/**
+ * Validaciones para crear proveedor
+ */
+const validacionCrear = [
+  ...camposProveedor(true),
+  validarRequest
+];
+
+/**
+ * Validaciones para actualizar proveedor
+ */
+const validacionActualizar = [
+  param('id')
+    .isUUID().withMessage('El ID del proveedor debe ser un UUID válido'),
+  ...camposProveedor(false),
+  validarRequest
+];
+
+/**
+ * Validaciones para parámetros con UUID
+ */
+const validacionId = [
+  param('id')
+    .isUUID().withMessage('El ID del proveedor debe ser un UUID válido'),
+
+  validarRequest
+];
+
+/**
+ * Validaciones para búsqueda y filtros
+ */
+const validacionBusqueda = [
+  query('busqueda')
+    .optional()
+    .isString().withMessage('El término de búsqueda debe ser texto')
+    .trim(),
+
+  query('soloActivos')
+    .optional()
+    .isBoolean().withMessage('soloActivos debe ser un valor booleano'),
+
+  validarRequest
+];
+
+// ============================================
+// RUTAS PÚBLICAS (Lectura - VENDEDOR puede ver)
+// ============================================
+
+/**
+ * GET /api/proveedores
+ * Obtener proveedores
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/',
+  verificarToken,
+  administradorOVendedor,
+  validacionBusqueda,
+  proveedoresController.obtenerProveedores
+);
+
+/**
+ * GET /api/proveedores/:id
+ * Obtener proveedor por ID
+ * Acceso: ADMINISTRADOR, VENDEDOR
+ */
+router.get(
+  '/:id',
+  verificarToken,
+  administradorOVendedor,
+  validacionId,
+  proveedoresController.obtenerProveedorPorId
+);
+
+// ============================================
+// RUTAS DE ADMINISTRACIÓN (Solo ADMINISTRADOR)
+// ============================================
+
+/**
+ * POST /api/proveedores
+ * Crear nuevo proveedor
+ * Acceso: Solo ADMINISTRADOR
+ * Validaciones:
+ * - NIT único
+ */
+router.post(
+  '/',
+  verificarToken,
+  soloAdministrador,
+  validacionCrear,
+  proveedoresController.crear
+);
+
+/**
+ * PUT /api/proveedores/:id
+ * Actualizar proveedor
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.put(
+  '/:id',
+  verificarToken,
+  soloAdministrador,
+  validacionActualizar,
+  proveedoresController.actualizar
+);
+
+/**
+ * PATCH /api/proveedores/:id/activar
+ * Activar proveedor
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.patch(
+  '/:id/activar',
+  verificarToken,
+  soloAdministrador,
+  validacionId,
+  proveedoresController.activar
+);
+
+/**
+ * PATCH /api/proveedores/:id/desactivar
+ * Desactivar proveedor
+ * Acceso: Solo ADMINISTRADOR
+ */
+router.patch(
+  '/:id/desactivar',
+  verificarToken,
+  soloAdministrador,
+  validacionId,
+  proveedoresController.desactivar
+);
+
+module.exports = router;
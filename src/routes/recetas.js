@@ -0,0 +1,145 @@
+/**
+ * Rutas de Recetas de Producción
+ * Define endpoints para la lista de materiales de los productos terminados
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const { verificarToken, soloAdministrador, administradorOVendedor } = require('../middlewares');
+const recetasController = require('../controllers/recetasController');
+
+// ===== VALIDACIONES =====
+
+// Validaciones de los componentes de la receta
+const validacionComponentes = (opcional) => [
+  opcional
+    ? body('componentes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Debe incluir al menos un componente')
+    : body('componentes')
+      .isArray({ min: 1 })
+      .withMessage('Debe incluir al menos un componente'),
+
+  body('componentes.*.id_producto')
+    .isUUID()
+    .withMessage('Cada id_producto debe ser un UUID válido'),
+
+  body('componentes.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número mayor a 0')
+    .toFloat()
+];
+
+// Validación de la descripción
+const campoDescripcion = body('descripcion')
+  .optional({ nullable: true })
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('La descripción no puede exceder 500 caracteres');
+
+// Validación para crear receta
+const validacionCrear = [
+  body('id_producto')
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  campoDescripcion,
+  ...validacionComponentes(false),
+
+  validarRequest
+];
+
+// Validación para actualizar receta
+const validacionActualizar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la receta debe ser un UUID válido'),
+
+  campoDescripcion,
+  ...validacionComponentes(true),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de listado
+const validacionFiltros = [
+  query('id_producto')
+    .optional()
+    .isUUID()
+    .withMessage('El id_producto debe ser un UUID válido'),
+
+  query('soloActivas')
+    .optional()
+    .isBoolean()
+    .withMessage('soloActivas debe ser un valor booleano'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// GET /api/recetas - Listar recetas con filtros
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  recetasController.obtenerRecetas
+);
+
+// GET /api/recetas/:id - Obtener receta con componentes y costo estimado
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  recetasController.obtenerRecetaPorId
+);
+
+// POST /api/recetas - Crear receta (solo admin)
+router.post(
+  '/',
+  soloAdministrador,
+  validacionCrear,
+  recetasController.crear
+);
+
+// PUT /api/recetas/:id - Actualizar receta (solo admin)
+router.put(
+  '/:id',
+  soloAdministrador,
+  validacionActualizar,
+  recetasController.actualizar
+);
+
+// PATCH /api/recetas/:id/activar - Activar receta (solo admin)
+router.patch(
+  '/:id/activar',
+  soloAdministrador,
+  validacionId,
+  recetasController.activar
+);
+
+// PATCH /api/recetas/:id/desactivar - Desactivar receta (solo admin)
+router.patch(
+  '/:id/desactivar',
+  soloAdministrador,
+  validacionId,
+  recetasController.desactivar
+);
+
+module.exports = router;
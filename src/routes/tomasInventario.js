@@ -0,0 +1,207 @@
+/**
+ * Rutas de Tomas de Inventario
+ * Define endpoints para conteos físicos, reporte de diferencias y publicación de ajustes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validarRequest } = require('../middlewares/validarRequest');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarActualizacion
+} = require('../middlewares');
+const tomasInventarioController = require('../controllers/tomasInventarioController');
+const tomasInventarioRepository = require('../repositories/tomasInventarioRepository');
+const { ESTADOS_TOMA } = require('../services/tomasInventarioService');
+
+// ===== VALIDACIONES =====
+
+// Validación para abrir toma
+const validacionAbrir = [
+  body('descripcion')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('La descripción debe tener entre 3 y 200 caracteres'),
+
+  body('id_categoria')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('El id_categoria debe ser un UUID válido'),
+
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para registrar conteos
+const validacionConteos = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la toma debe ser un UUID válido'),
+
+  body('conteos')
+    .isArray({ min: 1 })
+    .withMessage('Debe incluir al menos un conteo'),
+
+  body('conteos.*.id_producto')
+    .isUUID()
+    .withMessage('Cada id_producto debe ser un UUID válido'),
+
+  body('conteos.*.cantidad')
+    .isFloat({ min: 0 })
+    .withMessage('La cantidad contada debe ser un número mayor o igual a 0')
+    .toFloat(),
+
+  body('conteos.*.observaciones')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Las observaciones no pueden exceder 200 caracteres'),
+
+  validarRequest
+];
+
+// Validación para reporte de diferencias
+const validacionDiferencias = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la toma debe ser un UUID válido'),
+
+  query('solo_diferencias')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('solo_diferencias debe ser true o false'),
+
+  query('formato')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('El formato debe ser json o csv'),
+
+  validarRequest
+];
+
+// Validación para cancelar toma
+const validacionCancelar = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la toma debe ser un UUID válido'),
+
+  body('motivo')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo debe tener entre 5 y 500 caracteres'),
+
+  validarRequest
+];
+
+// Validación para obtener por ID
+const validacionId = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// Validación para filtros de listado
+const validacionFiltros = [
+  query('estado')
+    .optional()
+    .isIn(Object.values(ESTADOS_TOMA))
+    .withMessage(`El estado debe ser ${Object.values(ESTADOS_TOMA).join(', ')}`),
+
+  query('id_categoria')
+    .optional()
+    .isUUID()
+    .withMessage('El id_categoria debe ser un UUID válido'),
+
+  query('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+
+  validarRequest
+];
+
+// ===== RUTAS =====
+
+// Todas las rutas requieren autenticación
+router.use(verificarToken);
+
+// POST /api/tomas-inventario - Abrir toma de inventario (solo admin)
+router.post(
+  '/',
+  soloAdministrador,
+  validacionAbrir,
+  tomasInventarioController.abrirToma
+);
+
+// GET /api/tomas-inventario - Listar tomas con filtros
+router.get(
+  '/',
+  administradorOVendedor,
+  validacionFiltros,
+  tomasInventarioController.obtenerTomas
+);
+
+// GET /api/tomas-inventario/:id - Obtener toma por ID
+router.get(
+  '/:id',
+  administradorOVendedor,
+  validacionId,
+  tomasInventarioController.obtenerTomaPorId
+);
+
+// POST /api/tomas-inventario/:id/conteos - Registrar conteos del usuario
+router.post(
+  '/:id/conteos',
+  administradorOVendedor,
+  validacionConteos,
+  tomasInventarioController.registrarConteos
+);
+
+// GET /api/tomas-inventario/:id/diferencias - Reporte de diferencias (JSON o CSV)
+router.get(
+  '/:id/diferencias',
+  administradorOVendedor,
+  validacionDiferencias,
+  tomasInventarioController.obtenerReporteDiferencias
+);
+
+// POST /api/tomas-inventario/:id/publicar - Publicar toma y generar ajustes (solo admin)
+router.post(
+  '/:id/publicar',
+  soloAdministrador,
+  validacionId,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.PUBLICAR_TOMA_INVENTARIO,
+    'tomas_inventario',
+    (req) => tomasInventarioRepository.obtenerPorId(req.params.id)
+  ),
+  tomasInventarioController.publicarToma
+);
+
+// POST /api/tomas-inventario/:id/cancelar - Cancelar toma abierta (solo admin)
+router.post(
+  '/:id/cancelar',
+  soloAdministrador,
+  validacionCancelar,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.CANCELAR_TOMA_INVENTARIO,
+    'tomas_inventario',
+    (req) => tomasInventarioRepository.obtenerPorId(req.params.id)
+  ),
+  tomasInventarioController.cancelarToma
+);
+
+module.exports = router;
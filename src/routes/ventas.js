@@ -7,9 +7,18 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { validarRequest } = require('../middlewares/validarRequest');
-const { verificarToken, soloAdministrador, administradorOVendedor } = require('../middlewares');
+const {
+  verificarToken,
+  soloAdministrador,
+  administradorOVendedor,
+  ACCIONES_AUDITABLES,
+  auditarActualizacion
+} = require('../middlewares');
 const ventasController = require('../controllers/ventasController');
-const { TIPOS_VENTA, ESTADOS_VENTA } = require('../services/ventasService');
+const ventasRepository = require('../repositories/ventasRepository');
+const impuestosService = require('../services/impuestosService');
+const { TIPOS_VENTA, ESTADOS_VENTA, METODOS_PAGO } = require('../services/ventasService');
+const { FRECUENCIAS_CUOTA } = require('../services/creditosService');
 
 // ===== VALIDACIONES =====
 
@@ -28,13 +37,75 @@ const validacionCrearContado = [
     .withMessage('Cada id_producto debe ser un UUID válido'),
   
   body('productos.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número mayor a 0')
+    .toFloat(),
+  
+  body('productos.*.id_unidad')
+    .optional({ nullable: true })
     .isInt({ min: 1 })
-    .withMessage('La cantidad debe ser un número entero mayor a 0'),
+    .withMessage('El id_unidad debe ser el ID de una unidad del producto'),
   
   body('productos.*.precio_unitario')
     .isFloat({ min: 0 })
     .withMessage('El precio_unitario debe ser un número mayor o igual a 0'),
   
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+  
+  body('monto_anticipo')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_anticipo debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('metodo_pago')
+    .optional()
+    .isIn(Object.values(METODOS_PAGO))
+    .withMessage(`El metodo_pago debe ser: ${Object.values(METODOS_PAGO).join(', ')}`),
+  
+  body('monto_recibido')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_recibido debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('referencia_pago')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La referencia_pago no puede exceder 100 caracteres'),
+  
+  body('pagos')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('pagos debe ser una lista de 1 a 5 formas de pago'),
+  
+  body('pagos.*.metodo_pago')
+    .isIn(Object.values(METODOS_PAGO))
+    .withMessage(`El metodo_pago de cada pago debe ser: ${Object.values(METODOS_PAGO).join(', ')}`),
+  
+  body('pagos.*.monto')
+    .isFloat({ gt: 0 })
+    .withMessage('El monto de cada pago debe ser un número mayor a 0')
+    .toFloat(),
+  
+  body('pagos.*.monto_recibido')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_recibido de cada pago debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('pagos.*.referencia')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La referencia de cada pago no puede exceder 100 caracteres'),
+  
   validarRequest
 ];
 
@@ -53,8 +124,14 @@ const validacionCrearCredito = [
     .withMessage('Cada id_producto debe ser un UUID válido'),
   
   body('productos.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número mayor a 0')
+    .toFloat(),
+  
+  body('productos.*.id_unidad')
+    .optional({ nullable: true })
     .isInt({ min: 1 })
-    .withMessage('La cantidad debe ser un número entero mayor a 0'),
+    .withMessage('El id_unidad debe ser el ID de una unidad del producto'),
   
   body('productos.*.precio_unitario')
     .isFloat({ min: 0 })
@@ -65,6 +142,51 @@ const validacionCrearCredito = [
     .isInt({ min: 1, max: 365 })
     .withMessage('Los días de crédito deben ser un número entre 1 y 365'),
   
+  body('plan_cuotas.numero_cuotas')
+    .if(body('plan_cuotas').exists())
+    .isInt({ min: 2, max: 24 })
+    .withMessage('El número de cuotas debe ser un entero entre 2 y 24')
+    .toInt(),
+  
+  body('plan_cuotas.frecuencia')
+    .optional()
+    .isIn(Object.values(FRECUENCIAS_CUOTA))
+    .withMessage(`La frecuencia debe ser: ${Object.values(FRECUENCIAS_CUOTA).join(', ')}`),
+  
+  body('plan_cuotas.fecha_primera_cuota')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha_primera_cuota debe tener formato ISO8601 (YYYY-MM-DD)'),
+  
+  body('id_bodega')
+    .optional()
+    .isUUID()
+    .withMessage('El id_bodega debe ser un UUID válido'),
+  
+  body('monto_anticipo')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_anticipo debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('monto_enganche')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('El monto_enganche debe ser un número mayor o igual a 0')
+    .toFloat(),
+  
+  body('metodo_pago_enganche')
+    .optional()
+    .isIn(Object.values(METODOS_PAGO))
+    .withMessage(`El metodo_pago_enganche debe ser: ${Object.values(METODOS_PAGO).join(', ')}`),
+  
+  body('referencia_enganche')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La referencia_enganche no puede exceder 100 caracteres'),
+  
   validarRequest
 ];
 
@@ -84,6 +206,35 @@ const validacionAnular = [
   validarRequest
 ];
 
+// Validación para registrar devolución parcial
+const validacionDevolucion = [
+  param('id')
+    .isUUID()
+    .withMessage('El ID de la venta debe ser un UUID válido'),
+  
+  body('productos')
+    .isArray({ min: 1 })
+    .withMessage('Debe incluir al menos una línea a devolver'),
+  
+  body('productos.*.id_detalle')
+    .notEmpty()
+    .withMessage('Cada línea debe indicar el id_detalle de la venta'),
+  
+  body('productos.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad a devolver debe ser un número mayor a 0')
+    .toFloat(),
+  
+  body('motivo')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  
+  validarRequest
+];
+
 // Validación para obtener por ID
 const validacionId = [
   param('id')
@@ -171,6 +322,23 @@ const validacionProductosMasVendidos = [
   validarRequest
 ];
 
+// Validación para la política de impuestos
+const validacionPoliticaImpuestos = [
+  body('tasa_iva')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La tasa_iva debe ser un porcentaje entre 0 y 100')
+    .toFloat(),
+  
+  body('precios_incluyen_iva')
+    .optional()
+    .isBoolean()
+    .withMessage('precios_incluyen_iva debe ser true o false')
+    .toBoolean(),
+  
+  validarRequest
+];
+
 // ===== RUTAS =====
 
 // Todas las rutas requieren autenticación
@@ -221,6 +389,34 @@ router.get(
   ventasController.obtenerReportePorPeriodo
 );
 
+// GET /api/ventas/reportes/margen - Margen bruto por producto, categoría, vendedor y mes (solo admin)
+router.get(
+  '/reportes/margen',
+  soloAdministrador,
+  validacionReporte,
+  ventasController.obtenerReporteMargen
+);
+
+// GET /api/ventas/politica-impuestos - Política de IVA vigente
+router.get(
+  '/politica-impuestos',
+  administradorOVendedor,
+  ventasController.obtenerPoliticaImpuestos
+);
+
+// PUT /api/ventas/politica-impuestos - Configurar tasa de IVA y si los precios lo incluyen (solo admin)
+router.put(
+  '/politica-impuestos',
+  soloAdministrador,
+  validacionPoliticaImpuestos,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.ACTUALIZAR_POLITICA_IMPUESTOS,
+    'politica_impuestos',
+    () => impuestosService.obtenerPolitica()
+  ),
+  ventasController.actualizarPoliticaImpuestos
+);
+
 // GET /api/ventas/productos/mas-vendidos - Productos más vendidos
 router.get(
   '/productos/mas-vendidos',
@@ -269,4 +465,25 @@ router.post(
   ventasController.anularVenta
 );
 
+// POST /api/ventas/:id/devoluciones - Registrar devolución parcial
+router.post(
+  '/:id/devoluciones',
+  soloAdministrador,
+  validacionDevolucion,
+  auditarActualizacion(
+    ACCIONES_AUDITABLES.DEVOLUCION_VENTA,
+    'ventas',
+    (req) => ventasRepository.obtenerPorId(req.params.id)
+  ),
+  ventasController.registrarDevolucion
+);
+
+// GET /api/ventas/:id/devoluciones - Historial de devoluciones de la venta
+router.get(
+  '/:id/devoluciones',
+  administradorOVendedor,
+  validacionId,
+  ventasController.obtenerDevolucionesVenta
+);
+
 module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * Servicio de Anticipos de Clientes
+ * Un anticipo es dinero del cliente que quedó a su favor (ej. el sobrante de un pago global)
+ * y que se puede usar en ventas futuras
+ */
+
+const anticiposRepository = require('../repositories/anticiposRepository');
+const clientesRepository = require('../repositories/clientesRepository');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const { redondear } = require('../utils/fechas');
+
+/**
+ * Tipos de movimiento de anticipo
+ */
+const TIPOS_MOVIMIENTO_ANTICIPO = {
+  ABONO: 'ABONO',
+  APLICACION: 'APLICACION'
+};
+
+/**
+ * Origen de un movimiento de anticipo
+ */
+const ORIGENES_ANTICIPO = {
+  PAGO_CLIENTE: 'PAGO_CLIENTE',
+  VENTA: 'VENTA',
+  ANULACION_VENTA: 'ANULACION_VENTA',
+  ANULACION_PAGO: 'ANULACION_PAGO',
+  NOTA_CREDITO: 'NOTA_CREDITO'
+};
+
+/**
+ * Suma un monto al saldo a favor del cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} monto - Monto a abonar
+ * @param {Object} datos - { origen, id_pago_cliente, id_venta, descripcion, id_usuario }
+ * @returns {Promise<Object>} Movimiento creado (con saldo_anterior para revertirlo)
+ */
+async function abonar(id_cliente, monto, datos) {
+  if (!monto || monto <= 0) {
+    throw new ErrorValidacion('El monto del anticipo debe ser mayor a 0');
+  }
+
+  const saldoAnterior = await anticiposRepository.obtenerSaldo(id_cliente);
+  const saldoNuevo = redondear(saldoAnterior + monto);
+
+  await anticiposRepository.actualizarSaldo(id_cliente, saldoNuevo);
+
+  try {
+    return await anticiposRepository.crearMovimiento({
+      ...datos,
+      id_cliente,
+      tipo: TIPOS_MOVIMIENTO_ANTICIPO.ABONO,
+      monto: redondear(monto),
+      saldo_anterior: saldoAnterior,
+      saldo_nuevo: saldoNuevo
+    });
+  } catch (error) {
+    await anticiposRepository.actualizarSaldo(id_cliente, saldoAnterior);
+    throw error;
+  }
+}
+
+/**
+ * Descuenta un monto del saldo a favor del cliente (ej. lo usa para pagar una venta)
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} monto - Monto a aplicar
+ * @param {Object} datos - { origen, id_venta, descripcion, id_usuario }
+ * @returns {Promise<Object>} Movimiento creado (con saldo_anterior para revertirlo)
+ * @throws {ErrorConflicto} Si el cliente no tiene saldo suficiente
+ */
+async function aplicar(id_cliente, monto, datos) {
+  await validarSaldoSuficiente(id_cliente, monto);
+
+  const saldoAnterior = await anticiposRepository.obtenerSaldo(id_cliente);
+  const saldoNuevo = redondear(saldoAnterior - monto);
+
+  await anticiposRepository.actualizarSaldo(id_cliente, saldoNuevo);
+
+  try {
+    return await anticiposRepository.crearMovimiento({
+      ...datos,
+      id_cliente,
+      tipo: TIPOS_MOVIMIENTO_ANTICIPO.APLICACION,
+      monto: redondear(monto),
+      saldo_anterior: saldoAnterior,
+      saldo_nuevo: saldoNuevo
+    });
+  } catch (error) {
+    await anticiposRepository.actualizarSaldo(id_cliente, saldoAnterior);
+    throw error;
+  }
+}
+
+/**
+ * Verifica que el cliente tenga saldo a favor suficiente
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} monto - Monto que se quiere usar
+ * @throws {ErrorValidacion|ErrorConflicto} Si el monto es inválido o no alcanza el saldo
+ */
+async function validarSaldoSuficiente(id_cliente, monto) {
+  if (!monto || monto <= 0) {
+    throw new ErrorValidacion('El monto de anticipo a usar debe ser mayor a 0');
+  }
+
+  const saldo = await anticiposRepository.obtenerSaldo(id_cliente);
+
+  if (redondear(monto) > saldo) {
+    throw new ErrorConflicto(
+      `Anticipo insuficiente. Saldo a favor: Q${saldo.toFixed(2)}, ` +
+      `Solicitado: Q${monto.toFixed(2)}`
+    );
+  }
+}
+
+/**
+ * Deshace un movimiento de anticipo (restaura el saldo y elimina el movimiento)
+ * Solo se usa como compensación de una operación fallida
+ * @param {Object} movimiento - Movimiento devuelto por abonar() o aplicar()
+ * @returns {Promise<void>}
+ */
+async function revertirMovimiento(movimiento) {
+  const saldoActual = await anticiposRepository.obtenerSaldo(movimiento.id_cliente);
+  const ajuste = movimiento.tipo === TIPOS_MOVIMIENTO_ANTICIPO.ABONO
+    ? -parseFloat(movimiento.monto)
+    : parseFloat(movimiento.monto);
+
+  await anticiposRepository.actualizarSaldo(movimiento.id_cliente, redondear(saldoActual + ajuste));
+  await anticiposRepository.eliminarMovimiento(movimiento.id_movimiento);
+}
+
+/**
+ * Obtiene el saldo a favor de un cliente y su historial
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} { cliente, saldo_anticipo, movimientos }
+ */
+async function obtenerAnticipos(id_cliente) {
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+  const movimientos = await anticiposRepository.obtenerMovimientos(id_cliente);
+
+  return {
+    cliente: {
+      id_cliente: cliente.id_cliente,
+      nombre: cliente.nombre,
+      apellido: cliente.apellido
+    },
+    saldo_anticipo: parseFloat(cliente.saldo_anticipo || 0),
+    movimientos
+  };
+}
+
+module.exports = {
+  // Constantes
+  TIPOS_MOVIMIENTO_ANTICIPO,
+  ORIGENES_ANTICIPO,
+
+  // Movimientos
+  abonar,
+  aplicar,
+  validarSaldoSuficiente,
+  revertirMovimiento,
+
+  // Consultas
+  obtenerAnticipos
+};
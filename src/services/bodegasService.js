@@ -0,0 +1,327 @@
+/**
+ * Servicio de Bodegas
+ * Gestiona las bodegas, el stock por bodega y las transferencias entre bodegas
+ */
+
+const bodegasRepository = require('../repositories/bodegasRepository');
+const productosRepository = require('../repositories/productosRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const movimientosService = require('./movimientosService');
+const unidadesProductoService = require('./unidadesProductoService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Formatea el número visible de una transferencia (ej. TR-000012)
+ * Se usa como referencia de la SALIDA y la ENTRADA que la componen
+ * @param {Object} transferencia - Transferencia con su número correlativo
+ * @returns {string} Número de la transferencia
+ */
+function formatearNumeroTransferencia(transferencia) {
+  return `TR-${String(transferencia.numero).padStart(6, '0')}`;
+}
+
+/**
+ * Valida los datos de una bodega
+ * @param {Object} datos - Datos de la bodega a validar
+ * @param {boolean} esActualizacion - Si es una actualización
+ * @throws {ErrorValidacion} Si los datos son inválidos
+ */
+async function validarDatosBodega(datos, esActualizacion = false) {
+  const errores = [];
+
+  if (!esActualizacion || datos.nombre !== undefined) {
+    if (!datos.nombre || datos.nombre.trim() === '') {
+      errores.push('El nombre es requerido');
+    } else if (datos.nombre.length > 100) {
+      errores.push('El nombre no puede exceder 100 caracteres');
+    } else {
+      const existe = await bodegasRepository.existeNombre(datos.nombre.trim(), datos.id_bodega);
+      if (existe) {
+        errores.push('Ya existe una bodega con ese nombre');
+      }
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Datos de bodega inválidos', errores);
+  }
+}
+
+/**
+ * Crea una nueva bodega
+ * @param {Object} datos - Datos de la bodega {nombre, descripcion}
+ * @returns {Promise<Object>} Bodega creada
+ */
+async function crear(datos) {
+  await validarDatosBodega(datos, false);
+
+  return await bodegasRepository.crear({
+    nombre: datos.nombre.trim(),
+    descripcion: datos.descripcion ? datos.descripcion.trim() : null,
+    es_principal: false,
+    estado: true
+  });
+}
+
+/**
+ * Actualiza una bodega existente
+ * @param {string} id - UUID de la bodega
+ * @param {Object} datos - Datos a actualizar
+ * @returns {Promise<Object>} Bodega actualizada
+ */
+async function actualizar(id, datos) {
+  await bodegasRepository.obtenerPorId(id);
+
+  await validarDatosBodega({ ...datos, id_bodega: id }, true);
+
+  const datosActualizacion = {};
+
+  if (datos.nombre !== undefined) {
+    datosActualizacion.nombre = datos.nombre.trim();
+  }
+  if (datos.descripcion !== undefined) {
+    datosActualizacion.descripcion = datos.descripcion ? datos.descripcion.trim() : null;
+  }
+
+  return await bodegasRepository.actualizar(id, datosActualizacion);
+}
+
+/**
+ * Activa una bodega
+ * @param {string} id - UUID de la bodega
+ * @returns {Promise<Object>} Bodega activada
+ */
+async function activar(id) {
+  return await bodegasRepository.actualizar(id, { estado: true });
+}
+
+/**
+ * Desactiva una bodega
+ * No se permite desactivar la bodega principal ni una bodega con existencias
+ * (primero deben transferirse a otra bodega)
+ * @param {string} id - UUID de la bodega
+ * @returns {Promise<Object>} Bodega desactivada
+ */
+async function desactivar(id) {
+  const bodega = await bodegasRepository.obtenerPorId(id);
+
+  if (bodega.es_principal) {
+    throw new ErrorConflicto('No se puede desactivar la bodega principal');
+  }
+
+  const conExistencia = await bodegasRepository.obtenerStockPorBodega(id, { conExistencia: true });
+  if (conExistencia.length > 0) {
+    throw new ErrorConflicto(
+      `La bodega tiene existencias de ${conExistencia.length} productos. Transfiéralas antes de desactivarla`
+    );
+  }
+
+  return await bodegasRepository.actualizar(id, { estado: false });
+}
+
+/**
+ * Define el stock mínimo de un producto en una bodega
+ * @param {string} id_bodega - UUID de la bodega
+ * @param {string} id_producto - UUID del producto
+ * @param {number|null} stock_minimo - Mínimo para esa bodega (null = usar el del producto)
+ * @returns {Promise<Object>} Stock del producto en la bodega
+ */
+async function actualizarStockMinimo(id_bodega, id_producto, stock_minimo) {
+  await bodegasRepository.obtenerPorId(id_bodega);
+  await productosRepository.obtenerPorId(id_producto);
+
+  if (stock_minimo !== null && (!Number.isInteger(stock_minimo) || stock_minimo < 0)) {
+    throw new ErrorValidacion('El stock mínimo debe ser un número entero no negativo');
+  }
+
+  return await bodegasRepository.actualizarStockMinimo(id_producto, id_bodega, stock_minimo);
+}
+
+/**
+ * Transfiere existencias de un producto entre bodegas
+ * TRANSACCIONAL: registra la transferencia, una SALIDA en la bodega de origen y una ENTRADA
+ * en la de destino (ambas con motivo Transferencia y el número TR como referencia).
+ * Si algún paso falla se revierten los ya aplicados. El total del producto no cambia
+ * @param {Object} datos - Datos de la transferencia
+ * @param {string} datos.id_producto - UUID del producto
+ * @param {string} datos.id_bodega_origen - UUID de la bodega de origen
+ * @param {string} datos.id_bodega_destino - UUID de la bodega de destino
+ * @param {number} datos.cantidad - Cantidad a transferir en unidad base (admite decimales)
+ * @param {string} datos.observaciones - Notas (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que transfiere
+ * @returns {Promise<Object>} Transferencia con sus dos movimientos
+ */
+async function transferir(datos) {
+  if (datos.id_bodega_origen === datos.id_bodega_destino) {
+    throw new ErrorValidacion('La bodega de origen y la de destino deben ser distintas');
+  }
+
+  if (typeof datos.cantidad !== 'number' || !(datos.cantidad > 0)) {
+    throw new ErrorValidacion('La cantidad debe ser un número mayor a 0');
+  }
+
+  // La cantidad va en unidad base, con la misma precisión con que se guarda el stock
+  const producto = await productosRepository.obtenerPorId(datos.id_producto);
+  await unidadesProductoService.convertirACantidadBase(producto, datos.cantidad);
+
+  const origen = await bodegasRepository.obtenerPorId(datos.id_bodega_origen);
+  const destino = await bodegasRepository.obtenerPorId(datos.id_bodega_destino);
+
+  if (!origen.estado || !destino.estado) {
+    throw new ErrorConflicto('Ambas bodegas deben estar activas');
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Registrar la transferencia para obtener su número
+    const transferencia = await bodegasRepository.crearTransferencia({
+      id_producto: datos.id_producto,
+      id_bodega_origen: origen.id_bodega,
+      id_bodega_destino: destino.id_bodega,
+      cantidad: datos.cantidad,
+      observaciones: datos.observaciones || null,
+      id_usuario: datos.id_usuario
+    });
+    compensaciones.registrar('Eliminar transferencia', () =>
+      bodegasRepository.eliminarTransferencia(transferencia.id_transferencia)
+    );
+
+    const referencia = `Transferencia ${formatearNumeroTransferencia(transferencia)}`;
+
+    // 2. SALIDA de la bodega de origen (valida el stock de esa bodega)
+    const salida = await movimientosService.registrarSalida({
+      id_producto: datos.id_producto,
+      cantidad: datos.cantidad,
+      motivo: movimientosService.MOTIVOS.TRANSFERENCIA,
+      referencia,
+      id_bodega: origen.id_bodega
+    });
+    compensaciones.registrar('Revertir salida de transferencia', () =>
+      movimientosRepository.revertir(salida)
+    );
+
+    // 3. ENTRADA en la bodega de destino, al costo promedio vigente (no altera el promedio)
+    const entrada = await movimientosService.registrarEntrada({
+      id_producto: datos.id_producto,
+      cantidad: datos.cantidad,
+      motivo: movimientosService.MOTIVOS.TRANSFERENCIA,
+      referencia,
+      id_bodega: destino.id_bodega
+    });
+    compensaciones.registrar('Revertir entrada de transferencia', () =>
+      movimientosRepository.revertir(entrada)
+    );
+
+    // 4. Enlazar los movimientos generados
+    const transferenciaFinal = await bodegasRepository.actualizarTransferencia(
+      transferencia.id_transferencia,
+      {
+        id_movimiento_salida: salida.id_movimiento,
+        id_movimiento_entrada: entrada.id_movimiento
+      }
+    );
+
+    return {
+      ...transferenciaFinal,
+      numero_transferencia: formatearNumeroTransferencia(transferenciaFinal),
+      bodega_origen: { id_bodega: origen.id_bodega, nombre: origen.nombre },
+      bodega_destino: { id_bodega: destino.id_bodega, nombre: destino.nombre },
+      stock_origen: salida.stock_bodega_actual,
+      stock_destino: entrada.stock_bodega_actual,
+      movimientos: [salida, entrada]
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene las bodegas
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Array>} Bodegas
+ */
+async function obtenerBodegas(filtros = {}) {
+  return await bodegasRepository.obtenerTodas(filtros);
+}
+
+/**
+ * Obtiene una bodega por ID
+ * @param {string} id - UUID de la bodega
+ * @returns {Promise<Object>} Bodega encontrada
+ */
+async function obtenerBodegaPorId(id) {
+  return await bodegasRepository.obtenerPorId(id);
+}
+
+/**
+ * Obtiene el inventario de una bodega
+ * Cada línea indica el stock mínimo aplicable (el de la bodega o, si no tiene, el del producto)
+ * @param {string} id - UUID de la bodega
+ * @param {Object} filtros - Filtros opcionales {conExistencia}
+ * @returns {Promise<Object>} Bodega y stock por producto
+ */
+async function obtenerStockBodega(id, filtros = {}) {
+  const bodega = await bodegasRepository.obtenerPorId(id);
+  const stock = await bodegasRepository.obtenerStockPorBodega(id, filtros);
+
+  const productos = stock
+    .filter(s => s.productos && !s.productos.deleted_at)
+    .map(s => {
+      const minimo = s.stock_minimo ?? s.productos.stock_minimo;
+      return {
+        id_producto: s.id_producto,
+        nombre: s.productos.nombre,
+        unidad_medida: s.productos.unidad_medida,
+        categoria: s.productos.categorias?.nombre,
+        cantidad_stock: s.cantidad_stock,
+        stock_minimo: minimo,
+        stock_minimo_propio: s.stock_minimo !== null,
+        stock_bajo: s.cantidad_stock <= minimo
+      };
+    })
+    .sort((a, b) => a.nombre.localeCompare(b.nombre));
+
+  return {
+    bodega,
+    total_productos: productos.length,
+    productos
+  };
+}
+
+/**
+ * Obtiene transferencias con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Transferencias y metadatos de paginación
+ */
+async function obtenerTransferencias(filtros = {}) {
+  const resultado = await bodegasRepository.obtenerTransferencias(filtros);
+
+  return {
+    datos: resultado.datos.map(t => ({
+      ...t,
+      numero_transferencia: formatearNumeroTransferencia(t)
+    })),
+    paginacion: resultado.paginacion
+  };
+}
+
+module.exports = {
+  // Funciones principales
+  crear,
+  actualizar,
+  activar,
+  desactivar,
+  actualizarStockMinimo,
+  transferir,
+
+  // Consultas
+  obtenerBodegas,
+  obtenerBodegaPorId,
+  obtenerStockBodega,
+  obtenerTransferencias
+};
@@ -0,0 +1,653 @@
+/**
+ * Servicio de Caja
+ * Sesiones de caja por usuario: apertura con fondo inicial, movimientos de efectivo (ventas al
+ * contado y pagos en efectivo se registran solos; ingresos y egresos manuales), cierre con
+ * arqueo (sobrante o faltante) y reportes Z por sesión y por día
+ */
+
+const cajaRepository = require('../repositories/cajaRepository');
+const { obtenerFechaHoyGuatemala, redondear } = require('../utils/fechas');
+const {
+  ErrorValidacion,
+  ErrorConflicto,
+  ErrorProhibido
+} = require('../utils/errores');
+
+/**
+ * Estados de una sesión de caja
+ */
+const ESTADOS_SESION = {
+  ABIERTA: 'ABIERTA',
+  CERRADA: 'CERRADA'
+};
+
+/**
+ * Tipos de movimiento de caja
+ * Los tres primeros los genera el sistema; INGRESO y EGRESO son manuales
+ */
+const TIPOS_MOVIMIENTO_CAJA = {
+  VENTA_CONTADO: 'VENTA_CONTADO',
+  PAGO_CREDITO: 'PAGO_CREDITO',
+  PAGO_CLIENTE: 'PAGO_CLIENTE',
+  INGRESO: 'INGRESO',
+  EGRESO: 'EGRESO'
+};
+
+/**
+ * Métodos de pago aceptados en ventas y cobros; solo EFECTIVO entra a la caja
+ */
+const METODOS_PAGO = {
+  EFECTIVO: 'EFECTIVO',
+  TARJETA: 'TARJETA',
+  TRANSFERENCIA: 'TRANSFERENCIA'
+};
+
+/**
+ * Resultado del arqueo al cerrar
+ */
+const RESULTADOS_ARQUEO = {
+  CUADRA: 'CUADRA',
+  SOBRANTE: 'SOBRANTE',
+  FALTANTE: 'FALTANTE'
+};
+
+/**
+ * Política usada mientras no se haya configurado ninguna: se vende sin caja abierta, para no
+ * bloquear las ventas al desplegar; el administrador la activa cuando los cajeros abren caja
+ */
+const POLITICA_POR_DEFECTO = {
+  exigir_caja_abierta: false
+};
+
+/**
+ * Indica si un método de pago es efectivo (sin método se asume efectivo)
+ * @param {string} metodo_pago - Método de pago indicado en el cobro
+ * @returns {boolean} true si el cobro entra a la caja
+ */
+function esEfectivo(metodo_pago) {
+  return !metodo_pago || !String(metodo_pago).trim() ||
+    String(metodo_pago).trim().toUpperCase() === METODOS_PAGO.EFECTIVO;
+}
+
+/**
+ * Resultado del arqueo según la diferencia entre lo contado y lo esperado
+ * @param {number|null} diferencia - monto_contado - monto_esperado
+ * @returns {string|null} CUADRA, SOBRANTE, FALTANTE o null si no se ha contado
+ */
+function calcularResultado(diferencia) {
+  if (diferencia === null || diferencia === undefined) {
+    return null;
+  }
+
+  const valor = parseFloat(diferencia);
+  if (valor === 0) return RESULTADOS_ARQUEO.CUADRA;
+  return valor > 0 ? RESULTADOS_ARQUEO.SOBRANTE : RESULTADOS_ARQUEO.FALTANTE;
+}
+
+/**
+ * Totaliza los movimientos de una sesión
+ * Los movimientos anulados no cuentan en el esperado; se informan aparte
+ * @param {Object} sesion - Sesión de caja
+ * @param {Array} movimientos - Movimientos de la sesión
+ * @returns {Object} { monto_apertura, totales_por_tipo, total_entradas, total_salidas, monto_esperado, anulados }
+ */
+function resumirMovimientos(sesion, movimientos) {
+  const totales_por_tipo = {};
+  Object.values(TIPOS_MOVIMIENTO_CAJA).forEach(tipo => {
+    totales_por_tipo[tipo] = { cantidad: 0, monto: 0 };
+  });
+
+  const anulados = { cantidad: 0, monto: 0 };
+  let entradas = 0;
+  let salidas = 0;
+
+  for (const movimiento of movimientos) {
+    const monto = parseFloat(movimiento.monto);
+
+    if (movimiento.anulado) {
+      anulados.cantidad += 1;
+      anulados.monto = redondear(anulados.monto + monto);
+      continue;
+    }
+
+    const total = totales_por_tipo[movimiento.tipo];
+    total.cantidad += 1;
+    total.monto = redondear(total.monto + monto);
+
+    if (movimiento.tipo === TIPOS_MOVIMIENTO_CAJA.EGRESO) {
+      salidas += monto;
+    } else {
+      entradas += monto;
+    }
+  }
+
+  const monto_apertura = parseFloat(sesion.monto_apertura);
+
+  return {
+    monto_apertura,
+    totales_por_tipo,
+    total_entradas: redondear(entradas),
+    total_salidas: redondear(salidas),
+    monto_esperado: redondear(monto_apertura + entradas - salidas),
+    anulados
+  };
+}
+
+/**
+ * Verifica que el usuario sea el dueño de la sesión o un administrador
+ * @param {Object} sesion - Sesión de caja
+ * @param {Object} usuario - { id_usuario, rol_nombre }
+ */
+function validarAccesoSesion(sesion, usuario) {
+  if (sesion.id_usuario !== usuario.id_usuario && usuario.rol_nombre !== 'ADMINISTRADOR') {
+    throw new ErrorProhibido('Solo puedes operar tu propia caja');
+  }
+}
+
+/**
+ * Obtiene la política de caja vigente
+ * @returns {Promise<Object>} Política (la de por defecto si nunca se configuró)
+ */
+async function obtenerPolitica() {
+  const politica = await cajaRepository.obtenerPolitica();
+  return politica || { ...POLITICA_POR_DEFECTO };
+}
+
+/**
+ * Actualiza la política de caja
+ * @param {Object} datos - Datos de la política
+ * @param {boolean} datos.exigir_caja_abierta - Rechazar ventas y reembolsos de usuarios sin caja abierta
+ * @param {string} id_usuario - UUID del usuario que la modifica
+ * @returns {Promise<Object>} Política guardada
+ */
+async function actualizarPolitica(datos, id_usuario) {
+  const actual = await obtenerPolitica();
+  const politica = {};
+
+  for (const campo of Object.keys(POLITICA_POR_DEFECTO)) {
+    politica[campo] = datos[campo] !== undefined ? datos[campo] : actual[campo];
+  }
+
+  const errores = [];
+
+  if (typeof politica.exigir_caja_abierta !== 'boolean') {
+    errores.push('exigir_caja_abierta debe ser true o false');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Política de caja inválida', errores);
+  }
+
+  return await cajaRepository.guardarPolitica({
+    ...politica,
+    id_usuario
+  });
+}
+
+/**
+ * Abre la caja de un usuario con su fondo inicial
+ * @param {Object} datos - { monto_apertura, observaciones, id_usuario }
+ * @returns {Promise<Object>} Sesión abierta
+ */
+async function abrirSesion(datos) {
+  const montoApertura = redondear(parseFloat(datos.monto_apertura));
+
+  if (isNaN(montoApertura) || montoApertura < 0) {
+    throw new ErrorValidacion('El monto de apertura debe ser un número mayor o igual a 0');
+  }
+
+  const abierta = await cajaRepository.obtenerSesionAbierta(datos.id_usuario);
+  if (abierta) {
+    throw new ErrorConflicto('Ya tienes una caja abierta; ciérrala antes de abrir otra', {
+      id_sesion: abierta.id_sesion
+    });
+  }
+
+  return await cajaRepository.crearSesion({
+    id_usuario: datos.id_usuario,
+    monto_apertura: montoApertura,
+    observaciones_apertura: datos.observaciones || null
+  });
+}
+
+/**
+ * Obtiene la caja abierta del usuario con su resumen al momento
+ * @param {string} id_usuario - UUID del usuario
+ * @returns {Promise<Object|null>} { sesion, resumen } o null si no tiene caja abierta
+ */
+async function obtenerSesionActual(id_usuario) {
+  const sesion = await cajaRepository.obtenerSesionAbierta(id_usuario);
+  if (!sesion) {
+    return null;
+  }
+
+  const movimientos = await cajaRepository.obtenerMovimientosPorSesion(sesion.id_sesion);
+
+  return {
+    sesion,
+    resumen: resumirMovimientos(sesion, movimientos)
+  };
+}
+
+/**
+ * Obtiene sesiones de caja
+ * @param {Object} filtros - { estado, id_usuario, fecha_desde, fecha_hasta }
+ * @returns {Promise<Array>} Sesiones
+ */
+async function obtenerSesiones(filtros = {}) {
+  if (filtros.fecha_desde && filtros.fecha_hasta && filtros.fecha_desde > filtros.fecha_hasta) {
+    throw new ErrorValidacion('La fecha desde no puede ser posterior a la fecha hasta');
+  }
+
+  return await cajaRepository.obtenerSesiones({
+    estado: filtros.estado,
+    id_usuario: filtros.id_usuario,
+    desde: filtros.fecha_desde ? `${filtros.fecha_desde}T00:00:00-06:00` : null,
+    hasta: filtros.fecha_hasta ? `${filtros.fecha_hasta}T23:59:59-06:00` : null
+  });
+}
+
+/**
+ * Registra un ingreso o egreso manual de efectivo en la caja abierta del usuario
+ * @param {Object} datos - { tipo, monto, concepto, id_usuario }
+ * @returns {Promise<Object>} { movimiento, monto_esperado }
+ */
+async function registrarMovimientoManual(datos) {
+  const manuales = [TIPOS_MOVIMIENTO_CAJA.INGRESO, TIPOS_MOVIMIENTO_CAJA.EGRESO];
+  if (!manuales.includes(datos.tipo)) {
+    throw new ErrorValidacion(`El tipo de movimiento debe ser: ${manuales.join(', ')}`);
+  }
+
+  const monto = redondear(parseFloat(datos.monto));
+  if (!monto || monto <= 0) {
+    throw new ErrorValidacion('El monto del movimiento debe ser mayor a 0');
+  }
+
+  if (!datos.concepto || !datos.concepto.trim()) {
+    throw new ErrorValidacion('El concepto del movimiento es requerido');
+  }
+
+  const actual = await obtenerSesionActual(datos.id_usuario);
+  if (!actual) {
+    throw new ErrorConflicto('No tienes una caja abierta');
+  }
+
+  const esperado = actual.resumen.monto_esperado;
+  if (datos.tipo === TIPOS_MOVIMIENTO_CAJA.EGRESO && monto > esperado) {
+    throw new ErrorValidacion(
+      `El egreso (Q${monto.toFixed(2)}) excede el efectivo esperado en caja (Q${esperado.toFixed(2)})`
+    );
+  }
+
+  const movimiento = await cajaRepository.crearMovimiento({
+    id_sesion: actual.sesion.id_sesion,
+    tipo: datos.tipo,
+    monto,
+    concepto: datos.concepto.trim(),
+    id_usuario: datos.id_usuario
+  });
+
+  return {
+    movimiento,
+    monto_esperado: redondear(datos.tipo === TIPOS_MOVIMIENTO_CAJA.EGRESO ? esperado - monto : esperado + monto)
+  };
+}
+
+/**
+ * Cierra una caja con el efectivo contado
+ * Guarda el esperado, lo contado y la diferencia (positiva = sobrante, negativa = faltante)
+ * @param {string} id_sesion - UUID de la sesión
+ * @param {Object} datos - { monto_contado, observaciones }
+ * @param {Object} usuario - { id_usuario, rol_nombre } del que cierra (dueño o administrador)
+ * @returns {Promise<Object>} Reporte Z de la sesión cerrada
+ */
+async function cerrarSesion(id_sesion, datos, usuario) {
+  const montoContado = redondear(parseFloat(datos.monto_contado));
+
+  if (isNaN(montoContado) || montoContado < 0) {
+    throw new ErrorValidacion('El monto contado debe ser un número mayor o igual a 0');
+  }
+
+  const sesion = await cajaRepository.obtenerSesionPorId(id_sesion);
+  validarAccesoSesion(sesion, usuario);
+
+  if (sesion.estado !== ESTADOS_SESION.ABIERTA) {
+    throw new ErrorConflicto('La caja ya está cerrada');
+  }
+
+  const movimientos = await cajaRepository.obtenerMovimientosPorSesion(id_sesion);
+  const resumen = resumirMovimientos(sesion, movimientos);
+
+  const cerrada = await cajaRepository.cerrarSesion(id_sesion, {
+    monto_esperado: resumen.monto_esperado,
+    monto_contado: montoContado,
+    diferencia: redondear(montoContado - resumen.monto_esperado),
+    observaciones_cierre: datos.observaciones || null,
+    id_usuario_cierre: usuario.id_usuario
+  });
+
+  if (!cerrada) {
+    throw new ErrorConflicto('La caja ya fue cerrada por otra operación');
+  }
+
+  return await obtenerReporteZ(id_sesion, usuario);
+}
+
+/**
+ * Reporte Z de una sesión: totales por tipo de movimiento, esperado, contado y diferencia
+ * De una caja abierta se calcula al momento; de una cerrada se usan las cifras del cierre
+ * @param {string} id_sesion - UUID de la sesión
+ * @param {Object} usuario - { id_usuario, rol_nombre } que consulta (dueño o administrador)
+ * @returns {Promise<Object>} Reporte Z
+ */
+async function obtenerReporteZ(id_sesion, usuario) {
+  const sesion = await cajaRepository.obtenerSesionPorId(id_sesion);
+  validarAccesoSesion(sesion, usuario);
+
+  const movimientos = await cajaRepository.obtenerMovimientosPorSesion(id_sesion);
+  return construirReporteZ(sesion, movimientos, true);
+}
+
+/**
+ * Arma el reporte Z de una sesión con sus movimientos
+ * @param {Object} sesion - Sesión de caja
+ * @param {Array} movimientos - Movimientos de la sesión
+ * @param {boolean} incluirMovimientos - Si se devuelve el detalle de movimientos
+ * @returns {Object} Reporte Z
+ */
+function construirReporteZ(sesion, movimientos, incluirMovimientos) {
+  const resumen = resumirMovimientos(sesion, movimientos);
+  const cerrada = sesion.estado === ESTADOS_SESION.CERRADA;
+  const diferencia = cerrada ? parseFloat(sesion.diferencia) : null;
+
+  const reporte = {
+    sesion: {
+      id_sesion: sesion.id_sesion,
+      estado: sesion.estado,
+      usuario: sesion.usuarios || { id_usuario: sesion.id_usuario },
+      fecha_apertura: sesion.fecha_apertura,
+      fecha_cierre: sesion.fecha_cierre || null,
+      usuario_cierre: sesion.usuario_cierre || null,
+      observaciones_apertura: sesion.observaciones_apertura || null,
+      observaciones_cierre: sesion.observaciones_cierre || null
+    },
+    ...resumen,
+    monto_esperado: cerrada ? parseFloat(sesion.monto_esperado) : resumen.monto_esperado,
+    monto_contado: cerrada ? parseFloat(sesion.monto_contado) : null,
+    diferencia,
+    resultado: calcularResultado(diferencia)
+  };
+
+  if (incluirMovimientos) {
+    reporte.movimientos = movimientos;
+  }
+
+  return reporte;
+}
+
+/**
+ * Suma un total por tipo a un acumulado
+ * @param {Object} acumulado - Totales por tipo acumulados
+ * @param {Object} totales - Totales por tipo de una sesión
+ */
+function acumularTotalesPorTipo(acumulado, totales) {
+  for (const [tipo, total] of Object.entries(totales)) {
+    acumulado[tipo].cantidad += total.cantidad;
+    acumulado[tipo].monto = redondear(acumulado[tipo].monto + total.monto);
+  }
+}
+
+/**
+ * Crea un acumulador vacío para el reporte Z diario
+ * @returns {Object} Acumulador
+ */
+function crearAcumuladoZ() {
+  const totales_por_tipo = {};
+  Object.values(TIPOS_MOVIMIENTO_CAJA).forEach(tipo => {
+    totales_por_tipo[tipo] = { cantidad: 0, monto: 0 };
+  });
+
+  return {
+    sesiones: 0,
+    sesiones_abiertas: 0,
+    monto_apertura: 0,
+    totales_por_tipo,
+    total_entradas: 0,
+    total_salidas: 0,
+    monto_esperado: 0,
+    monto_contado: 0,
+    diferencia: 0
+  };
+}
+
+/**
+ * Suma el reporte Z de una sesión a un acumulador
+ * Lo contado y la diferencia solo suman de las sesiones cerradas
+ * @param {Object} acumulado - Acumulador creado con crearAcumuladoZ()
+ * @param {Object} reporte - Reporte Z de la sesión
+ */
+function acumularReporteZ(acumulado, reporte) {
+  acumulado.sesiones += 1;
+  acumulado.monto_apertura = redondear(acumulado.monto_apertura + reporte.monto_apertura);
+  acumularTotalesPorTipo(acumulado.totales_por_tipo, reporte.totales_por_tipo);
+  acumulado.total_entradas = redondear(acumulado.total_entradas + reporte.total_entradas);
+  acumulado.total_salidas = redondear(acumulado.total_salidas + reporte.total_salidas);
+  acumulado.monto_esperado = redondear(acumulado.monto_esperado + reporte.monto_esperado);
+
+  if (reporte.sesion.estado === ESTADOS_SESION.ABIERTA) {
+    acumulado.sesiones_abiertas += 1;
+    return;
+  }
+
+  acumulado.monto_contado = redondear(acumulado.monto_contado + reporte.monto_contado);
+  acumulado.diferencia = redondear(acumulado.diferencia + reporte.diferencia);
+}
+
+/**
+ * Reporte Z del día: todas las sesiones abiertas ese día, totalizadas y por usuario
+ * @param {string} fecha - Fecha YYYY-MM-DD (opcional; default hoy)
+ * @returns {Promise<Object>} { fecha, totales, por_usuario, sesiones }
+ */
+async function obtenerReporteZDiario(fecha) {
+  const dia = fecha || obtenerFechaHoyGuatemala();
+
+  const sesiones = await cajaRepository.obtenerSesiones({
+    desde: `${dia}T00:00:00-06:00`,
+    hasta: `${dia}T23:59:59-06:00`
+  });
+
+  const movimientos = await cajaRepository.obtenerMovimientosPorSesiones(sesiones.map(s => s.id_sesion));
+  const movimientosPorSesion = new Map();
+  movimientos.forEach(m => {
+    if (!movimientosPorSesion.has(m.id_sesion)) movimientosPorSesion.set(m.id_sesion, []);
+    movimientosPorSesion.get(m.id_sesion).push(m);
+  });
+
+  const totales = crearAcumuladoZ();
+  const porUsuario = new Map();
+
+  const reportes = sesiones
+    .slice()
+    .sort((a, b) => String(a.fecha_apertura).localeCompare(String(b.fecha_apertura)))
+    .map(sesion => {
+      const reporte = construirReporteZ(sesion, movimientosPorSesion.get(sesion.id_sesion) || [], false);
+
+      acumularReporteZ(totales, reporte);
+
+      if (!porUsuario.has(sesion.id_usuario)) {
+        porUsuario.set(sesion.id_usuario, {
+          usuario: reporte.sesion.usuario,
+          ...crearAcumuladoZ()
+        });
+      }
+      acumularReporteZ(porUsuario.get(sesion.id_usuario), reporte);
+
+      return reporte;
+    });
+
+  return {
+    fecha: dia,
+    totales: {
+      ...totales,
+      resultado: calcularResultado(totales.diferencia)
+    },
+    por_usuario: Array.from(porUsuario.values()).map(grupo => ({
+      ...grupo,
+      resultado: calcularResultado(grupo.diferencia)
+    })),
+    sesiones: reportes
+  };
+}
+
+/**
+ * Obtiene la caja abierta del vendedor antes de registrar una venta
+ * Si la política lo exige y el usuario no tiene caja abierta, la venta se rechaza
+ * @param {string} id_usuario - UUID del usuario que vende
+ * @returns {Promise<Object|null>} Sesión abierta o null (solo si la política lo permite)
+ */
+async function validarCajaParaVenta(id_usuario) {
+  const sesion = await cajaRepository.obtenerSesionAbierta(id_usuario);
+
+  if (!sesion) {
+    const politica = await obtenerPolitica();
+    if (politica.exigir_caja_abierta) {
+      throw new ErrorConflicto('Debes abrir caja antes de registrar ventas');
+    }
+  }
+
+  return sesion;
+}
+
+/**
+ * Obtiene la caja a la que entra un cobro: la caja abierta del usuario si se cobra en efectivo
+ * @param {string} id_usuario - UUID del usuario que cobra
+ * @param {string} metodo_pago - Método de pago del cobro
+ * @returns {Promise<Object|null>} Sesión abierta o null si el cobro no entra a caja
+ */
+async function obtenerCajaParaCobro(id_usuario, metodo_pago) {
+  if (!id_usuario || !esEfectivo(metodo_pago)) {
+    return null;
+  }
+
+  return await cajaRepository.obtenerSesionAbierta(id_usuario);
+}
+
+/**
+ * Obtiene la caja de la que sale el reembolso en efectivo de una devolución
+ * Si la política exige caja abierta, el reembolso se rechaza sin ella; si no, se registra
+ * sin movimiento de caja. Como un egreso manual, no puede superar el efectivo esperado
+ * @param {string} id_usuario - UUID del usuario que reembolsa
+ * @param {number} monto - Monto a reembolsar
+ * @returns {Promise<Object|null>} Sesión abierta o null si el reembolso no sale de caja
+ */
+async function obtenerCajaParaReembolso(id_usuario, monto) {
+  if (!id_usuario || !(monto > 0)) {
+    return null;
+  }
+
+  const actual = await obtenerSesionActual(id_usuario);
+
+  if (!actual) {
+    const politica = await obtenerPolitica();
+    if (politica.exigir_caja_abierta) {
+      throw new ErrorConflicto('Debes abrir caja antes de reembolsar en efectivo');
+    }
+    return null;
+  }
+
+  const esperado = actual.resumen.monto_esperado;
+  if (monto > esperado) {
+    throw new ErrorValidacion(
+      `El reembolso (Q${monto.toFixed(2)}) excede el efectivo esperado en caja (Q${esperado.toFixed(2)})`
+    );
+  }
+
+  return actual.sesion;
+}
+
+/**
+ * Registra en la caja el efectivo recibido por una venta o un pago, o el entregado por un
+ * reembolso (tipo EGRESO)
+ * No hace nada si no hay caja o el monto es 0
+ * @param {Object|null} sesion - Sesión abierta (de validarCajaParaVenta, obtenerCajaParaCobro
+ *   u obtenerCajaParaReembolso)
+ * @param {Object} movimiento - { tipo, monto, concepto, id_venta, id_pago, id_pago_cliente,
+ *   id_devolucion, id_usuario }
+ * @param {Object} compensaciones - Registro de compensaciones de la operación
+ * @returns {Promise<Object|null>} Movimiento creado o null
+ */
+async function registrarCobro(sesion, movimiento, compensaciones) {
+  const monto = redondear(parseFloat(movimiento.monto));
+
+  if (!sesion || !(monto > 0)) {
+    return null;
+  }
+
+  const creado = await cajaRepository.crearMovimiento({
+    ...movimiento,
+    monto,
+    id_sesion: sesion.id_sesion
+  });
+  compensaciones.registrar('Eliminar movimiento de caja', () =>
+    cajaRepository.eliminarMovimiento(creado.id_movimiento)
+  );
+
+  return creado;
+}
+
+/**
+ * Anula los movimientos de caja de una venta, un pago o un pago global que se anula
+ * Solo toca cajas todavía abiertas: una caja cerrada conserva su arqueo, y el efectivo que se
+ * devuelva después se registra como egreso manual
+ * @param {Object} referencia - { id_venta }, { id_pago } o { id_pago_cliente }
+ * @param {Object} compensaciones - Registro de compensaciones de la operación
+ * @returns {Promise<number>} Cantidad de movimientos anulados
+ */
+async function anularMovimientos(referencia, compensaciones) {
+  const movimientos = await cajaRepository.obtenerMovimientosPorReferencia(referencia);
+  const ids = movimientos
+    .filter(m => m.sesiones_caja && m.sesiones_caja.estado === ESTADOS_SESION.ABIERTA)
+    .map(m => m.id_movimiento);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  await cajaRepository.marcarAnulados(ids, true);
+  compensaciones.registrar('Restaurar movimientos de caja', () =>
+    cajaRepository.marcarAnulados(ids, false)
+  );
+
+  return ids.length;
+}
+
+module.exports = {
+  // Constantes
+  ESTADOS_SESION,
+  TIPOS_MOVIMIENTO_CAJA,
+  RESULTADOS_ARQUEO,
+  METODOS_PAGO,
+
+  // Política
+  obtenerPolitica,
+  actualizarPolitica,
+
+  // Sesiones
+  abrirSesion,
+  obtenerSesionActual,
+  obtenerSesiones,
+  registrarMovimientoManual,
+  cerrarSesion,
+
+  // Reportes
+  obtenerReporteZ,
+  obtenerReporteZDiario,
+
+  // Integración con ventas y pagos
+  esEfectivo,
+  validarCajaParaVenta,
+  obtenerCajaParaCobro,
+  obtenerCajaParaReembolso,
+  registrarCobro,
+  anularMovimientos
+};
@@ -4,12 +4,26 @@
  */
 
 const clientesRepository = require('../repositories/clientesRepository');
+const creditosRepository = require('../repositories/creditosRepository');
+const pagosRepository = require('../repositories/pagosRepository');
+const moraRepository = require('../repositories/moraRepository');
+const devolucionesRepository = require('../repositories/devolucionesRepository');
+const notasCreditoRepository = require('../repositories/notasCreditoRepository');
+const politicaCreditoService = require('./politicaCreditoService');
 const { supabase } = require('../config/database');
+const config = require('../config');
 const { 
   ErrorValidacion, 
   ErrorConflicto,
   ErrorNoEncontrado 
 } = require('../utils/errores');
+const {
+  obtenerFechaGuatemala,
+  obtenerFechaHoyGuatemala,
+  convertirAGuatemala,
+  formatearISO
+} = require('../utils/fechas');
+const { crearDocumentoPDF, recortarTexto } = require('../utils/pdf');
 
 /**
  * Tipos de cliente permitidos
@@ -19,6 +33,19 @@ const TIPOS_CLIENTE = {
   CREDITO: 'CREDITO'
 };
 
+/**
+ * Tipos de movimiento del estado de cuenta
+ */
+const TIPOS_MOVIMIENTO_CUENTA = {
+  VENTA_CREDITO: 'VENTA_CREDITO',
+  PAGO: 'PAGO',
+  ANULACION_PAGO: 'ANULACION_PAGO',
+  DEVOLUCION: 'DEVOLUCION',
+  NOTA_CREDITO: 'NOTA_CREDITO',
+  CARGO_MORA: 'CARGO_MORA',
+  CONDONACION: 'CONDONACION'
+};
+
 /**
  * Valida el formato de un correo electrónico
  * @param {string} correo - Correo a validar
@@ -272,10 +299,15 @@ async function obtenerClientes(filtros = {}) {
 /**
  * Obtiene un cliente por ID
  * @param {string} id - UUID del cliente
- * @returns {Promise<Object>} Cliente encontrado con crédito_disponible
+ * @returns {Promise<Object>} Cliente encontrado con crédito_disponible y politica_credito (solo CREDITO)
  */
 async function obtenerClientePorId(id) {
   const cliente = await clientesRepository.obtenerPorId(id);
+
+  // Bloqueos, autorizaciones y propuesta de límite según la política de crédito
+  const politicaCredito = cliente.tipo_cliente === 'CREDITO'
+    ? await politicaCreditoService.obtenerEstadoCliente(cliente.id_cliente)
+    : null;
   
   // Calcular crédito disponible si es tipo CREDITO
   if (cliente.tipo_cliente === 'CREDITO' && cliente.limite_credito) {
@@ -285,13 +317,15 @@ async function obtenerClientePorId(id) {
     );
     return {
       ...cliente,
-      credito_disponible: creditoDisponible
+      credito_disponible: creditoDisponible,
+      politica_credito: politicaCredito
     };
   }
   
   return {
     ...cliente,
-    credito_disponible: 0
+    credito_disponible: 0,
+    politica_credito: politicaCredito
   };
 }
 
@@ -419,7 +453,8 @@ async function obtenerHistorialCreditos(id_cliente) {
     total_creditos: creditos.length,
     creditos_activos: creditos.filter(c => c.estado === 'ACTIVO').length,
     creditos_vencidos: creditos.filter(c => c.estado === 'VENCIDO').length,
-    creditos_pagados: creditos.filter(c => c.estado === 'PAGADO').length
+    creditos_pagados: creditos.filter(c => c.estado === 'PAGADO').length,
+    creditos_castigados: creditos.filter(c => c.estado === 'CASTIGADO').length
   };
 }
 
@@ -494,9 +529,412 @@ async function obtenerReporteDeuda(id_cliente) {
   };
 }
 
+/**
+ * Convierte un timestamp o una fecha de la base de datos a "YYYY-MM-DDTHH:mm:ss" en hora de
+ * Guatemala, para ordenar los movimientos y compararlos con el período
+ * @param {string} valor - Timestamp ISO o fecha YYYY-MM-DD
+ * @param {string} horaFechaSola - Hora a usar cuando el valor es solo fecha
+ * @returns {string} Fecha y hora local
+ */
+function momentoLocal(valor, horaFechaSola = '00:00:00') {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+    return `${valor}T${horaFechaSola}`;
+  }
+  return formatearISO(convertirAGuatemala(valor)).slice(0, 19);
+}
+
+/**
+ * Referencia corta de un UUID para mostrar en documentos
+ * @param {string} id - UUID
+ * @returns {string} Primeros 8 caracteres en mayúsculas
+ */
+function referenciaCorta(id) {
+  return id ? String(id).slice(0, 8).toUpperCase() : '';
+}
+
+/**
+ * Arma todos los movimientos que cambiaron el saldo de los créditos de un cliente
+ * Los intereses diarios de mora se agrupan por crédito y por mes para no llenar el estado
+ * de cuenta con una línea por día
+ * @param {Array} creditos - Créditos del cliente (sin anulados)
+ * @param {Array} pagos - Pagos de los créditos
+ * @param {Array} devoluciones - Devoluciones aplicadas a crédito
+ * @param {Array} notas - Notas de crédito aplicadas a crédito
+ * @param {Array} cargos - Cargos de mora
+ * @returns {Array} Movimientos { momento, tipo, descripcion, referencia, cargo, abono }
+ */
+function construirMovimientosCuenta(creditos, pagos, devoluciones, notas, cargos) {
+  const movimientos = [];
+  const creditoPorVenta = new Map(creditos.map(c => [c.id_venta, c]));
+  const idsCredito = new Set(creditos.map(c => c.id_credito));
+
+  for (const credito of creditos) {
+    const anticipo = parseFloat(credito.ventas?.monto_anticipo || 0);
+    movimientos.push({
+      momento: momentoLocal(credito.ventas?.fecha_venta || credito.fecha_inicio),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.VENTA_CREDITO,
+      descripcion: anticipo > 0
+        ? `Venta a crédito (anticipo aplicado Q${anticipo.toFixed(2)})`
+        : 'Venta a crédito',
+      referencia: referenciaCorta(credito.id_venta),
+      id_credito: credito.id_credito,
+      cargo: parseFloat(credito.monto_total),
+      abono: 0
+    });
+  }
+
+  for (const pago of pagos) {
+    if (!idsCredito.has(pago.id_credito)) continue;
+    const monto = parseFloat(pago.monto_pagado);
+
+    movimientos.push({
+      momento: momentoLocal(pago.fecha_pago),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.PAGO,
+      descripcion: pago.metodo_pago ? `Pago (${pago.metodo_pago})` : 'Pago',
+      referencia: referenciaCorta(pago.id_pago),
+      id_credito: pago.id_credito,
+      cargo: 0,
+      abono: monto
+    });
+
+    // Un pago anulado aparece en su fecha y se revierte en la fecha de anulación
+    if (pago.estado === 'ANULADO' && pago.fecha_anulacion) {
+      movimientos.push({
+        momento: momentoLocal(pago.fecha_anulacion),
+        tipo: TIPOS_MOVIMIENTO_CUENTA.ANULACION_PAGO,
+        descripcion: pago.motivo_anulacion
+          ? `Anulación de pago: ${pago.motivo_anulacion}`
+          : 'Anulación de pago',
+        referencia: referenciaCorta(pago.id_pago),
+        id_credito: pago.id_credito,
+        cargo: monto,
+        abono: 0
+      });
+    }
+  }
+
+  for (const devolucion of devoluciones) {
+    const credito = creditoPorVenta.get(devolucion.id_venta);
+    if (!credito) continue;
+
+    movimientos.push({
+      momento: momentoLocal(devolucion.fecha_devolucion),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.DEVOLUCION,
+      descripcion: devolucion.motivo ? `Devolución: ${devolucion.motivo}` : 'Devolución de mercadería',
+      referencia: referenciaCorta(devolucion.id_venta),
+      id_credito: credito.id_credito,
+      cargo: 0,
+      abono: parseFloat(devolucion.monto_aplicado_credito)
+    });
+  }
+
+  for (const nota of notas) {
+    if (!idsCredito.has(nota.id_credito)) continue;
+
+    movimientos.push({
+      momento: momentoLocal(nota.fecha_nota),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.NOTA_CREDITO,
+      descripcion: `Nota de crédito: ${nota.motivo}`,
+      referencia: referenciaCorta(nota.id_nota),
+      id_credito: nota.id_credito,
+      cargo: 0,
+      abono: parseFloat(nota.monto_aplicado_credito)
+    });
+  }
+
+  const interesesPorMes = new Map();
+  const condonaciones = new Map();
+
+  for (const cargo of cargos) {
+    const monto = parseFloat(cargo.monto);
+
+    if (cargo.tipo === 'INTERES') {
+      const clave = `${cargo.id_credito}|${cargo.fecha_cargo.slice(0, 7)}`;
+      const grupo = interesesPorMes.get(clave) || {
+        id_credito: cargo.id_credito,
+        desde: cargo.fecha_cargo,
+        hasta: cargo.fecha_cargo,
+        monto: 0
+      };
+      grupo.hasta = cargo.fecha_cargo > grupo.hasta ? cargo.fecha_cargo : grupo.hasta;
+      grupo.desde = cargo.fecha_cargo < grupo.desde ? cargo.fecha_cargo : grupo.desde;
+      grupo.monto += monto;
+      interesesPorMes.set(clave, grupo);
+    } else {
+      movimientos.push({
+        momento: momentoLocal(cargo.fecha_cargo, '23:59:59'),
+        tipo: TIPOS_MOVIMIENTO_CUENTA.CARGO_MORA,
+        descripcion: `Penalidad por atraso (${cargo.dias_atraso} días)`,
+        referencia: referenciaCorta(cargo.id_credito),
+        id_credito: cargo.id_credito,
+        cargo: monto,
+        abono: 0
+      });
+    }
+
+    // Las condonaciones de varios cargos en la misma operación van en una sola línea
+    const condonado = parseFloat(cargo.monto_condonado || 0);
+    if (condonado > 0 && cargo.fecha_condonacion) {
+      const clave = `${cargo.id_credito}|${cargo.fecha_condonacion}`;
+      const grupo = condonaciones.get(clave) || {
+        id_credito: cargo.id_credito,
+        fecha: cargo.fecha_condonacion,
+        motivo: cargo.motivo_condonacion,
+        monto: 0
+      };
+      grupo.monto += condonado;
+      condonaciones.set(clave, grupo);
+    }
+  }
+
+  for (const grupo of interesesPorMes.values()) {
+    movimientos.push({
+      momento: momentoLocal(grupo.hasta, '23:59:59'),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.CARGO_MORA,
+      descripcion: grupo.desde === grupo.hasta
+        ? `Intereses por mora del ${grupo.desde}`
+        : `Intereses por mora del ${grupo.desde} al ${grupo.hasta}`,
+      referencia: referenciaCorta(grupo.id_credito),
+      id_credito: grupo.id_credito,
+      cargo: grupo.monto,
+      abono: 0
+    });
+  }
+
+  for (const grupo of condonaciones.values()) {
+    movimientos.push({
+      momento: momentoLocal(grupo.fecha),
+      tipo: TIPOS_MOVIMIENTO_CUENTA.CONDONACION,
+      descripcion: grupo.motivo ? `Condonación de mora: ${grupo.motivo}` : 'Condonación de mora',
+      referencia: referenciaCorta(grupo.id_credito),
+      id_credito: grupo.id_credito,
+      cargo: 0,
+      abono: grupo.monto
+    });
+  }
+
+  // En el mismo momento, los cargos van antes que los abonos
+  return movimientos.sort((a, b) =>
+    a.momento.localeCompare(b.momento) || (b.cargo - a.cargo)
+  );
+}
+
+/**
+ * Obtiene el estado de cuenta de un cliente en un período: saldo inicial, cada venta a
+ * crédito, pago, anulación de pago, devolución, nota de crédito, cargo y condonación de mora
+ * con el saldo corrido, y saldo final
+ * @param {string} id_cliente - UUID del cliente
+ * @param {Object} filtros - { desde, hasta } fechas YYYY-MM-DD (por defecto el mes en curso)
+ * @returns {Promise<Object>} Estado de cuenta
+ */
+async function obtenerEstadoCuenta(id_cliente, filtros = {}) {
+  const hasta = filtros.hasta || obtenerFechaHoyGuatemala();
+  const desde = filtros.desde || `${hasta.slice(0, 7)}-01`;
+
+  if (desde > hasta) {
+    throw new ErrorValidacion('La fecha inicial no puede ser posterior a la fecha final');
+  }
+
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+
+  const creditos = await creditosRepository.obtenerPorCliente(id_cliente);
+  const [pagos, devoluciones, notas, cargos] = await Promise.all([
+    pagosRepository.obtenerHistorialPorCliente(id_cliente),
+    devolucionesRepository.obtenerAplicadasACreditoPorVentas(creditos.map(c => c.id_venta)),
+    notasCreditoRepository.obtenerAplicadasACreditos(creditos.map(c => c.id_credito)),
+    moraRepository.obtenerCargosPorCreditos(creditos.map(c => c.id_credito))
+  ]);
+
+  const todos = construirMovimientosCuenta(creditos, pagos, devoluciones, notas, cargos);
+  const redondear = (valor) => parseFloat(valor.toFixed(2));
+
+  let saldo = 0;
+  let saldoInicial = 0;
+  let totalCargos = 0;
+  let totalAbonos = 0;
+  const movimientos = [];
+
+  for (const movimiento of todos) {
+    const fecha = movimiento.momento.slice(0, 10);
+    if (fecha > hasta) break;
+
+    saldo += movimiento.cargo - movimiento.abono;
+
+    if (fecha < desde) {
+      saldoInicial = saldo;
+      continue;
+    }
+
+    totalCargos += movimiento.cargo;
+    totalAbonos += movimiento.abono;
+    movimientos.push({
+      fecha: movimiento.momento,
+      tipo: movimiento.tipo,
+      descripcion: movimiento.descripcion,
+      referencia: movimiento.referencia,
+      id_credito: movimiento.id_credito,
+      cargo: redondear(movimiento.cargo),
+      abono: redondear(movimiento.abono),
+      saldo: redondear(saldo)
+    });
+  }
+
+  return {
+    cliente: {
+      id_cliente: cliente.id_cliente,
+      nombre: cliente.nombre,
+      apellido: cliente.apellido,
+      telefono: cliente.telefono,
+      direccion: cliente.direccion,
+      correo: cliente.correo,
+      limite_credito: parseFloat(cliente.limite_credito || 0),
+      saldo_anticipo: parseFloat(cliente.saldo_anticipo || 0)
+    },
+    desde,
+    hasta,
+    fecha_emision: formatearISO(obtenerFechaGuatemala()),
+    saldo_inicial: redondear(saldoInicial),
+    total_cargos: redondear(totalCargos),
+    total_abonos: redondear(totalAbonos),
+    saldo_final: redondear(saldo),
+    movimientos
+  };
+}
+
+/**
+ * Genera el estado de cuenta de un cliente en PDF (tamaño carta) con el encabezado del negocio
+ * @param {string} id_cliente - UUID del cliente
+ * @param {Object} filtros - { desde, hasta }
+ * @returns {Promise<Object>} { nombreArchivo, contenido (Buffer) }
+ */
+async function exportarEstadoCuentaPDF(id_cliente, filtros = {}) {
+  const estado = await obtenerEstadoCuenta(id_cliente, filtros);
+  const { negocio } = config;
+  const doc = crearDocumentoPDF();
+
+  const margen = 40;
+  const derecha = doc.ancho - margen;
+  const limiteInferior = doc.alto - 50;
+  const moneda = (valor) => `Q${valor.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const columnas = { fecha: margen, descripcion: 100, referencia: 330, cargo: 448, abono: 510, saldo: derecha };
+
+  const encabezadoTabla = (y) => {
+    doc.texto(columnas.fecha, y, 'Fecha', { tamano: 9, negrita: true });
+    doc.texto(columnas.descripcion, y, 'Descripción', { tamano: 9, negrita: true });
+    doc.texto(columnas.referencia, y, 'Referencia', { tamano: 9, negrita: true });
+    doc.texto(columnas.cargo, y, 'Cargo', { tamano: 9, negrita: true, alinear: 'derecha' });
+    doc.texto(columnas.abono, y, 'Abono', { tamano: 9, negrita: true, alinear: 'derecha' });
+    doc.texto(columnas.saldo, y, 'Saldo', { tamano: 9, negrita: true, alinear: 'derecha' });
+    doc.linea(margen, y + 5, derecha, y + 5);
+    return y + 18;
+  };
+
+  const piePagina = () => {
+    doc.texto(doc.ancho / 2, doc.alto - 25, `Página ${doc.totalPaginas()}`, { tamano: 8, alinear: 'centro' });
+  };
+
+  // Encabezado del negocio
+  let y = 50;
+  doc.texto(margen, y, negocio.nombre, { tamano: 16, negrita: true });
+  doc.texto(derecha, y, 'ESTADO DE CUENTA', { tamano: 14, negrita: true, alinear: 'derecha' });
+  y += 15;
+  const datosNegocio = [
+    negocio.direccion,
+    negocio.telefono && `Tel. ${negocio.telefono}`,
+    negocio.nit && `NIT ${negocio.nit}`
+  ].filter(Boolean);
+  for (const linea of datosNegocio) {
+    doc.texto(margen, y, linea, { tamano: 9 });
+    y += 12;
+  }
+  doc.texto(derecha, 65, `Emitido: ${estado.fecha_emision.slice(0, 10)}`, { tamano: 9, alinear: 'derecha' });
+  doc.texto(derecha, 77, `Período: ${estado.desde} al ${estado.hasta}`, { tamano: 9, alinear: 'derecha' });
+  y = Math.max(y, 89) + 6;
+  doc.linea(margen, y, derecha, y, 1);
+
+  // Datos del cliente
+  y += 18;
+  const { cliente } = estado;
+  doc.texto(margen, y, `${cliente.nombre} ${cliente.apellido || ''}`.trim(), { tamano: 11, negrita: true });
+  y += 14;
+  for (const linea of [cliente.direccion, cliente.telefono && `Tel. ${cliente.telefono}`].filter(Boolean)) {
+    doc.texto(margen, y, recortarTexto(linea, 300, 9), { tamano: 9 });
+    y += 12;
+  }
+
+  // Resumen
+  y += 8;
+  const resumen = [
+    ['Saldo inicial', estado.saldo_inicial],
+    ['(+) Cargos', estado.total_cargos],
+    ['(-) Abonos', estado.total_abonos],
+    ['Saldo al cierre', estado.saldo_final]
+  ];
+  resumen.forEach(([etiqueta, valor], i) => {
+    const x = margen + i * 133;
+    doc.texto(x, y, etiqueta, { tamano: 8 });
+    doc.texto(x, y + 13, moneda(valor), { tamano: 11, negrita: i === 3 });
+  });
+  y += 36;
+
+  // Movimientos
+  y = encabezadoTabla(y);
+  doc.texto(columnas.descripcion, y, 'Saldo inicial', { tamano: 9, negrita: true });
+  doc.texto(columnas.saldo, y, moneda(estado.saldo_inicial), { tamano: 9, negrita: true, alinear: 'derecha' });
+  y += 14;
+
+  for (const movimiento of estado.movimientos) {
+    if (y > limiteInferior) {
+      piePagina();
+      doc.nuevaPagina();
+      y = encabezadoTabla(50);
+    }
+
+    doc.texto(columnas.fecha, y, movimiento.fecha.slice(0, 10), { tamano: 9 });
+    doc.texto(columnas.descripcion, y, recortarTexto(movimiento.descripcion, 222, 9), { tamano: 9 });
+    doc.texto(columnas.referencia, y, movimiento.referencia, { tamano: 9 });
+    if (movimiento.cargo > 0) {
+      doc.texto(columnas.cargo, y, moneda(movimiento.cargo), { tamano: 9, alinear: 'derecha' });
+    }
+    if (movimiento.abono > 0) {
+      doc.texto(columnas.abono, y, moneda(movimiento.abono), { tamano: 9, alinear: 'derecha' });
+    }
+    doc.texto(columnas.saldo, y, moneda(movimiento.saldo), { tamano: 9, alinear: 'derecha' });
+    y += 14;
+  }
+
+  if (estado.movimientos.length === 0) {
+    doc.texto(columnas.descripcion, y, 'Sin movimientos en el período', { tamano: 9 });
+    y += 14;
+  }
+
+  if (y > limiteInferior - 30) {
+    piePagina();
+    doc.nuevaPagina();
+    y = 50;
+  }
+  doc.linea(margen, y - 6, derecha, y - 6);
+  y += 6;
+  doc.texto(columnas.descripcion, y, 'Saldo al cierre', { tamano: 10, negrita: true });
+  doc.texto(columnas.saldo, y, moneda(estado.saldo_final), { tamano: 10, negrita: true, alinear: 'derecha' });
+
+  if (cliente.saldo_anticipo > 0) {
+    y += 16;
+    doc.texto(columnas.descripcion, y, 'Saldo a favor (anticipos)', { tamano: 9 });
+    doc.texto(columnas.saldo, y, moneda(cliente.saldo_anticipo), { tamano: 9, alinear: 'derecha' });
+  }
+  piePagina();
+
+  return {
+    nombreArchivo: `estado-cuenta-${referenciaCorta(cliente.id_cliente).toLowerCase()}-${estado.desde}-${estado.hasta}.pdf`,
+    contenido: doc.generar()
+  };
+}
+
 module.exports = {
   // Constantes
   TIPOS_CLIENTE,
+  TIPOS_MOVIMIENTO_CUENTA,
   
   // Funciones CRUD
   crear,
@@ -518,5 +956,9 @@ module.exports = {
   obtenerClientesPorTipo,
   obtenerHistorialCreditos,
   obtenerHistorialCompras,
-  obtenerReporteDeuda
+  obtenerReporteDeuda,
+
+  // Estado de cuenta
+  obtenerEstadoCuenta,
+  exportarEstadoCuentaPDF
 };
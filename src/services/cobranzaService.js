@@ -0,0 +1,465 @@
+/**
+ * Servicio de Cobranza
+ * Registra las gestiones de cobro de cada crédito (llamadas, visitas, mensajes) y las promesas
+ * de pago, decide si cada promesa se cumplió y arma la lista de trabajo del cobrador
+ */
+
+const cobranzaRepository = require('../repositories/cobranzaRepository');
+const creditosRepository = require('../repositories/creditosRepository');
+const cuotasRepository = require('../repositories/cuotasRepository');
+const pagosRepository = require('../repositories/pagosRepository');
+const { ESTADOS_CREDITO, ESTADOS_CUOTA } = require('./creditosService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  obtenerFechaGuatemala,
+  obtenerFechaHoyGuatemala,
+  convertirAGuatemala,
+  formatearFecha,
+  formatearISO,
+  diasAtraso
+} = require('../utils/fechas');
+const { logger } = require('../utils/logger');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Tipos de gestión de cobro
+ */
+const TIPOS_GESTION = {
+  LLAMADA: 'LLAMADA',
+  VISITA: 'VISITA',
+  MENSAJE: 'MENSAJE'
+};
+
+/**
+ * Resultados posibles de una gestión
+ */
+const RESULTADOS_GESTION = {
+  CONTACTADO: 'CONTACTADO',
+  SIN_RESPUESTA: 'SIN_RESPUESTA',
+  PROMESA_PAGO: 'PROMESA_PAGO',
+  NEGATIVA_PAGO: 'NEGATIVA_PAGO',
+  DATOS_INCORRECTOS: 'DATOS_INCORRECTOS'
+};
+
+/**
+ * Estados de una promesa de pago
+ */
+const ESTADOS_PROMESA = {
+  PENDIENTE: 'PENDIENTE',
+  CUMPLIDA: 'CUMPLIDA',
+  INCUMPLIDA: 'INCUMPLIDA',
+  CANCELADA: 'CANCELADA'
+};
+
+/**
+ * Días máximos entre la gestión y la fecha prometida
+ */
+const MAX_DIAS_PROMESA = 60;
+
+/**
+ * Fecha local (Guatemala) de un timestamp
+ * @param {string} valor - Fecha/hora ISO
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+function fechaLocal(valor) {
+  return formatearFecha(convertirAGuatemala(valor));
+}
+
+/**
+ * Decide el estado de una promesa pendiente según los pagos del crédito
+ * Cuentan los pagos registrados desde que se hizo la promesa hasta el día prometido
+ * @param {Object} promesa - Promesa PENDIENTE con creditos { estado }
+ * @param {Array} pagos - Pagos activos del crédito [{monto_pagado, fecha_pago}]
+ * @param {string} hoy - Fecha YYYY-MM-DD
+ * @returns {Object|null} Cambios a guardar o null si la promesa sigue igual
+ */
+function evaluarPromesa(promesa, pagos, hoy) {
+  const registro = new Date(promesa.fecha_registro).getTime();
+  const pagado = parseFloat(
+    pagos
+      .filter(p => new Date(p.fecha_pago).getTime() >= registro)
+      .filter(p => fechaLocal(p.fecha_pago) <= promesa.fecha_promesa)
+      .reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0)
+      .toFixed(2)
+  );
+  const estadoCredito = promesa.creditos?.estado;
+
+  let estado = ESTADOS_PROMESA.PENDIENTE;
+  if (estadoCredito === ESTADOS_CREDITO.ANULADO) {
+    estado = ESTADOS_PROMESA.CANCELADA;
+  } else if (pagado >= parseFloat(promesa.monto_prometido) || estadoCredito === ESTADOS_CREDITO.PAGADO) {
+    estado = ESTADOS_PROMESA.CUMPLIDA;
+  } else if (promesa.fecha_promesa < hoy) {
+    estado = ESTADOS_PROMESA.INCUMPLIDA;
+  }
+
+  if (estado === ESTADOS_PROMESA.PENDIENTE && pagado === parseFloat(promesa.monto_cumplido || 0)) {
+    return null;
+  }
+
+  return {
+    estado,
+    monto_cumplido: pagado,
+    fecha_resolucion: estado === ESTADOS_PROMESA.PENDIENTE
+      ? null
+      : formatearISO(obtenerFechaGuatemala())
+  };
+}
+
+/**
+ * Resuelve las promesas pendientes: CUMPLIDA si los pagos alcanzan lo prometido (o el crédito
+ * quedó pagado), INCUMPLIDA si pasó la fecha sin alcanzarlo y CANCELADA si el crédito se anuló
+ * Se ejecuta antes de cada consulta de cobranza para que los estados estén al día
+ * @returns {Promise<Object>} { evaluadas, cumplidas, incumplidas, canceladas }
+ */
+async function actualizarPromesas() {
+  const resumen = { evaluadas: 0, cumplidas: 0, incumplidas: 0, canceladas: 0 };
+  const pendientes = await cobranzaRepository.obtenerPromesasPendientes();
+
+  if (pendientes.length === 0) {
+    return resumen;
+  }
+
+  const hoy = obtenerFechaHoyGuatemala();
+  const desde = pendientes
+    .map(p => p.fecha_registro)
+    .reduce((min, fecha) => (new Date(fecha) < new Date(min) ? fecha : min));
+  const idsCredito = [...new Set(pendientes.map(p => p.id_credito))];
+  const pagos = await pagosRepository.obtenerPorCreditosDesde(idsCredito, desde);
+
+  const pagosPorCredito = new Map();
+  pagos.forEach(pago => {
+    if (!pagosPorCredito.has(pago.id_credito)) pagosPorCredito.set(pago.id_credito, []);
+    pagosPorCredito.get(pago.id_credito).push(pago);
+  });
+
+  for (const promesa of pendientes) {
+    resumen.evaluadas++;
+    const cambios = evaluarPromesa(promesa, pagosPorCredito.get(promesa.id_credito) || [], hoy);
+
+    if (!cambios) continue;
+
+    const actualizada = await cobranzaRepository.actualizarPromesa(promesa.id_promesa, cambios);
+    if (!actualizada) continue;
+
+    if (cambios.estado === ESTADOS_PROMESA.CUMPLIDA) resumen.cumplidas++;
+    if (cambios.estado === ESTADOS_PROMESA.INCUMPLIDA) resumen.incumplidas++;
+    if (cambios.estado === ESTADOS_PROMESA.CANCELADA) resumen.canceladas++;
+  }
+
+  if (resumen.incumplidas > 0) {
+    logger.warn(`Cobranza: ${resumen.incumplidas} promesas de pago incumplidas`);
+  }
+
+  return resumen;
+}
+
+/**
+ * Registra una gestión de cobro sobre un crédito y, si el cliente se compromete a pagar,
+ * su promesa de pago
+ * TRANSACCIONAL: Una promesa nueva reemplaza (CANCELADA) a la que estuviera pendiente en
+ * el crédito
+ * @param {string} id_credito - UUID del crédito
+ * @param {Object} datos - Datos de la gestión
+ * @param {string} datos.tipo - LLAMADA, VISITA o MENSAJE
+ * @param {string} datos.resultado - Resultado de la gestión (PROMESA_PAGO si se indica promesa)
+ * @param {string} datos.observaciones - Notas del cobrador (opcional)
+ * @param {Object} datos.promesa - { fecha_promesa, monto } (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que registra
+ * @returns {Promise<Object>} { gestion, promesa, promesas_reemplazadas }
+ */
+async function registrarGestion(id_credito, datos) {
+  if (!Object.values(TIPOS_GESTION).includes(datos.tipo)) {
+    throw new ErrorValidacion(`El tipo debe ser: ${Object.values(TIPOS_GESTION).join(', ')}`);
+  }
+
+  const resultado = datos.promesa ? RESULTADOS_GESTION.PROMESA_PAGO : datos.resultado;
+
+  if (!Object.values(RESULTADOS_GESTION).includes(resultado)) {
+    throw new ErrorValidacion(`El resultado debe ser: ${Object.values(RESULTADOS_GESTION).join(', ')}`);
+  }
+
+  if (resultado === RESULTADOS_GESTION.PROMESA_PAGO && !datos.promesa) {
+    throw new ErrorValidacion('Una gestión con resultado PROMESA_PAGO debe indicar la promesa (fecha y monto)');
+  }
+
+  const credito = await creditosRepository.obtenerPorId(id_credito);
+
+  if (![ESTADOS_CREDITO.ACTIVO, ESTADOS_CREDITO.VENCIDO].includes(credito.estado)) {
+    throw new ErrorConflicto(`No se pueden registrar gestiones de cobro en un crédito ${credito.estado}`);
+  }
+
+  if (datos.promesa) {
+    const hoy = obtenerFechaHoyGuatemala();
+    const maxima = obtenerFechaGuatemala();
+    maxima.setDate(maxima.getDate() + MAX_DIAS_PROMESA);
+
+    if (datos.promesa.fecha_promesa < hoy || datos.promesa.fecha_promesa > formatearFecha(maxima)) {
+      throw new ErrorValidacion(
+        `La fecha prometida debe estar entre hoy y los próximos ${MAX_DIAS_PROMESA} días`
+      );
+    }
+
+    if (datos.promesa.monto > parseFloat(credito.saldo_pendiente)) {
+      throw new ErrorValidacion(
+        `El monto prometido (Q${datos.promesa.monto.toFixed(2)}) ` +
+        `excede el saldo pendiente (Q${parseFloat(credito.saldo_pendiente).toFixed(2)})`
+      );
+    }
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Registrar la gestión
+    const gestion = await cobranzaRepository.crearGestion({
+      id_credito,
+      id_cliente: credito.id_cliente,
+      tipo: datos.tipo,
+      resultado,
+      observaciones: datos.observaciones || null,
+      id_usuario: datos.id_usuario
+    });
+    compensaciones.registrar('Eliminar gestión de cobro', () =>
+      cobranzaRepository.eliminarGestion(gestion.id_gestion)
+    );
+
+    if (!datos.promesa) {
+      return { gestion, promesa: null, promesas_reemplazadas: 0 };
+    }
+
+    // 2. Cancelar la promesa pendiente anterior (la nueva la reemplaza)
+    const anteriores = await cobranzaRepository.obtenerPromesas({
+      id_credito,
+      estado: ESTADOS_PROMESA.PENDIENTE
+    });
+
+    for (const anterior of anteriores) {
+      const cancelada = await cobranzaRepository.actualizarPromesa(anterior.id_promesa, {
+        estado: ESTADOS_PROMESA.CANCELADA,
+        fecha_resolucion: formatearISO(obtenerFechaGuatemala())
+      });
+
+      if (cancelada) {
+        compensaciones.registrar('Reabrir promesa de pago', () =>
+          cobranzaRepository.actualizarPromesa(
+            anterior.id_promesa,
+            { estado: ESTADOS_PROMESA.PENDIENTE, fecha_resolucion: null },
+            ESTADOS_PROMESA.CANCELADA
+          )
+        );
+      }
+    }
+
+    // 3. Registrar la promesa nueva
+    const promesa = await cobranzaRepository.crearPromesa({
+      id_credito,
+      id_cliente: credito.id_cliente,
+      id_gestion: gestion.id_gestion,
+      fecha_promesa: datos.promesa.fecha_promesa,
+      monto_prometido: datos.promesa.monto,
+      id_usuario: datos.id_usuario
+    });
+
+    return { gestion, promesa, promesas_reemplazadas: anteriores.length };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene el historial de cobranza de un crédito
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Object>} { id_credito, gestiones, promesas }
+ */
+async function obtenerGestiones(id_credito) {
+  await creditosRepository.obtenerPorId(id_credito);
+  await actualizarPromesas();
+
+  const [gestiones, promesas] = await Promise.all([
+    cobranzaRepository.obtenerGestionesPorCredito(id_credito),
+    cobranzaRepository.obtenerPromesas({ id_credito })
+  ]);
+
+  return {
+    id_credito,
+    gestiones,
+    promesas: promesas.sort((a, b) => new Date(b.fecha_registro) - new Date(a.fecha_registro))
+  };
+}
+
+/**
+ * Obtiene promesas de pago con filtros (con estado=INCUMPLIDA, las promesas rotas)
+ * @param {Object} filtros - { estado, id_cliente, fecha_desde, fecha_hasta } (fechas sobre la fecha prometida)
+ * @returns {Promise<Object>} { promesas, total, monto_prometido, monto_cumplido }
+ */
+async function obtenerPromesas(filtros = {}) {
+  await actualizarPromesas();
+
+  const promesas = (await cobranzaRepository.obtenerPromesas(filtros)).map(promesa => ({
+    ...promesa,
+    monto_faltante: Math.max(
+      0,
+      parseFloat((parseFloat(promesa.monto_prometido) - parseFloat(promesa.monto_cumplido || 0)).toFixed(2))
+    )
+  }));
+
+  return {
+    promesas,
+    total: promesas.length,
+    monto_prometido: parseFloat(
+      promesas.reduce((sum, p) => sum + parseFloat(p.monto_prometido), 0).toFixed(2)
+    ),
+    monto_cumplido: parseFloat(
+      promesas.reduce((sum, p) => sum + parseFloat(p.monto_cumplido || 0), 0).toFixed(2)
+    )
+  };
+}
+
+/**
+ * Obtiene las promesas pendientes cuya fecha prometida es hoy
+ * @returns {Promise<Array>} Promesas con datos del cliente y del crédito
+ */
+async function obtenerPromesasDelDia() {
+  const hoy = obtenerFechaHoyGuatemala();
+  const { promesas } = await obtenerPromesas({
+    estado: ESTADOS_PROMESA.PENDIENTE,
+    fecha_desde: hoy,
+    fecha_hasta: hoy
+  });
+  return promesas;
+}
+
+/**
+ * Arma la lista de trabajo del cobrador: créditos con vencimientos atrasados ordenados por
+ * prioridad. Primero los que tienen una promesa incumplida, luego el resto por puntaje
+ * (monto vencido ponderado por los días de atraso) y al final los que tienen una promesa
+ * pendiente que aún no llega a su fecha
+ * @param {Object} opciones - { id_cliente, limite }
+ * @returns {Promise<Object>} { fecha, resumen, creditos }
+ */
+async function obtenerListaTrabajo(opciones = {}) {
+  await actualizarPromesas();
+
+  const hoy = obtenerFechaHoyGuatemala();
+  const creditos = await creditosRepository.obtenerParaCobranza(opciones.id_cliente);
+  const cuotas = await cuotasRepository.obtenerPorCreditos(creditos.map(c => c.id_credito));
+
+  const cuotasPorCredito = new Map();
+  cuotas.forEach(cuota => {
+    if (!cuotasPorCredito.has(cuota.id_credito)) cuotasPorCredito.set(cuota.id_credito, []);
+    cuotasPorCredito.get(cuota.id_credito).push(cuota);
+  });
+
+  // Monto exigible y días de atraso del vencimiento pendiente más antiguo
+  const atrasados = [];
+  for (const credito of creditos) {
+    const cuotasCredito = cuotasPorCredito.get(credito.id_credito) || [];
+    const saldoMora = parseFloat(credito.saldo_mora || 0);
+    let dias = 0;
+    let capitalVencido = 0;
+
+    if (cuotasCredito.length > 0) {
+      cuotasCredito
+        .filter(c => c.estado !== ESTADOS_CUOTA.PAGADA && c.fecha_vencimiento < hoy)
+        .forEach(c => {
+          dias = Math.max(dias, diasAtraso(c.fecha_vencimiento, hoy));
+          capitalVencido += parseFloat(c.monto) - parseFloat(c.monto_pagado || 0);
+        });
+    } else if (credito.fecha_vencimiento < hoy) {
+      dias = diasAtraso(credito.fecha_vencimiento, hoy);
+      capitalVencido = parseFloat(credito.saldo_pendiente) - saldoMora;
+    }
+
+    if (dias > 0) {
+      atrasados.push({
+        credito,
+        dias_atraso: dias,
+        monto_vencido: parseFloat((capitalVencido + saldoMora).toFixed(2))
+      });
+    }
+  }
+
+  const idsCredito = atrasados.map(a => a.credito.id_credito);
+  const [gestiones, promesas] = await Promise.all([
+    cobranzaRepository.obtenerGestionesPorCreditos(idsCredito),
+    cobranzaRepository.obtenerPromesasPorCreditos(idsCredito)
+  ]);
+
+  // Ambas listas vienen de la más reciente a la más antigua: la primera de cada crédito es la última
+  const ultimaGestion = new Map();
+  gestiones.forEach(g => {
+    if (!ultimaGestion.has(g.id_credito)) ultimaGestion.set(g.id_credito, g);
+  });
+
+  const ultimaPromesa = new Map();
+  promesas
+    .filter(p => p.estado !== ESTADOS_PROMESA.CANCELADA)
+    .forEach(p => {
+      if (!ultimaPromesa.has(p.id_credito)) ultimaPromesa.set(p.id_credito, p);
+    });
+
+  const filas = atrasados.map(({ credito, dias_atraso, monto_vencido }) => {
+    const promesa = ultimaPromesa.get(credito.id_credito) || null;
+    const promesaIncumplida = promesa?.estado === ESTADOS_PROMESA.INCUMPLIDA;
+    const promesaVigente = promesa?.estado === ESTADOS_PROMESA.PENDIENTE;
+    const puntaje = parseFloat((monto_vencido * (1 + dias_atraso / 30)).toFixed(2));
+
+    let prioridad = 2;
+    if (promesaIncumplida) prioridad = 1;
+    if (promesaVigente && promesa.fecha_promesa > hoy) prioridad = 3;
+
+    return {
+      id_credito: credito.id_credito,
+      cliente: credito.clientes,
+      estado: credito.estado,
+      saldo_pendiente: parseFloat(credito.saldo_pendiente),
+      saldo_mora: parseFloat(credito.saldo_mora || 0),
+      monto_vencido,
+      dias_atraso,
+      puntaje,
+      prioridad,
+      promesa_incumplida: promesaIncumplida,
+      promesa_vence_hoy: promesaVigente && promesa.fecha_promesa === hoy,
+      promesa,
+      ultima_gestion: ultimaGestion.get(credito.id_credito) || null
+    };
+  });
+
+  filas.sort((a, b) => a.prioridad - b.prioridad || b.puntaje - a.puntaje);
+
+  return {
+    fecha: hoy,
+    resumen: {
+      creditos: filas.length,
+      monto_vencido: parseFloat(filas.reduce((sum, f) => sum + f.monto_vencido, 0).toFixed(2)),
+      promesas_incumplidas: filas.filter(f => f.promesa_incumplida).length,
+      promesas_hoy: filas.filter(f => f.promesa_vence_hoy).length,
+      sin_gestion: filas.filter(f => !f.ultima_gestion).length
+    },
+    creditos: opciones.limite ? filas.slice(0, opciones.limite) : filas
+  };
+}
+
+module.exports = {
+  // Constantes
+  TIPOS_GESTION,
+  RESULTADOS_GESTION,
+  ESTADOS_PROMESA,
+  MAX_DIAS_PROMESA,
+
+  // Gestiones
+  registrarGestion,
+  obtenerGestiones,
+
+  // Promesas
+  actualizarPromesas,
+  obtenerPromesas,
+  obtenerPromesasDelDia,
+
+  // Lista de trabajo
+  obtenerListaTrabajo
+};
@@ -0,0 +1,383 @@
+/**
+ * Servicio de Cotizaciones
+ * Gestiona cotizaciones a clientes sin afectar inventario y su conversión a ventas
+ */
+
+const cotizacionesRepository = require('../repositories/cotizacionesRepository');
+const productosRepository = require('../repositories/productosRepository');
+const clientesRepository = require('../repositories/clientesRepository');
+const ventasService = require('./ventasService');
+const impuestosService = require('./impuestosService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const {
+  obtenerFechaHoyGuatemala,
+  obtenerFechaFuturaGuatemala,
+  formatearFecha
+} = require('../utils/fechas');
+
+/**
+ * Estados de cotización permitidos
+ */
+const ESTADOS_COTIZACION = {
+  PENDIENTE: 'PENDIENTE',
+  CONVERTIDA: 'CONVERTIDA',
+  EXPIRADA: 'EXPIRADA'
+};
+
+/**
+ * Días de vigencia por defecto de una cotización
+ */
+const DIAS_VIGENCIA_DEFAULT = 15;
+
+/**
+ * Valida los datos de una cotización y completa el precio de cada línea
+ * Si una línea no trae precio_unitario se toma el precio_venta actual del producto
+ * @param {Object} datos - Datos de la cotización
+ * @returns {Promise<Array>} Productos con precio_unitario definido
+ * @throws {ErrorValidacion} Si los datos son inválidos
+ */
+async function validarDatosCotizacion(datos) {
+  const errores = [];
+
+  // Validar cliente
+  if (!datos.id_cliente) {
+    errores.push('El ID del cliente es requerido');
+  } else {
+    const cliente = await clientesRepository.obtenerPorId(datos.id_cliente);
+    if (!cliente.estado) {
+      errores.push('El cliente está inactivo');
+    }
+  }
+
+  // Validar productos
+  const productos = [];
+  if (!Array.isArray(datos.productos) || datos.productos.length === 0) {
+    errores.push('La cotización debe tener al menos un producto');
+  } else {
+    for (let i = 0; i < datos.productos.length; i++) {
+      const item = datos.productos[i];
+
+      if (!item.cantidad || item.cantidad <= 0) {
+        errores.push(`Producto ${i + 1}: La cantidad debe ser mayor a 0`);
+        continue;
+      }
+
+      let producto;
+      try {
+        producto = await productosRepository.obtenerPorId(item.id_producto);
+      } catch (error) {
+        errores.push(`Producto ${i + 1}: no encontrado`);
+        continue;
+      }
+
+      if (!producto.estado) {
+        errores.push(`${producto.nombre}: está inactivo`);
+        continue;
+      }
+
+      const precio = item.precio_unitario !== undefined
+        ? item.precio_unitario
+        : parseFloat(producto.precio_venta);
+
+      if (precio < 0) {
+        errores.push(`Producto ${i + 1}: El precio unitario debe ser positivo`);
+        continue;
+      }
+
+      productos.push({
+        id_producto: item.id_producto,
+        cantidad: item.cantidad,
+        precio_unitario: precio
+      });
+    }
+  }
+
+  // Validar vigencia
+  if (datos.dias_vigencia !== undefined) {
+    if (!Number.isInteger(datos.dias_vigencia) || datos.dias_vigencia < 1 || datos.dias_vigencia > 90) {
+      errores.push('Los días de vigencia deben ser un número entre 1 y 90');
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Datos de cotización inválidos', errores);
+  }
+
+  return productos;
+}
+
+/**
+ * Crea una cotización
+ * NO afecta inventario: solo calcula precios, descuentos e IVA con la lógica de ventas
+ * @param {Object} datos - Datos de la cotización
+ * @param {string} datos.id_cliente - UUID del cliente
+ * @param {string} datos.id_usuario - UUID del usuario que cotiza
+ * @param {Array} datos.productos - Array de productos [{id_producto, cantidad, precio_unitario?}]
+ * @param {Object} datos.descuento - Descuento a aplicar {tipo, valor} (opcional)
+ * @param {number} datos.dias_vigencia - Días de vigencia (default: 15)
+ * @param {string} datos.observaciones - Observaciones (opcional)
+ * @returns {Promise<Object>} Cotización completa creada
+ */
+async function crearCotizacion(datos) {
+  const productos = await validarDatosCotizacion(datos);
+
+  const subtotal = ventasService.calcularSubtotal(productos);
+
+  const descuento = datos.descuento || {
+    tipo: ventasService.TIPOS_DESCUENTO.NINGUNO,
+    valor: 0
+  };
+
+  ventasService.validarDescuento(descuento, subtotal);
+
+  // Mismo desglose de IVA que la venta, para que el total cotizado coincida al convertir
+  const impuestos = await impuestosService.prepararImpuestos(productos);
+  const totales = ventasService.calcularTotalConDescuento(subtotal, descuento, impuestos);
+
+  const diasVigencia = datos.dias_vigencia || DIAS_VIGENCIA_DEFAULT;
+  const fechaVencimiento = formatearFecha(obtenerFechaFuturaGuatemala(diasVigencia));
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const cotizacion = await cotizacionesRepository.crear({
+      id_cliente: datos.id_cliente,
+      id_usuario: datos.id_usuario,
+      subtotal: totales.subtotal,
+      descuento_tipo: totales.descuento_tipo,
+      descuento_valor: totales.descuento_valor,
+      descuento_monto: totales.descuento_monto,
+      total: totales.total,
+      base_imponible: totales.base_imponible,
+      monto_exento: totales.monto_exento,
+      monto_iva: totales.monto_iva,
+      fecha_vencimiento: fechaVencimiento,
+      observaciones: datos.observaciones
+    });
+    compensaciones.registrar('Eliminar cotización', () =>
+      cotizacionesRepository.eliminar(cotizacion.id_cotizacion)
+    );
+
+    await cotizacionesRepository.crearDetalles(productos.map(item => ({
+      id_cotizacion: cotizacion.id_cotizacion,
+      id_producto: item.id_producto,
+      cantidad: item.cantidad,
+      precio_unitario: item.precio_unitario,
+      subtotal: item.cantidad * item.precio_unitario
+    })));
+
+    return await obtenerCotizacionPorId(cotizacion.id_cotizacion);
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene cotizaciones con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Cotizaciones y metadatos de paginación
+ */
+async function obtenerCotizaciones(filtros = {}) {
+  return await cotizacionesRepository.obtenerTodos(filtros);
+}
+
+/**
+ * Obtiene una cotización por ID con sus detalles
+ * Indica si la cotización ya superó su fecha de vigencia
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<Object>} Cotización con detalles
+ */
+async function obtenerCotizacionPorId(id) {
+  const cotizacion = await cotizacionesRepository.obtenerPorId(id);
+  const detalles = await cotizacionesRepository.obtenerDetalles(id);
+
+  return {
+    ...cotizacion,
+    detalles,
+    cantidad_productos: detalles.length,
+    vigente: cotizacion.estado === ESTADOS_COTIZACION.PENDIENTE &&
+      cotizacion.fecha_vencimiento >= obtenerFechaHoyGuatemala()
+  };
+}
+
+/**
+ * Expira manualmente una cotización pendiente
+ * @param {string} id - UUID de la cotización
+ * @returns {Promise<Object>} Cotización expirada
+ */
+async function expirarCotizacion(id) {
+  const cotizacion = await cotizacionesRepository.obtenerPorId(id);
+
+  if (cotizacion.estado !== ESTADOS_COTIZACION.PENDIENTE) {
+    throw new ErrorConflicto(`La cotización ya está ${cotizacion.estado}`);
+  }
+
+  return await cotizacionesRepository.expirar(id);
+}
+
+/**
+ * Revalida los precios cotizados contra el precio_venta actual de cada producto
+ * @param {Array} detalles - Detalles de la cotización (con productos.precio_venta)
+ * @param {boolean} actualizarPrecios - Si true, usa el precio actual en lugar de rechazar
+ * @returns {Array} Productos listos para la venta [{id_producto, cantidad, precio_unitario}]
+ * @throws {ErrorConflicto} Si hay precios distintos y no se autorizó actualizarlos
+ */
+function revalidarPrecios(detalles, actualizarPrecios = false) {
+  const diferencias = [];
+
+  const productos = detalles.map(detalle => {
+    const precioCotizado = parseFloat(detalle.precio_unitario);
+    const precioActual = parseFloat(detalle.productos?.precio_venta);
+
+    if (!isNaN(precioActual) && precioActual !== precioCotizado) {
+      diferencias.push(
+        `${detalle.productos.nombre}: cotizado Q${precioCotizado.toFixed(2)}, ` +
+        `precio actual Q${precioActual.toFixed(2)}`
+      );
+    }
+
+    return {
+      id_producto: detalle.id_producto,
+      cantidad: detalle.cantidad,
+      precio_unitario: actualizarPrecios && !isNaN(precioActual) ? precioActual : precioCotizado
+    };
+  });
+
+  if (diferencias.length > 0 && !actualizarPrecios) {
+    throw new ErrorConflicto(
+      'Los precios cambiaron desde la cotización. Envíe actualizar_precios=true para usar los precios actuales',
+      diferencias
+    );
+  }
+
+  return productos;
+}
+
+/**
+ * Convierte una cotización en venta al CONTADO o a CRÉDITO
+ * Revalida precios y stock (a través de ventasService) y enlaza la venta generada
+ * La cotización se reserva antes de vender para que dos conversiones simultáneas no generen
+ * dos ventas; si la venta falla se libera y si falla el enlace la venta se anula
+ * @param {string} id - UUID de la cotización
+ * @param {Object} datos - Datos de conversión
+ * @param {string} datos.tipo_venta - CONTADO o CREDITO
+ * @param {string} datos.id_usuario - UUID del usuario que convierte
+ * @param {number} datos.dias_credito - Días de crédito (solo CREDITO)
+ * @param {boolean} datos.actualizar_precios - Usar precios actuales si cambiaron
+ * @param {string} datos.id_bodega - Bodega que despacha la venta (opcional; default principal)
+ * @param {Array} datos.pagos - Formas de pago de la venta al contado (opcional; ver crearVentaContado)
+ * @param {string} datos.metodo_pago - Método único de la venta al contado (opcional)
+ * @param {number} datos.monto_enganche - Enganche de la venta a crédito (opcional; ver crearVentaCredito)
+ * @param {string} datos.metodo_pago_enganche - Método del enganche (opcional)
+ * @returns {Promise<Object>} Cotización convertida y venta generada
+ */
+async function convertirCotizacion(id, datos) {
+  const cotizacion = await cotizacionesRepository.obtenerPorId(id);
+
+  if (cotizacion.estado !== ESTADOS_COTIZACION.PENDIENTE) {
+    throw new ErrorConflicto(`No se puede convertir una cotización ${cotizacion.estado}`);
+  }
+
+  if (cotizacion.fecha_vencimiento < obtenerFechaHoyGuatemala()) {
+    await cotizacionesRepository.expirar(id);
+    throw new ErrorConflicto(
+      `La cotización venció el ${cotizacion.fecha_vencimiento} y fue marcada como EXPIRADA`
+    );
+  }
+
+  if (!Object.values(ventasService.TIPOS_VENTA).includes(datos.tipo_venta)) {
+    throw new ErrorValidacion('Tipo de venta inválido. Debe ser CONTADO o CREDITO');
+  }
+
+  const detalles = await cotizacionesRepository.obtenerDetalles(id);
+  const productos = revalidarPrecios(detalles, datos.actualizar_precios === true);
+
+  const datosVenta = {
+    id_cliente: cotizacion.id_cliente,
+    id_usuario: datos.id_usuario,
+    id_bodega: datos.id_bodega,
+    productos,
+    descuento: {
+      tipo: cotizacion.descuento_tipo,
+      valor: parseFloat(cotizacion.descuento_valor || 0)
+    }
+  };
+
+  // Reservar la cotización antes de vender: de dos conversiones simultáneas solo una la obtiene,
+  // así la otra no llega a descontar stock ni a cobrar
+  await cotizacionesRepository.reservarConversion(id);
+
+  // La venta revalida cliente, stock y límite de crédito al momento de convertir
+  let venta;
+  try {
+    venta = datos.tipo_venta === ventasService.TIPOS_VENTA.CREDITO
+      ? await ventasService.crearVentaCredito({
+        ...datosVenta,
+        dias_credito: datos.dias_credito,
+        monto_enganche: datos.monto_enganche,
+        metodo_pago_enganche: datos.metodo_pago_enganche,
+        referencia_enganche: datos.referencia_enganche
+      })
+      : await ventasService.crearVentaContado({
+        ...datosVenta,
+        pagos: datos.pagos,
+        metodo_pago: datos.metodo_pago,
+        monto_recibido: datos.monto_recibido,
+        referencia_pago: datos.referencia_pago
+      });
+  } catch (error) {
+    await liberarReserva(id);
+    throw error;
+  }
+
+  let cotizacionConvertida;
+  try {
+    cotizacionConvertida = await cotizacionesRepository.enlazarVenta(id, venta.id_venta);
+  } catch (error) {
+    // Sin el enlace la venta quedaría huérfana: se anula (devuelve stock y pagos) y se libera
+    try {
+      await ventasService.anularVenta(venta.id_venta, `Conversión de cotización fallida: ${error.message}`);
+      await liberarReserva(id);
+    } catch (errorAnulacion) {
+      console.error(`No se pudo anular la venta ${venta.id_venta} de la cotización ${id}:`, errorAnulacion);
+      error.venta_sin_enlazar = venta.id_venta;
+    }
+    throw error;
+  }
+
+  return {
+    cotizacion: cotizacionConvertida,
+    venta
+  };
+}
+
+/**
+ * Devuelve a PENDIENTE una cotización reservada cuya conversión no llegó a completarse
+ * Un fallo al liberar se registra sin ocultar el error original de la conversión
+ * @param {string} id - UUID de la cotización
+ */
+async function liberarReserva(id) {
+  try {
+    await cotizacionesRepository.liberarConversion(id);
+  } catch (error) {
+    console.error(`No se pudo liberar la cotización ${id}:`, error);
+  }
+}
+
+module.exports = {
+  // Constantes
+  ESTADOS_COTIZACION,
+
+  // Funciones principales
+  crearCotizacion,
+  expirarCotizacion,
+  convertirCotizacion,
+
+  // Consultas
+  obtenerCotizaciones,
+  obtenerCotizacionPorId
+};
@@ -6,7 +6,22 @@
 const creditosRepository = require('../repositories/creditosRepository');
 const pagosRepository = require('../repositories/pagosRepository');
 const clientesRepository = require('../repositories/clientesRepository');
+const cuotasRepository = require('../repositories/cuotasRepository');
+const moraRepository = require('../repositories/moraRepository');
+const devolucionesRepository = require('../repositories/devolucionesRepository');
+const notasCreditoRepository = require('../repositories/notasCreditoRepository');
+const usuariosRepository = require('../repositories/usuariosRepository');
+const moraService = require('./moraService');
+const anticiposService = require('./anticiposService');
+const cajaService = require('./cajaService');
 const { supabase } = require('../config/database');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const { generarCSV } = require('../utils/csv');
+const {
+  obtenerFechaGuatemala,
+  obtenerFechaHoyGuatemala,
+  formatearISO
+} = require('../utils/fechas');
 const { 
   ErrorValidacion, 
   ErrorConflicto,
@@ -20,11 +35,281 @@ const ESTADOS_CREDITO = {
   ACTIVO: 'ACTIVO',
   PAGADO: 'PAGADO',
   VENCIDO: 'VENCIDO',
+  ANULADO: 'ANULADO',
+  CASTIGADO: 'CASTIGADO' // Incobrable: fuera de la cartera activa, admite pagos de recuperación
+};
+
+/**
+ * Estados de un pago de crédito
+ */
+const ESTADOS_PAGO = {
+  ACTIVO: 'ACTIVO',
   ANULADO: 'ANULADO'
 };
 
+/**
+ * Estados de una cuota
+ */
+const ESTADOS_CUOTA = {
+  PENDIENTE: 'PENDIENTE',
+  PARCIAL: 'PARCIAL',
+  PAGADA: 'PAGADA',
+  VENCIDA: 'VENCIDA'
+};
+
+/**
+ * Frecuencias de pago de un plan de cuotas
+ */
+const FRECUENCIAS_CUOTA = {
+  SEMANAL: 'SEMANAL',
+  QUINCENAL: 'QUINCENAL',
+  MENSUAL: 'MENSUAL'
+};
+
+/**
+ * Límites del número de cuotas de un plan
+ */
+const MIN_CUOTAS = 2;
+const MAX_CUOTAS = 24;
+
+/**
+ * Límites (en días de atraso) de los tramos del reporte de antigüedad de saldos
+ * [30, 60, 90] → corriente, 1-30, 31-60, 61-90 y más de 90
+ */
+const TRAMOS_ANTIGUEDAD = [30, 60, 90];
+const MAX_TRAMOS_ANTIGUEDAD = 8;
+
+/**
+ * Suma periodos de pago a una fecha YYYY-MM-DD
+ * En MENSUAL se conserva el día; si el mes no lo tiene se usa su último día (31 → 30, 28/29)
+ * @param {string} fecha - Fecha base YYYY-MM-DD
+ * @param {string} frecuencia - SEMANAL, QUINCENAL o MENSUAL
+ * @param {number} periodos - Cantidad de periodos a sumar
+ * @returns {string} Fecha resultante YYYY-MM-DD
+ */
+function sumarPeriodos(fecha, frecuencia, periodos) {
+  const [anio, mes, dia] = fecha.split('-').map(Number);
+
+  if (frecuencia === FRECUENCIAS_CUOTA.MENSUAL) {
+    const ultimoDia = new Date(Date.UTC(anio, mes - 1 + periodos + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(anio, mes - 1 + periodos, Math.min(dia, ultimoDia)))
+      .toISOString().split('T')[0];
+  }
+
+  const dias = frecuencia === FRECUENCIAS_CUOTA.SEMANAL ? 7 : 15;
+  return new Date(Date.UTC(anio, mes - 1, dia + dias * periodos)).toISOString().split('T')[0];
+}
+
+/**
+ * Genera el plan de cuotas de un crédito (monto y fecha de vencimiento de cada cuota)
+ * El monto se reparte en partes iguales; los centavos que sobran van en la última cuota
+ * @param {number} monto_total - Monto financiado
+ * @param {string} fecha_inicio - Fecha de inicio del crédito YYYY-MM-DD
+ * @param {Object} plan - Plan solicitado
+ * @param {number} plan.numero_cuotas - Número de cuotas
+ * @param {string} plan.frecuencia - SEMANAL, QUINCENAL o MENSUAL (default MENSUAL)
+ * @param {string} plan.fecha_primera_cuota - Vencimiento de la primera cuota YYYY-MM-DD
+ *   (opcional; default un periodo después del inicio)
+ * @returns {Object} { numero_cuotas, frecuencia, cuotas: [{numero, monto, fecha_vencimiento}] }
+ * @throws {ErrorValidacion} Si el plan es inválido
+ */
+function generarPlanCuotas(monto_total, fecha_inicio, plan) {
+  const errores = [];
+  const numeroCuotas = plan.numero_cuotas;
+  const frecuencia = plan.frecuencia || FRECUENCIAS_CUOTA.MENSUAL;
+  const inicio = String(fecha_inicio).split('T')[0];
+
+  if (!Number.isInteger(numeroCuotas) || numeroCuotas < MIN_CUOTAS || numeroCuotas > MAX_CUOTAS) {
+    errores.push(`El número de cuotas debe ser un entero entre ${MIN_CUOTAS} y ${MAX_CUOTAS}`);
+  }
+
+  if (!Object.values(FRECUENCIAS_CUOTA).includes(frecuencia)) {
+    errores.push('Frecuencia inválida. Debe ser SEMANAL, QUINCENAL o MENSUAL');
+  }
+
+  const primera = plan.fecha_primera_cuota
+    ? String(plan.fecha_primera_cuota).split('T')[0]
+    : null;
+
+  if (primera && primera <= inicio) {
+    errores.push('La primera cuota debe vencer después de la fecha de inicio del crédito');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Plan de cuotas inválido', errores);
+  }
+
+  // Cada vencimiento se calcula desde la misma fecha ancla para que un mes corto
+  // (31 ene → 28 feb) no arrastre el día a las cuotas siguientes
+  const ancla = primera || inicio;
+  const desplazamiento = primera ? 0 : 1;
+  const centavos = Math.round(monto_total * 100);
+  const montoCuota = Math.floor(centavos / numeroCuotas);
+
+  const cuotas = [];
+  for (let i = 0; i < numeroCuotas; i++) {
+    const esUltima = i === numeroCuotas - 1;
+    cuotas.push({
+      numero: i + 1,
+      monto: (esUltima ? centavos - montoCuota * (numeroCuotas - 1) : montoCuota) / 100,
+      fecha_vencimiento: sumarPeriodos(ancla, frecuencia, i + desplazamiento)
+    });
+  }
+
+  return {
+    numero_cuotas: numeroCuotas,
+    frecuencia,
+    cuotas
+  };
+}
+
+/**
+ * Calcula el estado de una cuota según lo pagado y su vencimiento
+ * @param {Object} cuota - Cuota con monto, monto_pagado y fecha_vencimiento
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {string} Estado de la cuota
+ */
+function calcularEstadoCuota(cuota, hoy) {
+  const pendiente = parseFloat(cuota.monto) - parseFloat(cuota.monto_pagado || 0);
+
+  if (pendiente <= 0.005) {
+    return ESTADOS_CUOTA.PAGADA;
+  }
+
+  if (String(cuota.fecha_vencimiento) < hoy) {
+    return ESTADOS_CUOTA.VENCIDA;
+  }
+
+  return parseFloat(cuota.monto_pagado || 0) > 0 ? ESTADOS_CUOTA.PARCIAL : ESTADOS_CUOTA.PENDIENTE;
+}
+
+/**
+ * Reparte un monto entre las cuotas no pagadas, de la más antigua a la más reciente
+ * @param {Array} cuotas - Cuotas del crédito
+ * @param {number} monto - Monto a repartir
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {Array} [{ cuota, monto_aplicado, cambios: {monto_pagado, estado, fecha_pago} }]
+ */
+function repartirPagoEnCuotas(cuotas, monto, hoy) {
+  const pendientes = cuotas
+    .filter(c => c.estado !== ESTADOS_CUOTA.PAGADA)
+    .sort((a, b) =>
+      String(a.fecha_vencimiento).localeCompare(String(b.fecha_vencimiento)) || a.numero - b.numero
+    );
+
+  const aplicaciones = [];
+  let restante = Math.round(monto * 100);
+
+  for (const cuota of pendientes) {
+    if (restante <= 0) break;
+
+    const pendienteCuota = Math.round(parseFloat(cuota.monto) * 100) -
+      Math.round(parseFloat(cuota.monto_pagado || 0) * 100);
+    const aplicado = Math.min(restante, pendienteCuota);
+    if (aplicado <= 0) continue;
+
+    restante -= aplicado;
+    const montoPagado = (Math.round(parseFloat(cuota.monto_pagado || 0) * 100) + aplicado) / 100;
+    const estado = calcularEstadoCuota({ ...cuota, monto_pagado: montoPagado }, hoy);
+
+    aplicaciones.push({
+      cuota,
+      monto_aplicado: aplicado / 100,
+      cambios: {
+        monto_pagado: montoPagado,
+        estado,
+        fecha_pago: estado === ESTADOS_CUOTA.PAGADA ? hoy : null
+      }
+    });
+  }
+
+  return aplicaciones;
+}
+
+/**
+ * Registra las cuotas de un crédito recién creado
+ * @param {string} id_credito - UUID del crédito
+ * @param {Array} cuotas - Cuotas generadas con generarPlanCuotas
+ * @returns {Promise<Array>} Cuotas creadas
+ */
+async function registrarCuotas(id_credito, cuotas) {
+  return await cuotasRepository.crearMultiples(
+    cuotas.map(c => ({ ...c, id_credito }))
+  );
+}
+
+/**
+ * Reduce el plan de cuotas cuando baja el saldo sin un pago (ej. devolución)
+ * El monto se descuenta de la última cuota pendiente hacia atrás, sin bajar ninguna
+ * cuota por debajo de lo ya pagado. Si falla una actualización, restaura las cuotas ya
+ * reducidas antes de relanzar el error
+ * @param {string} id_credito - UUID del crédito
+ * @param {number} monto - Monto en que se redujo el saldo
+ * @returns {Promise<Array>} Cuotas antes del cambio (para revertirlo), vacío si no hay plan
+ */
+async function reducirCuotas(id_credito, monto) {
+  const cuotas = await cuotasRepository.obtenerPorCredito(id_credito);
+  const hoy = obtenerFechaHoyGuatemala();
+  const anteriores = [];
+  let restante = Math.round(monto * 100);
+
+  for (const cuota of [...cuotas].reverse()) {
+    if (restante <= 0) break;
+
+    const montoCuota = Math.round(parseFloat(cuota.monto) * 100);
+    const pagado = Math.round(parseFloat(cuota.monto_pagado || 0) * 100);
+    const reduccion = Math.min(restante, montoCuota - pagado);
+    if (reduccion <= 0) continue;
+
+    restante -= reduccion;
+    const nuevoMonto = (montoCuota - reduccion) / 100;
+    const estado = calcularEstadoCuota({ ...cuota, monto: nuevoMonto }, hoy);
+
+    anteriores.push(cuota);
+    try {
+      await cuotasRepository.actualizar(cuota.id_cuota, {
+        monto: nuevoMonto,
+        estado,
+        fecha_pago: estado === ESTADOS_CUOTA.PAGADA ? hoy : null
+      });
+    } catch (error) {
+      // El llamador solo puede revertir lo que se le devolvió: deshacer aquí lo ya reducido
+      await restaurarCuotas(anteriores);
+      throw error;
+    }
+  }
+
+  return anteriores;
+}
+
+/**
+ * Restaura cuotas a un estado anterior
+ * Solo se usa como compensación de una operación fallida
+ * @param {Array} cuotas - Cuotas tal como estaban
+ * @returns {Promise<void>}
+ */
+async function restaurarCuotas(cuotas) {
+  for (const cuota of cuotas) {
+    await cuotasRepository.actualizar(cuota.id_cuota, {
+      monto: cuota.monto,
+      monto_pagado: cuota.monto_pagado,
+      estado: cuota.estado,
+      fecha_pago: cuota.fecha_pago
+    });
+  }
+}
+
 /**
  * Crea un nuevo crédito
+ * Con plan_cuotas se genera el calendario de cuotas y el vencimiento del crédito es el
+ * de la última cuota
+ * @param {Object} datos - Datos del crédito
+ * @param {string} datos.id_cliente - UUID del cliente (tipo CREDITO)
+ * @param {number} datos.monto_total - Monto del crédito
+ * @param {string} datos.fecha_inicio - Fecha de inicio YYYY-MM-DD
+ * @param {string} datos.fecha_vencimiento - Fecha de vencimiento (requerida sin plan_cuotas)
+ * @param {Object} datos.plan_cuotas - Plan {numero_cuotas, frecuencia, fecha_primera_cuota} (opcional)
+ * @returns {Promise<Object>} Crédito creado (con cuotas si tiene plan)
  */
 async function crearCredito(datos) {
   // Validar cliente
@@ -34,19 +319,27 @@ async function crearCredito(datos) {
     throw new ErrorConflicto('Solo los clientes de tipo CREDITO pueden tener créditos');
   }
 
+  // Validar monto
+  if (!datos.monto_total || datos.monto_total <= 0) {
+    throw new ErrorValidacion('El monto total debe ser mayor a 0');
+  }
+
+  // Con plan de cuotas, el vencimiento del crédito es el de la última cuota
+  const plan = datos.plan_cuotas
+    ? generarPlanCuotas(datos.monto_total, datos.fecha_inicio, datos.plan_cuotas)
+    : null;
+  const fecha_vencimiento = plan
+    ? plan.cuotas[plan.cuotas.length - 1].fecha_vencimiento
+    : datos.fecha_vencimiento;
+
   // Validar fechas
   const fechaInicio = new Date(datos.fecha_inicio);
-  const fechaVencimiento = new Date(datos.fecha_vencimiento);
+  const fechaVencimiento = new Date(fecha_vencimiento);
 
   if (fechaVencimiento <= fechaInicio) {
     throw new ErrorValidacion('La fecha de vencimiento debe ser posterior a la fecha de inicio');
   }
 
-  // Validar monto
-  if (!datos.monto_total || datos.monto_total <= 0) {
-    throw new ErrorValidacion('El monto total debe ser mayor a 0');
-  }
-
   // Verificar límite de crédito disponible
   const deudaActual = await creditosRepository.obtenerDeudaCliente(datos.id_cliente);
   const disponible = parseFloat(cliente.limite_credito || 0) - deudaActual;
@@ -59,22 +352,41 @@ async function crearCredito(datos) {
     );
   }
 
-  return await creditosRepository.crear({
+  const credito = await creditosRepository.crear({
     id_cliente: datos.id_cliente,
     monto_total: datos.monto_total,
     saldo_pendiente: datos.monto_total,
     fecha_inicio: datos.fecha_inicio,
-    fecha_vencimiento: datos.fecha_vencimiento,
+    fecha_vencimiento,
+    numero_cuotas: plan ? plan.numero_cuotas : null,
+    frecuencia_cuotas: plan ? plan.frecuencia : null,
     estado: ESTADOS_CREDITO.ACTIVO
   });
+
+  if (!plan) {
+    return credito;
+  }
+
+  try {
+    const cuotas = await registrarCuotas(credito.id_credito, plan.cuotas);
+    return { ...credito, cuotas };
+  } catch (error) {
+    // Sin su calendario el crédito no debe quedar registrado
+    await creditosRepository.eliminar(credito.id_credito);
+    throw error;
+  }
 }
 
 /**
  * Obtiene un crédito por ID
+ * Incluye el desglose del saldo en capital y mora con sus cargos, y si el crédito tiene
+ * plan de cuotas el calendario con el estado de cada cuota
  */
 async function obtenerCreditoPorId(id_credito) {
   const credito = await creditosRepository.obtenerPorId(id_credito);
   const pagos = await pagosRepository.obtenerPorCredito(id_credito);
+  const cuotas = await cuotasRepository.obtenerPorCredito(id_credito);
+  const cargosMora = await moraRepository.obtenerCargosPorCredito(id_credito);
 
   // Calcular credito_disponible del cliente
   let credito_disponible = 0;
@@ -98,11 +410,55 @@ async function obtenerCreditoPorId(id_credito) {
     credito.clientes.credito_disponible = credito_disponible;
   }
 
+  // Los pagos anulados se listan pero no cuentan como pagado
+  const pagosValidos = pagos.filter(p => p.estado !== ESTADOS_PAGO.ANULADO);
+
   return {
     ...credito,
     pagos,
-    cantidad_pagos: pagos.length,
-    total_pagado: pagos.reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0)
+    cantidad_pagos: pagosValidos.length,
+    total_pagado: pagosValidos.reduce((sum, p) => sum + parseFloat(p.monto_pagado), 0),
+    ...moraService.desglosarSaldo(credito),
+    cargos_mora: cargosMora,
+    ...(cuotas.length > 0 ? resumirCuotas(cuotas) : {})
+  };
+}
+
+/**
+ * Arma el calendario de cuotas con el estado vigente de cada una
+ * El estado se recalcula con la fecha de hoy para no depender de que haya corrido el job
+ * @param {Array} cuotas - Cuotas del crédito
+ * @returns {Object} { cuotas, resumen_cuotas }
+ */
+function resumirCuotas(cuotas) {
+  const hoy = obtenerFechaHoyGuatemala();
+
+  const calendario = cuotas.map(cuota => {
+    const estado = calcularEstadoCuota(cuota, hoy);
+    const saldo = parseFloat((parseFloat(cuota.monto) - parseFloat(cuota.monto_pagado || 0)).toFixed(2));
+    const diasAtraso = estado === ESTADOS_CUOTA.VENCIDA
+      ? Math.floor((new Date(hoy) - new Date(cuota.fecha_vencimiento)) / (1000 * 60 * 60 * 24))
+      : 0;
+
+    return {
+      ...cuota,
+      estado,
+      saldo_cuota: saldo,
+      dias_atraso: diasAtraso
+    };
+  });
+
+  const proxima = calendario.find(c => c.estado !== ESTADOS_CUOTA.PAGADA) || null;
+  const vencidas = calendario.filter(c => c.estado === ESTADOS_CUOTA.VENCIDA);
+
+  return {
+    cuotas: calendario,
+    resumen_cuotas: {
+      cuotas_pagadas: calendario.filter(c => c.estado === ESTADOS_CUOTA.PAGADA).length,
+      cuotas_vencidas: vencidas.length,
+      monto_vencido: parseFloat(vencidas.reduce((sum, c) => sum + c.saldo_cuota, 0).toFixed(2)),
+      proxima_cuota: proxima
+    }
   };
 }
 
@@ -150,9 +506,159 @@ async function obtenerCreditosPorCliente(id_cliente, filtros = {}) {
   };
 }
 
+/**
+ * Aplica un pago a un crédito ya obtenido
+ * Registra las compensaciones de cada paso en `compensaciones` sin revertirlas; quien llama
+ * decide cuándo revertir (un pago suelto o todos los pagos de un pago de cliente)
+ * @param {Object} credito - Crédito al que se aplica el pago
+ * @param {Object} datos - { monto_pagado, metodo_pago, observaciones, id_pago_cliente, id_usuario }
+ * @param {Object} compensaciones - Registro de compensaciones de la operación
+ * @returns {Promise<Object>} Resultado del pago
+ */
+async function aplicarPagoACredito(credito, datos, compensaciones) {
+  // Validar que el crédito esté activo
+  if (credito.estado === ESTADOS_CREDITO.PAGADO) {
+    throw new ErrorConflicto('El crédito ya está completamente pagado');
+  }
+
+  // Validar que el crédito no esté anulado
+  if (credito.estado === 'ANULADO') {
+    throw new ErrorConflicto('No se pueden registrar pagos en un crédito anulado');
+  }
+
+  // Validar que el pago no exceda el saldo pendiente
+  if (datos.monto_pagado > parseFloat(credito.saldo_pendiente)) {
+    throw new ErrorValidacion(
+      `El monto pagado ($${datos.monto_pagado.toFixed(2)}) ` +
+      `excede el saldo pendiente ($${credito.saldo_pendiente})`
+    );
+  }
+
+  const cuotas = await cuotasRepository.obtenerPorCredito(credito.id_credito);
+  const hoy = obtenerFechaHoyGuatemala();
+
+  // El pago cubre primero la mora (del cargo más antiguo al más reciente) y luego el capital
+  const cargosPendientes = await moraRepository.obtenerCargosPendientes(credito.id_credito);
+  const aplicacionesMora = moraService.repartirPagoEnCargos(cargosPendientes, datos.monto_pagado);
+  const montoMora = parseFloat(
+    aplicacionesMora.reduce((sum, a) => sum + a.monto_aplicado, 0).toFixed(2)
+  );
+  const montoCapital = parseFloat((datos.monto_pagado - montoMora).toFixed(2));
+
+  // 1. Calcular nuevo saldo
+  const nuevoSaldo = parseFloat((parseFloat(credito.saldo_pendiente) - datos.monto_pagado).toFixed(2));
+  const nuevoSaldoMora = parseFloat((parseFloat(credito.saldo_mora || 0) - montoMora).toFixed(2));
+
+  // En un crédito castigado el pago es una recuperación: el crédito sigue CASTIGADO hasta saldarse
+  const recuperacion = credito.estado === ESTADOS_CREDITO.CASTIGADO;
+
+  // 2. Registrar el pago con saldo después del pago
+  const pago = await pagosRepository.crear({
+    id_credito: credito.id_credito,
+    monto_pagado: datos.monto_pagado,
+    monto_mora: montoMora,
+    monto_capital: montoCapital,
+    metodo_pago: datos.metodo_pago,
+    observaciones: datos.observaciones,
+    saldo_despues_pago: nuevoSaldo,
+    id_pago_cliente: datos.id_pago_cliente,
+    id_usuario: datos.id_usuario
+  });
+  compensaciones.registrar('Eliminar pago', () => pagosRepository.eliminar(pago.id_pago));
+
+  // 3. Actualizar saldo del crédito (cambia automáticamente a PAGADO si saldo = 0)
+  let creditoActualizado = recuperacion
+    ? await creditosRepository.actualizarSaldoMora(credito.id_credito, {
+      saldo_pendiente: nuevoSaldo,
+      saldo_mora: nuevoSaldoMora
+    })
+    : await creditosRepository.actualizarSaldo(credito.id_credito, nuevoSaldo, nuevoSaldoMora);
+  compensaciones.registrar('Restaurar saldo del crédito', () =>
+    creditosRepository.restaurar(credito.id_credito, {
+      estado: credito.estado,
+      saldo_pendiente: credito.saldo_pendiente,
+      saldo_mora: credito.saldo_mora || 0
+    })
+  );
+
+  // 4. Saldar los cargos de mora cubiertos por el pago
+  for (const aplicacion of aplicacionesMora) {
+    await moraRepository.actualizarCargo(aplicacion.cargo.id_cargo, aplicacion.cambios);
+    compensaciones.registrar('Restaurar cargo de mora', () =>
+      moraService.restaurarCargos([aplicacion.cargo])
+    );
+  }
+
+  if (aplicacionesMora.length > 0) {
+    await moraRepository.crearAplicaciones(aplicacionesMora.map(a => ({
+      id_pago: pago.id_pago,
+      id_cargo: a.cargo.id_cargo,
+      monto: a.monto_aplicado
+    })));
+    compensaciones.registrar('Eliminar aplicación del pago a la mora', () =>
+      moraRepository.eliminarAplicaciones(pago.id_pago)
+    );
+  }
+
+  // 5. Con plan de cuotas, aplicar el capital a la cuota más antigua sin pagar primero
+  const aplicaciones = repartirPagoEnCuotas(cuotas, montoCapital, hoy);
+  for (const aplicacion of aplicaciones) {
+    await cuotasRepository.actualizar(aplicacion.cuota.id_cuota, aplicacion.cambios);
+    compensaciones.registrar('Restaurar cuota', () => restaurarCuotas([aplicacion.cuota]));
+  }
+
+  if (aplicaciones.length > 0) {
+    await cuotasRepository.crearAplicaciones(aplicaciones.map(a => ({
+      id_pago: pago.id_pago,
+      id_cuota: a.cuota.id_cuota,
+      monto: a.monto_aplicado
+    })));
+    compensaciones.registrar('Eliminar aplicación del pago', () =>
+      cuotasRepository.eliminarAplicaciones(pago.id_pago)
+    );
+
+    // Si quedan cuotas vencidas el crédito sigue VENCIDO aunque haya abonado
+    const aplicadas = new Set(aplicaciones.map(a => a.cuota.id_cuota));
+    const quedanVencidas = aplicaciones.some(a => a.cambios.estado === ESTADOS_CUOTA.VENCIDA) ||
+      cuotas.some(c => !aplicadas.has(c.id_cuota) && calcularEstadoCuota(c, hoy) === ESTADOS_CUOTA.VENCIDA);
+
+    if (nuevoSaldo > 0 && quedanVencidas && !recuperacion) {
+      await creditosRepository.actualizarEstado([credito.id_credito], ESTADOS_CREDITO.VENCIDO);
+      creditoActualizado = { ...creditoActualizado, estado: ESTADOS_CREDITO.VENCIDO };
+    }
+  }
+
+  return {
+    pago,
+    credito: creditoActualizado,
+    saldo_anterior: credito.saldo_pendiente,
+    saldo_nuevo: nuevoSaldo,
+    credito_liquidado: nuevoSaldo === 0,
+    recuperacion,
+    monto_mora: montoMora,
+    monto_capital: montoCapital,
+    cargos_mora_aplicados: aplicacionesMora.map(a => ({
+      id_cargo: a.cargo.id_cargo,
+      tipo: a.cargo.tipo,
+      fecha_cargo: a.cargo.fecha_cargo,
+      monto_aplicado: a.monto_aplicado,
+      estado: a.cambios.estado
+    })),
+    cuotas_aplicadas: aplicaciones.map(a => ({
+      id_cuota: a.cuota.id_cuota,
+      numero: a.cuota.numero,
+      monto_aplicado: a.monto_aplicado,
+      estado: a.cambios.estado
+    }))
+  };
+
+}
+
 /**
  * Registra un pago a un crédito
  * TRANSACCIONAL: Crea el pago y actualiza el saldo del crédito
+ * El pago salda primero los cargos de mora pendientes y el resto se aplica al capital
+ * Un pago en efectivo entra a la caja abierta del usuario que cobra
  */
 async function registrarPago(datos) {
   // Validar datos
@@ -166,98 +672,774 @@ async function registrarPago(datos) {
 
   // Obtener crédito
   const credito = await creditosRepository.obtenerPorId(datos.id_credito);
+  const sesionCaja = await cajaService.obtenerCajaParaCobro(datos.id_usuario, datos.metodo_pago);
 
-  // Validar que el crédito esté activo
-  if (credito.estado === ESTADOS_CREDITO.PAGADO) {
-    throw new ErrorConflicto('El crédito ya está completamente pagado');
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const resultado = await aplicarPagoACredito(credito, datos, compensaciones);
+
+    const movimientoCaja = await cajaService.registrarCobro(sesionCaja, {
+      tipo: cajaService.TIPOS_MOVIMIENTO_CAJA.PAGO_CREDITO,
+      monto: datos.monto_pagado,
+      concepto: `Pago crédito ${credito.id_credito}`,
+      id_pago: resultado.pago.id_pago,
+      id_usuario: datos.id_usuario
+    }, compensaciones);
+
+    return {
+      ...resultado,
+      id_sesion_caja: movimientoCaja ? movimientoCaja.id_sesion : null
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
   }
+}
 
-  // Validar que el crédito no esté anulado
-  if (credito.estado === 'ANULADO') {
-    throw new ErrorConflicto('No se pueden registrar pagos en un crédito anulado');
+/**
+ * Registra el enganche de una venta a crédito como primer pago del crédito
+ * El crédito ya se creó con el saldo descontado, así que solo se guarda el pago (para el
+ * historial y el estado de cuenta) y, si fue en efectivo, su entrada a la caja
+ * @param {Object} credito - Crédito recién creado (saldo_pendiente ya sin el enganche)
+ * @param {Object} enganche - { monto, metodo_pago, referencia, id_venta, id_usuario }
+ * @param {Object|null} sesionCaja - Caja abierta del vendedor si el enganche fue en efectivo
+ * @param {Object} compensaciones - Registro de compensaciones de la venta
+ * @returns {Promise<Object>} { pago, movimiento_caja }
+ */
+async function registrarEnganche(credito, enganche, sesionCaja, compensaciones) {
+  const pago = await pagosRepository.crear({
+    id_credito: credito.id_credito,
+    monto_pagado: enganche.monto,
+    monto_capital: enganche.monto,
+    metodo_pago: enganche.metodo_pago,
+    observaciones: enganche.referencia ? `Enganche (Ref: ${enganche.referencia})` : 'Enganche',
+    saldo_despues_pago: parseFloat(credito.saldo_pendiente),
+    es_enganche: true,
+    id_usuario: enganche.id_usuario
+  });
+  compensaciones.registrar('Eliminar enganche', () => pagosRepository.eliminar(pago.id_pago));
+
+  // Se liga a la venta y al pago para que anular la venta también lo saque de la caja
+  const movimientoCaja = await cajaService.registrarCobro(sesionCaja, {
+    tipo: cajaService.TIPOS_MOVIMIENTO_CAJA.PAGO_CREDITO,
+    monto: enganche.monto,
+    concepto: `Enganche venta ${enganche.id_venta}`,
+    id_venta: enganche.id_venta,
+    id_pago: pago.id_pago,
+    id_usuario: enganche.id_usuario
+  }, compensaciones);
+
+  return { pago, movimiento_caja: movimientoCaja };
+}
+
+/**
+ * Lee lo necesario para anular un pago: su crédito, lo que saldó de cuotas y cargos de mora, y
+ * los pagos posteriores cuyo saldo_despues_pago lo incluía
+ * @param {Object} pago - Pago a anular
+ * @returns {Promise<Object>} Contexto para aplicarAnulacionPago
+ * @throws {ErrorConflicto} Si el crédito del pago está anulado
+ */
+async function prepararAnulacionPago(pago) {
+  const { id_pago, id_credito } = pago;
+  const credito = await creditosRepository.obtenerPorId(id_credito);
+
+  if (credito.estado === ESTADOS_CREDITO.ANULADO) {
+    throw new ErrorConflicto('No se pueden anular pagos de un crédito anulado');
   }
 
-  // Validar que el pago no exceda el saldo pendiente
-  if (datos.monto_pagado > parseFloat(credito.saldo_pendiente)) {
-    throw new ErrorValidacion(
-      `El monto pagado ($${datos.monto_pagado.toFixed(2)}) ` +
-      `excede el saldo pendiente ($${credito.saldo_pendiente})`
+  // Lo que el pago saldó de cada cuota y de cada cargo de mora
+  const aplicacionesCuota = await cuotasRepository.obtenerAplicacionesPorPago(id_pago);
+  const aplicacionesMora = await moraRepository.obtenerAplicacionesPorPago(id_pago);
+  const cuotas = await cuotasRepository.obtenerPorCredito(id_credito);
+  const cargos = aplicacionesMora.length > 0
+    ? await moraRepository.obtenerCargosPorCredito(id_credito)
+    : [];
+
+  // Pagos posteriores cuyo saldo_despues_pago incluía este pago
+  const posteriores = (await pagosRepository.obtenerPorCredito(id_credito)).filter(p =>
+    p.id_pago !== id_pago &&
+    p.estado !== ESTADOS_PAGO.ANULADO &&
+    p.fecha_pago > pago.fecha_pago
+  );
+
+  return { pago, credito, aplicacionesCuota, aplicacionesMora, cuotas, cargos, posteriores };
+}
+
+/**
+ * Anula un pago ya preparado: lo marca ANULADO, devuelve su monto al saldo del crédito (capital
+ * y mora), deshace lo aplicado a cuotas y cargos de mora y corrige los pagos posteriores
+ * No toca la caja; cada paso registra su compensación
+ * @param {Object} contexto - Devuelto por prepararAnulacionPago
+ * @param {Object} datos - { motivo, id_usuario }
+ * @param {Object} compensaciones - Registro de compensaciones de la operación
+ * @returns {Promise<Object>} Pago anulado, crédito actualizado y saldos
+ */
+async function aplicarAnulacionPago(contexto, datos, compensaciones) {
+  const { pago, credito, aplicacionesCuota, aplicacionesMora, cuotas, cargos, posteriores } = contexto;
+  const { id_pago, id_credito } = pago;
+  const montoPagado = parseFloat(pago.monto_pagado);
+  const montoMora = parseFloat(pago.monto_mora || 0);
+  const hoy = obtenerFechaHoyGuatemala();
+
+  // 1. Marcar el pago como anulado
+  const pagoAnulado = await pagosRepository.anular(id_pago, {
+    motivo: datos.motivo.trim(),
+    id_usuario: datos.id_usuario
+  });
+  compensaciones.registrar('Reactivar pago', () => pagosRepository.reactivar(id_pago));
+
+  // 2. Devolver lo pagado a las cuotas
+  const cuotasPorId = new Map(cuotas.map(c => [c.id_cuota, c]));
+  const cuotasActualizadas = new Map();
+
+  for (const aplicacion of aplicacionesCuota) {
+    const cuota = cuotasPorId.get(aplicacion.id_cuota);
+    if (!cuota) continue;
+
+    const montoPagadoCuota = Math.max(0, parseFloat(
+      (parseFloat(cuota.monto_pagado || 0) - parseFloat(aplicacion.monto)).toFixed(2)
+    ));
+    const estado = calcularEstadoCuota({ ...cuota, monto_pagado: montoPagadoCuota }, hoy);
+
+    await cuotasRepository.actualizar(cuota.id_cuota, {
+      monto_pagado: montoPagadoCuota,
+      estado,
+      fecha_pago: estado === ESTADOS_CUOTA.PAGADA ? cuota.fecha_pago : null
+    });
+    compensaciones.registrar('Restaurar cuota', () => restaurarCuotas([cuota]));
+    cuotasActualizadas.set(cuota.id_cuota, estado);
+  }
+
+  if (aplicacionesCuota.length > 0) {
+    await cuotasRepository.eliminarAplicaciones(id_pago);
+    compensaciones.registrar('Restaurar aplicación del pago a cuotas', () =>
+      cuotasRepository.crearAplicaciones(aplicacionesCuota.map(a => ({
+        id_pago: a.id_pago,
+        id_cuota: a.id_cuota,
+        monto: a.monto
+      })))
     );
   }
 
-  try {
-    // 1. Calcular nuevo saldo
-    const nuevoSaldo = parseFloat(credito.saldo_pendiente) - datos.monto_pagado;
+  // 3. Devolver lo pagado a los cargos de mora
+  const cargosPorId = new Map(cargos.map(c => [c.id_cargo, c]));
 
-    // 2. Registrar el pago con saldo después del pago
-    const pago = await pagosRepository.crear({
-      id_credito: datos.id_credito,
-      monto_pagado: datos.monto_pagado,
-      metodo_pago: datos.metodo_pago,
-      observaciones: datos.observaciones,
-      saldo_despues_pago: nuevoSaldo,
-      id_usuario: datos.id_usuario
+  for (const aplicacion of aplicacionesMora) {
+    const cargo = cargosPorId.get(aplicacion.id_cargo);
+    if (!cargo) continue;
+
+    const montoPagadoCargo = Math.max(0, parseFloat(
+      (parseFloat(cargo.monto_pagado || 0) - parseFloat(aplicacion.monto)).toFixed(2)
+    ));
+    const pendiente = parseFloat(cargo.monto) - montoPagadoCargo - parseFloat(cargo.monto_condonado || 0);
+
+    await moraRepository.actualizarCargo(cargo.id_cargo, {
+      monto_pagado: montoPagadoCargo,
+      estado: pendiente > 0.005 ? moraService.ESTADOS_CARGO.PENDIENTE : cargo.estado
     });
+    compensaciones.registrar('Restaurar cargo de mora', () => moraService.restaurarCargos([cargo]));
+  }
+
+  if (aplicacionesMora.length > 0) {
+    await moraRepository.eliminarAplicaciones(id_pago);
+    compensaciones.registrar('Restaurar aplicación del pago a la mora', () =>
+      moraRepository.crearAplicaciones(aplicacionesMora.map(a => ({
+        id_pago: a.id_pago,
+        id_cargo: a.id_cargo,
+        monto: a.monto
+      })))
+    );
+  }
+
+  // 4. Restaurar el saldo; el crédito se reabre como VENCIDO si ya venció o le quedan
+  // cuotas vencidas, si no como ACTIVO. Un crédito castigado vuelve a CASTIGADO
+  const nuevoSaldo = parseFloat((parseFloat(credito.saldo_pendiente) + montoPagado).toFixed(2));
+  const nuevoSaldoMora = parseFloat((parseFloat(credito.saldo_mora || 0) + montoMora).toFixed(2));
+
+  const hayCuotasVencidas = cuotas.some(c =>
+    (cuotasActualizadas.get(c.id_cuota) || calcularEstadoCuota(c, hoy)) === ESTADOS_CUOTA.VENCIDA
+  );
+  const vencido = credito.estado === ESTADOS_CREDITO.VENCIDO ||
+    String(credito.fecha_vencimiento) < hoy ||
+    hayCuotasVencidas;
+
+  let estadoReabierto = vencido ? ESTADOS_CREDITO.VENCIDO : ESTADOS_CREDITO.ACTIVO;
+  if (credito.fecha_castigo) {
+    estadoReabierto = ESTADOS_CREDITO.CASTIGADO;
+  }
+
+  const creditoActualizado = await creditosRepository.restaurar(id_credito, {
+    estado: estadoReabierto,
+    saldo_pendiente: nuevoSaldo,
+    saldo_mora: nuevoSaldoMora
+  });
+  compensaciones.registrar('Restaurar saldo del crédito', () =>
+    creditosRepository.restaurar(id_credito, {
+      estado: credito.estado,
+      saldo_pendiente: credito.saldo_pendiente,
+      saldo_mora: credito.saldo_mora || 0
+    })
+  );
 
-    // 3. Actualizar saldo del crédito (cambia automáticamente a PAGADO si saldo = 0)
-    const creditoActualizado = await creditosRepository.actualizarSaldo(
-      datos.id_credito,
-      nuevoSaldo
+  // 5. Los pagos posteriores quedaron con un saldo mayor en lo que se anuló
+  for (const posterior of posteriores) {
+    const saldoCorregido = parseFloat(
+      (parseFloat(posterior.saldo_despues_pago) + montoPagado).toFixed(2)
     );
+    await pagosRepository.actualizarSaldoDespues(posterior.id_pago, saldoCorregido);
+    compensaciones.registrar('Restaurar saldo del pago posterior', () =>
+      pagosRepository.actualizarSaldoDespues(posterior.id_pago, posterior.saldo_despues_pago)
+    );
+  }
+
+  return {
+    pago: pagoAnulado,
+    credito: creditoActualizado,
+    saldo_anterior: credito.saldo_pendiente,
+    saldo_nuevo: nuevoSaldo,
+    credito_reabierto: credito.estado === ESTADOS_CREDITO.PAGADO,
+    pagos_recalculados: posteriores.length
+  };
+}
+
+/**
+ * Anula un pago registrado por error
+ * TRANSACCIONAL: Marca el pago como ANULADO, devuelve su monto al saldo del crédito (capital y
+ * mora), deshace lo que se aplicó a cuotas y cargos de mora, y recalcula el saldo_despues_pago
+ * de los pagos posteriores. Un crédito que había quedado PAGADO se reabre.
+ * Los pagos que vienen de un pago global se anulan con todo su recibo (anularPagoCliente)
+ * @param {string} id_credito - UUID del crédito
+ * @param {string} id_pago - UUID del pago
+ * @param {Object} datos - { motivo, id_usuario }
+ * @returns {Promise<Object>} Pago anulado y crédito actualizado
+ */
+async function anularPago(id_credito, id_pago, datos) {
+  if (!datos.motivo || !datos.motivo.trim()) {
+    throw new ErrorValidacion('El motivo de la anulación es requerido');
+  }
+
+  const pago = await pagosRepository.obtenerPorId(id_pago);
+
+  if (pago.id_credito !== id_credito) {
+    throw new ErrorNoEncontrado('Pago del crédito');
+  }
+
+  if (pago.estado === ESTADOS_PAGO.ANULADO) {
+    throw new ErrorConflicto('El pago ya está anulado');
+  }
+
+  // El enganche es parte de la venta: el crédito se abrió con el saldo ya descontado
+  if (pago.es_enganche) {
+    throw new ErrorConflicto('El enganche no se puede anular por separado; anule la venta');
+  }
+
+  // El efectivo de un pago global entró a caja por el recibo completo
+  if (pago.id_pago_cliente) {
+    throw new ErrorConflicto(
+      'El pago es parte de un pago global del cliente; anule el recibo completo'
+    );
+  }
+
+  const contexto = await prepararAnulacionPago(pago);
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const resultado = await aplicarAnulacionPago(contexto, datos, compensaciones);
+
+    // Sacar de la caja (si sigue abierta) el efectivo que había entrado por el pago
+    const movimientosCajaAnulados = await cajaService.anularMovimientos({ id_pago }, compensaciones);
 
     return {
-      pago,
-      credito: creditoActualizado,
-      saldo_anterior: credito.saldo_pendiente,
-      saldo_nuevo: nuevoSaldo,
-      credito_liquidado: nuevoSaldo === 0
+      ...resultado,
+      movimientos_caja_anulados: movimientosCajaAnulados
     };
 
   } catch (error) {
-    throw error;
+    await revertirOperacion(compensaciones, error);
   }
 }
 
 /**
- * Obtiene dashboard de cobranza
+ * Anula un pago global de cliente registrado por error
+ * TRANSACCIONAL: Marca el recibo como ANULADO, anula cada pago a crédito que generó (como
+ * anularPago), retira del saldo a favor el anticipo que dejó y saca su efectivo de la caja
+ * @param {string} id_cliente - UUID del cliente
+ * @param {string} id_pago_cliente - UUID del pago de cliente
+ * @param {Object} datos - { motivo, id_usuario }
+ * @returns {Promise<Object>} Recibo anulado con los pagos anulados
+ * @throws {ErrorConflicto} Si ya está anulado o el cliente ya usó el anticipo que dejó
  */
-async function obtenerDashboardCobranza() {
+async function anularPagoCliente(id_cliente, id_pago_cliente, datos) {
+  if (!datos.motivo || !datos.motivo.trim()) {
+    throw new ErrorValidacion('El motivo de la anulación es requerido');
+  }
+
+  const pagoCliente = await pagosRepository.obtenerPagoClientePorId(id_pago_cliente);
+
+  if (pagoCliente.id_cliente !== id_cliente) {
+    throw new ErrorNoEncontrado('Pago del cliente');
+  }
+
+  if (pagoCliente.estado === ESTADOS_PAGO.ANULADO) {
+    throw new ErrorConflicto('El pago del cliente ya está anulado');
+  }
+
+  const montoAnticipo = parseFloat(pagoCliente.monto_anticipo || 0);
+  if (montoAnticipo > 0) {
+    await anticiposService.validarSaldoSuficiente(id_cliente, montoAnticipo);
+  }
+
+  const pagos = (await pagosRepository.obtenerPorPagoCliente(id_pago_cliente))
+    .filter(p => p.estado !== ESTADOS_PAGO.ANULADO);
+  const contextos = [];
+  for (const pago of pagos) {
+    contextos.push(await prepararAnulacionPago(pago));
+  }
+
+  const compensaciones = crearCompensaciones();
+
   try {
-    // Obtener todos los créditos activos y vencidos
-    const creditosActivos = await creditosRepository.obtenerTodos({
-      estado: ESTADOS_CREDITO.ACTIVO
+    // 1. Marcar el recibo como anulado
+    const reciboAnulado = await pagosRepository.anularPagoCliente(id_pago_cliente, {
+      motivo: datos.motivo.trim(),
+      id_usuario: datos.id_usuario
     });
+    compensaciones.registrar('Reactivar pago del cliente', () =>
+      pagosRepository.reactivarPagoCliente(id_pago_cliente)
+    );
+
+    // 2. Anular cada pago a crédito del recibo
+    const pagosAnulados = [];
+    for (const contexto of contextos) {
+      pagosAnulados.push(await aplicarAnulacionPago(contexto, datos, compensaciones));
+    }
 
-    const creditosVencidos = await creditosRepository.obtenerVencidos();
+    // 3. Retirar el sobrante que quedó como saldo a favor
+    let anticipo = null;
+    if (montoAnticipo > 0) {
+      anticipo = await anticiposService.aplicar(id_cliente, montoAnticipo, {
+        origen: anticiposService.ORIGENES_ANTICIPO.ANULACION_PAGO,
+        id_pago_cliente,
+        descripcion: 'Anulación de pago del cliente',
+        id_usuario: datos.id_usuario
+      });
+      compensaciones.registrar('Revertir retiro de anticipo', () =>
+        anticiposService.revertirMovimiento(anticipo)
+      );
+    }
 
-    // Calcular totales
-    const totalActivos = creditosActivos.creditos.reduce(
-      (sum, c) => sum + parseFloat(c.saldo_pendiente || 0),
-      0
+    // 4. Sacar de la caja (si sigue abierta) el efectivo que había entrado por el recibo
+    const movimientosCajaAnulados = await cajaService.anularMovimientos(
+      { id_pago_cliente },
+      compensaciones
     );
 
-    const totalVencidos = creditosVencidos.reduce(
-      (sum, c) => sum + parseFloat(c.saldo_pendiente || 0),
-      0
+    return {
+      pago_cliente: reciboAnulado,
+      pagos: pagosAnulados,
+      anticipo,
+      movimientos_caja_anulados: movimientosCajaAnulados
+    };
+
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Fecha desde la que un crédito abierto está pendiente de pago: el vencimiento de su cuota
+ * sin pagar más antigua o, si no tiene plan de cuotas, el vencimiento del crédito
+ * @param {Object} credito - Crédito
+ * @param {Array} cuotas - Cuotas del crédito
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+function obtenerVencimientoPendiente(credito, cuotas) {
+  const pendientes = cuotas
+    .filter(c => c.estado !== ESTADOS_CUOTA.PAGADA)
+    .map(c => c.fecha_vencimiento)
+    .sort();
+
+  return pendientes[0] || credito.fecha_vencimiento;
+}
+
+/**
+ * Reparte un pago de cliente entre sus créditos abiertos
+ * Sin asignaciones explícitas se paga primero el crédito con el vencimiento pendiente más antiguo
+ * @param {Array} creditos - Créditos ACTIVOS/VENCIDOS del cliente
+ * @param {number} monto - Monto entregado por el cliente
+ * @param {Array} asignaciones - [{id_credito, monto}] opcional
+ * @returns {Promise<Array>} [{credito, monto}] en el orden en que se aplicarán
+ */
+async function repartirPagoCliente(creditos, monto, asignaciones) {
+  if (asignaciones && asignaciones.length > 0) {
+    const porId = new Map(creditos.map(c => [c.id_credito, c]));
+    const vistos = new Set();
+    let totalAsignado = 0;
+
+    const reparto = asignaciones.map(asignacion => {
+      const credito = porId.get(asignacion.id_credito);
+
+      if (!credito) {
+        throw new ErrorValidacion(
+          `El crédito ${asignacion.id_credito} no es un crédito activo o vencido del cliente`
+        );
+      }
+
+      if (vistos.has(asignacion.id_credito)) {
+        throw new ErrorValidacion(`El crédito ${asignacion.id_credito} está asignado más de una vez`);
+      }
+      vistos.add(asignacion.id_credito);
+
+      if (!asignacion.monto || asignacion.monto <= 0) {
+        throw new ErrorValidacion('El monto de cada asignación debe ser mayor a 0');
+      }
+
+      if (asignacion.monto > parseFloat(credito.saldo_pendiente)) {
+        throw new ErrorValidacion(
+          `El monto asignado ($${asignacion.monto.toFixed(2)}) excede el saldo pendiente ` +
+          `del crédito ${credito.id_credito} ($${credito.saldo_pendiente})`
+        );
+      }
+
+      totalAsignado += asignacion.monto;
+      return { credito, monto: parseFloat(asignacion.monto.toFixed(2)) };
+    });
+
+    if (parseFloat(totalAsignado.toFixed(2)) > monto) {
+      throw new ErrorValidacion(
+        `Las asignaciones ($${totalAsignado.toFixed(2)}) exceden el monto del pago ($${monto.toFixed(2)})`
+      );
+    }
+
+    return reparto;
+  }
+
+  // Ordenar por el vencimiento pendiente más antiguo
+  const conVencimiento = [];
+  for (const credito of creditos) {
+    const cuotas = await cuotasRepository.obtenerPorCredito(credito.id_credito);
+    conVencimiento.push({ credito, vencimiento: obtenerVencimientoPendiente(credito, cuotas) });
+  }
+  conVencimiento.sort((a, b) => a.vencimiento.localeCompare(b.vencimiento));
+
+  const reparto = [];
+  let restante = monto;
+
+  for (const { credito } of conVencimiento) {
+    if (restante <= 0) break;
+
+    const aplicado = parseFloat(Math.min(restante, parseFloat(credito.saldo_pendiente)).toFixed(2));
+    reparto.push({ credito, monto: aplicado });
+    restante = parseFloat((restante - aplicado).toFixed(2));
+  }
+
+  return reparto;
+}
+
+/**
+ * Registra un pago global de un cliente
+ * TRANSACCIONAL: Reparte el monto entre los créditos abiertos del cliente creando un pago
+ * por crédito, y el sobrante queda como anticipo (saldo a favor) del cliente
+ * Si se paga en efectivo, el monto completo entra a la caja abierta del usuario que cobra
+ * @param {string} id_cliente - UUID del cliente
+ * @param {Object} datos - { monto, metodo_pago, observaciones, asignaciones, id_usuario }
+ * @returns {Promise<Object>} Recibo con los pagos creados y el anticipo generado
+ */
+async function registrarPagoCliente(id_cliente, datos) {
+  if (!datos.monto || datos.monto <= 0) {
+    throw new ErrorValidacion('El monto del pago debe ser mayor a 0');
+  }
+
+  const monto = parseFloat(datos.monto.toFixed(2));
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+  const creditos = await creditosRepository.obtenerAbiertosPorCliente(id_cliente);
+  const reparto = await repartirPagoCliente(creditos, monto, datos.asignaciones);
+
+  const montoAplicado = parseFloat(reparto.reduce((sum, r) => sum + r.monto, 0).toFixed(2));
+  const montoAnticipo = parseFloat((monto - montoAplicado).toFixed(2));
+  const sesionCaja = await cajaService.obtenerCajaParaCobro(datos.id_usuario, datos.metodo_pago);
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Registrar el recibo del pago
+    const pagoCliente = await pagosRepository.crearPagoCliente({
+      id_cliente,
+      monto_total: monto,
+      monto_aplicado: montoAplicado,
+      monto_anticipo: montoAnticipo,
+      metodo_pago: datos.metodo_pago,
+      observaciones: datos.observaciones,
+      id_usuario: datos.id_usuario
+    });
+    compensaciones.registrar('Eliminar pago del cliente', () =>
+      pagosRepository.eliminarPagoCliente(pagoCliente.id_pago_cliente)
     );
 
+    // 2. Aplicar el pago a cada crédito
+    const pagos = [];
+    for (const { credito, monto: montoCredito } of reparto) {
+      const resultado = await aplicarPagoACredito(credito, {
+        monto_pagado: montoCredito,
+        metodo_pago: datos.metodo_pago,
+        observaciones: datos.observaciones,
+        id_pago_cliente: pagoCliente.id_pago_cliente,
+        id_usuario: datos.id_usuario
+      }, compensaciones);
+
+      pagos.push({
+        id_credito: credito.id_credito,
+        id_venta: credito.id_venta,
+        ...resultado
+      });
+    }
+
+    // 3. El sobrante queda como saldo a favor del cliente
+    let anticipo = null;
+    if (montoAnticipo > 0) {
+      anticipo = await anticiposService.abonar(id_cliente, montoAnticipo, {
+        origen: anticiposService.ORIGENES_ANTICIPO.PAGO_CLIENTE,
+        id_pago_cliente: pagoCliente.id_pago_cliente,
+        descripcion: 'Sobrante de pago del cliente',
+        id_usuario: datos.id_usuario
+      });
+      compensaciones.registrar('Revertir anticipo', () =>
+        anticiposService.revertirMovimiento(anticipo)
+      );
+    }
+
+    // 4. Registrar en caja el efectivo recibido
+    const movimientoCaja = await cajaService.registrarCobro(sesionCaja, {
+      tipo: cajaService.TIPOS_MOVIMIENTO_CAJA.PAGO_CLIENTE,
+      monto,
+      concepto: `Pago de cliente ${cliente.nombre} ${cliente.apellido || ''}`.trim(),
+      id_pago_cliente: pagoCliente.id_pago_cliente,
+      id_usuario: datos.id_usuario
+    }, compensaciones);
+
     return {
-      creditos_activos: {
-        cantidad: creditosActivos.total,
-        monto_total: totalActivos
-      },
-      creditos_vencidos: {
-        cantidad: creditosVencidos.length,
-        monto_total: totalVencidos
+      pago_cliente: pagoCliente,
+      id_sesion_caja: movimientoCaja ? movimientoCaja.id_sesion : null,
+      cliente: {
+        id_cliente: cliente.id_cliente,
+        nombre: cliente.nombre,
+        apellido: cliente.apellido
       },
-      cartera_total: totalActivos + totalVencidos,
-      tasa_vencimiento: creditosActivos.total > 0 
-        ? ((creditosVencidos.length / creditosActivos.total) * 100).toFixed(2) + '%'
-        : '0%'
+      monto_total: monto,
+      monto_aplicado: montoAplicado,
+      monto_anticipo: montoAnticipo,
+      pagos,
+      anticipo,
+      saldo_anticipo: anticipo
+        ? parseFloat(anticipo.saldo_nuevo)
+        : parseFloat(cliente.saldo_anticipo || 0)
     };
+
   } catch (error) {
-    throw error;
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene los pagos globales de un cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Array>} Pagos del cliente con su reparto entre créditos
+ */
+async function obtenerPagosCliente(id_cliente) {
+  await clientesRepository.obtenerPorId(id_cliente);
+  return await pagosRepository.obtenerPagosCliente(id_cliente);
+}
+
+/**
+ * Obtiene dashboard de cobranza
+ * La cartera total son los créditos ACTIVOS y VENCIDOS; lo castigado se informa aparte
+ */
+async function obtenerDashboardCobranza() {
+  const creditos = await creditosRepository.obtenerSaldosCartera();
+
+  const resumir = (estado) => {
+    const delEstado = creditos.filter(c => c.estado === estado);
+    return {
+      cantidad: delEstado.length,
+      monto_total: parseFloat(
+        delEstado.reduce((sum, c) => sum + parseFloat(c.saldo_pendiente || 0), 0).toFixed(2)
+      )
+    };
+  };
+
+  const activos = resumir(ESTADOS_CREDITO.ACTIVO);
+  const vencidos = resumir(ESTADOS_CREDITO.VENCIDO);
+  const abiertos = activos.cantidad + vencidos.cantidad;
+
+  return {
+    creditos_activos: activos,
+    creditos_vencidos: vencidos,
+    cartera_total: parseFloat((activos.monto_total + vencidos.monto_total).toFixed(2)),
+    cartera_castigada: resumir(ESTADOS_CREDITO.CASTIGADO),
+    tasa_vencimiento: abiertos > 0
+      ? ((vencidos.cantidad / abiertos) * 100).toFixed(2) + '%'
+      : '0%'
+  };
+}
+
+/**
+ * Castiga un crédito incobrable (castigo de cartera)
+ * El crédito pasa a CASTIGADO con su saldo (capital y mora): sale de la cartera por cobrar y de
+ * la deuda del cliente, pero sigue en su historial y admite pagos de recuperación
+ * @param {string} id_credito - UUID del crédito
+ * @param {Object} datos - Datos del castigo
+ * @param {string} datos.motivo - Motivo (requerido)
+ * @param {string} datos.id_aprobador - UUID del administrador que aprueba el castigo
+ * @param {string} datos.id_usuario - UUID del administrador que lo registra
+ * @returns {Promise<Object>} { credito, monto_castigado, mora_castigada, aprobador }
+ */
+async function castigarCredito(id_credito, datos) {
+  if (!datos.motivo || !String(datos.motivo).trim()) {
+    throw new ErrorValidacion('El motivo del castigo es requerido');
+  }
+
+  if (!datos.id_aprobador) {
+    throw new ErrorValidacion('Debe indicar el administrador que aprueba el castigo');
+  }
+
+  const credito = await creditosRepository.obtenerPorId(id_credito);
+
+  if (credito.estado !== ESTADOS_CREDITO.VENCIDO) {
+    throw new ErrorConflicto(`Solo se pueden castigar créditos vencidos (el crédito está ${credito.estado})`);
   }
+
+  const montoCastigado = parseFloat(credito.saldo_pendiente);
+  if (montoCastigado <= 0) {
+    throw new ErrorConflicto('El crédito no tiene saldo pendiente');
+  }
+
+  let aprobador = null;
+  try {
+    aprobador = await usuariosRepository.obtenerPorId(datos.id_aprobador);
+  } catch (error) {
+    if (!(error instanceof ErrorNoEncontrado)) throw error;
+  }
+
+  if (!aprobador || !aprobador.estado || aprobador.rol?.nombre !== 'ADMINISTRADOR') {
+    throw new ErrorValidacion('El castigo debe aprobarlo un administrador activo');
+  }
+
+  const castigado = await creditosRepository.castigar(id_credito, {
+    monto_castigado: montoCastigado,
+    mora_castigada: parseFloat(credito.saldo_mora || 0),
+    motivo_castigo: String(datos.motivo).trim(),
+    id_aprobador_castigo: aprobador.id_usuario,
+    id_usuario_castigo: datos.id_usuario,
+    fecha_castigo: formatearISO(obtenerFechaGuatemala())
+  });
+
+  if (!castigado) {
+    throw new ErrorConflicto('El crédito cambió de estado mientras se registraba el castigo. Consúltelo de nuevo');
+  }
+
+  return {
+    credito: castigado,
+    monto_castigado: montoCastigado,
+    mora_castigada: parseFloat(credito.saldo_mora || 0),
+    aprobador: {
+      id_usuario: aprobador.id_usuario,
+      nombre: aprobador.nombre
+    }
+  };
+}
+
+/**
+ * Reporte de castigos de cartera por período
+ * Lista los créditos castigados en el período (con lo recuperado de cada uno hasta hoy) y las
+ * recuperaciones cobradas en el período sobre cualquier crédito castigado
+ * @param {Object} filtros - { desde, hasta } fechas YYYY-MM-DD (por defecto el mes en curso)
+ * @returns {Promise<Object>} { desde, hasta, castigos, recuperaciones, totales }
+ */
+async function obtenerReporteCastigos(filtros = {}) {
+  const hasta = filtros.hasta || obtenerFechaHoyGuatemala();
+  const desde = filtros.desde || `${hasta.slice(0, 7)}-01`;
+
+  if (desde > hasta) {
+    throw new ErrorValidacion('La fecha desde no puede ser posterior a la fecha hasta');
+  }
+
+  const limiteFin = `${hasta}T23:59:59-06:00`;
+  const inicio = new Date(`${desde}T00:00:00-06:00`);
+  const fin = new Date(limiteFin);
+
+  // Castigados hasta el fin del período: los del período y los anteriores que pueden tener
+  // recuperaciones en él
+  const castigados = await creditosRepository.obtenerCastigados({ hasta: limiteFin });
+  const castigoPorCredito = new Map(castigados.map(c => [c.id_credito, c]));
+
+  const pagos = castigados.length > 0
+    ? await pagosRepository.obtenerPorCreditosDesde(
+      castigados.map(c => c.id_credito),
+      castigados[0].fecha_castigo
+    )
+    : [];
+
+  // Solo es recuperación lo pagado después del castigo
+  const recuperados = pagos.filter(p =>
+    new Date(p.fecha_pago) >= new Date(castigoPorCredito.get(p.id_credito).fecha_castigo)
+  );
+
+  const recuperadoPorCredito = new Map();
+  for (const pago of recuperados) {
+    recuperadoPorCredito.set(
+      pago.id_credito,
+      (recuperadoPorCredito.get(pago.id_credito) || 0) + parseFloat(pago.monto_pagado)
+    );
+  }
+
+  const castigos = castigados
+    .filter(c => new Date(c.fecha_castigo) >= inicio)
+    .map(c => ({
+      id_credito: c.id_credito,
+      id_venta: c.id_venta,
+      cliente: c.clientes,
+      fecha_castigo: c.fecha_castigo,
+      monto_castigado: parseFloat(c.monto_castigado),
+      mora_castigada: parseFloat(c.mora_castigada || 0),
+      motivo: c.motivo_castigo,
+      aprobado_por: c.aprobador,
+      registrado_por: c.usuario_castigo,
+      recuperado: parseFloat((recuperadoPorCredito.get(c.id_credito) || 0).toFixed(2)),
+      saldo_pendiente: parseFloat(c.saldo_pendiente),
+      estado: c.estado
+    }));
+
+  const recuperaciones = recuperados
+    .filter(p => new Date(p.fecha_pago) >= inicio && new Date(p.fecha_pago) <= fin)
+    .sort((a, b) => new Date(a.fecha_pago) - new Date(b.fecha_pago))
+    .map(p => {
+      const credito = castigoPorCredito.get(p.id_credito);
+      return {
+        id_pago: p.id_pago,
+        id_credito: p.id_credito,
+        cliente: credito.clientes,
+        fecha_castigo: credito.fecha_castigo,
+        fecha_pago: p.fecha_pago,
+        monto_pagado: parseFloat(p.monto_pagado),
+        metodo_pago: p.metodo_pago
+      };
+    });
+
+  const sumar = (lista, campo) => parseFloat(lista.reduce((sum, x) => sum + x[campo], 0).toFixed(2));
+
+  return {
+    desde,
+    hasta,
+    castigos,
+    recuperaciones,
+    totales: {
+      creditos_castigados: castigos.length,
+      monto_castigado: sumar(castigos, 'monto_castigado'),
+      recuperado_de_castigos_del_periodo: sumar(castigos, 'recuperado'),
+      recuperaciones: recuperaciones.length,
+      monto_recuperado: sumar(recuperaciones, 'monto_pagado')
+    }
+  };
 }
 
 /**
@@ -278,6 +1460,386 @@ async function obtenerReporteCarteraVencida() {
   };
 }
 
+/**
+ * Arma los tramos del reporte de antigüedad a partir de sus límites
+ * @param {Array<number>} limites - Días de atraso donde termina cada tramo, ascendentes
+ * @returns {Array} [{clave, etiqueta, desde, hasta}] empezando por el tramo corriente
+ * @throws {ErrorValidacion} Si los límites no son enteros positivos ascendentes
+ */
+function construirTramosAntiguedad(limites) {
+  if (!Array.isArray(limites) || limites.length === 0 || limites.length > MAX_TRAMOS_ANTIGUEDAD) {
+    throw new ErrorValidacion(`Debe indicar entre 1 y ${MAX_TRAMOS_ANTIGUEDAD} límites de tramos`);
+  }
+
+  limites.forEach((limite, i) => {
+    if (!Number.isInteger(limite) || limite < 1 || (i > 0 && limite <= limites[i - 1])) {
+      throw new ErrorValidacion(
+        'Los límites de los tramos deben ser enteros positivos en orden ascendente (ej. 30,60,90)'
+      );
+    }
+  });
+
+  const tramos = [{ clave: 'corriente', etiqueta: 'Corriente', desde: null, hasta: 0 }];
+  let desde = 1;
+
+  for (const limite of limites) {
+    tramos.push({ clave: `${desde}_${limite}`, etiqueta: `${desde}-${limite} días`, desde, hasta: limite });
+    desde = limite + 1;
+  }
+
+  const ultimo = limites[limites.length - 1];
+  tramos.push({ clave: `mas_${ultimo}`, etiqueta: `Más de ${ultimo} días`, desde, hasta: null });
+
+  return tramos;
+}
+
+/**
+ * Días de atraso de un vencimiento a la fecha de corte (0 o negativo si aún no vence)
+ * @param {string} fecha_vencimiento - Fecha YYYY-MM-DD
+ * @param {string} fecha_corte - Fecha YYYY-MM-DD
+ * @returns {number} Días de atraso
+ */
+function calcularDiasAtraso(fecha_vencimiento, fecha_corte) {
+  const vencimiento = new Date(`${String(fecha_vencimiento).slice(0, 10)}T00:00:00Z`);
+  const corte = new Date(`${fecha_corte}T00:00:00Z`);
+  return Math.round((corte - vencimiento) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Tramo al que corresponden unos días de atraso
+ * @param {Array} tramos - Tramos de construirTramosAntiguedad
+ * @param {number} dias - Días de atraso
+ * @returns {string} Clave del tramo
+ */
+function clasificarTramo(tramos, dias) {
+  if (dias <= 0) {
+    return tramos[0].clave;
+  }
+
+  return tramos.find(t => t.desde !== null && dias >= t.desde && (t.hasta === null || dias <= t.hasta)).clave;
+}
+
+/**
+ * Calcula cuánto cambió el saldo de cada crédito después de la fecha de corte
+ * Restando estos ajustes al saldo actual se obtiene el saldo que tenía al corte
+ * @param {string} fecha_corte - Fecha YYYY-MM-DD
+ * @returns {Promise<Object>} { ajustes: Map(id_credito → {saldo, mora}), ids_credito, ids_venta }
+ */
+async function obtenerAjustesPosterioresAlCorte(fecha_corte) {
+  const limite = `${fecha_corte}T23:59:59-06:00`;
+  const limiteFecha = new Date(limite);
+  const ajustes = new Map();
+  const ajustar = (id_credito, saldo, mora = 0) => {
+    const ajuste = ajustes.get(id_credito) || { saldo: 0, mora: 0 };
+    ajuste.saldo += saldo;
+    ajuste.mora += mora;
+    ajustes.set(id_credito, ajuste);
+  };
+
+  // Pagos: uno registrado después del corte bajó el saldo después; uno anulado después del
+  // corte (pero registrado antes) lo subió después
+  const pagos = await pagosRepository.obtenerMovimientosPosteriores(limite);
+  for (const pago of pagos) {
+    const monto = parseFloat(pago.monto_pagado);
+    const mora = parseFloat(pago.monto_mora || 0);
+    const pagadoDespues = new Date(pago.fecha_pago) > limiteFecha;
+
+    if (pago.estado !== ESTADOS_PAGO.ANULADO && pagadoDespues) {
+      ajustar(pago.id_credito, -monto, -mora);
+    } else if (pago.estado === ESTADOS_PAGO.ANULADO && !pagadoDespues) {
+      ajustar(pago.id_credito, monto, mora);
+    }
+  }
+
+  // Mora: lo cargado después del corte subió el saldo; lo condonado después lo bajó
+  const cargos = await moraRepository.obtenerCargosPosteriores(fecha_corte);
+  for (const cargo of cargos) {
+    if (String(cargo.fecha_cargo) > fecha_corte) {
+      ajustar(cargo.id_credito, parseFloat(cargo.monto), parseFloat(cargo.monto));
+    }
+    if (cargo.fecha_condonacion && new Date(cargo.fecha_condonacion) > limiteFecha) {
+      const condonado = parseFloat(cargo.monto_condonado || 0);
+      ajustar(cargo.id_credito, -condonado, -condonado);
+    }
+  }
+
+  // Notas de crédito: bajaron el saldo después del corte
+  const notas = await notasCreditoRepository.obtenerAplicadasACreditoDesde(limite);
+  for (const nota of notas) {
+    ajustar(nota.id_credito, -parseFloat(nota.monto_aplicado_credito));
+  }
+
+  // Castigos: un crédito castigado después del corte seguía en la cartera al corte
+  const castigados = await creditosRepository.obtenerCastigadosDesde(limite);
+  for (const castigado of castigados) {
+    ajustar(castigado.id_credito, 0);
+  }
+
+  // Devoluciones: bajaron el saldo después del corte (se resuelven por venta)
+  const devoluciones = await devolucionesRepository.obtenerAplicadasACreditoDesde(limite);
+
+  return {
+    ajustes,
+    devoluciones,
+    ids_credito: [...ajustes.keys()],
+    ids_venta: [...new Set(devoluciones.map(d => d.id_venta))]
+  };
+}
+
+/**
+ * Reparte el saldo de un crédito al corte según los vencimientos que cubre
+ * Sin plan de cuotas todo el saldo vence con el crédito. Con plan, los pagos cubren primero
+ * las cuotas más antiguas, así que el capital pendiente corresponde a las cuotas más recientes;
+ * la mora se asigna al vencimiento más antiguo con saldo
+ * @param {Object} credito - Crédito
+ * @param {Array} cuotas - Cuotas del crédito
+ * @param {number} saldo - Saldo al corte
+ * @param {number} mora - Parte del saldo que es mora
+ * @returns {Array} [{fecha_vencimiento, monto}]
+ */
+function repartirSaldoPorVencimiento(credito, cuotas, saldo, mora) {
+  if (cuotas.length === 0) {
+    return [{ fecha_vencimiento: credito.fecha_vencimiento, monto: saldo }];
+  }
+
+  const capital = Math.max(0, saldo - Math.max(0, mora));
+  const partes = [];
+  let restante = Math.round(capital * 100);
+
+  const porVencimiento = [...cuotas].sort((a, b) =>
+    String(b.fecha_vencimiento).localeCompare(String(a.fecha_vencimiento)) || b.numero - a.numero
+  );
+
+  for (const cuota of porVencimiento) {
+    if (restante <= 0) break;
+
+    const asignado = Math.min(restante, Math.round(parseFloat(cuota.monto) * 100));
+    partes.unshift({ fecha_vencimiento: cuota.fecha_vencimiento, monto: asignado / 100 });
+    restante -= asignado;
+  }
+
+  // Capital que ya no está en las cuotas (ej. reducido después por una devolución)
+  if (restante > 0) {
+    if (partes.length === 0) {
+      partes.push({ fecha_vencimiento: porVencimiento[0].fecha_vencimiento, monto: 0 });
+    }
+    partes[partes.length - 1].monto += restante / 100;
+  }
+
+  const moraAsignada = parseFloat((saldo - capital).toFixed(2));
+  if (moraAsignada > 0) {
+    if (partes.length === 0) {
+      partes.push({ fecha_vencimiento: porVencimiento[porVencimiento.length - 1].fecha_vencimiento, monto: 0 });
+    }
+    partes[0].monto += moraAsignada;
+  }
+
+  return partes.map(p => ({ ...p, monto: parseFloat(p.monto.toFixed(2)) }));
+}
+
+/**
+ * Reporte de antigüedad de saldos (cartera por días de atraso)
+ * El saldo de cada crédito se reconstruye a la fecha de corte (pagos, anulaciones, mora,
+ * condonaciones, notas de crédito y devoluciones posteriores se descuentan) para poder reproducir cierres de mes.
+ * Los créditos castigados entran solo si el castigo fue posterior al corte
+ * @param {Object} opciones - Opciones del reporte
+ * @param {string} opciones.fecha_corte - Fecha YYYY-MM-DD (default: hoy)
+ * @param {Array<number>} opciones.tramos - Límites de los tramos en días (default: 30, 60, 90)
+ * @param {string} opciones.id_cliente - Solo un cliente (opcional)
+ * @returns {Promise<Object>} { fecha_corte, tramos, totales, clientes: [{..., creditos}] }
+ */
+async function obtenerReporteAntiguedad(opciones = {}) {
+  const hoy = obtenerFechaHoyGuatemala();
+  const fecha_corte = opciones.fecha_corte || hoy;
+
+  if (fecha_corte > hoy) {
+    throw new ErrorValidacion('La fecha de corte no puede ser futura');
+  }
+
+  const tramos = construirTramosAntiguedad(opciones.tramos || TRAMOS_ANTIGUEDAD);
+  const nuevoAcumulado = () => Object.fromEntries(tramos.map(t => [t.clave, 0]));
+
+  const { ajustes, devoluciones, ids_credito, ids_venta } = await obtenerAjustesPosterioresAlCorte(fecha_corte);
+  let creditos = await creditosRepository.obtenerParaAntiguedad(fecha_corte, { ids_credito, ids_venta });
+
+  if (opciones.id_cliente) {
+    creditos = creditos.filter(c => c.id_cliente === opciones.id_cliente);
+  }
+
+  const devueltoPorVenta = new Map();
+  for (const devolucion of devoluciones) {
+    devueltoPorVenta.set(
+      devolucion.id_venta,
+      (devueltoPorVenta.get(devolucion.id_venta) || 0) + parseFloat(devolucion.monto_aplicado_credito)
+    );
+  }
+
+  const cuotas = await cuotasRepository.obtenerPorCreditos(creditos.map(c => c.id_credito));
+  const cuotasPorCredito = new Map();
+  cuotas.forEach(c => {
+    if (!cuotasPorCredito.has(c.id_credito)) cuotasPorCredito.set(c.id_credito, []);
+    cuotasPorCredito.get(c.id_credito).push(c);
+  });
+
+  const clientes = new Map();
+  const totales = nuevoAcumulado();
+
+  const limiteCorte = new Date(`${fecha_corte}T23:59:59-06:00`);
+
+  for (const credito of creditos) {
+    // Lo castigado hasta el corte ya no era cartera (aunque tenga recuperaciones posteriores)
+    if (credito.fecha_castigo && new Date(credito.fecha_castigo) <= limiteCorte) continue;
+
+    const ajuste = ajustes.get(credito.id_credito) || { saldo: 0, mora: 0 };
+    const devuelto = devueltoPorVenta.get(credito.id_venta) || 0;
+    const saldo = parseFloat((parseFloat(credito.saldo_pendiente) - ajuste.saldo + devuelto).toFixed(2));
+    const mora = parseFloat((parseFloat(credito.saldo_mora || 0) - ajuste.mora).toFixed(2));
+
+    if (saldo <= 0.005) continue;
+
+    const partes = repartirSaldoPorVencimiento(
+      credito, cuotasPorCredito.get(credito.id_credito) || [], saldo, mora
+    );
+    const porTramo = nuevoAcumulado();
+    let diasAtraso = null;
+
+    for (const parte of partes) {
+      const dias = calcularDiasAtraso(parte.fecha_vencimiento, fecha_corte);
+      porTramo[clasificarTramo(tramos, dias)] += parte.monto;
+      if (parte.monto > 0 && (diasAtraso === null || dias > diasAtraso)) {
+        diasAtraso = dias;
+      }
+    }
+
+    if (!clientes.has(credito.id_cliente)) {
+      clientes.set(credito.id_cliente, {
+        id_cliente: credito.id_cliente,
+        nombre: credito.clientes?.nombre,
+        apellido: credito.clientes?.apellido,
+        telefono: credito.clientes?.telefono,
+        por_tramo: nuevoAcumulado(),
+        total: 0,
+        dias_atraso_max: 0,
+        creditos: []
+      });
+    }
+
+    const cliente = clientes.get(credito.id_cliente);
+    for (const tramo of tramos) {
+      porTramo[tramo.clave] = parseFloat(porTramo[tramo.clave].toFixed(2));
+      cliente.por_tramo[tramo.clave] += porTramo[tramo.clave];
+      totales[tramo.clave] += porTramo[tramo.clave];
+    }
+    cliente.total += saldo;
+    cliente.dias_atraso_max = Math.max(cliente.dias_atraso_max, diasAtraso || 0);
+    cliente.creditos.push({
+      id_credito: credito.id_credito,
+      id_venta: credito.id_venta,
+      fecha_inicio: credito.fecha_inicio,
+      fecha_vencimiento: credito.fecha_vencimiento,
+      monto_total: parseFloat(credito.monto_total),
+      saldo,
+      saldo_mora: Math.max(0, mora),
+      dias_atraso: Math.max(0, diasAtraso || 0),
+      tramo: clasificarTramo(tramos, diasAtraso || 0),
+      por_tramo: porTramo,
+      vencimientos: partes
+    });
+  }
+
+  const redondearAcumulado = acumulado => {
+    Object.keys(acumulado).forEach(k => { acumulado[k] = parseFloat(acumulado[k].toFixed(2)); });
+    return acumulado;
+  };
+
+  const listaClientes = [...clientes.values()]
+    .map(c => ({
+      ...c,
+      por_tramo: redondearAcumulado(c.por_tramo),
+      total: parseFloat(c.total.toFixed(2)),
+      creditos: c.creditos.sort((a, b) => b.dias_atraso - a.dias_atraso)
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  const total = parseFloat(listaClientes.reduce((sum, c) => sum + c.total, 0).toFixed(2));
+  redondearAcumulado(totales);
+
+  return {
+    fecha_corte,
+    tramos,
+    totales: {
+      por_tramo: totales,
+      porcentaje_por_tramo: Object.fromEntries(tramos.map(t => [
+        t.clave,
+        total > 0 ? parseFloat(((totales[t.clave] / total) * 100).toFixed(2)) : 0
+      ])),
+      total,
+      total_clientes: listaClientes.length,
+      total_creditos: listaClientes.reduce((sum, c) => sum + c.creditos.length, 0)
+    },
+    clientes: listaClientes
+  };
+}
+
+/**
+ * Exporta el reporte de antigüedad de saldos en CSV
+ * @param {Object} opciones - Mismas opciones que obtenerReporteAntiguedad, más
+ *   nivel: 'cliente' (una fila por cliente, default) o 'credito' (una fila por crédito)
+ * @returns {Promise<Object>} { nombreArchivo, contenido }
+ */
+async function exportarReporteAntiguedad(opciones = {}) {
+  const reporte = await obtenerReporteAntiguedad(opciones);
+  const columnasTramos = reporte.tramos.map(t => ({ campo: t.clave, titulo: t.etiqueta }));
+  const nombreCliente = c => [c.nombre, c.apellido].filter(Boolean).join(' ');
+
+  let columnas;
+  let filas;
+
+  if (opciones.nivel === 'credito') {
+    columnas = [
+      { campo: 'cliente', titulo: 'Cliente' },
+      { campo: 'id_credito', titulo: 'Crédito' },
+      { campo: 'fecha_inicio', titulo: 'Inicio' },
+      { campo: 'fecha_vencimiento', titulo: 'Vencimiento' },
+      { campo: 'dias_atraso', titulo: 'Días de atraso' },
+      ...columnasTramos,
+      { campo: 'saldo', titulo: 'Saldo' }
+    ];
+    filas = reporte.clientes.flatMap(c => c.creditos.map(credito => ({
+      cliente: nombreCliente(c),
+      ...credito,
+      ...credito.por_tramo
+    })));
+  } else {
+    columnas = [
+      { campo: 'cliente', titulo: 'Cliente' },
+      { campo: 'telefono', titulo: 'Teléfono' },
+      { campo: 'dias_atraso_max', titulo: 'Máx. días de atraso' },
+      ...columnasTramos,
+      { campo: 'total', titulo: 'Total' }
+    ];
+    filas = reporte.clientes.map(c => ({
+      cliente: nombreCliente(c),
+      telefono: c.telefono,
+      dias_atraso_max: c.dias_atraso_max,
+      ...c.por_tramo,
+      total: c.total
+    }));
+  }
+
+  filas.push({
+    cliente: 'TOTAL',
+    ...reporte.totales.por_tramo,
+    saldo: reporte.totales.total,
+    total: reporte.totales.total
+  });
+
+  return {
+    nombreArchivo: `antiguedad-saldos-${reporte.fecha_corte}.csv`,
+    contenido: generarCSV(columnas, filas)
+  };
+}
+
 /**
  * Obtiene créditos próximos a vencer (dentro de los próximos N días)
  */
@@ -306,6 +1868,9 @@ async function obtenerCreditosProximosAVencer(dias = 7) {
 module.exports = {
   // Constantes
   ESTADOS_CREDITO,
+  ESTADOS_PAGO,
+  ESTADOS_CUOTA,
+  FRECUENCIAS_CUOTA,
   
   // CRUD
   crearCredito,
@@ -319,9 +1884,26 @@ module.exports = {
   
   // Pagos
   registrarPago,
+  registrarEnganche,
+  anularPago,
+  anularPagoCliente,
+  registrarPagoCliente,
+  obtenerPagosCliente,
+  
+  // Cuotas
+  generarPlanCuotas,
+  registrarCuotas,
+  reducirCuotas,
+  restaurarCuotas,
+  
+  // Castigo de cartera
+  castigarCredito,
   
   // Reportes
   obtenerDashboardCobranza,
   obtenerReporteCarteraVencida,
+  obtenerReporteCastigos,
+  obtenerReporteAntiguedad,
+  exportarReporteAntiguedad,
   obtenerCreditosProximosAVencer
 };
@@ -0,0 +1,158 @@
+/**
+ * Servicio de Impuestos
+ * Política de IVA (tasa y si los precios de venta ya lo incluyen) y desglose de base imponible,
+ * monto exento e IVA por línea y por venta
+ */
+
+const impuestosRepository = require('../repositories/impuestosRepository');
+const productosRepository = require('../repositories/productosRepository');
+const { ErrorValidacion } = require('../utils/errores');
+const { redondear } = require('../utils/fechas');
+
+/**
+ * Política usada mientras no se haya configurado ninguna: IVA de Guatemala (12%) incluido en
+ * los precios de venta
+ */
+const POLITICA_POR_DEFECTO = {
+  tasa_iva: 12,
+  precios_incluyen_iva: true
+};
+
+/**
+ * Obtiene la política de impuestos vigente
+ * @returns {Promise<Object>} Política (la de por defecto si nunca se configuró)
+ */
+async function obtenerPolitica() {
+  const politica = await impuestosRepository.obtenerPolitica();
+  return politica || { ...POLITICA_POR_DEFECTO };
+}
+
+/**
+ * Actualiza la política de impuestos
+ * Solo afecta ventas nuevas: cada venta guarda la tasa y el modo con que se calculó
+ * @param {Object} datos - Datos de la política
+ * @param {number} datos.tasa_iva - Tasa de IVA en porcentaje (0 a 100)
+ * @param {boolean} datos.precios_incluyen_iva - Los precios de venta ya incluyen el IVA
+ * @param {string} id_usuario - UUID del usuario que la modifica
+ * @returns {Promise<Object>} Política guardada
+ */
+async function actualizarPolitica(datos, id_usuario) {
+  const actual = await obtenerPolitica();
+  const politica = {};
+
+  for (const campo of Object.keys(POLITICA_POR_DEFECTO)) {
+    politica[campo] = datos[campo] !== undefined ? datos[campo] : actual[campo];
+  }
+
+  const errores = [];
+
+  if (isNaN(parseFloat(politica.tasa_iva)) || politica.tasa_iva < 0 || politica.tasa_iva > 100) {
+    errores.push('La tasa de IVA debe ser un porcentaje entre 0 y 100');
+  }
+
+  if (typeof politica.precios_incluyen_iva !== 'boolean') {
+    errores.push('precios_incluyen_iva debe ser true o false');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Política de impuestos inválida', errores);
+  }
+
+  return await impuestosRepository.guardarPolitica({
+    ...politica,
+    id_usuario
+  });
+}
+
+/**
+ * Reúne lo necesario para desglosar el IVA de una venta o cotización: la política vigente y,
+ * por línea, su subtotal y si el producto está exento
+ * @param {Array} productos - Productos [{id_producto, cantidad, precio_unitario}]
+ * @returns {Promise<Object>} { politica, lineas: [{subtotal, exento_iva}] }
+ */
+async function prepararImpuestos(productos) {
+  const politica = await obtenerPolitica();
+  const exentos = new Map();
+
+  for (const item of productos) {
+    if (exentos.has(item.id_producto)) continue;
+
+    const producto = await productosRepository.obtenerPorId(item.id_producto);
+    exentos.set(item.id_producto, Boolean(producto && producto.exento_iva));
+  }
+
+  return {
+    politica,
+    lineas: productos.map(item => ({
+      subtotal: item.cantidad * item.precio_unitario,
+      exento_iva: exentos.get(item.id_producto)
+    }))
+  };
+}
+
+/**
+ * Desglosa el IVA de una venta línea por línea
+ * El descuento de la venta se prorratea entre las líneas según su subtotal (los centavos que
+ * sobran van en la última). Con precios que incluyen IVA la base es neto / (1 + tasa); si no,
+ * la base es el neto y el IVA se suma al total. Las líneas exentas no llevan IVA.
+ * @param {Object} impuestos - { politica, lineas } de prepararImpuestos
+ * @param {number} subtotal - Subtotal de la venta (suma de líneas)
+ * @param {number} montoNeto - Subtotal menos el descuento
+ * @returns {Object} { tasa_iva, precios_incluyen_iva, base_imponible, monto_exento, monto_iva,
+ *   total, lineas: [{exento_iva, base_imponible, monto_iva}] }
+ */
+function desglosarImpuestos(impuestos, subtotal, montoNeto) {
+  const { politica, lineas } = impuestos;
+  const tasa = parseFloat(politica.tasa_iva) / 100;
+  const incluyeIva = politica.precios_incluyen_iva !== false;
+  const factor = subtotal > 0 ? montoNeto / subtotal : 1;
+
+  let restante = redondear(montoNeto);
+  let baseImponible = 0;
+  let montoExento = 0;
+  let montoIva = 0;
+
+  const desglose = lineas.map((linea, i) => {
+    const neto = i === lineas.length - 1
+      ? restante
+      : redondear(linea.subtotal * factor);
+    restante = redondear(restante - neto);
+
+    if (linea.exento_iva) {
+      montoExento += neto;
+      return { exento_iva: true, base_imponible: neto, monto_iva: 0 };
+    }
+
+    const base = incluyeIva ? redondear(neto / (1 + tasa)) : neto;
+    const iva = incluyeIva ? redondear(neto - base) : redondear(neto * tasa);
+
+    baseImponible += base;
+    montoIva += iva;
+    return { exento_iva: false, base_imponible: base, monto_iva: iva };
+  });
+
+  montoIva = redondear(montoIva);
+
+  return {
+    tasa_iva: parseFloat(politica.tasa_iva),
+    precios_incluyen_iva: incluyeIva,
+    base_imponible: redondear(baseImponible),
+    monto_exento: redondear(montoExento),
+    monto_iva: montoIva,
+    total: incluyeIva ? redondear(montoNeto) : redondear(montoNeto + montoIva),
+    lineas: desglose
+  };
+}
+
+module.exports = {
+  // Constantes
+  POLITICA_POR_DEFECTO,
+
+  // Política
+  obtenerPolitica,
+  actualizarPolitica,
+
+  // Cálculo
+  prepararImpuestos,
+  desglosarImpuestos
+};
@@ -0,0 +1,503 @@
+/**
+ * Servicio de Mora
+ * Calcula y registra los cargos por atraso (intereses y penalidad) de los créditos vencidos
+ * según la política de mora, y permite condonarlos.
+ * El saldo_pendiente del crédito incluye la mora; saldo_mora indica qué parte es mora
+ * (saldo_pendiente - saldo_mora = capital)
+ */
+
+const moraRepository = require('../repositories/moraRepository');
+const creditosRepository = require('../repositories/creditosRepository');
+const cuotasRepository = require('../repositories/cuotasRepository');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  obtenerFechaHoyGuatemala,
+  formatearISO,
+  obtenerFechaGuatemala,
+  calcularDiasEntre,
+  redondear
+} = require('../utils/fechas');
+const { logger } = require('../utils/logger');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Tipos de tasa de interés moratorio
+ * MENSUAL se prorratea por día como tasa / 30
+ */
+const TIPOS_TASA = {
+  DIARIA: 'DIARIA',
+  MENSUAL: 'MENSUAL'
+};
+
+/**
+ * Tipos de cargo de mora
+ */
+const TIPOS_CARGO = {
+  INTERES: 'INTERES',
+  PENALIDAD: 'PENALIDAD'
+};
+
+/**
+ * Estados de un cargo de mora
+ */
+const ESTADOS_CARGO = {
+  PENDIENTE: 'PENDIENTE',
+  PAGADO: 'PAGADO',
+  CONDONADO: 'CONDONADO'
+};
+
+/**
+ * Política usada mientras no se haya configurado ninguna (no cobra mora)
+ */
+const POLITICA_INACTIVA = {
+  activa: false,
+  tipo_tasa: TIPOS_TASA.MENSUAL,
+  tasa: 0,
+  dias_gracia: 0,
+  cargo_fijo: 0,
+  tope_porcentaje: null
+};
+
+/**
+ * Suma días a una fecha YYYY-MM-DD
+ * @param {string} fecha - Fecha base
+ * @param {number} dias - Días a sumar
+ * @returns {string} Fecha resultante YYYY-MM-DD
+ */
+function sumarDias(fecha, dias) {
+  const [anio, mes, dia] = String(fecha).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(anio, mes - 1, dia + dias)).toISOString().split('T')[0];
+}
+
+/**
+ * Obtiene la política de mora vigente
+ * @returns {Promise<Object>} Política (inactiva si nunca se configuró)
+ */
+async function obtenerPolitica() {
+  const politica = await moraRepository.obtenerPolitica();
+  return politica || { ...POLITICA_INACTIVA };
+}
+
+/**
+ * Actualiza la política de mora
+ * @param {Object} datos - Datos de la política
+ * @param {boolean} datos.activa - Si el job aplica mora
+ * @param {string} datos.tipo_tasa - DIARIA o MENSUAL
+ * @param {number} datos.tasa - Tasa en porcentaje (ej. 3 = 3%)
+ * @param {number} datos.dias_gracia - Días después del vencimiento sin cargos
+ * @param {number} datos.cargo_fijo - Penalidad única por vencimiento (Q)
+ * @param {number|null} datos.tope_porcentaje - Máximo de mora como % del monto del crédito (null = sin tope)
+ * @param {string} id_usuario - UUID del usuario que la modifica
+ * @returns {Promise<Object>} Política guardada
+ */
+async function actualizarPolitica(datos, id_usuario) {
+  const actual = await obtenerPolitica();
+  const politica = {
+    activa: datos.activa ?? actual.activa,
+    tipo_tasa: datos.tipo_tasa ?? actual.tipo_tasa,
+    tasa: datos.tasa ?? actual.tasa,
+    dias_gracia: datos.dias_gracia ?? actual.dias_gracia,
+    cargo_fijo: datos.cargo_fijo ?? actual.cargo_fijo,
+    tope_porcentaje: datos.tope_porcentaje !== undefined ? datos.tope_porcentaje : actual.tope_porcentaje
+  };
+
+  const errores = [];
+
+  if (!Object.values(TIPOS_TASA).includes(politica.tipo_tasa)) {
+    errores.push('Tipo de tasa inválido. Debe ser DIARIA o MENSUAL');
+  }
+
+  if (isNaN(parseFloat(politica.tasa)) || politica.tasa < 0 || politica.tasa > 100) {
+    errores.push('La tasa debe ser un porcentaje entre 0 y 100');
+  }
+
+  if (!Number.isInteger(politica.dias_gracia) || politica.dias_gracia < 0) {
+    errores.push('Los días de gracia deben ser un entero mayor o igual a 0');
+  }
+
+  if (isNaN(parseFloat(politica.cargo_fijo)) || politica.cargo_fijo < 0) {
+    errores.push('El cargo fijo debe ser mayor o igual a 0');
+  }
+
+  if (politica.tope_porcentaje !== null &&
+      (isNaN(parseFloat(politica.tope_porcentaje)) || politica.tope_porcentaje <= 0)) {
+    errores.push('El tope debe ser un porcentaje mayor a 0 (o null para no tener tope)');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Política de mora inválida', errores);
+  }
+
+  return await moraRepository.guardarPolitica({
+    ...politica,
+    id_usuario
+  });
+}
+
+/**
+ * Calcula los cargos de mora que corresponden hoy a un crédito
+ * Cada tramo vencido (cada cuota vencida, o el saldo completo si el crédito no tiene plan)
+ * genera una penalidad única al terminar los días de gracia e intereses por cada día de
+ * atraso posterior a la gracia que aún no se haya cobrado
+ * @param {Object} credito - Crédito (monto_total, saldo_pendiente, saldo_mora, fecha_vencimiento)
+ * @param {Array} cuotas - Cuotas del crédito (vacío si no tiene plan)
+ * @param {Array} cargos - Cargos de mora ya registrados del crédito
+ * @param {Object} politica - Política de mora
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {Array} Cargos a registrar [{id_cuota, tipo, monto, base_calculo, dias_atraso}]
+ */
+function calcularCargosMora(credito, cuotas, cargos, politica, hoy) {
+  const saldoCapital = redondear(
+    parseFloat(credito.saldo_pendiente) - parseFloat(credito.saldo_mora || 0)
+  );
+
+  const tramos = cuotas.length > 0
+    ? cuotas
+      .map(c => ({
+        id_cuota: c.id_cuota,
+        saldo: redondear(parseFloat(c.monto) - parseFloat(c.monto_pagado || 0)),
+        fecha_vencimiento: String(c.fecha_vencimiento)
+      }))
+      .filter(t => t.saldo > 0 && t.fecha_vencimiento < hoy)
+    : [{
+      id_cuota: null,
+      saldo: saldoCapital,
+      fecha_vencimiento: String(credito.fecha_vencimiento).split('T')[0]
+    }].filter(t => t.saldo > 0 && t.fecha_vencimiento < hoy);
+
+  // Los intereses ya cobrados llegan hasta la fecha del último cargo de interés
+  const ultimoInteres = cargos
+    .filter(c => c.tipo === TIPOS_CARGO.INTERES)
+    .reduce((max, c) => (String(c.fecha_cargo) > max ? String(c.fecha_cargo) : max), '');
+
+  const tasaDiaria = parseFloat(politica.tasa) / 100 /
+    (politica.tipo_tasa === TIPOS_TASA.MENSUAL ? 30 : 1);
+  const cargoFijo = parseFloat(politica.cargo_fijo || 0);
+
+  const nuevos = [];
+  let interes = 0;
+  let baseInteres = 0;
+  let diasAtraso = 0;
+
+  for (const tramo of tramos) {
+    const finGracia = sumarDias(tramo.fecha_vencimiento, politica.dias_gracia);
+    if (finGracia >= hoy) continue;
+
+    diasAtraso = Math.max(diasAtraso, calcularDiasEntre(tramo.fecha_vencimiento, hoy));
+
+    const yaPenalizado = cargos.some(c =>
+      c.tipo === TIPOS_CARGO.PENALIDAD && (c.id_cuota ?? null) === tramo.id_cuota
+    );
+    if (cargoFijo > 0 && !yaPenalizado) {
+      nuevos.push({
+        id_cuota: tramo.id_cuota,
+        tipo: TIPOS_CARGO.PENALIDAD,
+        monto: cargoFijo,
+        base_calculo: tramo.saldo,
+        dias_atraso: calcularDiasEntre(tramo.fecha_vencimiento, hoy)
+      });
+    }
+
+    const desde = ultimoInteres > finGracia ? ultimoInteres : finGracia;
+    const dias = desde < hoy ? calcularDiasEntre(desde, hoy) : 0;
+    if (tasaDiaria > 0 && dias > 0) {
+      interes += tramo.saldo * tasaDiaria * dias;
+      baseInteres += tramo.saldo;
+    }
+  }
+
+  if (redondear(interes) > 0) {
+    nuevos.push({
+      id_cuota: null,
+      tipo: TIPOS_CARGO.INTERES,
+      monto: redondear(interes),
+      base_calculo: redondear(baseInteres),
+      dias_atraso: diasAtraso
+    });
+  }
+
+  // Tope: la mora cobrada (sin lo condonado) no supera el % indicado del monto del crédito
+  if (politica.tope_porcentaje !== null && politica.tope_porcentaje !== undefined) {
+    const tope = parseFloat(credito.monto_total) * parseFloat(politica.tope_porcentaje) / 100;
+    const cobrado = cargos.reduce(
+      (sum, c) => sum + parseFloat(c.monto) - parseFloat(c.monto_condonado || 0), 0
+    );
+    let disponible = redondear(tope - cobrado);
+
+    for (const cargo of nuevos) {
+      cargo.monto = redondear(Math.max(0, Math.min(cargo.monto, disponible)));
+      disponible = redondear(disponible - cargo.monto);
+    }
+  }
+
+  return nuevos.filter(c => c.monto > 0);
+}
+
+/**
+ * Aplica la mora del día a todos los créditos vencidos
+ * Cada crédito se procesa por separado: si uno falla se revierten sus cargos y se sigue
+ * con los demás
+ * @param {string} hoy - Fecha de aplicación YYYY-MM-DD (default: hoy Guatemala)
+ * @returns {Promise<Object>} { creditos_con_cargos, total_cargado, errores }
+ */
+async function aplicarMora(hoy = obtenerFechaHoyGuatemala()) {
+  const politica = await obtenerPolitica();
+
+  if (!politica.activa) {
+    return { politica_activa: false, creditos_con_cargos: 0, total_cargado: 0, errores: 0 };
+  }
+
+  const creditos = await creditosRepository.obtenerParaMora();
+  let creditosConCargos = 0;
+  let totalCargado = 0;
+  let errores = 0;
+
+  for (const credito of creditos) {
+    const compensaciones = crearCompensaciones();
+
+    try {
+      const cuotas = credito.numero_cuotas
+        ? await cuotasRepository.obtenerPorCredito(credito.id_credito)
+        : [];
+      const cargos = await moraRepository.obtenerCargosPorCredito(credito.id_credito);
+      const nuevos = calcularCargosMora(credito, cuotas, cargos, politica, hoy);
+
+      if (nuevos.length === 0) continue;
+
+      const creados = await moraRepository.crearCargos(nuevos.map(c => ({
+        ...c,
+        id_credito: credito.id_credito,
+        fecha_cargo: hoy
+      })));
+      compensaciones.registrar('Eliminar cargos de mora', () =>
+        moraRepository.eliminarCargos(creados.map(c => c.id_cargo))
+      );
+
+      const total = redondear(nuevos.reduce((sum, c) => sum + c.monto, 0));
+      // Incremento atómico: el saldo leído al inicio del job puede haber cambiado por un pago
+      await creditosRepository.cargarMora(credito.id_credito, total);
+
+      creditosConCargos++;
+      totalCargado = redondear(totalCargado + total);
+    } catch (error) {
+      errores++;
+      // Un crédito con error no detiene el job: se revierte y se registra sin relanzar
+      const fallidas = await compensaciones.revertir();
+      logger.error(`Error al aplicar mora al crédito ${credito.id_credito}`, {
+        error: error.message,
+        ...(fallidas.length > 0 ? { compensaciones_fallidas: fallidas } : {})
+      });
+    }
+  }
+
+  return {
+    politica_activa: true,
+    creditos_evaluados: creditos.length,
+    creditos_con_cargos: creditosConCargos,
+    total_cargado: totalCargado,
+    errores
+  };
+}
+
+/**
+ * Reparte un monto entre los cargos de mora pendientes, del más antiguo al más reciente
+ * @param {Array} cargos - Cargos pendientes ordenados por fecha
+ * @param {number} monto - Monto disponible
+ * @returns {Array} [{ cargo, monto_aplicado, cambios: {monto_pagado, estado} }]
+ */
+function repartirPagoEnCargos(cargos, monto) {
+  const aplicaciones = [];
+  let restante = Math.round(monto * 100);
+
+  for (const cargo of cargos) {
+    if (restante <= 0) break;
+
+    const pagado = Math.round(parseFloat(cargo.monto_pagado || 0) * 100);
+    const pendiente = Math.round(parseFloat(cargo.monto) * 100) - pagado -
+      Math.round(parseFloat(cargo.monto_condonado || 0) * 100);
+    const aplicado = Math.min(restante, pendiente);
+    if (aplicado <= 0) continue;
+
+    restante -= aplicado;
+    aplicaciones.push({
+      cargo,
+      monto_aplicado: aplicado / 100,
+      cambios: {
+        monto_pagado: (pagado + aplicado) / 100,
+        estado: aplicado === pendiente ? ESTADOS_CARGO.PAGADO : ESTADOS_CARGO.PENDIENTE
+      }
+    });
+  }
+
+  return aplicaciones;
+}
+
+/**
+ * Restaura cargos de mora a un estado anterior
+ * Solo se usa como compensación de una operación fallida
+ * @param {Array} cargos - Cargos tal como estaban
+ * @returns {Promise<void>}
+ */
+async function restaurarCargos(cargos) {
+  for (const cargo of cargos) {
+    await moraRepository.actualizarCargo(cargo.id_cargo, {
+      monto_pagado: cargo.monto_pagado,
+      monto_condonado: cargo.monto_condonado,
+      estado: cargo.estado,
+      motivo_condonacion: cargo.motivo_condonacion ?? null,
+      id_usuario_condonacion: cargo.id_usuario_condonacion ?? null,
+      fecha_condonacion: cargo.fecha_condonacion ?? null
+    });
+  }
+}
+
+/**
+ * Condona cargos de mora pendientes de un crédito
+ * Lo condonado se descuenta del saldo y queda registrado en cada cargo con su motivo
+ * @param {string} id_credito - UUID del crédito
+ * @param {Object} datos - Datos de la condonación
+ * @param {string} datos.motivo - Motivo (requerido)
+ * @param {Array<number>} datos.ids_cargo - Cargos a condonar (opcional; default todos los pendientes)
+ * @param {string} datos.id_usuario - UUID del administrador
+ * @returns {Promise<Object>} { id_credito, monto_condonado, cargos, credito }
+ */
+async function condonarMora(id_credito, datos) {
+  if (!datos.motivo || !String(datos.motivo).trim()) {
+    throw new ErrorValidacion('El motivo de la condonación es requerido');
+  }
+
+  const credito = await creditosRepository.obtenerPorId(id_credito);
+
+  if (credito.estado === 'ANULADO') {
+    throw new ErrorConflicto('No se puede condonar mora de un crédito anulado');
+  }
+
+  const pendientes = await moraRepository.obtenerCargosPendientes(id_credito);
+  let cargos = pendientes;
+
+  if (Array.isArray(datos.ids_cargo) && datos.ids_cargo.length > 0) {
+    const noPendientes = datos.ids_cargo.filter(
+      id => !pendientes.some(c => String(c.id_cargo) === String(id))
+    );
+    if (noPendientes.length > 0) {
+      throw new ErrorValidacion(
+        'Cargos inválidos',
+        noPendientes.map(id => `Cargo ${id}: no existe en este crédito o no está pendiente`)
+      );
+    }
+    cargos = pendientes.filter(c => datos.ids_cargo.some(id => String(id) === String(c.id_cargo)));
+  }
+
+  if (cargos.length === 0) {
+    throw new ErrorConflicto('El crédito no tiene cargos de mora pendientes');
+  }
+
+  const compensaciones = crearCompensaciones();
+  const fecha = formatearISO(obtenerFechaGuatemala());
+  const motivo = String(datos.motivo).trim();
+
+  try {
+    const condonados = [];
+    let total = 0;
+
+    for (const cargo of cargos) {
+      const montoCondonado = redondear(
+        parseFloat(cargo.monto) - parseFloat(cargo.monto_pagado || 0) - parseFloat(cargo.monto_condonado || 0)
+      );
+
+      const actualizado = await moraRepository.actualizarCargo(cargo.id_cargo, {
+        monto_condonado: redondear(parseFloat(cargo.monto_condonado || 0) + montoCondonado),
+        estado: ESTADOS_CARGO.CONDONADO,
+        motivo_condonacion: motivo,
+        id_usuario_condonacion: datos.id_usuario,
+        fecha_condonacion: fecha
+      });
+      compensaciones.registrar('Restaurar cargo de mora', () => restaurarCargos([cargo]));
+
+      condonados.push(actualizado);
+      total = redondear(total + montoCondonado);
+    }
+
+    const creditoActualizado = await creditosRepository.actualizarSaldoMora(id_credito, {
+      saldo_pendiente: redondear(parseFloat(credito.saldo_pendiente) - total),
+      saldo_mora: redondear(parseFloat(credito.saldo_mora || 0) - total)
+    });
+
+    return {
+      id_credito,
+      monto_condonado: total,
+      motivo,
+      cargos: condonados,
+      credito: creditoActualizado
+    };
+
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene los cargos de mora de un crédito con el desglose de su saldo
+ * @param {string} id_credito - UUID del crédito
+ * @returns {Promise<Object>} { saldo_capital, saldo_mora, cargos, totales }
+ */
+async function obtenerMoraCredito(id_credito) {
+  const credito = await creditosRepository.obtenerPorId(id_credito);
+  const cargos = await moraRepository.obtenerCargosPorCredito(id_credito);
+
+  const sumar = (campo, tipo = null) => redondear(
+    cargos
+      .filter(c => !tipo || c.tipo === tipo)
+      .reduce((sum, c) => sum + parseFloat(c[campo] || 0), 0)
+  );
+
+  return {
+    id_credito,
+    ...desglosarSaldo(credito),
+    cargos,
+    totales: {
+      intereses: sumar('monto', TIPOS_CARGO.INTERES),
+      penalidades: sumar('monto', TIPOS_CARGO.PENALIDAD),
+      pagado: sumar('monto_pagado'),
+      condonado: sumar('monto_condonado')
+    }
+  };
+}
+
+/**
+ * Separa el saldo pendiente de un crédito en capital y mora
+ * @param {Object} credito - Crédito con saldo_pendiente y saldo_mora
+ * @returns {Object} { saldo_capital, saldo_mora }
+ */
+function desglosarSaldo(credito) {
+  const saldoMora = redondear(parseFloat(credito.saldo_mora || 0));
+  return {
+    saldo_capital: redondear(parseFloat(credito.saldo_pendiente) - saldoMora),
+    saldo_mora: saldoMora
+  };
+}
+
+module.exports = {
+  // Constantes
+  TIPOS_TASA,
+  TIPOS_CARGO,
+  ESTADOS_CARGO,
+
+  // Política
+  obtenerPolitica,
+  actualizarPolitica,
+
+  // Cargos
+  calcularCargosMora,
+  aplicarMora,
+  condonarMora,
+  obtenerMoraCredito,
+
+  // Pagos
+  repartirPagoEnCargos,
+  restaurarCargos,
+  desglosarSaldo
+};
@@ -5,6 +5,8 @@
 
 const movimientosRepository = require('../repositories/movimientosRepository');
 const productosRepository = require('../repositories/productosRepository');
+const bodegasRepository = require('../repositories/bodegasRepository');
+const unidadesProductoService = require('./unidadesProductoService');
 const { 
   ErrorValidacion, 
   ErrorConflicto,
@@ -32,9 +34,22 @@ const MOTIVOS = {
   INVENTARIO_INICIAL: 'Inventario Inicial',
   CORRECCION: 'Corrección',
   PRODUCCION: 'Producción',
-  CONSUMO_INTERNO: 'Consumo Interno'
+  CONSUMO_INTERNO: 'Consumo Interno',
+  TRANSFERENCIA: 'Transferencia'
 };
 
+/**
+ * Obtiene la bodega de un movimiento
+ * Sin id_bodega se usa la bodega principal
+ * @param {string} id_bodega - UUID de la bodega (opcional)
+ * @returns {Promise<Object>} Bodega
+ */
+async function resolverBodega(id_bodega) {
+  return id_bodega
+    ? await bodegasRepository.obtenerPorId(id_bodega)
+    : await bodegasRepository.obtenerPrincipal();
+}
+
 /**
  * Valida los datos de un movimiento
  * @param {Object} datos - Datos del movimiento a validar
@@ -68,8 +83,8 @@ async function validarDatosMovimiento(datos) {
   // Validar cantidad
   if (datos.cantidad === undefined || datos.cantidad === null) {
     errores.push('La cantidad es requerida');
-  } else if (!Number.isInteger(datos.cantidad)) {
-    errores.push('La cantidad debe ser un número entero');
+  } else if (typeof datos.cantidad !== 'number' || isNaN(datos.cantidad)) {
+    errores.push('La cantidad debe ser un número');
   } else if (datos.cantidad <= 0) {
     errores.push('La cantidad debe ser mayor a 0');
   }
@@ -86,18 +101,77 @@ async function validarDatosMovimiento(datos) {
     errores.push('La referencia no puede exceder 200 caracteres');
   }
 
+  // Validar bodega (opcional, default bodega principal)
+  if (datos.id_bodega) {
+    try {
+      const bodega = await bodegasRepository.obtenerPorId(datos.id_bodega);
+      if (!bodega.estado) {
+        errores.push('No se pueden registrar movimientos en una bodega inactiva');
+      }
+    } catch (error) {
+      if (!(error instanceof ErrorNoEncontrado)) throw error;
+      errores.push('La bodega especificada no existe');
+    }
+  }
+
+  // Validar costo unitario (opcional, solo aplica a ENTRADAS)
+  if (datos.costo_unitario !== undefined && datos.costo_unitario !== null) {
+    const costo = parseFloat(datos.costo_unitario);
+    if (isNaN(costo) || costo < 0) {
+      errores.push('El costo unitario debe ser un número positivo');
+    } else if (datos.tipo_movimiento === TIPOS_MOVIMIENTO.SALIDA) {
+      errores.push('Las salidas se valorizan al costo promedio; no se indica costo unitario');
+    }
+  }
+
   if (errores.length > 0) {
     throw new ErrorValidacion('Datos de movimiento inválidos', errores);
   }
 }
 
+/**
+ * Convierte la cantidad (y el costo de una ENTRADA) de la unidad indicada a la unidad base
+ * El movimiento guarda la cantidad en unidad base y, si se registró en una unidad alterna,
+ * también la cantidad y la unidad con que se ingresó
+ * @param {Object} datos - Datos del movimiento ya validados
+ * @returns {Promise<Object>} { datos, producto, conversion }
+ */
+async function convertirAUnidadBase(datos) {
+  const producto = await productosRepository.obtenerPorId(datos.id_producto);
+  const conversion = await unidadesProductoService.convertirACantidadBase(
+    producto,
+    datos.cantidad,
+    datos.id_unidad || null
+  );
+
+  const convertido = {
+    ...datos,
+    cantidad: conversion.cantidad_base,
+    id_unidad: conversion.id_unidad,
+    cantidad_unidad: conversion.id_unidad ? conversion.cantidad : null
+  };
+
+  // El costo se indica por unidad ingresada; el promedio se lleva por unidad base
+  if (conversion.id_unidad && datos.costo_unitario !== undefined && datos.costo_unitario !== null) {
+    convertido.costo_unitario = parseFloat(
+      (parseFloat(datos.costo_unitario) / conversion.factor_conversion).toFixed(4)
+    );
+  }
+
+  return { datos: convertido, producto, conversion };
+}
+
 /**
  * Registra una entrada de productos al inventario
  * @param {Object} datos - Datos de la entrada
  * @param {string} datos.id_producto - UUID del producto
- * @param {number} datos.cantidad - Cantidad a ingresar
+ * @param {number} datos.cantidad - Cantidad a ingresar (en la unidad indicada)
+ * @param {number} datos.id_unidad - Unidad alterna de la cantidad (opcional; default unidad base)
  * @param {string} datos.motivo - Motivo de la entrada
  * @param {string} datos.referencia - Referencia (opcional)
+ * @param {number} datos.costo_unitario - Costo por unidad ingresada (opcional). Recalcula el costo
+ *   promedio ponderado del producto; sin él la entrada se valoriza al promedio vigente
+ * @param {string} datos.id_bodega - UUID de la bodega que recibe (opcional; default principal)
  * @returns {Promise<Object>} Movimiento registrado
  */
 async function registrarEntrada(datos) {
@@ -108,21 +182,24 @@ async function registrarEntrada(datos) {
   };
 
   await validarDatosMovimiento(datosMovimiento);
+  const { datos: datosBase } = await convertirAUnidadBase(datosMovimiento);
 
   // Registrar movimiento
-  const movimiento = await movimientosRepository.crear(datosMovimiento);
+  const movimiento = await movimientosRepository.crear(datosBase);
 
   return movimiento;
 }
 
 /**
  * Registra una salida de productos del inventario
- * VALIDACIÓN CRÍTICA: Verifica que haya stock suficiente
+ * VALIDACIÓN CRÍTICA: Verifica que haya stock suficiente en la bodega
  * @param {Object} datos - Datos de la salida
  * @param {string} datos.id_producto - UUID del producto
- * @param {number} datos.cantidad - Cantidad a retirar
+ * @param {number} datos.cantidad - Cantidad a retirar (en la unidad indicada)
+ * @param {number} datos.id_unidad - Unidad alterna de la cantidad (opcional; default unidad base)
  * @param {string} datos.motivo - Motivo de la salida
  * @param {string} datos.referencia - Referencia (opcional)
+ * @param {string} datos.id_bodega - UUID de la bodega de donde sale (opcional; default principal)
  * @returns {Promise<Object>} Movimiento registrado
  * @throws {ErrorConflicto} Si no hay stock suficiente
  */
@@ -134,19 +211,29 @@ async function registrarSalida(datos) {
   };
 
   await validarDatosMovimiento(datosMovimiento);
+  const { datos: datosBase, producto, conversion } = await convertirAUnidadBase(datosMovimiento);
 
-  // VALIDACIÓN CRÍTICA: Verificar stock disponible
-  const producto = await productosRepository.obtenerPorId(datos.id_producto);
+  // VALIDACIÓN CRÍTICA: Verificar stock disponible en la bodega (en unidad base)
+  const bodega = await resolverBodega(datos.id_bodega);
+  const disponible = await bodegasRepository.obtenerCantidadEnBodega(datos.id_producto, bodega.id_bodega);
   
-  if (producto.cantidad_stock < datos.cantidad) {
+  if (disponible < datosBase.cantidad) {
+    const solicitado = conversion.id_unidad
+      ? `${conversion.cantidad} ${conversion.unidad} (${datosBase.cantidad} ${producto.unidad_medida})`
+      : `${datosBase.cantidad} ${producto.unidad_medida}`;
     throw new ErrorConflicto(
-      `Stock insuficiente. Stock disponible: ${producto.cantidad_stock} ${producto.unidad_medida}. ` +
-      `Cantidad solicitada: ${datos.cantidad} ${producto.unidad_medida}`
+      `Stock insuficiente en ${bodega.nombre}. Stock disponible: ${disponible} ${producto.unidad_medida}. ` +
+      `Cantidad solicitada: ${solicitado}`
     );
   }
 
   // Registrar movimiento (esto actualizará automáticamente el stock)
-  const movimiento = await movimientosRepository.crear(datosMovimiento);
+  // El repositorio vuelve a validar el stock de forma atómica, por lo que una salida
+  // simultánea que agote el stock después de esta verificación también es rechazada
+  const movimiento = await movimientosRepository.crear({
+    ...datosBase,
+    id_bodega: bodega.id_bodega
+  });
 
   return movimiento;
 }
@@ -287,18 +374,19 @@ async function obtenerKardex(id_producto, fecha_desde = null, fecha_hasta = null
 }
 
 /**
- * Ajusta el inventario de un producto
+ * Ajusta el inventario de un producto en una bodega
  * Registra un movimiento de ENTRADA o SALIDA según sea necesario
  * @param {string} id_producto - UUID del producto
- * @param {number} cantidad_objetivo - Cantidad deseada en stock
+ * @param {number} cantidad_objetivo - Cantidad deseada en stock de la bodega
  * @param {string} motivo - Motivo del ajuste
  * @param {string} referencia - Referencia (opcional)
+ * @param {string} id_bodega - UUID de la bodega (opcional; default principal)
  * @returns {Promise<Object>} Movimiento registrado
  */
-async function ajustarInventario(id_producto, cantidad_objetivo, motivo, referencia = null) {
+async function ajustarInventario(id_producto, cantidad_objetivo, motivo, referencia = null, id_bodega = null) {
   // Validar cantidad objetivo
-  if (!Number.isInteger(cantidad_objetivo) || cantidad_objetivo < 0) {
-    throw new ErrorValidacion('La cantidad objetivo debe ser un número entero no negativo');
+  if (typeof cantidad_objetivo !== 'number' || isNaN(cantidad_objetivo) || cantidad_objetivo < 0) {
+    throw new ErrorValidacion('La cantidad objetivo debe ser un número no negativo');
   }
 
   // Obtener producto actual
@@ -307,13 +395,14 @@ async function ajustarInventario(id_producto, cantidad_objetivo, motivo, referen
     throw new ErrorNoEncontrado('Producto no encontrado');
   }
 
-  const stockActual = producto.cantidad_stock;
-  const diferencia = cantidad_objetivo - stockActual;
+  const bodega = await resolverBodega(id_bodega);
+  const stockActual = await bodegasRepository.obtenerCantidadEnBodega(id_producto, bodega.id_bodega);
+  const diferencia = unidadesProductoService.redondearCantidad(cantidad_objetivo - stockActual);
 
   // Si no hay diferencia, no hacer nada
   if (diferencia === 0) {
     throw new ErrorValidacion(
-      `El producto ya tiene ${cantidad_objetivo} ${producto.unidad_medida} en stock. No se requiere ajuste.`
+      `El producto ya tiene ${cantidad_objetivo} ${producto.unidad_medida} en ${bodega.nombre}. No se requiere ajuste.`
     );
   }
 
@@ -329,7 +418,8 @@ async function ajustarInventario(id_producto, cantidad_objetivo, motivo, referen
     tipo_movimiento,
     cantidad,
     motivo: motivoCompleto,
-    referencia: referencia || `Ajuste de inventario: ${stockActual} → ${cantidad_objetivo}`
+    referencia: referencia || `Ajuste de inventario: ${stockActual} → ${cantidad_objetivo}`,
+    id_bodega: bodega.id_bodega
   });
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Servicio de Notas de Crédito
+ * Una nota de crédito corrige a favor del cliente el precio de una venta ya hecha (o le
+ * reconoce un monto sin venta) sin tocar el inventario: reduce el saldo del crédito de la
+ * venta y lo que no cabe en él queda como saldo a favor (anticipo) del cliente
+ */
+
+const notasCreditoRepository = require('../repositories/notasCreditoRepository');
+const clientesRepository = require('../repositories/clientesRepository');
+const ventasRepository = require('../repositories/ventasRepository');
+const creditosRepository = require('../repositories/creditosRepository');
+const devolucionesRepository = require('../repositories/devolucionesRepository');
+const creditosService = require('./creditosService');
+const anticiposService = require('./anticiposService');
+const { TIPOS_VENTA, ESTADOS_VENTA } = require('./ventasService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const { redondear } = require('../utils/fechas');
+
+const { ESTADOS_CREDITO } = creditosService;
+
+/**
+ * Monto que todavía se puede acreditar sobre una venta: su total menos lo devuelto y lo ya
+ * acreditado con otras notas
+ * @param {Object} venta - Venta
+ * @returns {Promise<number>} Monto disponible
+ */
+async function calcularDisponibleVenta(venta) {
+  const [devoluciones, notas] = await Promise.all([
+    devolucionesRepository.obtenerPorVenta(venta.id_venta),
+    notasCreditoRepository.obtenerPorVenta(venta.id_venta)
+  ]);
+
+  const devuelto = devoluciones.reduce((sum, d) => sum + parseFloat(d.monto_total), 0);
+  const acreditado = notas.reduce((sum, n) => sum + parseFloat(n.monto), 0);
+
+  return redondear(parseFloat(venta.total) - devuelto - acreditado);
+}
+
+/**
+ * Emite una nota de crédito a un cliente
+ * TRANSACCIONAL: Registra la nota, reduce el saldo del crédito de la venta (y sus cuotas) y
+ * abona el resto al saldo a favor del cliente. No genera movimientos de inventario.
+ * - Venta a crédito con saldo (incluso castigado): se descuenta del capital pendiente (no de la mora)
+ * - Venta de contado, crédito ya pagado o nota sin venta: todo queda como saldo a favor
+ * @param {string} id_cliente - UUID del cliente
+ * @param {Object} datos - Datos de la nota
+ * @param {string} datos.id_venta - UUID de la venta que se corrige (opcional)
+ * @param {number} datos.monto - Monto de la nota
+ * @param {string} datos.motivo - Motivo (ej. corrección de precio)
+ * @param {string} datos.id_usuario - UUID del administrador que la emite
+ * @returns {Promise<Object>} { nota, credito, saldo_a_favor }
+ */
+async function crearNotaCredito(id_cliente, datos) {
+  const monto = redondear(parseFloat(datos.monto));
+
+  if (!monto || monto <= 0) {
+    throw new ErrorValidacion('El monto de la nota de crédito debe ser mayor a 0');
+  }
+
+  if (!datos.motivo || !datos.motivo.trim()) {
+    throw new ErrorValidacion('El motivo de la nota de crédito es requerido');
+  }
+
+  await clientesRepository.obtenerPorId(id_cliente);
+
+  let credito = null;
+  let montoAplicadoCredito = 0;
+
+  if (datos.id_venta) {
+    const venta = await ventasRepository.obtenerPorId(datos.id_venta);
+
+    if (venta.id_cliente !== id_cliente) {
+      throw new ErrorConflicto('La venta no pertenece a este cliente');
+    }
+
+    if (venta.estado === ESTADOS_VENTA.ANULADA) {
+      throw new ErrorConflicto('No se pueden emitir notas de crédito sobre una venta anulada');
+    }
+
+    const disponible = await calcularDisponibleVenta(venta);
+    if (monto > disponible) {
+      throw new ErrorValidacion(
+        `El monto de la nota (Q${monto.toFixed(2)}) excede lo que queda por acreditar ` +
+        `de la venta (Q${Math.max(0, disponible).toFixed(2)}: total menos devoluciones y notas anteriores)`
+      );
+    }
+
+    if (venta.tipo_venta === TIPOS_VENTA.CREDITO) {
+      credito = await creditosRepository.obtenerPorVenta(venta.id_venta);
+
+      if ([ESTADOS_CREDITO.ACTIVO, ESTADOS_CREDITO.VENCIDO, ESTADOS_CREDITO.CASTIGADO].includes(credito.estado)) {
+        // La corrección de precio reduce el capital; la mora generada no se toca
+        const saldoCapital = parseFloat(credito.saldo_pendiente) - parseFloat(credito.saldo_mora || 0);
+        montoAplicadoCredito = redondear(Math.max(0, Math.min(monto, saldoCapital)));
+      }
+    }
+  }
+
+  const montoAFavor = redondear(monto - montoAplicadoCredito);
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Registrar la nota
+    const nota = await notasCreditoRepository.crear({
+      id_cliente,
+      id_venta: datos.id_venta || null,
+      id_credito: montoAplicadoCredito > 0 ? credito.id_credito : null,
+      monto,
+      monto_aplicado_credito: montoAplicadoCredito,
+      monto_a_favor: montoAFavor,
+      motivo: datos.motivo.trim(),
+      id_usuario: datos.id_usuario
+    });
+    compensaciones.registrar('Eliminar nota de crédito', () =>
+      notasCreditoRepository.eliminar(nota.id_nota)
+    );
+
+    // 2. Reducir el saldo del crédito (queda PAGADO si llega a 0) y sus últimas cuotas
+    let creditoActualizado = null;
+    if (montoAplicadoCredito > 0) {
+      creditoActualizado = await creditosRepository.actualizarSaldoMora(credito.id_credito, {
+        saldo_pendiente: redondear(parseFloat(credito.saldo_pendiente) - montoAplicadoCredito),
+        saldo_mora: parseFloat(credito.saldo_mora || 0)
+      });
+      compensaciones.registrar('Restaurar saldo del crédito', () =>
+        creditosRepository.restaurar(credito.id_credito, {
+          estado: credito.estado,
+          saldo_pendiente: credito.saldo_pendiente,
+          saldo_mora: credito.saldo_mora || 0
+        })
+      );
+
+      const cuotasAnteriores = await creditosService.reducirCuotas(credito.id_credito, montoAplicadoCredito);
+      compensaciones.registrar('Restaurar cuotas del crédito', () =>
+        creditosService.restaurarCuotas(cuotasAnteriores)
+      );
+    }
+
+    // 3. Abonar el resto al saldo a favor del cliente
+    let movimiento = null;
+    if (montoAFavor > 0) {
+      movimiento = await anticiposService.abonar(id_cliente, montoAFavor, {
+        origen: anticiposService.ORIGENES_ANTICIPO.NOTA_CREDITO,
+        id_venta: datos.id_venta || null,
+        descripcion: `Nota de crédito: ${datos.motivo.trim()}`,
+        id_usuario: datos.id_usuario
+      });
+      compensaciones.registrar('Revertir abono de anticipo', () =>
+        anticiposService.revertirMovimiento(movimiento)
+      );
+
+      await notasCreditoRepository.asignarMovimientoAnticipo(nota.id_nota, movimiento.id_movimiento);
+    }
+
+    return {
+      nota: {
+        ...nota,
+        id_movimiento_anticipo: movimiento ? movimiento.id_movimiento : null
+      },
+      credito: creditoActualizado,
+      saldo_a_favor: movimiento ? parseFloat(movimiento.saldo_nuevo) : null
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Obtiene las notas de crédito de un cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} { cliente, notas, total_notas, total_aplicado_credito, total_a_favor }
+ */
+async function obtenerNotasCliente(id_cliente) {
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+  const notas = await notasCreditoRepository.obtenerPorCliente(id_cliente);
+  const sumar = (campo) => redondear(notas.reduce((sum, n) => sum + parseFloat(n[campo] || 0), 0));
+
+  return {
+    cliente: {
+      id_cliente: cliente.id_cliente,
+      nombre: cliente.nombre,
+      apellido: cliente.apellido
+    },
+    notas,
+    total_notas: sumar('monto'),
+    total_aplicado_credito: sumar('monto_aplicado_credito'),
+    total_a_favor: sumar('monto_a_favor')
+  };
+}
+
+module.exports = {
+  crearNotaCredito,
+  obtenerNotasCliente
+};
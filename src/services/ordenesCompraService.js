@@ -0,0 +1,538 @@
+/**
+ * Servicio de Órdenes de Compra
+ * Gestiona el flujo BORRADOR → ENVIADA → PARCIAL → RECIBIDA (o CANCELADA)
+ * La recepción de mercadería genera movimientos de ENTRADA en el inventario
+ */
+
+const ordenesCompraRepository = require('../repositories/ordenesCompraRepository');
+const proveedoresRepository = require('../repositories/proveedoresRepository');
+const productosRepository = require('../repositories/productosRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const movimientosService = require('./movimientosService');
+const unidadesProductoService = require('./unidadesProductoService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Estados de orden de compra permitidos
+ */
+const ESTADOS_ORDEN = {
+  BORRADOR: 'BORRADOR',
+  ENVIADA: 'ENVIADA',
+  PARCIAL: 'PARCIAL',
+  RECIBIDA: 'RECIBIDA',
+  CANCELADA: 'CANCELADA'
+};
+
+/**
+ * Formatea el número visible de una orden (ej. OC-000042)
+ * Se usa como referencia de los movimientos de ENTRADA generados al recibir
+ * @param {Object} orden - Orden con su número correlativo
+ * @returns {string} Número de la orden
+ */
+function formatearNumeroOrden(orden) {
+  return `OC-${String(orden.numero).padStart(6, '0')}`;
+}
+
+/**
+ * Valida las líneas de una orden de compra
+ * @param {Array} productos - Líneas [{id_producto, cantidad, costo_unitario}]
+ * @throws {ErrorValidacion} Si alguna línea es inválida
+ */
+async function validarLineas(productos) {
+  const errores = [];
+
+  if (!Array.isArray(productos) || productos.length === 0) {
+    throw new ErrorValidacion('La orden de compra debe tener al menos un producto');
+  }
+
+  const vistos = new Set();
+
+  for (let i = 0; i < productos.length; i++) {
+    const item = productos[i];
+
+    if (vistos.has(item.id_producto)) {
+      errores.push(`Producto ${i + 1}: está repetido en la orden`);
+      continue;
+    }
+    vistos.add(item.id_producto);
+
+    const cantidadValida = typeof item.cantidad === 'number' && item.cantidad > 0;
+    if (!cantidadValida) {
+      errores.push(`Producto ${i + 1}: La cantidad debe ser un número mayor a 0`);
+    }
+
+    if (item.costo_unitario === undefined || item.costo_unitario < 0) {
+      errores.push(`Producto ${i + 1}: El costo unitario es requerido y debe ser positivo`);
+    }
+
+    let producto;
+    try {
+      producto = await productosRepository.obtenerPorId(item.id_producto);
+    } catch (error) {
+      errores.push(`Producto ${i + 1}: no encontrado`);
+      continue;
+    }
+
+    if (!producto.estado) {
+      errores.push(`${producto.nombre}: está inactivo`);
+    }
+
+    // Se pide en unidad base, con la misma precisión con que se guarda el stock
+    if (cantidadValida) {
+      try {
+        await unidadesProductoService.convertirACantidadBase(producto, item.cantidad);
+      } catch (error) {
+        if (!(error instanceof ErrorValidacion)) throw error;
+        errores.push(error.message);
+      }
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Productos de la orden inválidos', errores);
+  }
+}
+
+/**
+ * Prepara las líneas de detalle y el total de la orden
+ * @param {Array} productos - Líneas [{id_producto, cantidad, costo_unitario}]
+ * @returns {Object} { detalles, total }
+ */
+function prepararDetalles(productos) {
+  const detalles = productos.map(item => ({
+    id_producto: item.id_producto,
+    cantidad: item.cantidad,
+    costo_unitario: item.costo_unitario,
+    subtotal: parseFloat((item.cantidad * item.costo_unitario).toFixed(2))
+  }));
+
+  const total = parseFloat(detalles.reduce((sum, d) => sum + d.subtotal, 0).toFixed(2));
+
+  return { detalles, total };
+}
+
+/**
+ * Crea una orden de compra en estado BORRADOR
+ * @param {Object} datos - Datos de la orden
+ * @param {string} datos.id_proveedor - UUID del proveedor
+ * @param {string} datos.id_usuario - UUID del usuario que crea la orden
+ * @param {Array} datos.productos - Líneas [{id_producto, cantidad, costo_unitario}]
+ * @param {string} datos.fecha_entrega_esperada - Fecha esperada (opcional)
+ * @param {string} datos.observaciones - Observaciones (opcional)
+ * @returns {Promise<Object>} Orden creada con detalles
+ */
+async function crearOrden(datos) {
+  const proveedor = await proveedoresRepository.obtenerPorId(datos.id_proveedor);
+  if (!proveedor.estado) {
+    throw new ErrorConflicto('El proveedor está inactivo');
+  }
+
+  await validarLineas(datos.productos);
+
+  const { detalles, total } = prepararDetalles(datos.productos);
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const orden = await ordenesCompraRepository.crear({
+      id_proveedor: datos.id_proveedor,
+      id_usuario: datos.id_usuario,
+      total,
+      fecha_entrega_esperada: datos.fecha_entrega_esperada,
+      observaciones: datos.observaciones
+    });
+    compensaciones.registrar('Eliminar orden de compra', () =>
+      ordenesCompraRepository.eliminar(orden.id_orden)
+    );
+
+    await ordenesCompraRepository.reemplazarDetalles(orden.id_orden, detalles);
+
+    return await obtenerOrdenPorId(orden.id_orden);
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Actualiza una orden de compra (solo en BORRADOR)
+ * Si se envían productos, reemplazan completamente las líneas actuales
+ * @param {string} id - UUID de la orden
+ * @param {Object} datos - Datos a actualizar
+ * @returns {Promise<Object>} Orden actualizada con detalles
+ */
+async function actualizarOrden(id, datos) {
+  const orden = await ordenesCompraRepository.obtenerPorId(id);
+
+  if (orden.estado !== ESTADOS_ORDEN.BORRADOR) {
+    throw new ErrorConflicto(`Solo se pueden modificar órdenes en BORRADOR. Estado actual: ${orden.estado}`);
+  }
+
+  const datosActualizacion = {};
+
+  if (datos.fecha_entrega_esperada !== undefined) {
+    datosActualizacion.fecha_entrega_esperada = datos.fecha_entrega_esperada || null;
+  }
+  if (datos.observaciones !== undefined) {
+    datosActualizacion.observaciones = datos.observaciones || null;
+  }
+
+  if (datos.productos !== undefined) {
+    await validarLineas(datos.productos);
+    const { detalles, total } = prepararDetalles(datos.productos);
+    await ordenesCompraRepository.reemplazarDetalles(id, detalles);
+    datosActualizacion.total = total;
+  }
+
+  if (Object.keys(datosActualizacion).length > 0) {
+    await ordenesCompraRepository.actualizar(id, datosActualizacion, [ESTADOS_ORDEN.BORRADOR]);
+  }
+
+  return await obtenerOrdenPorId(id);
+}
+
+/**
+ * Marca una orden como ENVIADA al proveedor
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<Object>} Orden enviada
+ */
+async function enviarOrden(id) {
+  const orden = await ordenesCompraRepository.obtenerPorId(id);
+
+  if (orden.estado !== ESTADOS_ORDEN.BORRADOR) {
+    throw new ErrorConflicto(`Solo se pueden enviar órdenes en BORRADOR. Estado actual: ${orden.estado}`);
+  }
+
+  const detalles = await ordenesCompraRepository.obtenerDetalles(id);
+  if (detalles.length === 0) {
+    throw new ErrorConflicto('La orden de compra no tiene productos');
+  }
+
+  await ordenesCompraRepository.actualizar(
+    id,
+    {
+      estado: ESTADOS_ORDEN.ENVIADA,
+      fecha_envio: formatearISO(obtenerFechaGuatemala())
+    },
+    [ESTADOS_ORDEN.BORRADOR]
+  );
+
+  return await obtenerOrdenPorId(id);
+}
+
+/**
+ * Registra la recepción (total o parcial) de mercadería de una orden
+ * TRANSACCIONAL: Genera una ENTRADA por línea con el número de OC como referencia,
+ * acumula lo recibido y pasa la orden a PARCIAL o RECIBIDA
+ * @param {string} id - UUID de la orden
+ * @param {Object} datos - Datos de la recepción
+ * @param {Array} datos.productos - Líneas recibidas [{id_detalle, cantidad}]
+ * @param {string} datos.observaciones - Observaciones (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que recibe
+ * @param {string} datos.id_bodega - UUID de la bodega que recibe (opcional; default principal)
+ * @returns {Promise<Object>} Orden actualizada y movimientos generados
+ * @throws {ErrorValidacion} Si se recibe más de lo pendiente
+ */
+async function recibirOrden(id, datos) {
+  const orden = await ordenesCompraRepository.obtenerPorId(id);
+
+  if (![ESTADOS_ORDEN.ENVIADA, ESTADOS_ORDEN.PARCIAL].includes(orden.estado)) {
+    throw new ErrorConflicto(
+      `Solo se puede recibir mercadería de órdenes ENVIADA o PARCIAL. Estado actual: ${orden.estado}`
+    );
+  }
+
+  if (!Array.isArray(datos.productos) || datos.productos.length === 0) {
+    throw new ErrorValidacion('Debe incluir al menos una línea recibida');
+  }
+
+  const detalles = await ordenesCompraRepository.obtenerDetalles(id);
+  const numeroOrden = formatearNumeroOrden(orden);
+
+  // VALIDACIÓN: no recibir más de lo pendiente por línea
+  const errores = [];
+  const lineas = [];
+  for (const item of datos.productos) {
+    const detalle = detalles.find(d => String(d.id_detalle) === String(item.id_detalle));
+
+    if (!detalle) {
+      errores.push(`Línea ${item.id_detalle}: no pertenece a esta orden`);
+      continue;
+    }
+
+    if (typeof item.cantidad !== 'number' || !(item.cantidad > 0)) {
+      errores.push(`${detalle.productos.nombre}: la cantidad recibida debe ser mayor a 0`);
+      continue;
+    }
+
+    // Se recibe en unidad base, con la misma precisión con que se guarda el stock
+    try {
+      await unidadesProductoService.convertirACantidadBase(detalle.productos, item.cantidad);
+    } catch (error) {
+      if (!(error instanceof ErrorValidacion)) throw error;
+      errores.push(error.message);
+      continue;
+    }
+
+    const pendiente = unidadesProductoService.redondearCantidad(detalle.cantidad - detalle.cantidad_recibida);
+    if (item.cantidad > pendiente) {
+      errores.push(
+        `${detalle.productos.nombre}: pedido ${detalle.cantidad}, ` +
+        `ya recibido ${detalle.cantidad_recibida}, recibiendo ${item.cantidad}`
+      );
+    } else if (lineas.some(l => l.detalle.id_detalle === detalle.id_detalle)) {
+      errores.push(`${detalle.productos.nombre}: la línea está repetida`);
+    } else {
+      lineas.push({ detalle, cantidad: item.cantidad });
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Cantidades recibidas inválidas', errores);
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const recepciones = [];
+
+    for (const { detalle, cantidad } of lineas) {
+      // 1. Acumular la cantidad recibida en la línea. El incremento es atómico y verifica lo
+      // pendiente, así una recepción simultánea de la misma línea no puede sobrepasarlo
+      await ordenesCompraRepository.incrementarCantidadRecibida(detalle.id_detalle, cantidad);
+      compensaciones.registrar('Descontar cantidad recibida', () =>
+        ordenesCompraRepository.incrementarCantidadRecibida(detalle.id_detalle, -cantidad)
+      );
+
+      // 2. Generar ENTRADA al costo pactado con el número de OC como referencia
+      const movimiento = await movimientosService.registrarEntrada({
+        id_producto: detalle.id_producto,
+        cantidad,
+        motivo: movimientosService.MOTIVOS.COMPRA,
+        referencia: numeroOrden,
+        costo_unitario: parseFloat(detalle.costo_unitario),
+        id_bodega: datos.id_bodega
+      });
+      compensaciones.registrar('Revertir entrada de inventario', () =>
+        movimientosRepository.revertir(movimiento)
+      );
+
+      recepciones.push({
+        id_orden: id,
+        id_detalle: detalle.id_detalle,
+        id_producto: detalle.id_producto,
+        cantidad,
+        id_movimiento: movimiento.id_movimiento,
+        id_usuario: datos.id_usuario,
+        observaciones: datos.observaciones || null
+      });
+    }
+
+    // 3. Registrar historial de recepción
+    await ordenesCompraRepository.crearRecepciones(recepciones);
+
+    // 4. Actualizar estado de la orden con las cantidades ya acumuladas (incluye recepciones
+    // simultáneas de otras líneas). Si otra recepción ya la completó, RECIBIDA se mantiene
+    const actuales = await ordenesCompraRepository.obtenerDetalles(id);
+    const completa = actuales.every(d => d.cantidad_recibida >= d.cantidad);
+    const cambios = {
+      estado: completa ? ESTADOS_ORDEN.RECIBIDA : ESTADOS_ORDEN.PARCIAL
+    };
+    if (completa) {
+      cambios.fecha_recepcion = formatearISO(obtenerFechaGuatemala());
+    }
+
+    const estadosPermitidos = completa
+      ? [ESTADOS_ORDEN.ENVIADA, ESTADOS_ORDEN.PARCIAL, ESTADOS_ORDEN.RECIBIDA]
+      : [ESTADOS_ORDEN.ENVIADA, ESTADOS_ORDEN.PARCIAL];
+
+    await ordenesCompraRepository.actualizar(id, cambios, estadosPermitidos);
+
+    return {
+      orden: await obtenerOrdenPorId(id),
+      movimientos_generados: recepciones.length
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Cancela una orden de compra
+ * Una orden PARCIAL conserva lo ya recibido; solo se cancela lo pendiente
+ * @param {string} id - UUID de la orden
+ * @param {string} motivo - Motivo de la cancelación
+ * @returns {Promise<Object>} Orden cancelada
+ */
+async function cancelarOrden(id, motivo) {
+  const orden = await ordenesCompraRepository.obtenerPorId(id);
+
+  const cancelables = [ESTADOS_ORDEN.BORRADOR, ESTADOS_ORDEN.ENVIADA, ESTADOS_ORDEN.PARCIAL];
+  if (!cancelables.includes(orden.estado)) {
+    throw new ErrorConflicto(`No se puede cancelar una orden ${orden.estado}`);
+  }
+
+  await ordenesCompraRepository.actualizar(
+    id,
+    {
+      estado: ESTADOS_ORDEN.CANCELADA,
+      motivo_cancelacion: motivo || null,
+      fecha_cancelacion: formatearISO(obtenerFechaGuatemala())
+    },
+    cancelables
+  );
+
+  return await obtenerOrdenPorId(id);
+}
+
+/**
+ * Obtiene órdenes de compra con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Órdenes y metadatos de paginación
+ */
+async function obtenerOrdenes(filtros = {}) {
+  const resultado = await ordenesCompraRepository.obtenerTodos(filtros);
+
+  return {
+    datos: resultado.datos.map(orden => ({
+      ...orden,
+      numero_orden: formatearNumeroOrden(orden)
+    })),
+    paginacion: resultado.paginacion
+  };
+}
+
+/**
+ * Obtiene una orden de compra con detalles (incluye pendiente por línea) y recepciones
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<Object>} Orden completa
+ */
+async function obtenerOrdenPorId(id) {
+  const orden = await ordenesCompraRepository.obtenerPorId(id);
+  const detalles = await ordenesCompraRepository.obtenerDetalles(id);
+  const recepciones = await ordenesCompraRepository.obtenerRecepciones(id);
+
+  return {
+    ...orden,
+    numero_orden: formatearNumeroOrden(orden),
+    detalles: detalles.map(d => ({
+      ...d,
+      cantidad_pendiente: orden.estado === ESTADOS_ORDEN.CANCELADA
+        ? 0
+        : unidadesProductoService.redondearCantidad(d.cantidad - d.cantidad_recibida)
+    })),
+    recepciones
+  };
+}
+
+/**
+ * Reporte de cantidades pendientes de recibir agrupado por proveedor
+ * @param {Object} filtros - Filtros opcionales (id_proveedor, id_producto)
+ * @returns {Promise<Array>} Proveedores con sus líneas pendientes
+ */
+async function obtenerPendientesPorProveedor(filtros = {}) {
+  const lineas = await ordenesCompraRepository.obtenerLineasPendientes(filtros);
+  const proveedores = {};
+
+  for (const linea of lineas) {
+    const orden = linea.ordenes_compra;
+    const clave = orden.id_proveedor;
+
+    if (!proveedores[clave]) {
+      proveedores[clave] = {
+        id_proveedor: orden.id_proveedor,
+        proveedor: orden.proveedores?.nombre,
+        ordenes: new Set(),
+        cantidad_pendiente: 0,
+        monto_pendiente: 0,
+        lineas: []
+      };
+    }
+
+    const grupo = proveedores[clave];
+    grupo.ordenes.add(orden.id_orden);
+    grupo.cantidad_pendiente = unidadesProductoService.redondearCantidad(
+      grupo.cantidad_pendiente + linea.cantidad_pendiente
+    );
+    grupo.monto_pendiente += linea.cantidad_pendiente * parseFloat(linea.costo_unitario);
+    grupo.lineas.push({
+      numero_orden: formatearNumeroOrden(orden),
+      id_orden: orden.id_orden,
+      fecha_entrega_esperada: orden.fecha_entrega_esperada,
+      id_producto: linea.id_producto,
+      producto: linea.productos?.nombre,
+      unidad_medida: linea.productos?.unidad_medida,
+      cantidad_pedida: linea.cantidad,
+      cantidad_recibida: linea.cantidad_recibida,
+      cantidad_pendiente: linea.cantidad_pendiente
+    });
+  }
+
+  return Object.values(proveedores)
+    .map(grupo => ({
+      ...grupo,
+      ordenes: grupo.ordenes.size,
+      monto_pendiente: parseFloat(grupo.monto_pendiente.toFixed(2))
+    }))
+    .sort((a, b) => b.monto_pendiente - a.monto_pendiente);
+}
+
+/**
+ * Reporte de cantidades pendientes de recibir agrupado por producto
+ * @param {Object} filtros - Filtros opcionales (id_proveedor, id_producto)
+ * @returns {Promise<Array>} Productos con cantidad en camino y órdenes que la componen
+ */
+async function obtenerPendientesPorProducto(filtros = {}) {
+  const lineas = await ordenesCompraRepository.obtenerLineasPendientes(filtros);
+  const productos = {};
+
+  for (const linea of lineas) {
+    const orden = linea.ordenes_compra;
+
+    if (!productos[linea.id_producto]) {
+      productos[linea.id_producto] = {
+        id_producto: linea.id_producto,
+        producto: linea.productos?.nombre,
+        unidad_medida: linea.productos?.unidad_medida,
+        cantidad_pendiente: 0,
+        ordenes: []
+      };
+    }
+
+    const grupo = productos[linea.id_producto];
+    grupo.cantidad_pendiente = unidadesProductoService.redondearCantidad(
+      grupo.cantidad_pendiente + linea.cantidad_pendiente
+    );
+    grupo.ordenes.push({
+      numero_orden: formatearNumeroOrden(orden),
+      id_orden: orden.id_orden,
+      proveedor: orden.proveedores?.nombre,
+      fecha_entrega_esperada: orden.fecha_entrega_esperada,
+      cantidad_pendiente: linea.cantidad_pendiente
+    });
+  }
+
+  return Object.values(productos).sort((a, b) => b.cantidad_pendiente - a.cantidad_pendiente);
+}
+
+module.exports = {
+  // Constantes
+  ESTADOS_ORDEN,
+
+  // Funciones principales
+  crearOrden,
+  actualizarOrden,
+  enviarOrden,
+  recibirOrden,
+  cancelarOrden,
+
+  // Consultas
+  obtenerOrdenes,
+  obtenerOrdenPorId,
+  obtenerPendientesPorProveedor,
+  obtenerPendientesPorProducto
+};
@@ -0,0 +1,419 @@
+/**
+ * Servicio de Órdenes de Producción
+ * Gestiona el flujo PENDIENTE → COMPLETADA (o CANCELADA)
+ * Al completar una orden los materiales salen del inventario y el producto terminado entra
+ * con el costo de lo consumido
+ */
+
+const ordenesProduccionRepository = require('../repositories/ordenesProduccionRepository');
+const recetasRepository = require('../repositories/recetasRepository');
+const bodegasRepository = require('../repositories/bodegasRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const movimientosService = require('./movimientosService');
+const unidadesProductoService = require('./unidadesProductoService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Estados de orden de producción permitidos
+ */
+const ESTADOS_ORDEN_PRODUCCION = {
+  PENDIENTE: 'PENDIENTE',
+  COMPLETADA: 'COMPLETADA',
+  CANCELADA: 'CANCELADA'
+};
+
+/**
+ * Formatea el número visible de una orden de producción (ej. OP-000015)
+ * Se usa como referencia de los movimientos generados al completarla
+ * @param {Object} orden - Orden con su número correlativo
+ * @returns {string} Número de la orden
+ */
+function formatearNumeroOrden(orden) {
+  return `OP-${String(orden.numero).padStart(6, '0')}`;
+}
+
+/**
+ * Obtiene la receta con la que se creará la orden
+ * @param {Object} datos - {id_receta} o {id_producto} (se usa su receta activa)
+ * @returns {Promise<Object>} Receta activa
+ * @throws {ErrorConflicto} Si la receta está inactiva o el producto no tiene receta
+ */
+async function obtenerRecetaOrden(datos) {
+  if (datos.id_receta) {
+    const receta = await recetasRepository.obtenerPorId(datos.id_receta);
+    if (!receta.estado) {
+      throw new ErrorConflicto('La receta está inactiva');
+    }
+    return receta;
+  }
+
+  const receta = await recetasRepository.obtenerActivaPorProducto(datos.id_producto);
+  if (!receta) {
+    throw new ErrorConflicto('El producto no tiene una receta activa');
+  }
+  return receta;
+}
+
+/**
+ * Crea una orden de producción en estado PENDIENTE
+ * Copia los componentes de la receta multiplicados por la cantidad a producir, de modo que
+ * cambios posteriores a la receta no alteran la orden
+ * @param {Object} datos - Datos de la orden
+ * @param {string} datos.id_receta - UUID de la receta (opcional si se indica id_producto)
+ * @param {string} datos.id_producto - UUID del producto terminado (usa su receta activa)
+ * @param {number} datos.cantidad - Unidades a producir
+ * @param {string} datos.id_bodega - UUID de la bodega de trabajo (opcional; default principal)
+ * @param {string} datos.observaciones - Observaciones (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que crea la orden
+ * @returns {Promise<Object>} Orden creada con sus materiales
+ */
+async function crearOrden(datos) {
+  if (!Number.isInteger(datos.cantidad) || datos.cantidad <= 0) {
+    throw new ErrorValidacion('La cantidad a producir debe ser un número entero mayor a 0');
+  }
+
+  const receta = await obtenerRecetaOrden(datos);
+
+  const bodega = datos.id_bodega
+    ? await bodegasRepository.obtenerPorId(datos.id_bodega)
+    : await bodegasRepository.obtenerPrincipal();
+  if (!bodega.estado) {
+    throw new ErrorConflicto('La bodega seleccionada no está activa');
+  }
+
+  const componentes = await recetasRepository.obtenerComponentes(receta.id_receta);
+  const inactivos = componentes
+    .filter(c => !c.productos || !c.productos.estado || c.productos.deleted_at)
+    .map(c => c.productos?.nombre || c.id_producto);
+  if (inactivos.length > 0) {
+    throw new ErrorConflicto('La receta tiene componentes inactivos o eliminados', inactivos);
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const orden = await ordenesProduccionRepository.crear({
+      id_receta: receta.id_receta,
+      id_producto: receta.id_producto,
+      cantidad: datos.cantidad,
+      id_bodega: bodega.id_bodega,
+      id_usuario: datos.id_usuario,
+      observaciones: datos.observaciones
+    });
+    compensaciones.registrar('Eliminar orden de producción', () =>
+      ordenesProduccionRepository.eliminar(orden.id_orden)
+    );
+
+    await ordenesProduccionRepository.crearDetalles(
+      componentes.map(c => ({
+        id_orden: orden.id_orden,
+        id_producto: c.id_producto,
+        cantidad_por_unidad: c.cantidad,
+        cantidad_requerida: unidadesProductoService.redondearCantidad(c.cantidad * datos.cantidad)
+      }))
+    );
+
+    return await obtenerOrdenPorId(orden.id_orden);
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Valida la merma informada al completar una orden
+ * @param {Array} mermas - Merma por material [{id_producto, cantidad}]
+ * @param {Array} detalles - Materiales de la orden
+ * @returns {Object} Merma por id_producto
+ * @throws {ErrorValidacion} Si alguna línea es inválida
+ */
+function validarMermas(mermas, detalles) {
+  const errores = [];
+  const porProducto = {};
+
+  for (const item of mermas) {
+    const detalle = detalles.find(d => d.id_producto === item.id_producto);
+
+    if (!detalle) {
+      errores.push(`Producto ${item.id_producto}: no es material de esta orden`);
+    } else if (porProducto[item.id_producto] !== undefined) {
+      errores.push(`${detalle.productos.nombre}: la merma está repetida`);
+    } else if (typeof item.cantidad !== 'number' || !(item.cantidad > 0) ||
+        unidadesProductoService.redondearCantidad(item.cantidad) !== item.cantidad) {
+      errores.push(`${detalle.productos.nombre}: la merma debe ser un número mayor a 0 con máximo 3 decimales`);
+    } else {
+      porProducto[item.id_producto] = item.cantidad;
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Merma inválida', errores);
+  }
+
+  return porProducto;
+}
+
+/**
+ * Completa una orden de producción
+ * TRANSACCIONAL: por cada material genera una SALIDA (motivo Producción) por lo requerido y,
+ * si hubo desperdicio, otra SALIDA (motivo Merma) por la merma. Luego genera la ENTRADA del
+ * producto terminado valorizada con el costo de todo lo consumido, merma incluida.
+ * Si algún paso falla se revierten los ya aplicados y la orden sigue PENDIENTE
+ * @param {string} id - UUID de la orden
+ * @param {Object} datos - Datos del cierre
+ * @param {number} datos.cantidad_producida - Unidades buenas obtenidas (default: la cantidad de la orden)
+ * @param {Array} datos.mermas - Material desperdiciado adicional [{id_producto, cantidad}] (opcional)
+ * @param {string} datos.observaciones - Observaciones (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que completa la orden
+ * @returns {Promise<Object>} Orden completada y movimientos generados
+ * @throws {ErrorConflicto} Si no hay materiales suficientes en la bodega
+ */
+async function completarOrden(id, datos) {
+  const orden = await ordenesProduccionRepository.obtenerPorId(id);
+
+  if (orden.estado !== ESTADOS_ORDEN_PRODUCCION.PENDIENTE) {
+    throw new ErrorConflicto(`Solo se pueden completar órdenes PENDIENTE. Estado actual: ${orden.estado}`);
+  }
+
+  const cantidadProducida = datos.cantidad_producida !== undefined && datos.cantidad_producida !== null
+    ? datos.cantidad_producida
+    : orden.cantidad;
+
+  if (!Number.isInteger(cantidadProducida) || cantidadProducida <= 0 || cantidadProducida > orden.cantidad) {
+    throw new ErrorValidacion(
+      `La cantidad producida debe ser un número entero entre 1 y ${orden.cantidad}`
+    );
+  }
+
+  const detalles = await ordenesProduccionRepository.obtenerDetalles(id);
+  const mermas = validarMermas(datos.mermas || [], detalles);
+
+  // VALIDACIÓN: materiales suficientes en la bodega (lo requerido más la merma)
+  const faltantes = [];
+  for (const detalle of detalles) {
+    const necesario = unidadesProductoService.redondearCantidad(
+      detalle.cantidad_requerida + (mermas[detalle.id_producto] || 0)
+    );
+    const disponible = await bodegasRepository.obtenerCantidadEnBodega(detalle.id_producto, orden.id_bodega);
+    if (disponible < necesario) {
+      faltantes.push(
+        `${detalle.productos.nombre}: necesario ${necesario} ${detalle.productos.unidad_medida}, ` +
+        `disponible ${disponible}`
+      );
+    }
+  }
+
+  if (faltantes.length > 0) {
+    throw new ErrorConflicto(`Materiales insuficientes en ${orden.bodegas?.nombre || 'la bodega'}`, faltantes);
+  }
+
+  const referencia = `Orden de producción ${formatearNumeroOrden(orden)}`;
+  const compensaciones = crearCompensaciones();
+
+  try {
+    let costoMateriales = 0;
+    let costoMerma = 0;
+    let movimientosGenerados = 0;
+
+    for (const detalle of detalles) {
+      // 1. SALIDA del material requerido, valorizada al costo promedio
+      const consumo = await movimientosService.registrarSalida({
+        id_producto: detalle.id_producto,
+        cantidad: detalle.cantidad_requerida,
+        motivo: movimientosService.MOTIVOS.PRODUCCION,
+        referencia,
+        id_bodega: orden.id_bodega
+      });
+      compensaciones.registrar('Revertir consumo de material', () =>
+        movimientosRepository.revertir(consumo)
+      );
+      movimientosGenerados++;
+
+      // 2. SALIDA por la merma del material (si la hubo)
+      const cantidadMerma = mermas[detalle.id_producto] || 0;
+      let merma = null;
+      if (cantidadMerma > 0) {
+        merma = await movimientosService.registrarSalida({
+          id_producto: detalle.id_producto,
+          cantidad: cantidadMerma,
+          motivo: movimientosService.MOTIVOS.MERMA,
+          referencia,
+          id_bodega: orden.id_bodega
+        });
+        compensaciones.registrar('Revertir merma de material', () =>
+          movimientosRepository.revertir(merma)
+        );
+        movimientosGenerados++;
+      }
+
+      const costoConsumo = parseFloat(consumo.costo_total) || 0;
+      const costoMermaLinea = merma ? parseFloat(merma.costo_total) || 0 : 0;
+      costoMateriales += costoConsumo;
+      costoMerma += costoMermaLinea;
+
+      // 3. Guardar consumo, merma y costo de la línea
+      await ordenesProduccionRepository.actualizarDetalle(detalle.id_detalle, {
+        cantidad_merma: cantidadMerma,
+        costo_unitario: parseFloat(consumo.costo_unitario) || 0,
+        costo_total: costoConsumo,
+        costo_merma: costoMermaLinea,
+        id_movimiento_consumo: consumo.id_movimiento,
+        id_movimiento_merma: merma ? merma.id_movimiento : null
+      });
+      compensaciones.registrar('Restaurar material de la orden', () =>
+        ordenesProduccionRepository.actualizarDetalle(detalle.id_detalle, {
+          cantidad_merma: 0,
+          costo_unitario: null,
+          costo_total: null,
+          costo_merma: null,
+          id_movimiento_consumo: null,
+          id_movimiento_merma: null
+        })
+      );
+    }
+
+    costoMateriales = parseFloat(costoMateriales.toFixed(2));
+    costoMerma = parseFloat(costoMerma.toFixed(2));
+    const costoTotal = parseFloat((costoMateriales + costoMerma).toFixed(2));
+    const costoUnitario = parseFloat((costoTotal / cantidadProducida).toFixed(4));
+
+    // 4. ENTRADA del producto terminado al costo de lo consumido (recalcula su promedio)
+    const entrada = await movimientosService.registrarEntrada({
+      id_producto: orden.id_producto,
+      cantidad: cantidadProducida,
+      motivo: movimientosService.MOTIVOS.PRODUCCION,
+      referencia,
+      costo_unitario: costoUnitario,
+      id_bodega: orden.id_bodega
+    });
+    compensaciones.registrar('Revertir entrada de producto terminado', () =>
+      movimientosRepository.revertir(entrada)
+    );
+    movimientosGenerados++;
+
+    // 5. Cerrar la orden
+    await ordenesProduccionRepository.actualizar(
+      id,
+      {
+        estado: ESTADOS_ORDEN_PRODUCCION.COMPLETADA,
+        cantidad_producida: cantidadProducida,
+        costo_materiales: costoMateriales,
+        costo_merma: costoMerma,
+        costo_total: costoTotal,
+        costo_unitario: costoUnitario,
+        id_movimiento_entrada: entrada.id_movimiento,
+        id_usuario_cierre: datos.id_usuario,
+        fecha_completada: formatearISO(obtenerFechaGuatemala()),
+        observaciones: datos.observaciones || orden.observaciones
+      },
+      [ESTADOS_ORDEN_PRODUCCION.PENDIENTE]
+    );
+
+    return {
+      orden: await obtenerOrdenPorId(id),
+      movimientos_generados: movimientosGenerados
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Cancela una orden de producción pendiente (no afecta el inventario)
+ * @param {string} id - UUID de la orden
+ * @param {string} motivo - Motivo de la cancelación
+ * @param {string} id_usuario - UUID del usuario que cancela
+ * @returns {Promise<Object>} Orden cancelada
+ */
+async function cancelarOrden(id, motivo, id_usuario) {
+  const orden = await ordenesProduccionRepository.obtenerPorId(id);
+
+  if (orden.estado !== ESTADOS_ORDEN_PRODUCCION.PENDIENTE) {
+    throw new ErrorConflicto(`Solo se pueden cancelar órdenes PENDIENTE. Estado actual: ${orden.estado}`);
+  }
+
+  await ordenesProduccionRepository.actualizar(
+    id,
+    {
+      estado: ESTADOS_ORDEN_PRODUCCION.CANCELADA,
+      motivo_cancelacion: motivo || null,
+      id_usuario_cierre: id_usuario,
+      fecha_cancelacion: formatearISO(obtenerFechaGuatemala())
+    },
+    [ESTADOS_ORDEN_PRODUCCION.PENDIENTE]
+  );
+
+  return await obtenerOrdenPorId(id);
+}
+
+/**
+ * Obtiene órdenes de producción con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Órdenes y metadatos de paginación
+ */
+async function obtenerOrdenes(filtros = {}) {
+  const resultado = await ordenesProduccionRepository.obtenerTodos(filtros);
+
+  return {
+    datos: resultado.datos.map(orden => ({
+      ...orden,
+      numero_orden: formatearNumeroOrden(orden)
+    })),
+    paginacion: resultado.paginacion
+  };
+}
+
+/**
+ * Obtiene una orden de producción con sus materiales
+ * En órdenes PENDIENTE cada material indica lo disponible en la bodega y lo que falta
+ * @param {string} id - UUID de la orden
+ * @returns {Promise<Object>} Orden completa
+ */
+async function obtenerOrdenPorId(id) {
+  const orden = await ordenesProduccionRepository.obtenerPorId(id);
+  const detalles = await ordenesProduccionRepository.obtenerDetalles(id);
+  const pendiente = orden.estado === ESTADOS_ORDEN_PRODUCCION.PENDIENTE;
+
+  const materiales = [];
+  for (const detalle of detalles) {
+    if (!pendiente) {
+      materiales.push(detalle);
+      continue;
+    }
+
+    const disponible = await bodegasRepository.obtenerCantidadEnBodega(detalle.id_producto, orden.id_bodega);
+    materiales.push({
+      ...detalle,
+      cantidad_disponible: disponible,
+      cantidad_faltante: Math.max(unidadesProductoService.redondearCantidad(detalle.cantidad_requerida - disponible), 0)
+    });
+  }
+
+  return {
+    ...orden,
+    numero_orden: formatearNumeroOrden(orden),
+    unidades_rechazadas: orden.estado === ESTADOS_ORDEN_PRODUCCION.COMPLETADA
+      ? orden.cantidad - orden.cantidad_producida
+      : 0,
+    materiales_completos: pendiente ? materiales.every(m => m.cantidad_faltante === 0) : null,
+    materiales
+  };
+}
+
+module.exports = {
+  // Constantes
+  ESTADOS_ORDEN_PRODUCCION,
+
+  // Funciones principales
+  crearOrden,
+  completarOrden,
+  cancelarOrden,
+
+  // Consultas
+  obtenerOrdenes,
+  obtenerOrdenPorId
+};
@@ -0,0 +1,627 @@
+/**
+ * Servicio de Política de Crédito
+ * Decide si un cliente puede comprar al crédito (bloqueo por mora o por días de atraso),
+ * registra las autorizaciones de excepción que da un administrador y propone cambios de
+ * límite de crédito según el historial de pago de cada cliente
+ */
+
+const politicaCreditoRepository = require('../repositories/politicaCreditoRepository');
+const clientesRepository = require('../repositories/clientesRepository');
+const creditosRepository = require('../repositories/creditosRepository');
+const cuotasRepository = require('../repositories/cuotasRepository');
+const pagosRepository = require('../repositories/pagosRepository');
+const { ESTADOS_CREDITO, ESTADOS_CUOTA } = require('./creditosService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  obtenerFechaGuatemala,
+  obtenerFechaHoyGuatemala,
+  convertirAGuatemala,
+  formatearFecha,
+  diasAtraso
+} = require('../utils/fechas');
+const { logger } = require('../utils/logger');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Motivos por los que se bloquea el crédito de un cliente
+ */
+const MOTIVOS_BLOQUEO = {
+  EN_MORA: 'EN_MORA',
+  DIAS_ATRASO: 'DIAS_ATRASO',
+  CARTERA_CASTIGADA: 'CARTERA_CASTIGADA'
+};
+
+/**
+ * Tipos de propuesta de límite
+ */
+const TIPOS_PROPUESTA = {
+  AUMENTO: 'AUMENTO',
+  DISMINUCION: 'DISMINUCION'
+};
+
+/**
+ * Estados de una propuesta de límite
+ */
+const ESTADOS_PROPUESTA = {
+  PENDIENTE: 'PENDIENTE',
+  APROBADA: 'APROBADA',
+  RECHAZADA: 'RECHAZADA'
+};
+
+/**
+ * Política usada mientras no se haya configurado ninguna: bloquea a clientes en mora
+ */
+const POLITICA_POR_DEFECTO = {
+  bloquear_en_mora: true,
+  dias_atraso_maximo: null,
+  revision_activa: true,
+  revision_dias_historial: 180,
+  revision_minimo_vencimientos: 3,
+  revision_tolerancia_dias: 5,
+  revision_porcentaje_ajuste: 20
+};
+
+/**
+ * Redondea un límite a la centena más cercana
+ * @param {number} monto - Monto
+ * @returns {number} Monto redondeado
+ */
+function redondearLimite(monto) {
+  return Math.max(0, Math.round(monto / 100) * 100);
+}
+
+/**
+ * Días de atraso del vencimiento pendiente más antiguo de los créditos abiertos
+ * @param {Array} creditos - Créditos del cliente
+ * @param {Map} cuotasPorCredito - Cuotas por id_credito
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {number} Días de atraso (0 si no tiene nada vencido)
+ */
+function calcularAtrasoActual(creditos, cuotasPorCredito, hoy) {
+  let atraso = 0;
+
+  for (const credito of creditos) {
+    if (![ESTADOS_CREDITO.ACTIVO, ESTADOS_CREDITO.VENCIDO].includes(credito.estado)) continue;
+
+    const cuotas = cuotasPorCredito.get(credito.id_credito) || [];
+    const pendientes = cuotas.length > 0
+      ? cuotas.filter(c => c.estado !== ESTADOS_CUOTA.PAGADA).map(c => c.fecha_vencimiento)
+      : [credito.fecha_vencimiento];
+
+    pendientes.forEach(fecha => {
+      atraso = Math.max(atraso, diasAtraso(fecha, hoy));
+    });
+  }
+
+  return atraso;
+}
+
+/**
+ * Obtiene la política de crédito vigente
+ * @returns {Promise<Object>} Política (la de por defecto si nunca se configuró)
+ */
+async function obtenerPolitica() {
+  const politica = await politicaCreditoRepository.obtenerPolitica();
+  return politica || { ...POLITICA_POR_DEFECTO };
+}
+
+/**
+ * Actualiza la política de crédito
+ * @param {Object} datos - Datos de la política
+ * @param {boolean} datos.bloquear_en_mora - Bloquear ventas al crédito a clientes con créditos VENCIDOS
+ * @param {number|null} datos.dias_atraso_maximo - Bloquear si el vencimiento pendiente más antiguo
+ *   tiene más días de atraso que este valor (null = sin tope)
+ * @param {boolean} datos.revision_activa - Si el job de revisión propone cambios de límite
+ * @param {number} datos.revision_dias_historial - Días de historial que se evalúan
+ * @param {number} datos.revision_minimo_vencimientos - Vencimientos mínimos para proponer algo
+ * @param {number} datos.revision_tolerancia_dias - Días de atraso que aún cuentan como pago puntual
+ * @param {number} datos.revision_porcentaje_ajuste - Porcentaje de aumento o disminución propuesto
+ * @param {string} id_usuario - UUID del usuario que la modifica
+ * @returns {Promise<Object>} Política guardada
+ */
+async function actualizarPolitica(datos, id_usuario) {
+  const actual = await obtenerPolitica();
+  const politica = {};
+
+  for (const campo of Object.keys(POLITICA_POR_DEFECTO)) {
+    politica[campo] = datos[campo] !== undefined ? datos[campo] : actual[campo];
+  }
+
+  const errores = [];
+
+  if (typeof politica.bloquear_en_mora !== 'boolean') {
+    errores.push('bloquear_en_mora debe ser true o false');
+  }
+
+  if (politica.dias_atraso_maximo !== null &&
+      (!Number.isInteger(politica.dias_atraso_maximo) || politica.dias_atraso_maximo < 0)) {
+    errores.push('dias_atraso_maximo debe ser un entero mayor o igual a 0 (o null para no tener tope)');
+  }
+
+  if (typeof politica.revision_activa !== 'boolean') {
+    errores.push('revision_activa debe ser true o false');
+  }
+
+  if (!Number.isInteger(politica.revision_dias_historial) || politica.revision_dias_historial < 30) {
+    errores.push('revision_dias_historial debe ser un entero de al menos 30 días');
+  }
+
+  if (!Number.isInteger(politica.revision_minimo_vencimientos) || politica.revision_minimo_vencimientos < 1) {
+    errores.push('revision_minimo_vencimientos debe ser un entero mayor a 0');
+  }
+
+  if (!Number.isInteger(politica.revision_tolerancia_dias) || politica.revision_tolerancia_dias < 0) {
+    errores.push('revision_tolerancia_dias debe ser un entero mayor o igual a 0');
+  }
+
+  const ajuste = parseFloat(politica.revision_porcentaje_ajuste);
+  if (isNaN(ajuste) || ajuste <= 0 || ajuste > 100) {
+    errores.push('revision_porcentaje_ajuste debe ser un porcentaje mayor a 0 y hasta 100');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Política de crédito inválida', errores);
+  }
+
+  return await politicaCreditoRepository.guardarPolitica({
+    ...politica,
+    id_usuario
+  });
+}
+
+/**
+ * Evalúa si un cliente puede comprar al crédito según la política
+ * Un crédito castigado con saldo por recuperar bloquea siempre: el castigo lo saca de la deuda
+ * del cliente, pero no debe devolverle el crédito disponible
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} { bloqueado, motivos, en_mora, dias_atraso, saldo_castigado,
+ *   autorizacion_vigente, politica }
+ */
+async function evaluarCliente(id_cliente) {
+  const politica = await obtenerPolitica();
+  const hoy = obtenerFechaHoyGuatemala();
+
+  const creditos = await creditosRepository.obtenerAbiertosPorCliente(id_cliente);
+  const castigados = await creditosRepository.obtenerCastigadosPendientesPorCliente(id_cliente);
+  const cuotasPorCredito = new Map();
+  (await cuotasRepository.obtenerPorCreditos(creditos.map(c => c.id_credito))).forEach(c => {
+    if (!cuotasPorCredito.has(c.id_credito)) cuotasPorCredito.set(c.id_credito, []);
+    cuotasPorCredito.get(c.id_credito).push(c);
+  });
+
+  const enMora = creditos.some(c => c.estado === ESTADOS_CREDITO.VENCIDO);
+  const dias = calcularAtrasoActual(creditos, cuotasPorCredito, hoy);
+  const motivos = [];
+
+  if (politica.bloquear_en_mora && enMora) {
+    motivos.push({
+      codigo: MOTIVOS_BLOQUEO.EN_MORA,
+      mensaje: 'El cliente tiene créditos vencidos'
+    });
+  }
+
+  if (politica.dias_atraso_maximo !== null && dias > politica.dias_atraso_maximo) {
+    motivos.push({
+      codigo: MOTIVOS_BLOQUEO.DIAS_ATRASO,
+      mensaje: `El cliente tiene ${dias} días de atraso (máximo permitido: ${politica.dias_atraso_maximo})`
+    });
+  }
+
+  const saldoCastigado = parseFloat(
+    castigados.reduce((sum, c) => sum + parseFloat(c.saldo_pendiente), 0).toFixed(2)
+  );
+  if (saldoCastigado > 0) {
+    motivos.push({
+      codigo: MOTIVOS_BLOQUEO.CARTERA_CASTIGADA,
+      mensaje: `El cliente tiene Q${saldoCastigado.toFixed(2)} en créditos castigados sin recuperar`
+    });
+  }
+
+  const autorizacion = motivos.length > 0
+    ? await politicaCreditoRepository.obtenerAutorizacionVigente(id_cliente)
+    : null;
+
+  return {
+    bloqueado: motivos.length > 0,
+    motivos,
+    en_mora: enMora,
+    dias_atraso: dias,
+    saldo_castigado: saldoCastigado,
+    autorizacion_vigente: autorizacion,
+    politica: {
+      bloquear_en_mora: politica.bloquear_en_mora,
+      dias_atraso_maximo: politica.dias_atraso_maximo
+    }
+  };
+}
+
+/**
+ * Obtiene el estado de la política de crédito de un cliente para mostrarlo con sus datos:
+ * la evaluación actual, sus autorizaciones más recientes y su propuesta de límite pendiente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} Estado de la política para el cliente
+ */
+async function obtenerEstadoCliente(id_cliente) {
+  const [evaluacion, autorizaciones, propuestas] = await Promise.all([
+    evaluarCliente(id_cliente),
+    politicaCreditoRepository.obtenerAutorizacionesPorCliente(id_cliente, 5),
+    politicaCreditoRepository.obtenerPropuestas({
+      id_cliente,
+      estado: ESTADOS_PROPUESTA.PENDIENTE
+    })
+  ]);
+
+  return {
+    ...evaluacion,
+    autorizaciones_recientes: autorizaciones,
+    propuesta_limite_pendiente: propuestas[0] || null
+  };
+}
+
+/**
+ * Verifica la política antes de una venta al crédito
+ * Si el cliente está bloqueado solo puede continuar con una autorización vigente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object|null>} Autorización que se usará en la venta, o null si no está bloqueado
+ * @throws {ErrorConflicto} Si el cliente está bloqueado y no tiene autorización
+ */
+async function validarVentaCredito(id_cliente) {
+  const evaluacion = await evaluarCliente(id_cliente);
+
+  if (!evaluacion.bloqueado) {
+    return null;
+  }
+
+  if (!evaluacion.autorizacion_vigente) {
+    throw new ErrorConflicto(
+      `Crédito bloqueado: ${evaluacion.motivos.map(m => m.mensaje).join('; ')}. ` +
+      'Se requiere la autorización de un administrador para vender al crédito'
+    );
+  }
+
+  return evaluacion.autorizacion_vigente;
+}
+
+/**
+ * Marca la autorización como usada por la venta y registra cómo deshacerlo
+ * @param {Object} autorizacion - Autorización devuelta por validarVentaCredito
+ * @param {string} id_venta - UUID de la venta
+ * @param {Object} compensaciones - Registro de compensaciones de la venta
+ * @returns {Promise<Object>} Autorización usada
+ * @throws {ErrorConflicto} Si otra venta la usó primero
+ */
+async function usarAutorizacion(autorizacion, id_venta, compensaciones) {
+  const usada = await politicaCreditoRepository.usarAutorizacion(autorizacion.id_autorizacion, id_venta);
+
+  if (!usada) {
+    throw new ErrorConflicto('La autorización de crédito ya fue usada en otra venta');
+  }
+
+  compensaciones.registrar('Liberar autorización de crédito', () =>
+    politicaCreditoRepository.liberarAutorizacion(autorizacion.id_autorizacion)
+  );
+
+  return usada;
+}
+
+/**
+ * Autoriza una venta al crédito a un cliente bloqueado por la política
+ * La autorización sirve para una sola venta y vence a los días indicados
+ * @param {string} id_cliente - UUID del cliente
+ * @param {Object} datos - Datos de la autorización
+ * @param {string} datos.motivo - Motivo de la excepción
+ * @param {number} datos.dias_vigencia - Días que la autorización está disponible (default 1)
+ * @param {string} datos.id_usuario - UUID del administrador que autoriza
+ * @returns {Promise<Object>} Autorización creada
+ */
+async function autorizarCredito(id_cliente, datos) {
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+
+  if (cliente.tipo_cliente !== 'CREDITO') {
+    throw new ErrorConflicto('El cliente debe ser tipo CREDITO para autorizarle ventas al crédito');
+  }
+
+  const evaluacion = await evaluarCliente(id_cliente);
+
+  if (!evaluacion.bloqueado) {
+    throw new ErrorConflicto('El cliente no tiene bloqueo de crédito; no necesita autorización');
+  }
+
+  if (evaluacion.autorizacion_vigente) {
+    throw new ErrorConflicto('El cliente ya tiene una autorización de crédito vigente sin usar');
+  }
+
+  const dias = datos.dias_vigencia || 1;
+  const expiracion = obtenerFechaGuatemala();
+  expiracion.setDate(expiracion.getDate() + dias);
+
+  return await politicaCreditoRepository.crearAutorizacion({
+    id_cliente,
+    motivo: datos.motivo,
+    motivos_bloqueo: evaluacion.motivos.map(m => m.codigo),
+    dias_atraso: evaluacion.dias_atraso,
+    fecha_expiracion: `${formatearFecha(expiracion)}T23:59:59-06:00`,
+    id_usuario: datos.id_usuario
+  });
+}
+
+/**
+ * Obtiene el historial de autorizaciones de crédito de un cliente
+ * @param {string} id_cliente - UUID del cliente
+ * @returns {Promise<Object>} { cliente, autorizaciones }
+ */
+async function obtenerAutorizaciones(id_cliente) {
+  const cliente = await clientesRepository.obtenerPorId(id_cliente);
+  const autorizaciones = await politicaCreditoRepository.obtenerAutorizacionesPorCliente(id_cliente);
+
+  return {
+    cliente: {
+      id_cliente: cliente.id_cliente,
+      nombre: cliente.nombre,
+      apellido: cliente.apellido
+    },
+    autorizaciones
+  };
+}
+
+/**
+ * Resume el historial de pago de un cliente: cada vencimiento (cuota o crédito sin plan)
+ * de la ventana cuenta como puntual si se pagó a tiempo (con tolerancia) y como atrasado
+ * si se pagó tarde o sigue sin pagarse después de la tolerancia
+ * @param {Array} creditos - Créditos del cliente
+ * @param {Map} cuotasPorCredito - Cuotas por id_credito
+ * @param {Map} ultimoPagoPorCredito - Fecha YYYY-MM-DD del último pago por id_credito
+ * @param {Object} politica - Política de crédito
+ * @param {string} desde - Inicio de la ventana YYYY-MM-DD
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {Object} { vencimientos, puntuales, atrasados, dias_atraso_max, porcentaje_puntual }
+ */
+function resumirHistorialPago(creditos, cuotasPorCredito, ultimoPagoPorCredito, politica, desde, hoy) {
+  const tolerancia = politica.revision_tolerancia_dias;
+  let puntuales = 0;
+  let atrasados = 0;
+  let diasAtrasoMax = 0;
+
+  const evaluar = (fecha_vencimiento, pagado, fecha_pago) => {
+    const vencimiento = String(fecha_vencimiento).split('T')[0];
+    if (vencimiento < desde || vencimiento >= hoy) return;
+
+    const atraso = pagado
+      ? (fecha_pago ? diasAtraso(vencimiento, fecha_pago) : 0)
+      : diasAtraso(vencimiento, hoy);
+
+    diasAtrasoMax = Math.max(diasAtrasoMax, atraso);
+    if (atraso > tolerancia) {
+      atrasados++;
+    } else if (pagado) {
+      puntuales++;
+    }
+    // Un vencimiento sin pagar dentro de la tolerancia todavía no cuenta
+  };
+
+  for (const credito of creditos) {
+    const cuotas = cuotasPorCredito.get(credito.id_credito) || [];
+
+    if (cuotas.length > 0) {
+      cuotas.forEach(c => evaluar(c.fecha_vencimiento, c.estado === ESTADOS_CUOTA.PAGADA, c.fecha_pago));
+    } else {
+      const pagado = credito.estado === ESTADOS_CREDITO.PAGADO;
+      evaluar(credito.fecha_vencimiento, pagado, ultimoPagoPorCredito.get(credito.id_credito));
+    }
+  }
+
+  const vencimientos = puntuales + atrasados;
+
+  return {
+    vencimientos,
+    puntuales,
+    atrasados,
+    dias_atraso_max: diasAtrasoMax,
+    porcentaje_puntual: vencimientos > 0 ? Math.round((puntuales / vencimientos) * 10000) / 100 : null
+  };
+}
+
+/**
+ * Revisa el historial de pago de los clientes de crédito y propone cambios de límite
+ * - DISMINUCION: menos de la mitad de sus vencimientos pagados a tiempo, o atraso actual
+ *   mayor a dias_atraso_maximo (30 días si no hay tope configurado)
+ * - AUMENTO: todos sus vencimientos pagados a tiempo y sin atraso actual
+ * Solo evalúa clientes con límite mayor a 0, al menos revision_minimo_vencimientos
+ * vencimientos en la ventana y sin otra propuesta pendiente. Las propuestas quedan
+ * PENDIENTES hasta que un administrador las apruebe o rechace
+ * @returns {Promise<Object>} Resumen de la revisión
+ */
+async function revisarLimites() {
+  const politica = await obtenerPolitica();
+
+  if (!politica.revision_activa) {
+    return { revision_activa: false, clientes_evaluados: 0, propuestas: [] };
+  }
+
+  const hoy = obtenerFechaHoyGuatemala();
+  const inicio = obtenerFechaGuatemala();
+  inicio.setDate(inicio.getDate() - politica.revision_dias_historial);
+  const desde = formatearFecha(inicio);
+
+  const clientes = (await clientesRepository.obtenerPorTipo('CREDITO'))
+    .filter(c => parseFloat(c.limite_credito || 0) > 0);
+  const pendientes = await politicaCreditoRepository.obtenerPropuestas({ estado: ESTADOS_PROPUESTA.PENDIENTE });
+  const conPropuesta = new Set(pendientes.map(p => p.id_cliente));
+
+  const creditos = await creditosRepository.obtenerParaRevisionLimites(desde);
+  const idsCredito = creditos.map(c => c.id_credito);
+
+  const TAMANIO_LOTE = 250;
+  const cuotasPorCredito = new Map();
+  for (let i = 0; i < idsCredito.length; i += TAMANIO_LOTE) {
+    const cuotas = await cuotasRepository.obtenerPorCreditos(idsCredito.slice(i, i + TAMANIO_LOTE));
+    cuotas.forEach(c => {
+      if (!cuotasPorCredito.has(c.id_credito)) cuotasPorCredito.set(c.id_credito, []);
+      cuotasPorCredito.get(c.id_credito).push(c);
+    });
+  }
+
+  // El último pago solo hace falta para los créditos sin plan que ya se pagaron
+  const idsPagados = creditos
+    .filter(c => c.estado === ESTADOS_CREDITO.PAGADO && !cuotasPorCredito.has(c.id_credito))
+    .map(c => c.id_credito);
+  const ultimoPagoPorCredito = new Map();
+  for (const pago of await pagosRepository.obtenerFechasPagoPorCreditos(idsPagados)) {
+    const fecha = formatearFecha(convertirAGuatemala(pago.fecha_pago));
+    if (fecha > (ultimoPagoPorCredito.get(pago.id_credito) || '')) {
+      ultimoPagoPorCredito.set(pago.id_credito, fecha);
+    }
+  }
+
+  const creditosPorCliente = new Map();
+  creditos.forEach(c => {
+    if (!creditosPorCliente.has(c.id_cliente)) creditosPorCliente.set(c.id_cliente, []);
+    creditosPorCliente.get(c.id_cliente).push(c);
+  });
+
+  const ajuste = parseFloat(politica.revision_porcentaje_ajuste) / 100;
+  const atrasoMaximo = politica.dias_atraso_maximo ?? 30;
+  const nuevas = [];
+
+  for (const cliente of clientes) {
+    if (conPropuesta.has(cliente.id_cliente)) continue;
+
+    const historial = resumirHistorialPago(
+      creditosPorCliente.get(cliente.id_cliente) || [],
+      cuotasPorCredito,
+      ultimoPagoPorCredito,
+      politica,
+      desde,
+      hoy
+    );
+
+    if (historial.vencimientos < politica.revision_minimo_vencimientos) continue;
+
+    const limiteActual = parseFloat(cliente.limite_credito);
+    const atrasoActual = calcularAtrasoActual(creditosPorCliente.get(cliente.id_cliente) || [], cuotasPorCredito, hoy);
+
+    let tipo = null;
+    let motivo = null;
+
+    if (historial.porcentaje_puntual < 50 || atrasoActual > atrasoMaximo) {
+      tipo = TIPOS_PROPUESTA.DISMINUCION;
+      motivo = atrasoActual > atrasoMaximo
+        ? `Tiene un vencimiento con ${atrasoActual} días de atraso`
+        : `Pagó a tiempo solo ${historial.puntuales} de ${historial.vencimientos} vencimientos`;
+    } else if (historial.atrasados === 0 && atrasoActual === 0) {
+      tipo = TIPOS_PROPUESTA.AUMENTO;
+      motivo = `Pagó a tiempo sus ${historial.vencimientos} vencimientos de los últimos ` +
+        `${politica.revision_dias_historial} días`;
+    }
+
+    if (!tipo) continue;
+
+    const limitePropuesto = redondearLimite(
+      tipo === TIPOS_PROPUESTA.AUMENTO ? limiteActual * (1 + ajuste) : limiteActual * (1 - ajuste)
+    );
+    if (limitePropuesto === limiteActual) continue;
+
+    nuevas.push({
+      id_cliente: cliente.id_cliente,
+      tipo,
+      limite_actual: limiteActual,
+      limite_propuesto: limitePropuesto,
+      motivo,
+      indicadores: { ...historial, desde, hasta: hoy },
+      estado: ESTADOS_PROPUESTA.PENDIENTE
+    });
+  }
+
+  const propuestas = await politicaCreditoRepository.crearPropuestas(nuevas);
+
+  logger.info(`Revisión de límites: ${propuestas.length} propuestas para ${clientes.length} clientes evaluados`);
+
+  return {
+    revision_activa: true,
+    clientes_evaluados: clientes.length,
+    aumentos: propuestas.filter(p => p.tipo === TIPOS_PROPUESTA.AUMENTO).length,
+    disminuciones: propuestas.filter(p => p.tipo === TIPOS_PROPUESTA.DISMINUCION).length,
+    propuestas
+  };
+}
+
+/**
+ * Obtiene las propuestas de límite
+ * @param {Object} filtros - { estado, id_cliente }
+ * @returns {Promise<Array>} Propuestas
+ */
+async function obtenerPropuestas(filtros = {}) {
+  return await politicaCreditoRepository.obtenerPropuestas(filtros);
+}
+
+/**
+ * Aprueba o rechaza una propuesta de límite pendiente
+ * Al aprobarla se actualiza el limite_credito del cliente con el valor propuesto
+ * @param {string} id_propuesta - UUID de la propuesta
+ * @param {Object} datos - { aprobar, observaciones, id_usuario }
+ * @returns {Promise<Object>} { propuesta, cliente }
+ */
+async function resolverPropuesta(id_propuesta, datos) {
+  const propuesta = await politicaCreditoRepository.obtenerPropuestaPorId(id_propuesta);
+
+  if (propuesta.estado !== ESTADOS_PROPUESTA.PENDIENTE) {
+    throw new ErrorConflicto(`La propuesta ya fue ${propuesta.estado === ESTADOS_PROPUESTA.APROBADA ? 'aprobada' : 'rechazada'}`);
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Cerrar la propuesta (solo si sigue pendiente)
+    const resuelta = await politicaCreditoRepository.resolverPropuesta(id_propuesta, {
+      estado: datos.aprobar ? ESTADOS_PROPUESTA.APROBADA : ESTADOS_PROPUESTA.RECHAZADA,
+      observaciones: datos.observaciones || null,
+      id_usuario_resolucion: datos.id_usuario
+    });
+
+    if (!resuelta) {
+      throw new ErrorConflicto('La propuesta ya fue resuelta');
+    }
+    compensaciones.registrar('Reabrir propuesta de límite', () =>
+      politicaCreditoRepository.reabrirPropuesta(id_propuesta)
+    );
+
+    // 2. Aplicar el nuevo límite al cliente
+    let cliente = null;
+    if (datos.aprobar) {
+      cliente = await clientesRepository.actualizar(propuesta.id_cliente, {
+        limite_credito: parseFloat(propuesta.limite_propuesto)
+      });
+    }
+
+    return { propuesta: resuelta, cliente };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+module.exports = {
+  // Constantes
+  MOTIVOS_BLOQUEO,
+  TIPOS_PROPUESTA,
+  ESTADOS_PROPUESTA,
+
+  // Política
+  obtenerPolitica,
+  actualizarPolitica,
+
+  // Bloqueo y autorizaciones
+  evaluarCliente,
+  obtenerEstadoCliente,
+  validarVentaCredito,
+  usarAutorizacion,
+  autorizarCredito,
+  obtenerAutorizaciones,
+
+  // Revisión de límites
+  revisarLimites,
+  obtenerPropuestas,
+  resolverPropuesta
+};
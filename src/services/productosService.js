@@ -6,6 +6,9 @@
 
 const productosRepository = require('../repositories/productosRepository');
 const categoriasRepository = require('../repositories/categoriasRepository');
+const bodegasRepository = require('../repositories/bodegasRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const unidadesProductoRepository = require('../repositories/unidadesProductoRepository');
 const { ErrorValidacion, ErrorConflicto } = require('../utils/errores');
 
 /**
@@ -63,6 +66,16 @@ const validarDatosProducto = async (datos, idProductoExcluir = null) => {
     }
   }
 
+  // Validar costo promedio (opcional)
+  if (datos.costo_promedio !== undefined && datos.costo_promedio !== null) {
+    const costo = parseFloat(datos.costo_promedio);
+    if (isNaN(costo) || costo < 0) {
+      errores.push('El costo promedio debe ser un número positivo');
+    } else if (costo > 99999999.99) {
+      errores.push('El costo promedio es demasiado grande');
+    }
+  }
+
   // Validar unidad de medida
   if (datos.unidad_medida !== undefined) {
     if (!datos.unidad_medida || typeof datos.unidad_medida !== 'string') {
@@ -80,6 +93,11 @@ const validarDatosProducto = async (datos, idProductoExcluir = null) => {
     }
   }
 
+  // Validar exención de IVA
+  if (datos.exento_iva !== undefined && typeof datos.exento_iva !== 'boolean') {
+    errores.push('exento_iva debe ser true o false');
+  }
+
   // Validar cantidad en stock
   if (datos.cantidad_stock !== undefined && datos.cantidad_stock !== null) {
     const cantStock = parseInt(datos.cantidad_stock);
@@ -127,15 +145,22 @@ const obtenerPapelera = async () => {
 };
 
 /**
- * Obtener productos con stock bajo
- * @returns {Promise<Array>} Productos con stock bajo o agotado
+ * Obtener productos con stock bajo, evaluado por bodega
+ * @param {string} idBodega - UUID de la bodega (opcional)
+ * @returns {Promise<Array>} Productos con stock bajo o agotado en cada bodega
  */
-const obtenerStockBajo = async () => {
-  return await productosRepository.obtenerStockBajo();
+const obtenerStockBajo = async (idBodega = null) => {
+  if (idBodega) {
+    await bodegasRepository.obtenerPorId(idBodega);
+  }
+
+  return await productosRepository.obtenerStockBajo(idBodega);
 };
 
 /**
  * Obtener producto por ID
+ * cantidad_stock es el total de todas las bodegas; stock_bodegas trae el desglose.
+ * unidades son las unidades alternas en que se puede vender o mover el producto
  * @param {string} idProducto - UUID del producto
  * @returns {Promise<Object>} Producto encontrado
  */
@@ -144,7 +169,21 @@ const obtenerPorId = async (idProducto) => {
     throw new ErrorValidacion('ID de producto requerido');
   }
 
-  return await productosRepository.obtenerPorId(idProducto);
+  const producto = await productosRepository.obtenerPorId(idProducto);
+  const stockBodegas = await bodegasRepository.obtenerStockProducto(idProducto);
+  const unidades = await unidadesProductoRepository.obtenerPorProducto(idProducto);
+
+  return {
+    ...producto,
+    stock_bodegas: stockBodegas.map(s => ({
+      id_bodega: s.id_bodega,
+      bodega: s.bodegas?.nombre,
+      es_principal: s.bodegas?.es_principal || false,
+      cantidad_stock: s.cantidad_stock,
+      stock_minimo: s.stock_minimo ?? producto.stock_minimo
+    })),
+    unidades
+  };
 };
 
 /**
@@ -156,17 +195,31 @@ const crear = async (datosProducto) => {
   // Validar todos los datos
   await validarDatosProducto(datosProducto);
 
+  // El stock inicial queda en la bodega principal
+  const principal = await bodegasRepository.obtenerPrincipal();
+
   // Crear producto con cantidad_stock proporcionada o 0 por defecto
   const producto = await productosRepository.crear({
     id_categoria: datosProducto.id_categoria,
     nombre: datosProducto.nombre.trim(),
     descripcion: datosProducto.descripcion?.trim() || null,
     precio_venta: parseFloat(datosProducto.precio_venta),
+    // Costo del stock inicial; luego lo recalculan las ENTRADAS con costo
+    costo_promedio: parseFloat(datosProducto.costo_promedio || 0),
     unidad_medida: datosProducto.unidad_medida.trim(),
     stock_minimo: parseInt(datosProducto.stock_minimo || 0),
-    cantidad_stock: parseInt(datosProducto.cantidad_stock || 0)
+    cantidad_stock: parseInt(datosProducto.cantidad_stock || 0),
+    exento_iva: datosProducto.exento_iva === true
   });
 
+  try {
+    await bodegasRepository.crearStockInicial(producto.id_producto, principal.id_bodega, producto.cantidad_stock);
+  } catch (error) {
+    // Sin su registro de stock por bodega el producto quedaría descuadrado
+    await productosRepository.eliminarPermanentemente(producto.id_producto);
+    throw error;
+  }
+
   return producto;
 };
 
@@ -182,7 +235,7 @@ const actualizar = async (idProducto, datosActualizar) => {
   }
 
   // Verificar que el producto existe
-  await productosRepository.obtenerPorId(idProducto);
+  const producto = await productosRepository.obtenerPorId(idProducto);
 
   // Validar datos a actualizar
   await validarDatosProducto(datosActualizar, idProducto);
@@ -202,23 +255,40 @@ const actualizar = async (idProducto, datosActualizar) => {
   if (datosActualizar.precio_venta !== undefined) {
     datos.precio_venta = parseFloat(datosActualizar.precio_venta);
   }
+  // Corrección manual del costo (ej. productos existentes antes de registrar costos)
+  if (datosActualizar.costo_promedio !== undefined) {
+    datos.costo_promedio = parseFloat(datosActualizar.costo_promedio || 0);
+  }
   if (datosActualizar.unidad_medida) {
     datos.unidad_medida = datosActualizar.unidad_medida.trim();
   }
   if (datosActualizar.stock_minimo !== undefined) {
     datos.stock_minimo = parseInt(datosActualizar.stock_minimo || 0);
   }
+  if (datosActualizar.exento_iva !== undefined) {
+    datos.exento_iva = datosActualizar.exento_iva;
+  }
 
-  // Permitir actualizar cantidad_stock
+  // Permitir corregir cantidad_stock: cantidad_stock es el total de las bodegas,
+  // por lo que la diferencia se aplica a la bodega principal de forma atómica
+  let ajusteStock = 0;
   if (datosActualizar.cantidad_stock !== undefined) {
-    datos.cantidad_stock = parseInt(datosActualizar.cantidad_stock || 0);
+    ajusteStock = parseInt(datosActualizar.cantidad_stock || 0) - producto.cantidad_stock;
   }
 
-  if (Object.keys(datos).length === 0) {
+  if (Object.keys(datos).length === 0 && datosActualizar.cantidad_stock === undefined) {
     throw new ErrorValidacion('No hay datos para actualizar');
   }
 
-  return await productosRepository.actualizar(idProducto, datos);
+  if (Object.keys(datos).length > 0) {
+    await productosRepository.actualizar(idProducto, datos);
+  }
+
+  if (ajusteStock !== 0) {
+    await movimientosRepository.ajustarStock(idProducto, ajusteStock);
+  }
+
+  return await productosRepository.obtenerPorId(idProducto);
 };
 
 /**
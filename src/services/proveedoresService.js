@@ -0,0 +1,176 @@
+/**
+ * Servicio de Proveedores
+ * Gestiona la lógica de negocio del catálogo de proveedores
+ */
+
+const proveedoresRepository = require('../repositories/proveedoresRepository');
+const { ErrorValidacion } = require('../utils/errores');
+
+/**
+ * Valida el formato de un correo electrónico
+ * @param {string} correo - Correo a validar
+ * @returns {boolean} true si es válido
+ */
+function validarFormatoCorreo(correo) {
+  if (!correo) return true; // Correo es opcional
+  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return regex.test(correo);
+}
+
+/**
+ * Valida los datos de un proveedor
+ * @param {Object} datos - Datos del proveedor a validar
+ * @param {boolean} esActualizacion - Si es una actualización
+ * @throws {ErrorValidacion} Si los datos son inválidos
+ */
+async function validarDatosProveedor(datos, esActualizacion = false) {
+  const errores = [];
+
+  // Validar nombre (requerido)
+  if (!esActualizacion || datos.nombre !== undefined) {
+    if (!datos.nombre || datos.nombre.trim() === '') {
+      errores.push('El nombre es requerido');
+    } else if (datos.nombre.length > 150) {
+      errores.push('El nombre no puede exceder 150 caracteres');
+    }
+  }
+
+  // Validar NIT (opcional, único)
+  if (datos.nit) {
+    if (datos.nit.length > 20) {
+      errores.push('El NIT no puede exceder 20 caracteres');
+    } else {
+      const nitExiste = await proveedoresRepository.existeNit(
+        datos.nit.trim().toUpperCase(),
+        datos.id_proveedor // Excluir el ID actual en actualizaciones
+      );
+      if (nitExiste) {
+        errores.push('Ya existe un proveedor con ese NIT');
+      }
+    }
+  }
+
+  // Validar correo (opcional)
+  if (datos.correo && !validarFormatoCorreo(datos.correo)) {
+    errores.push('El formato del correo electrónico no es válido');
+  }
+
+  // Validar días de entrega (opcional)
+  if (datos.dias_entrega !== undefined && datos.dias_entrega !== null) {
+    if (!Number.isInteger(datos.dias_entrega) || datos.dias_entrega < 0) {
+      errores.push('Los días de entrega deben ser un número entero no negativo');
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Datos de proveedor inválidos', errores);
+  }
+}
+
+/**
+ * Crea un nuevo proveedor
+ * @param {Object} datos - Datos del proveedor
+ * @returns {Promise<Object>} Proveedor creado
+ */
+async function crear(datos) {
+  await validarDatosProveedor(datos, false);
+
+  return await proveedoresRepository.crear({
+    nombre: datos.nombre.trim(),
+    nit: datos.nit ? datos.nit.trim().toUpperCase() : null,
+    contacto: datos.contacto ? datos.contacto.trim() : null,
+    telefono: datos.telefono || null,
+    correo: datos.correo ? datos.correo.trim().toLowerCase() : null,
+    direccion: datos.direccion || null,
+    dias_entrega: datos.dias_entrega ?? null,
+    estado: true
+  });
+}
+
+/**
+ * Actualiza un proveedor existente
+ * @param {string} id - UUID del proveedor
+ * @param {Object} datos - Datos a actualizar
+ * @returns {Promise<Object>} Proveedor actualizado
+ */
+async function actualizar(id, datos) {
+  // Verificar que el proveedor existe
+  await proveedoresRepository.obtenerPorId(id);
+
+  await validarDatosProveedor({ ...datos, id_proveedor: id }, true);
+
+  const datosActualizacion = {};
+
+  if (datos.nombre !== undefined) {
+    datosActualizacion.nombre = datos.nombre.trim();
+  }
+  if (datos.nit !== undefined) {
+    datosActualizacion.nit = datos.nit ? datos.nit.trim().toUpperCase() : null;
+  }
+  if (datos.contacto !== undefined) {
+    datosActualizacion.contacto = datos.contacto ? datos.contacto.trim() : null;
+  }
+  if (datos.telefono !== undefined) {
+    datosActualizacion.telefono = datos.telefono || null;
+  }
+  if (datos.correo !== undefined) {
+    datosActualizacion.correo = datos.correo ? datos.correo.trim().toLowerCase() : null;
+  }
+  if (datos.direccion !== undefined) {
+    datosActualizacion.direccion = datos.direccion || null;
+  }
+  if (datos.dias_entrega !== undefined) {
+    datosActualizacion.dias_entrega = datos.dias_entrega;
+  }
+
+  return await proveedoresRepository.actualizar(id, datosActualizacion);
+}
+
+/**
+ * Obtiene todos los proveedores con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Proveedores y metadatos de paginación
+ */
+async function obtenerProveedores(filtros = {}) {
+  return await proveedoresRepository.obtenerTodos(filtros);
+}
+
+/**
+ * Obtiene un proveedor por ID
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor encontrado
+ */
+async function obtenerProveedorPorId(id) {
+  return await proveedoresRepository.obtenerPorId(id);
+}
+
+/**
+ * Activa un proveedor
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor activado
+ */
+async function activar(id) {
+  return await proveedoresRepository.activar(id);
+}
+
+/**
+ * Desactiva un proveedor
+ * Un proveedor inactivo no puede recibir nuevas órdenes de compra
+ * @param {string} id - UUID del proveedor
+ * @returns {Promise<Object>} Proveedor desactivado
+ */
+async function desactivar(id) {
+  return await proveedoresRepository.desactivar(id);
+}
+
+module.exports = {
+  // Funciones principales
+  crear,
+  actualizar,
+  activar,
+  desactivar,
+
+  // Consultas
+  obtenerProveedores,
+  obtenerProveedorPorId
+};
@@ -0,0 +1,243 @@
+/**
+ * Servicio de Recetas de Producción
+ * Gestiona la lista de materiales (componentes y cantidades) de cada producto terminado
+ */
+
+const recetasRepository = require('../repositories/recetasRepository');
+const productosRepository = require('../repositories/productosRepository');
+const unidadesProductoService = require('./unidadesProductoService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Indica si la receta activa de un producto usa (directa o indirectamente) otro producto
+ * Se usa para impedir recetas circulares (ej. una puerta que lleva un marco que lleva la puerta)
+ * @param {string} id_producto - Producto cuya receta se recorre
+ * @param {string} id_buscado - Producto que no debe aparecer entre sus componentes
+ * @param {Set} visitados - Productos ya recorridos
+ * @returns {Promise<boolean>} true si la receta usa el producto buscado
+ */
+async function recetaUsaProducto(id_producto, id_buscado, visitados = new Set()) {
+  if (visitados.has(id_producto)) {
+    return false;
+  }
+  visitados.add(id_producto);
+
+  const receta = await recetasRepository.obtenerActivaPorProducto(id_producto);
+  if (!receta) {
+    return false;
+  }
+
+  const componentes = await recetasRepository.obtenerComponentes(receta.id_receta);
+  for (const componente of componentes) {
+    if (componente.id_producto === id_buscado) {
+      return true;
+    }
+    if (await recetaUsaProducto(componente.id_producto, id_buscado, visitados)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Valida los componentes de una receta
+ * @param {string} id_producto - UUID del producto terminado
+ * @param {Array} componentes - Componentes [{id_producto, cantidad}]
+ * @throws {ErrorValidacion} Si algún componente es inválido
+ */
+async function validarComponentes(id_producto, componentes) {
+  const errores = [];
+
+  if (!Array.isArray(componentes) || componentes.length === 0) {
+    throw new ErrorValidacion('La receta debe tener al menos un componente');
+  }
+
+  const vistos = new Set();
+
+  for (let i = 0; i < componentes.length; i++) {
+    const item = componentes[i];
+
+    if (vistos.has(item.id_producto)) {
+      errores.push(`Componente ${i + 1}: está repetido en la receta`);
+      continue;
+    }
+    vistos.add(item.id_producto);
+
+    if (item.id_producto === id_producto) {
+      errores.push(`Componente ${i + 1}: un producto no puede ser componente de sí mismo`);
+      continue;
+    }
+
+    // En unidad base, con la misma precisión con que se guarda el stock
+    if (typeof item.cantidad !== 'number' || !(item.cantidad > 0) ||
+        unidadesProductoService.redondearCantidad(item.cantidad) !== item.cantidad) {
+      errores.push(`Componente ${i + 1}: La cantidad debe ser un número mayor a 0 con máximo 3 decimales`);
+    }
+
+    try {
+      const producto = await productosRepository.obtenerPorId(item.id_producto);
+      if (!producto.estado) {
+        errores.push(`${producto.nombre}: está inactivo`);
+      } else if (await recetaUsaProducto(item.id_producto, id_producto)) {
+        errores.push(`${producto.nombre}: su receta ya usa el producto terminado (receta circular)`);
+      }
+    } catch (error) {
+      errores.push(`Componente ${i + 1}: no encontrado`);
+    }
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Componentes de la receta inválidos', errores);
+  }
+}
+
+/**
+ * Verifica que el producto no tenga otra receta activa
+ * @param {string} id_producto - UUID del producto terminado
+ * @param {string} id_receta_excluir - Receta a ignorar (al reactivarla)
+ * @throws {ErrorConflicto} Si ya existe una receta activa
+ */
+async function verificarRecetaUnica(id_producto, id_receta_excluir = null) {
+  const activa = await recetasRepository.obtenerActivaPorProducto(id_producto);
+  if (activa && activa.id_receta !== id_receta_excluir) {
+    throw new ErrorConflicto(
+      'El producto ya tiene una receta activa. Desactívela o modifíquela en lugar de crear otra'
+    );
+  }
+}
+
+/**
+ * Crea la receta de un producto terminado
+ * @param {Object} datos - Datos de la receta
+ * @param {string} datos.id_producto - UUID del producto terminado
+ * @param {string} datos.descripcion - Descripción (opcional)
+ * @param {Array} datos.componentes - Componentes por unidad producida [{id_producto, cantidad}]
+ * @returns {Promise<Object>} Receta creada con componentes y costo estimado
+ */
+async function crear(datos) {
+  const producto = await productosRepository.obtenerPorId(datos.id_producto);
+  if (!producto.estado) {
+    throw new ErrorConflicto('El producto terminado está inactivo');
+  }
+
+  await verificarRecetaUnica(datos.id_producto);
+  await validarComponentes(datos.id_producto, datos.componentes);
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const receta = await recetasRepository.crear({
+      id_producto: datos.id_producto,
+      descripcion: datos.descripcion ? datos.descripcion.trim() : null
+    });
+    compensaciones.registrar('Eliminar receta', () =>
+      recetasRepository.eliminar(receta.id_receta)
+    );
+
+    await recetasRepository.reemplazarComponentes(receta.id_receta, datos.componentes);
+
+    return await obtenerRecetaPorId(receta.id_receta);
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Actualiza una receta
+ * Si se envían componentes, reemplazan completamente los actuales.
+ * Las órdenes de producción ya creadas conservan los componentes con que se crearon
+ * @param {string} id - UUID de la receta
+ * @param {Object} datos - Datos a actualizar {descripcion, componentes}
+ * @returns {Promise<Object>} Receta actualizada
+ */
+async function actualizar(id, datos) {
+  const receta = await recetasRepository.obtenerPorId(id);
+
+  if (datos.componentes !== undefined) {
+    await validarComponentes(receta.id_producto, datos.componentes);
+    await recetasRepository.reemplazarComponentes(id, datos.componentes);
+  }
+
+  const datosActualizacion = {};
+  if (datos.descripcion !== undefined) {
+    datosActualizacion.descripcion = datos.descripcion ? datos.descripcion.trim() : null;
+  }
+
+  // Siempre se actualiza fecha_actualizacion, también cuando solo cambian los componentes
+  await recetasRepository.actualizar(id, datosActualizacion);
+
+  return await obtenerRecetaPorId(id);
+}
+
+/**
+ * Activa una receta (solo puede haber una activa por producto)
+ * @param {string} id - UUID de la receta
+ * @returns {Promise<Object>} Receta activada
+ */
+async function activar(id) {
+  const receta = await recetasRepository.obtenerPorId(id);
+  await verificarRecetaUnica(receta.id_producto, id);
+
+  return await recetasRepository.actualizar(id, { estado: true });
+}
+
+/**
+ * Desactiva una receta; ya no se pueden crear órdenes de producción con ella
+ * @param {string} id - UUID de la receta
+ * @returns {Promise<Object>} Receta desactivada
+ */
+async function desactivar(id) {
+  return await recetasRepository.actualizar(id, { estado: false });
+}
+
+/**
+ * Obtiene recetas con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Recetas y metadatos de paginación
+ */
+async function obtenerRecetas(filtros = {}) {
+  return await recetasRepository.obtenerTodas(filtros);
+}
+
+/**
+ * Obtiene una receta con sus componentes y el costo estimado por unidad
+ * El costo estimado usa el costo promedio vigente de cada componente
+ * @param {string} id - UUID de la receta
+ * @returns {Promise<Object>} Receta completa
+ */
+async function obtenerRecetaPorId(id) {
+  const receta = await recetasRepository.obtenerPorId(id);
+  const componentes = await recetasRepository.obtenerComponentes(id);
+
+  const detalle = componentes.map(c => {
+    const costoUnitario = parseFloat(c.productos?.costo_promedio) || 0;
+    return {
+      ...c,
+      costo_unitario: costoUnitario,
+      costo_total: parseFloat((c.cantidad * costoUnitario).toFixed(2))
+    };
+  });
+
+  return {
+    ...receta,
+    componentes: detalle,
+    costo_estimado: parseFloat(detalle.reduce((sum, c) => sum + c.costo_total, 0).toFixed(2))
+  };
+}
+
+module.exports = {
+  // Funciones principales
+  crear,
+  actualizar,
+  activar,
+  desactivar,
+
+  // Consultas
+  obtenerRecetas,
+  obtenerRecetaPorId
+};
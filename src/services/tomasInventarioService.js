@@ -0,0 +1,494 @@
+/**
+ * Servicio de Tomas de Inventario
+ * Gestiona sesiones de conteo físico: snapshot del stock, conteos de varios usuarios,
+ * reporte de diferencias y publicación de ajustes (ABIERTA → PUBLICADA o CANCELADA)
+ */
+
+const tomasInventarioRepository = require('../repositories/tomasInventarioRepository');
+const categoriasRepository = require('../repositories/categoriasRepository');
+const bodegasRepository = require('../repositories/bodegasRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const movimientosService = require('./movimientosService');
+const unidadesProductoService = require('./unidadesProductoService');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
+const { generarCSV } = require('../utils/csv');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+const { obtenerFechaGuatemala, formatearISO } = require('../utils/fechas');
+
+/**
+ * Estados de toma de inventario permitidos
+ */
+const ESTADOS_TOMA = {
+  ABIERTA: 'ABIERTA',
+  PUBLICADA: 'PUBLICADA',
+  CANCELADA: 'CANCELADA'
+};
+
+/**
+ * Formatea el número visible de una toma (ej. TI-000007)
+ * Se usa como referencia de los movimientos de ajuste generados al publicar
+ * @param {Object} toma - Toma con su número correlativo
+ * @returns {string} Número de la toma
+ */
+function formatearNumeroToma(toma) {
+  return `TI-${String(toma.numero).padStart(6, '0')}`;
+}
+
+/**
+ * Calcula, por producto, lo contado (suma de los conteos de todos los usuarios)
+ * y la diferencia contra el stock del snapshot
+ * @param {Array} detalles - Snapshot de la toma
+ * @param {Array} conteos - Conteos registrados
+ * @returns {Array} Líneas con stock_sistema, cantidad_contada, diferencia y valor_diferencia
+ */
+function calcularDiferencias(detalles, conteos) {
+  const conteosPorProducto = {};
+  for (const conteo of conteos) {
+    if (!conteosPorProducto[conteo.id_producto]) {
+      conteosPorProducto[conteo.id_producto] = [];
+    }
+    conteosPorProducto[conteo.id_producto].push(conteo);
+  }
+
+  return detalles.map(detalle => {
+    const conteosProducto = conteosPorProducto[detalle.id_producto] || [];
+    const contado = conteosProducto.length > 0
+      ? unidadesProductoService.redondearCantidad(
+        conteosProducto.reduce((sum, c) => sum + parseFloat(c.cantidad), 0)
+      )
+      : null;
+    // El stock del sistema puede tener decimales (productos vendidos en unidades alternas)
+    const diferencia = contado === null
+      ? null
+      : parseFloat((contado - parseFloat(detalle.stock_sistema)).toFixed(3));
+    const costo = parseFloat(detalle.costo_unitario) || 0;
+
+    return {
+      id_detalle: detalle.id_detalle,
+      id_producto: detalle.id_producto,
+      producto: detalle.productos?.nombre,
+      categoria: detalle.productos?.categorias?.nombre,
+      unidad_medida: detalle.productos?.unidad_medida,
+      stock_sistema: detalle.stock_sistema,
+      cantidad_contada: contado,
+      diferencia,
+      costo_unitario: costo,
+      valor_diferencia: diferencia === null ? 0 : parseFloat((diferencia * costo).toFixed(2)),
+      id_movimiento: detalle.id_movimiento || null,
+      conteos: conteosProducto.map(c => ({
+        id_usuario: c.id_usuario,
+        usuario: c.usuarios?.nombre,
+        cantidad: c.cantidad,
+        observaciones: c.observaciones,
+        fecha_conteo: c.fecha_conteo
+      }))
+    };
+  });
+}
+
+/**
+ * Resume las diferencias de una toma
+ * @param {Array} lineas - Líneas calculadas con calcularDiferencias
+ * @returns {Object} Totales de avance y de diferencias
+ */
+function resumirDiferencias(lineas) {
+  const contadas = lineas.filter(l => l.cantidad_contada !== null);
+  const sobrantes = contadas.filter(l => l.diferencia > 0);
+  const faltantes = contadas.filter(l => l.diferencia < 0);
+
+  const valorSobrante = sobrantes.reduce((sum, l) => sum + l.valor_diferencia, 0);
+  const valorFaltante = faltantes.reduce((sum, l) => sum + l.valor_diferencia, 0);
+
+  return {
+    total_productos: lineas.length,
+    productos_contados: contadas.length,
+    productos_sin_contar: lineas.length - contadas.length,
+    productos_con_diferencia: sobrantes.length + faltantes.length,
+    productos_sobrantes: sobrantes.length,
+    productos_faltantes: faltantes.length,
+    valor_sobrante: parseFloat(valorSobrante.toFixed(2)),
+    valor_faltante: parseFloat(valorFaltante.toFixed(2)),
+    valor_neto: parseFloat((valorSobrante + valorFaltante).toFixed(2))
+  };
+}
+
+/**
+ * Abre una toma de inventario y guarda el snapshot del stock de la bodega
+ * No se permite abrir una toma que se traslape con otra ABIERTA de la misma bodega
+ * (misma categoría, o alguna de las dos abarca todo el inventario)
+ * @param {Object} datos - Datos de la toma
+ * @param {string} datos.descripcion - Descripción (ej. "Inventario semestral junio")
+ * @param {string} datos.id_categoria - UUID de la categoría a contar (opcional)
+ * @param {string} datos.id_bodega - UUID de la bodega a contar (opcional; default principal)
+ * @param {string} datos.id_usuario - UUID del usuario que abre la toma
+ * @returns {Promise<Object>} Toma creada con su resumen
+ */
+async function abrirToma(datos) {
+  const bodega = datos.id_bodega
+    ? await bodegasRepository.obtenerPorId(datos.id_bodega)
+    : await bodegasRepository.obtenerPrincipal();
+  if (!bodega.estado) {
+    throw new ErrorConflicto('La bodega seleccionada no está activa');
+  }
+
+  if (datos.id_categoria) {
+    const categoria = await categoriasRepository.obtenerPorId(datos.id_categoria);
+    if (!categoria.estado) {
+      throw new ErrorConflicto('La categoría seleccionada no está activa');
+    }
+  }
+
+  const abiertas = await tomasInventarioRepository.obtenerAbiertas();
+  const traslape = abiertas.find(t =>
+    t.id_bodega === bodega.id_bodega &&
+    (!t.id_categoria || !datos.id_categoria || t.id_categoria === datos.id_categoria)
+  );
+  if (traslape) {
+    throw new ErrorConflicto(
+      `Ya existe una toma abierta que incluye estos productos: ${formatearNumeroToma(traslape)}`
+    );
+  }
+
+  const productos = await tomasInventarioRepository.obtenerProductosParaConteo(datos.id_categoria);
+  if (productos.length === 0) {
+    throw new ErrorValidacion('No hay productos activos para contar');
+  }
+
+  const stockBodega = await bodegasRepository.obtenerStockPorBodega(bodega.id_bodega);
+  const stockPorProducto = {};
+  for (const s of stockBodega) {
+    stockPorProducto[s.id_producto] = s.cantidad_stock;
+  }
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const toma = await tomasInventarioRepository.crear({
+      descripcion: datos.descripcion,
+      id_categoria: datos.id_categoria,
+      id_bodega: bodega.id_bodega,
+      id_usuario: datos.id_usuario
+    });
+    compensaciones.registrar('Eliminar toma de inventario', () =>
+      tomasInventarioRepository.eliminar(toma.id_toma)
+    );
+
+    // Snapshot del stock de la bodega y del costo al momento de abrir
+    await tomasInventarioRepository.crearDetalles(
+      productos.map(p => ({
+        id_toma: toma.id_toma,
+        id_producto: p.id_producto,
+        stock_sistema: stockPorProducto[p.id_producto] || 0,
+        costo_unitario: p.costo_promedio || 0
+      }))
+    );
+
+    return await obtenerTomaPorId(toma.id_toma);
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Registra los conteos de un usuario en una toma ABIERTA
+ * Varios usuarios pueden contar el mismo producto (por ejemplo, en distintas ubicaciones);
+ * la cantidad contada del producto es la suma de sus conteos. Reenviar un conteo lo corrige
+ * @param {string} id - UUID de la toma
+ * @param {Object} datos - Datos del conteo
+ * @param {Array} datos.conteos - [{id_producto, cantidad, observaciones}]
+ * @param {string} datos.id_usuario - UUID del usuario que cuenta
+ * @returns {Promise<Object>} Conteos guardados y avance de la toma
+ */
+async function registrarConteos(id, datos) {
+  const toma = await tomasInventarioRepository.obtenerPorId(id);
+
+  if (toma.estado !== ESTADOS_TOMA.ABIERTA) {
+    throw new ErrorConflicto(`Solo se puede contar en tomas ABIERTA. Estado actual: ${toma.estado}`);
+  }
+
+  if (!Array.isArray(datos.conteos) || datos.conteos.length === 0) {
+    throw new ErrorValidacion('Debe incluir al menos un conteo');
+  }
+
+  const detalles = await tomasInventarioRepository.obtenerDetalles(id);
+  const productosToma = new Set(detalles.map(d => d.id_producto));
+
+  const errores = [];
+  const vistos = new Set();
+  datos.conteos.forEach((conteo, i) => {
+    if (!productosToma.has(conteo.id_producto)) {
+      errores.push(`Conteo ${i + 1}: el producto no pertenece a esta toma`);
+    } else if (vistos.has(conteo.id_producto)) {
+      errores.push(`Conteo ${i + 1}: el producto está repetido`);
+    }
+    vistos.add(conteo.id_producto);
+
+    if (typeof conteo.cantidad !== 'number' || !(conteo.cantidad >= 0) ||
+        unidadesProductoService.redondearCantidad(conteo.cantidad) !== conteo.cantidad) {
+      errores.push(`Conteo ${i + 1}: la cantidad debe ser un número mayor o igual a 0 con máximo 3 decimales`);
+    }
+  });
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Conteos inválidos', errores);
+  }
+
+  const guardados = await tomasInventarioRepository.registrarConteos(
+    datos.conteos.map(c => ({
+      id_toma: id,
+      id_producto: c.id_producto,
+      id_usuario: datos.id_usuario,
+      cantidad: c.cantidad,
+      observaciones: c.observaciones || null
+    }))
+  );
+
+  const conteos = await tomasInventarioRepository.obtenerConteos(id);
+  const resumen = resumirDiferencias(calcularDiferencias(detalles, conteos));
+
+  return {
+    conteos_registrados: guardados.length,
+    avance: {
+      total_productos: resumen.total_productos,
+      productos_contados: resumen.productos_contados,
+      productos_sin_contar: resumen.productos_sin_contar
+    }
+  };
+}
+
+/**
+ * Obtiene el reporte de diferencias de una toma (conteo vs. snapshot del sistema)
+ * @param {string} id - UUID de la toma
+ * @param {Object} opciones - Opciones del reporte
+ * @param {boolean} opciones.soloDiferencias - Excluir productos sin diferencia (default false)
+ * @returns {Promise<Object>} Toma, resumen y líneas
+ */
+async function obtenerReporteDiferencias(id, opciones = {}) {
+  const toma = await tomasInventarioRepository.obtenerPorId(id);
+  const detalles = await tomasInventarioRepository.obtenerDetalles(id);
+  const conteos = await tomasInventarioRepository.obtenerConteos(id);
+
+  const lineas = calcularDiferencias(detalles, conteos);
+
+  return {
+    toma: {
+      ...toma,
+      numero_toma: formatearNumeroToma(toma)
+    },
+    resumen: resumirDiferencias(lineas),
+    lineas: opciones.soloDiferencias
+      ? lineas.filter(l => l.diferencia !== null && l.diferencia !== 0)
+      : lineas
+  };
+}
+
+/**
+ * Exporta el reporte de diferencias de una toma en CSV
+ * @param {string} id - UUID de la toma
+ * @param {Object} opciones - Mismas opciones que obtenerReporteDiferencias
+ * @returns {Promise<Object>} { nombreArchivo, contenido }
+ */
+async function exportarReporteDiferencias(id, opciones = {}) {
+  const reporte = await obtenerReporteDiferencias(id, opciones);
+
+  const filas = reporte.lineas.map(l => ({
+    ...l,
+    cantidad_contada: l.cantidad_contada === null ? 'SIN CONTAR' : l.cantidad_contada,
+    diferencia: l.diferencia === null ? '' : l.diferencia,
+    contado_por: l.conteos.map(c => `${c.usuario}: ${c.cantidad}`).join(' | ')
+  }));
+
+  const contenido = generarCSV(
+    [
+      { campo: 'producto', titulo: 'Producto' },
+      { campo: 'categoria', titulo: 'Categoría' },
+      { campo: 'unidad_medida', titulo: 'Unidad' },
+      { campo: 'stock_sistema', titulo: 'Stock sistema' },
+      { campo: 'cantidad_contada', titulo: 'Contado' },
+      { campo: 'diferencia', titulo: 'Diferencia' },
+      { campo: 'costo_unitario', titulo: 'Costo unitario' },
+      { campo: 'valor_diferencia', titulo: 'Valor diferencia' },
+      { campo: 'contado_por', titulo: 'Contado por' }
+    ],
+    filas
+  );
+
+  return {
+    nombreArchivo: `diferencias-${formatearNumeroToma(reporte.toma)}.csv`,
+    contenido
+  };
+}
+
+/**
+ * Publica una toma: cada diferencia de un producto contado se convierte en un movimiento
+ * de ajuste (ENTRADA si sobra, SALIDA si falta) en la bodega de la toma, con el número de
+ * toma como referencia
+ * TRANSACCIONAL: si algún ajuste falla se revierten los ya aplicados y la toma sigue ABIERTA.
+ * Los productos sin contar no se ajustan.
+ * El ajuste es la diferencia contra el snapshot, no contra el stock actual, para respetar
+ * las ventas y entradas registradas mientras la toma estaba abierta
+ * @param {string} id - UUID de la toma
+ * @param {string} id_usuario - UUID del usuario que publica
+ * @returns {Promise<Object>} Toma publicada y movimientos generados
+ */
+async function publicarToma(id, id_usuario) {
+  const toma = await tomasInventarioRepository.obtenerPorId(id);
+
+  if (toma.estado !== ESTADOS_TOMA.ABIERTA) {
+    throw new ErrorConflicto(`Solo se pueden publicar tomas ABIERTA. Estado actual: ${toma.estado}`);
+  }
+
+  const detalles = await tomasInventarioRepository.obtenerDetalles(id);
+  const conteos = await tomasInventarioRepository.obtenerConteos(id);
+  const lineas = calcularDiferencias(detalles, conteos);
+
+  if (lineas.every(l => l.cantidad_contada === null)) {
+    throw new ErrorConflicto('La toma no tiene conteos registrados');
+  }
+
+  const referencia = `Toma de inventario ${formatearNumeroToma(toma)}`;
+  const compensaciones = crearCompensaciones();
+
+  try {
+    const movimientos = [];
+
+    for (const linea of lineas.filter(l => l.cantidad_contada !== null)) {
+      let movimiento = null;
+
+      if (linea.diferencia > 0) {
+        movimiento = await movimientosService.registrarEntrada({
+          id_producto: linea.id_producto,
+          cantidad: linea.diferencia,
+          motivo: movimientosService.MOTIVOS.AJUSTE_POSITIVO,
+          referencia,
+          id_bodega: toma.id_bodega
+        });
+      } else if (linea.diferencia < 0) {
+        movimiento = await movimientosService.registrarSalida({
+          id_producto: linea.id_producto,
+          cantidad: Math.abs(linea.diferencia),
+          motivo: movimientosService.MOTIVOS.AJUSTE_NEGATIVO,
+          referencia,
+          id_bodega: toma.id_bodega
+        });
+      }
+
+      if (movimiento) {
+        compensaciones.registrar('Revertir ajuste de inventario', () =>
+          movimientosRepository.revertir(movimiento)
+        );
+        movimientos.push(movimiento);
+      }
+
+      // Guardar el resultado del conteo en el snapshot
+      await tomasInventarioRepository.actualizarDetalle(linea.id_detalle, {
+        cantidad_contada: linea.cantidad_contada,
+        diferencia: linea.diferencia,
+        id_movimiento: movimiento ? movimiento.id_movimiento : null
+      });
+      compensaciones.registrar('Limpiar resultado del conteo', () =>
+        tomasInventarioRepository.actualizarDetalle(linea.id_detalle, {
+          cantidad_contada: null,
+          diferencia: null,
+          id_movimiento: null
+        })
+      );
+    }
+
+    await tomasInventarioRepository.actualizar(
+      id,
+      {
+        estado: ESTADOS_TOMA.PUBLICADA,
+        id_usuario_cierre: id_usuario,
+        fecha_cierre: formatearISO(obtenerFechaGuatemala())
+      },
+      [ESTADOS_TOMA.ABIERTA]
+    );
+
+    return {
+      toma: await obtenerTomaPorId(id),
+      movimientos_generados: movimientos.length
+    };
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Cancela una toma ABIERTA sin afectar el inventario
+ * @param {string} id - UUID de la toma
+ * @param {string} motivo - Motivo de la cancelación
+ * @param {string} id_usuario - UUID del usuario que cancela
+ * @returns {Promise<Object>} Toma cancelada
+ */
+async function cancelarToma(id, motivo, id_usuario) {
+  const toma = await tomasInventarioRepository.obtenerPorId(id);
+
+  if (toma.estado !== ESTADOS_TOMA.ABIERTA) {
+    throw new ErrorConflicto(`Solo se pueden cancelar tomas ABIERTA. Estado actual: ${toma.estado}`);
+  }
+
+  await tomasInventarioRepository.actualizar(
+    id,
+    {
+      estado: ESTADOS_TOMA.CANCELADA,
+      motivo_cancelacion: motivo || null,
+      id_usuario_cierre: id_usuario,
+      fecha_cierre: formatearISO(obtenerFechaGuatemala())
+    },
+    [ESTADOS_TOMA.ABIERTA]
+  );
+
+  return await obtenerTomaPorId(id);
+}
+
+/**
+ * Obtiene tomas de inventario con filtros
+ * @param {Object} filtros - Filtros de búsqueda
+ * @returns {Promise<Object>} Tomas y metadatos de paginación
+ */
+async function obtenerTomas(filtros = {}) {
+  const resultado = await tomasInventarioRepository.obtenerTodos(filtros);
+
+  return {
+    datos: resultado.datos.map(toma => ({
+      ...toma,
+      numero_toma: formatearNumeroToma(toma)
+    })),
+    paginacion: resultado.paginacion
+  };
+}
+
+/**
+ * Obtiene una toma de inventario con su resumen de avance y diferencias
+ * @param {string} id - UUID de la toma
+ * @returns {Promise<Object>} Toma con resumen
+ */
+async function obtenerTomaPorId(id) {
+  const reporte = await obtenerReporteDiferencias(id);
+
+  return {
+    ...reporte.toma,
+    resumen: reporte.resumen
+  };
+}
+
+module.exports = {
+  // Constantes
+  ESTADOS_TOMA,
+
+  // Funciones principales
+  abrirToma,
+  registrarConteos,
+  publicarToma,
+  cancelarToma,
+
+  // Consultas
+  obtenerTomas,
+  obtenerTomaPorId,
+  obtenerReporteDiferencias,
+  exportarReporteDiferencias
+};
@@ -0,0 +1,227 @@
+/**
+ * Servicio de Unidades de Producto
+ * Gestiona las unidades alternas con que se compra, vende y mueve un producto.
+ * El stock siempre se guarda en la unidad base (productos.unidad_medida); cada unidad alterna
+ * declara cuántas unidades base equivale una de ella
+ */
+
+const unidadesProductoRepository = require('../repositories/unidadesProductoRepository');
+const productosRepository = require('../repositories/productosRepository');
+const {
+  ErrorValidacion,
+  ErrorConflicto
+} = require('../utils/errores');
+
+/**
+ * Formas de calcular el factor de conversión
+ * FACTOR: se indica directamente
+ * PIES_TABLARES: se calcula de las medidas de la pieza (grosor" × ancho" × largo' / 12);
+ *   la unidad base del producto debe ser el pie tablar
+ */
+const CALCULOS_UNIDAD = {
+  FACTOR: 'FACTOR',
+  PIES_TABLARES: 'PIES_TABLARES'
+};
+
+/**
+ * Decimales con que se guarda el stock en unidad base
+ */
+const DECIMALES_CANTIDAD = 3;
+
+/**
+ * Redondea una cantidad a la precisión con que se guarda el stock
+ * @param {number} cantidad - Cantidad a redondear
+ * @returns {number} Cantidad redondeada
+ */
+function redondearCantidad(cantidad) {
+  return parseFloat(Number(cantidad).toFixed(DECIMALES_CANTIDAD));
+}
+
+/**
+ * Valida los datos de una unidad alterna y calcula su factor
+ * @param {Object} datos - Datos de la unidad
+ * @returns {number} Factor de conversión (unidades base por 1 unidad alterna)
+ * @throws {ErrorValidacion} Si los datos son inválidos
+ */
+function calcularFactor(datos) {
+  const errores = [];
+  let factor = null;
+
+  if (!datos.nombre || !datos.nombre.trim()) {
+    errores.push('El nombre de la unidad es requerido');
+  }
+
+  if (datos.calculo === CALCULOS_UNIDAD.PIES_TABLARES) {
+    const medidas = {
+      grosor_pulgadas: parseFloat(datos.grosor_pulgadas),
+      ancho_pulgadas: parseFloat(datos.ancho_pulgadas),
+      largo_pies: parseFloat(datos.largo_pies)
+    };
+
+    for (const [campo, valor] of Object.entries(medidas)) {
+      if (isNaN(valor) || valor <= 0) {
+        errores.push(`${campo} debe ser un número mayor a 0`);
+      }
+    }
+
+    if (errores.length === 0) {
+      factor = medidas.grosor_pulgadas * medidas.ancho_pulgadas * medidas.largo_pies / 12;
+    }
+  } else if (datos.calculo === CALCULOS_UNIDAD.FACTOR) {
+    factor = parseFloat(datos.factor);
+    if (isNaN(factor) || factor <= 0) {
+      errores.push('El factor debe ser un número mayor a 0');
+    }
+  } else {
+    errores.push('Cálculo inválido. Debe ser FACTOR o PIES_TABLARES');
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Datos de unidad inválidos', errores);
+  }
+
+  return parseFloat(factor.toFixed(6));
+}
+
+/**
+ * Crea una unidad alterna para un producto
+ * @param {string} id_producto - UUID del producto
+ * @param {Object} datos - Datos de la unidad
+ * @param {string} datos.nombre - Nombre (ej. 'Tabla 1x12x10', 'Metro lineal')
+ * @param {string} datos.calculo - 'FACTOR' o 'PIES_TABLARES'
+ * @param {number} datos.factor - Unidades base por unidad alterna (solo FACTOR)
+ * @param {number} datos.grosor_pulgadas - Grosor en pulgadas (solo PIES_TABLARES)
+ * @param {number} datos.ancho_pulgadas - Ancho en pulgadas (solo PIES_TABLARES)
+ * @param {number} datos.largo_pies - Largo en pies (solo PIES_TABLARES)
+ * @param {boolean} datos.permite_decimales - Si se puede vender o mover en fracciones (ej. 2.5 metros)
+ * @returns {Promise<Object>} Unidad creada
+ */
+async function crearUnidad(id_producto, datos) {
+  const producto = await productosRepository.obtenerPorId(id_producto);
+  const factor = calcularFactor(datos);
+  const nombre = datos.nombre.trim();
+
+  if (nombre.toLowerCase() === String(producto.unidad_medida).toLowerCase()) {
+    throw new ErrorConflicto(`${nombre} ya es la unidad base del producto`);
+  }
+
+  if (await unidadesProductoRepository.existeNombre(id_producto, nombre)) {
+    throw new ErrorConflicto(`El producto ya tiene una unidad llamada ${nombre}`);
+  }
+
+  const esPiesTablares = datos.calculo === CALCULOS_UNIDAD.PIES_TABLARES;
+
+  return await unidadesProductoRepository.crear({
+    id_producto,
+    nombre,
+    calculo: datos.calculo,
+    factor,
+    permite_decimales: datos.permite_decimales === true || datos.permite_decimales === 'true',
+    grosor_pulgadas: esPiesTablares ? parseFloat(datos.grosor_pulgadas) : null,
+    ancho_pulgadas: esPiesTablares ? parseFloat(datos.ancho_pulgadas) : null,
+    largo_pies: esPiesTablares ? parseFloat(datos.largo_pies) : null
+  });
+}
+
+/**
+ * Elimina una unidad alterna
+ * Solo se permite si nunca se usó; el historial conserva la unidad con que se registró
+ * @param {string} id_producto - UUID del producto
+ * @param {number} id_unidad - ID de la unidad
+ * @returns {Promise<Object>} Unidad eliminada
+ */
+async function eliminarUnidad(id_producto, id_unidad) {
+  const unidad = await unidadesProductoRepository.obtenerPorId(id_unidad);
+
+  if (unidad.id_producto !== id_producto) {
+    throw new ErrorValidacion('La unidad no pertenece al producto indicado');
+  }
+
+  if (await unidadesProductoRepository.estaEnUso(id_unidad)) {
+    throw new ErrorConflicto(
+      `La unidad ${unidad.nombre} ya se usó en movimientos o ventas y no se puede eliminar`
+    );
+  }
+
+  await unidadesProductoRepository.eliminar(id_unidad);
+
+  return unidad;
+}
+
+/**
+ * Obtiene la unidad base y las unidades alternas de un producto
+ * @param {string} id_producto - UUID del producto
+ * @returns {Promise<Object>} { unidad_base, unidades }
+ */
+async function obtenerUnidades(id_producto) {
+  const producto = await productosRepository.obtenerPorId(id_producto);
+  const unidades = await unidadesProductoRepository.obtenerPorProducto(id_producto);
+
+  return {
+    id_producto,
+    unidad_base: producto.unidad_medida,
+    unidades
+  };
+}
+
+/**
+ * Convierte una cantidad expresada en una unidad del producto a su unidad base
+ * Sin id_unidad la cantidad ya está en unidad base. La unidad base admite la misma
+ * precisión que el stock; una unidad alterna solo admite fracciones si permite_decimales
+ * @param {Object} producto - Producto (id_producto, nombre, unidad_medida)
+ * @param {number} cantidad - Cantidad en la unidad indicada
+ * @param {number|null} id_unidad - ID de la unidad alterna (opcional)
+ * @returns {Promise<Object>} { cantidad, cantidad_base, id_unidad, unidad, factor_conversion }
+ * @throws {ErrorValidacion} Si la unidad no es del producto o la cantidad no es válida en esa unidad
+ */
+async function convertirACantidadBase(producto, cantidad, id_unidad = null) {
+  if (redondearCantidad(cantidad) !== cantidad) {
+    throw new ErrorValidacion(
+      `${producto.nombre}: la cantidad admite como máximo ${DECIMALES_CANTIDAD} decimales`
+    );
+  }
+
+  if (!id_unidad) {
+    return {
+      cantidad,
+      cantidad_base: cantidad,
+      id_unidad: null,
+      unidad: producto.unidad_medida,
+      factor_conversion: 1
+    };
+  }
+
+  const unidad = await unidadesProductoRepository.obtenerPorId(id_unidad);
+
+  if (unidad.id_producto !== producto.id_producto) {
+    throw new ErrorValidacion(`${producto.nombre}: la unidad ${unidad.nombre} no es de este producto`);
+  }
+
+  if (!unidad.permite_decimales && !Number.isInteger(cantidad)) {
+    throw new ErrorValidacion(`${producto.nombre}: la cantidad en ${unidad.nombre} debe ser un número entero`);
+  }
+
+  const factor = parseFloat(unidad.factor);
+
+  return {
+    cantidad,
+    cantidad_base: redondearCantidad(cantidad * factor),
+    id_unidad: unidad.id_unidad,
+    unidad: unidad.nombre,
+    factor_conversion: factor
+  };
+}
+
+module.exports = {
+  // Constantes
+  CALCULOS_UNIDAD,
+
+  // Funciones principales
+  crearUnidad,
+  eliminarUnidad,
+  convertirACantidadBase,
+  redondearCantidad,
+
+  // Consultas
+  obtenerUnidades
+};
@@ -8,8 +8,21 @@ const detalleVentaRepository = require('../repositories/detalleVentaRepository')
 const productosRepository = require('../repositories/productosRepository');
 const clientesRepository = require('../repositories/clientesRepository');
 const creditosRepository = require('../repositories/creditosRepository');
+const devolucionesRepository = require('../repositories/devolucionesRepository');
+const notasCreditoRepository = require('../repositories/notasCreditoRepository');
+const pagosVentaRepository = require('../repositories/pagosVentaRepository');
+const bodegasRepository = require('../repositories/bodegasRepository');
 const movimientosService = require('../services/movimientosService');
+const unidadesProductoService = require('../services/unidadesProductoService');
 const clientesService = require('../services/clientesService');
+const creditosService = require('../services/creditosService');
+const anticiposService = require('../services/anticiposService');
+const politicaCreditoService = require('../services/politicaCreditoService');
+const cajaService = require('../services/cajaService');
+const impuestosService = require('../services/impuestosService');
+const cuotasRepository = require('../repositories/cuotasRepository');
+const movimientosRepository = require('../repositories/movimientosRepository');
+const { crearCompensaciones, revertirOperacion } = require('../utils/transacciones');
 const { 
   ErrorValidacion, 
   ErrorConflicto,
@@ -41,6 +54,16 @@ const TIPOS_DESCUENTO = {
   MONTO: 'MONTO'
 };
 
+/**
+ * Métodos de pago de una venta al contado (los de caja)
+ */
+const { METODOS_PAGO } = cajaService;
+
+/**
+ * Método que queda en el encabezado de una venta cobrada con varios métodos distintos
+ */
+const METODO_PAGO_MIXTO = 'MIXTO';
+
 /**
  * Valida el descuento aplicado
  * @param {Object} descuento - Datos del descuento
@@ -167,12 +190,39 @@ async function validarDatosVenta(datos) {
 }
 
 /**
- * Valida el stock disponible para todos los productos
- * @param {Array} productos - Lista de productos a vender
+ * Obtiene la bodega desde la que se despacha una venta
+ * Sin id_bodega se usa la bodega principal
+ * @param {string} id_bodega - UUID de la bodega (opcional)
+ * @returns {Promise<Object>} Bodega activa
+ * @throws {ErrorConflicto} Si la bodega está inactiva
+ */
+async function obtenerBodegaVenta(id_bodega) {
+  const bodega = id_bodega
+    ? await bodegasRepository.obtenerPorId(id_bodega)
+    : await bodegasRepository.obtenerPrincipal();
+
+  if (!bodega.estado) {
+    throw new ErrorConflicto(`La bodega ${bodega.nombre} está inactiva`);
+  }
+
+  return bodega;
+}
+
+/**
+ * Valida el stock disponible en la bodega para todos los productos
+ * Cada línea puede venderse en una unidad alterna del producto; la comparación se hace en
+ * unidad base, sumando las líneas del mismo producto
+ * @param {Array} productos - Lista de productos a vender [{id_producto, cantidad, id_unidad?}]
+ * @param {Object} bodega - Bodega desde la que se despacha
+ * @returns {Promise<Array>} Conversión a unidad base de cada línea (mismo orden que productos)
+ * @throws {ErrorValidacion} Si la cantidad no es válida en la unidad indicada
  * @throws {ErrorConflicto} Si hay stock insuficiente
  */
-async function validarStockDisponible(productos) {
+async function validarStockDisponible(productos, bodega) {
   const errores = [];
+  const erroresUnidad = [];
+  const conversiones = [];
+  const solicitadoPorProducto = {};
 
   for (const item of productos) {
     const producto = await productosRepository.obtenerPorId(item.id_producto);
@@ -192,11 +242,46 @@ async function validarStockDisponible(productos) {
       continue;
     }
 
-    if (producto.cantidad_stock < item.cantidad) {
+    let conversion;
+    try {
+      conversion = await unidadesProductoService.convertirACantidadBase(
+        producto,
+        item.cantidad,
+        item.id_unidad || null
+      );
+    } catch (error) {
+      if (!(error instanceof ErrorValidacion)) throw error;
+      erroresUnidad.push(error.message);
+      continue;
+    }
+    conversiones.push(conversion);
+
+    if (!solicitadoPorProducto[item.id_producto]) {
+      solicitadoPorProducto[item.id_producto] = { producto, cantidad_base: 0, lineas: [] };
+    }
+    const solicitado = solicitadoPorProducto[item.id_producto];
+    solicitado.cantidad_base = unidadesProductoService.redondearCantidad(
+      solicitado.cantidad_base + conversion.cantidad_base
+    );
+    solicitado.lineas.push(`${conversion.cantidad} ${conversion.unidad}`);
+  }
+
+  if (erroresUnidad.length > 0) {
+    throw new ErrorValidacion('Cantidades de venta inválidas', erroresUnidad);
+  }
+
+  for (const [id_producto, solicitado] of Object.entries(solicitadoPorProducto)) {
+    const { producto } = solicitado;
+    const disponible = await bodegasRepository.obtenerCantidadEnBodega(id_producto, bodega.id_bodega);
+
+    if (disponible < solicitado.cantidad_base) {
+      // Si se pidió en otra unidad se muestra también lo solicitado tal como se ingresó
+      const detalle = solicitado.lineas.join(' + ');
+      const enBase = `${solicitado.cantidad_base} ${producto.unidad_medida}`;
       errores.push(
-        `${producto.nombre}: stock insuficiente. ` +
-        `Disponible: ${producto.cantidad_stock} ${producto.unidad_medida}, ` +
-        `Solicitado: ${item.cantidad} ${producto.unidad_medida}`
+        `${producto.nombre}: stock insuficiente en ${bodega.nombre}. ` +
+        `Disponible: ${disponible} ${producto.unidad_medida}, ` +
+        `Solicitado: ${detalle === enBase ? enBase : `${detalle} (${enBase})`}`
       );
     }
   }
@@ -204,6 +289,53 @@ async function validarStockDisponible(productos) {
   if (errores.length > 0) {
     throw new ErrorConflicto('Stock insuficiente para completar la venta', errores);
   }
+
+  return conversiones;
+}
+
+/**
+ * Arma las líneas de detalle de una venta a partir de las salidas de inventario
+ * El costo de la salida viene por unidad base; en el detalle se guarda por unidad vendida
+ * para que cantidad × costo_unitario siga siendo el costo de la línea
+ * @param {string} id_venta - UUID de la venta
+ * @param {Array} productos - Productos vendidos [{id_producto, cantidad, precio_unitario, id_unidad?}]
+ * @param {Array} conversiones - Conversión a unidad base de cada línea
+ * @param {Array} movimientos - SALIDA generada por cada línea
+ * @param {Array} lineasImpuesto - Desglose de IVA de cada línea (de calcularTotalConDescuento)
+ * @returns {Array} Detalles de venta
+ */
+function construirDetallesVenta(id_venta, productos, conversiones, movimientos, lineasImpuesto) {
+  return productos.map((item, i) => ({
+    id_venta,
+    id_producto: item.id_producto,
+    cantidad: item.cantidad,
+    id_unidad: conversiones[i].id_unidad,
+    cantidad_base: conversiones[i].cantidad_base,
+    factor_conversion: conversiones[i].factor_conversion,
+    precio_unitario: item.precio_unitario,
+    subtotal: item.cantidad * item.precio_unitario,
+    costo_unitario: parseFloat(
+      (parseFloat(movimientos[i].costo_unitario) * conversiones[i].factor_conversion).toFixed(4)
+    ),
+    exento_iva: lineasImpuesto[i].exento_iva,
+    base_imponible: lineasImpuesto[i].base_imponible,
+    monto_iva: lineasImpuesto[i].monto_iva
+  }));
+}
+
+/**
+ * Campos de IVA que se guardan en el encabezado de la venta
+ * @param {Object} totales - Totales de calcularTotalConDescuento con impuestos
+ * @returns {Object} { tasa_iva, precios_incluyen_iva, base_imponible, monto_exento, monto_iva }
+ */
+function camposImpuesto(totales) {
+  return {
+    tasa_iva: totales.tasa_iva,
+    precios_incluyen_iva: totales.precios_incluyen_iva,
+    base_imponible: totales.base_imponible,
+    monto_exento: totales.monto_exento,
+    monto_iva: totales.monto_iva
+  };
 }
 
 /**
@@ -219,35 +351,251 @@ function calcularSubtotal(productos) {
 }
 
 /**
- * Calcula el total final de la venta aplicando descuentos
+ * Calcula el total final de la venta aplicando descuentos y, si se indica, el IVA
+ * Con precios que incluyen IVA el total no cambia (el IVA se separa del neto); con precios
+ * sin IVA el impuesto se suma al total
  * @param {number} subtotal - Subtotal de la venta
  * @param {Object} descuento - Datos del descuento {tipo, valor}
- * @returns {Object} {subtotal, descuento_monto, total}
+ * @param {Object} impuestos - { politica, lineas } de impuestosService.prepararImpuestos (opcional)
+ * @returns {Object} {subtotal, descuento_monto, total} y, con impuestos, {tasa_iva,
+ *   precios_incluyen_iva, base_imponible, monto_exento, monto_iva, lineas_impuesto}
  */
-function calcularTotalConDescuento(subtotal, descuento = {}) {
+function calcularTotalConDescuento(subtotal, descuento = {}, impuestos = null) {
   const tipo = descuento.tipo || TIPOS_DESCUENTO.NINGUNO;
   const valor = descuento.valor || 0;
   
   const descuento_monto = calcularDescuento(subtotal, tipo, valor);
   const total = subtotal - descuento_monto;
 
-  return {
+  const totales = {
     subtotal: parseFloat(subtotal.toFixed(2)),
     descuento_tipo: tipo,
     descuento_valor: parseFloat(valor.toFixed(2)),
     descuento_monto: parseFloat(descuento_monto.toFixed(2)),
     total: parseFloat(total.toFixed(2))
   };
+
+  if (!impuestos) {
+    return totales;
+  }
+
+  const desglose = impuestosService.desglosarImpuestos(impuestos, subtotal, total);
+
+  return {
+    ...totales,
+    tasa_iva: desglose.tasa_iva,
+    precios_incluyen_iva: desglose.precios_incluyen_iva,
+    base_imponible: desglose.base_imponible,
+    monto_exento: desglose.monto_exento,
+    monto_iva: desglose.monto_iva,
+    total: desglose.total,
+    lineas_impuesto: desglose.lineas
+  };
+}
+
+/**
+ * Valida el anticipo (saldo a favor) que el cliente quiere usar en una venta
+ * @param {string} id_cliente - UUID del cliente
+ * @param {number} monto_anticipo - Monto de anticipo a usar (opcional)
+ * @param {number} total - Total de la venta
+ * @param {boolean} debeQuedarSaldo - En ventas a crédito el anticipo no puede cubrir todo el total
+ * @returns {Promise<number>} Monto de anticipo a aplicar (0 si no se usa)
+ */
+async function validarAnticipoVenta(id_cliente, monto_anticipo, total, debeQuedarSaldo = false) {
+  if (!monto_anticipo) {
+    return 0;
+  }
+
+  const montoAnticipo = parseFloat(monto_anticipo.toFixed(2));
+
+  if (montoAnticipo > total) {
+    throw new ErrorValidacion(
+      `El anticipo a usar (Q${montoAnticipo.toFixed(2)}) excede el total de la venta (Q${total.toFixed(2)})`
+    );
+  }
+
+  if (debeQuedarSaldo && montoAnticipo >= total) {
+    throw new ErrorValidacion(
+      'El anticipo cubre todo el total; registre la venta al contado'
+    );
+  }
+
+  await anticiposService.validarSaldoSuficiente(id_cliente, montoAnticipo);
+
+  return montoAnticipo;
+}
+
+/**
+ * Descuenta del saldo a favor del cliente el anticipo usado en una venta
+ * @param {Object} venta - Venta creada
+ * @param {number} montoAnticipo - Monto de anticipo a aplicar
+ * @param {Object} compensaciones - Registro de compensaciones de la operación
+ * @returns {Promise<void>}
+ */
+async function aplicarAnticipoVenta(venta, montoAnticipo, compensaciones) {
+  if (montoAnticipo <= 0) {
+    return;
+  }
+
+  const movimiento = await anticiposService.aplicar(venta.id_cliente, montoAnticipo, {
+    origen: anticiposService.ORIGENES_ANTICIPO.VENTA,
+    id_venta: venta.id_venta,
+    descripcion: `Venta ${venta.id_venta}`,
+    id_usuario: venta.id_usuario
+  });
+  compensaciones.registrar('Revertir uso de anticipo', () =>
+    anticiposService.revertirMovimiento(movimiento)
+  );
+}
+
+/**
+ * Valida las formas de pago de una venta al contado y calcula el cambio del efectivo
+ * Se aceptan varias formas (ej. Q300 en efectivo + Q450 con tarjeta) que deben sumar lo que
+ * queda por cobrar después del anticipo. Sin `pagos` se usa `metodo_pago` (default EFECTIVO)
+ * por todo el monto.
+ * @param {Object} datos - Datos de la venta
+ * @param {Array} datos.pagos - [{metodo_pago, monto, monto_recibido, referencia}] (opcional)
+ * @param {string} datos.metodo_pago - Método único si no se envían `pagos` (opcional)
+ * @param {number} datos.monto_recibido - Efectivo entregado con método único (opcional)
+ * @param {string} datos.referencia_pago - Referencia con método único (opcional)
+ * @param {number} montoACobrar - Total de la venta menos el anticipo usado
+ * @returns {Array} Pagos normalizados [{metodo_pago, monto, monto_recibido, cambio, referencia}]
+ * @throws {ErrorValidacion} Si un pago es inválido o la suma no cuadra con el monto a cobrar
+ */
+function validarPagosVenta(datos, montoACobrar) {
+  const aCobrar = parseFloat(montoACobrar.toFixed(2));
+  const pagos = datos.pagos && datos.pagos.length > 0
+    ? datos.pagos
+    : [{
+      metodo_pago: datos.metodo_pago || METODOS_PAGO.EFECTIVO,
+      monto: aCobrar,
+      monto_recibido: datos.monto_recibido,
+      referencia: datos.referencia_pago
+    }];
+
+  if (aCobrar <= 0) {
+    if (datos.pagos && datos.pagos.length > 0) {
+      throw new ErrorValidacion('El anticipo cubre todo el total; la venta no lleva formas de pago');
+    }
+    return [];
+  }
+
+  const normalizados = pagos.map((pago, indice) => {
+    const metodo = String(pago.metodo_pago || '').trim().toUpperCase();
+    const monto = parseFloat(parseFloat(pago.monto).toFixed(2));
+
+    if (!Object.values(METODOS_PAGO).includes(metodo)) {
+      throw new ErrorValidacion(
+        `Pago ${indice + 1}: el método debe ser ${Object.values(METODOS_PAGO).join(', ')}`
+      );
+    }
+
+    if (!monto || monto <= 0) {
+      throw new ErrorValidacion(`Pago ${indice + 1}: el monto debe ser mayor a 0`);
+    }
+
+    let montoRecibido = monto;
+    if (pago.monto_recibido !== undefined && pago.monto_recibido !== null) {
+      montoRecibido = parseFloat(parseFloat(pago.monto_recibido).toFixed(2));
+
+      if (metodo !== METODOS_PAGO.EFECTIVO && montoRecibido !== monto) {
+        throw new ErrorValidacion(`Pago ${indice + 1}: solo el efectivo admite un monto recibido distinto al monto`);
+      }
+
+      if (isNaN(montoRecibido) || montoRecibido < monto) {
+        throw new ErrorValidacion(
+          `Pago ${indice + 1}: el efectivo recibido (Q${montoRecibido.toFixed(2)}) ` +
+          `no cubre el monto (Q${monto.toFixed(2)})`
+        );
+      }
+    }
+
+    return {
+      metodo_pago: metodo,
+      monto,
+      monto_recibido: montoRecibido,
+      cambio: parseFloat((montoRecibido - monto).toFixed(2)),
+      referencia: pago.referencia ? String(pago.referencia).trim() || null : null
+    };
+  });
+
+  const suma = parseFloat(normalizados.reduce((sum, p) => sum + p.monto, 0).toFixed(2));
+  if (suma !== aCobrar) {
+    throw new ErrorValidacion(
+      `Las formas de pago suman Q${suma.toFixed(2)} y el monto a cobrar es Q${aCobrar.toFixed(2)}`
+    );
+  }
+
+  return normalizados;
+}
+
+/**
+ * Método de pago que se guarda en el encabezado de la venta
+ * @param {Array} pagos - Pagos normalizados de la venta
+ * @returns {string|null} El método si todos los pagos usan el mismo, MIXTO si no, null sin pagos
+ */
+function resumirMetodoPago(pagos) {
+  const metodos = new Set(pagos.map(p => p.metodo_pago));
+  if (metodos.size === 0) return null;
+  return metodos.size === 1 ? pagos[0].metodo_pago : METODO_PAGO_MIXTO;
+}
+
+/**
+ * Valida el enganche (pago inicial) de una venta a crédito
+ * El enganche se cobra al momento de la venta y reduce lo que queda por financiar; no puede
+ * cubrir todo el monto (eso es una venta al contado)
+ * @param {Object} datos - Datos de la venta
+ * @param {number} datos.monto_enganche - Monto del enganche (opcional)
+ * @param {string} datos.metodo_pago_enganche - Método del enganche (default EFECTIVO)
+ * @param {string} datos.referencia_enganche - Voucher o número de transferencia (opcional)
+ * @param {number} montoFinanciado - Total de la venta menos el anticipo usado
+ * @returns {Object|null} { monto, metodo_pago, referencia } o null si no hay enganche
+ * @throws {ErrorValidacion} Si el método es inválido o el enganche cubre todo el monto
+ */
+function validarEnganche(datos, montoFinanciado) {
+  if (!datos.monto_enganche) {
+    return null;
+  }
+
+  const monto = parseFloat(parseFloat(datos.monto_enganche).toFixed(2));
+  const metodo = String(datos.metodo_pago_enganche || METODOS_PAGO.EFECTIVO).trim().toUpperCase();
+
+  if (!monto || monto < 0) {
+    throw new ErrorValidacion('El monto del enganche debe ser mayor a 0');
+  }
+
+  if (!Object.values(METODOS_PAGO).includes(metodo)) {
+    throw new ErrorValidacion(
+      `El método del enganche debe ser ${Object.values(METODOS_PAGO).join(', ')}`
+    );
+  }
+
+  if (monto >= montoFinanciado) {
+    throw new ErrorValidacion(
+      `El enganche (Q${monto.toFixed(2)}) cubre todo el monto a financiar ` +
+      `(Q${montoFinanciado.toFixed(2)}); registre la venta al contado`
+    );
+  }
+
+  return {
+    monto,
+    metodo_pago: metodo,
+    referencia: datos.referencia_enganche ? String(datos.referencia_enganche).trim() || null : null
+  };
 }
 
 /**
  * Crea una venta al CONTADO
- * TRANSACCIONAL: Crea venta, detalles y genera movimientos de salida automáticamente
+ * TRANSACCIONAL: Crea venta, detalles, formas de pago y genera movimientos de salida automáticamente
  * @param {Object} datos - Datos de la venta
  * @param {string} datos.id_cliente - UUID del cliente
  * @param {string} datos.id_usuario - UUID del usuario que registra
  * @param {Array} datos.productos - Array de productos [{id_producto, cantidad, precio_unitario}]
  * @param {Object} datos.descuento - Descuento a aplicar {tipo, valor} (opcional)
+ * @param {string} datos.id_bodega - UUID de la bodega que despacha (opcional; default principal)
+ * @param {number} datos.monto_anticipo - Saldo a favor del cliente que se usa en el pago (opcional)
+ * @param {Array} datos.pagos - Formas de pago [{metodo_pago, monto, monto_recibido, referencia}] que
+ *   suman el total menos el anticipo (opcional; ver validarPagosVenta)
  * @returns {Promise<Object>} Venta completa creada
  */
 async function crearVentaContado(datos) {
@@ -257,8 +605,9 @@ async function crearVentaContado(datos) {
     tipo_venta: TIPOS_VENTA.CONTADO
   });
 
-  // VALIDACIÓN CRÍTICA: Verificar stock disponible
-  await validarStockDisponible(datos.productos);
+  // VALIDACIÓN CRÍTICA: Verificar stock disponible en la bodega que despacha
+  const bodega = await obtenerBodegaVenta(datos.id_bodega);
+  const conversiones = await validarStockDisponible(datos.productos, bodega);
 
   // Calcular subtotal
   const subtotal = calcularSubtotal(datos.productos);
@@ -272,8 +621,24 @@ async function crearVentaContado(datos) {
   // Validar descuento
   validarDescuento(descuento, subtotal);
 
-  // Calcular totales con descuento
-  const totales = calcularTotalConDescuento(subtotal, descuento);
+  // Calcular totales con descuento e IVA (base imponible, exento e IVA por línea)
+  const impuestos = await impuestosService.prepararImpuestos(datos.productos);
+  const totales = calcularTotalConDescuento(subtotal, descuento, impuestos);
+
+  // Validar el anticipo que el cliente quiere usar
+  const montoAnticipo = await validarAnticipoVenta(datos.id_cliente, datos.monto_anticipo, totales.total);
+
+  // Las formas de pago deben cubrir exactamente lo que queda por cobrar
+  const pagos = validarPagosVenta(datos, totales.total - montoAnticipo);
+  const cambio = parseFloat(pagos.reduce((sum, p) => sum + p.cambio, 0).toFixed(2));
+  const montoEfectivo = pagos
+    .filter(p => p.metodo_pago === METODOS_PAGO.EFECTIVO)
+    .reduce((sum, p) => sum + p.monto, 0);
+
+  // El efectivo de la venta entra a la caja abierta del vendedor (sin caja se rechaza si la política lo exige)
+  const sesionCaja = await cajaService.validarCajaParaVenta(datos.id_usuario);
+
+  const compensaciones = crearCompensaciones();
 
   try {
     // 1. Crear encabezado de venta con descuento
@@ -281,51 +646,78 @@ async function crearVentaContado(datos) {
       id_cliente: datos.id_cliente,
       id_usuario: datos.id_usuario,
       tipo_venta: TIPOS_VENTA.CONTADO,
+      id_bodega: bodega.id_bodega,
       subtotal: totales.subtotal,
       descuento_tipo: totales.descuento_tipo,
       descuento_valor: totales.descuento_valor,
       descuento_monto: totales.descuento_monto,
-      total: totales.total
+      ...camposImpuesto(totales),
+      total: totales.total,
+      monto_anticipo: montoAnticipo,
+      metodo_pago: resumirMetodoPago(pagos),
+      cambio
     });
+    compensaciones.registrar('Eliminar venta', () => ventasRepository.eliminar(venta.id_venta));
 
-    // 2. Crear detalles de venta
-    const detalles = datos.productos.map(item => ({
-      id_venta: venta.id_venta,
-      id_producto: item.id_producto,
-      cantidad: item.cantidad,
-      precio_unitario: item.precio_unitario,
-      subtotal: item.cantidad * item.precio_unitario
-    }));
-
-    const detallesCreados = await detalleVentaRepository.crearMultiples(detalles);
-
-    // 3. Generar movimientos de SALIDA y actualizar stock automáticamente
+    // 2. Generar movimientos de SALIDA y actualizar stock automáticamente
+    // Cada SALIDA se valoriza al costo promedio vigente del producto
     const movimientos = [];
     for (const item of datos.productos) {
-      const producto = await productosRepository.obtenerPorId(item.id_producto);
-      
       const movimiento = await movimientosService.registrarSalida({
         id_producto: item.id_producto,
         cantidad: item.cantidad,
+        id_unidad: item.id_unidad || null,
         motivo: 'Venta',
-        referencia: `Venta ${venta.id_venta}`
+        referencia: `Venta ${venta.id_venta}`,
+        id_bodega: bodega.id_bodega
       });
+      compensaciones.registrar('Revertir salida de inventario', () =>
+        movimientosRepository.revertir(movimiento)
+      );
       
       movimientos.push(movimiento);
     }
 
+    // 3. Crear detalles de venta con el costo al momento de la venta (para márgenes)
+    const detalles = construirDetallesVenta(
+      venta.id_venta, datos.productos, conversiones, movimientos, totales.lineas_impuesto
+    );
+
+    await detalleVentaRepository.crearMultiples(detalles);
+    compensaciones.registrar('Eliminar detalles de venta', () =>
+      detalleVentaRepository.eliminarPorVenta(venta.id_venta)
+    );
+
+    // 4. Descontar el anticipo usado del saldo a favor del cliente
+    await aplicarAnticipoVenta(venta, montoAnticipo, compensaciones);
+
+    // 5. Registrar las formas de pago
+    await pagosVentaRepository.crearMultiples(pagos.map(p => ({ ...p, id_venta: venta.id_venta })));
+    compensaciones.registrar('Eliminar formas de pago', () =>
+      pagosVentaRepository.eliminarPorVenta(venta.id_venta)
+    );
+
+    // 6. Registrar en caja solo lo cobrado en efectivo (sin el cambio devuelto)
+    const movimientoCaja = await cajaService.registrarCobro(sesionCaja, {
+      tipo: cajaService.TIPOS_MOVIMIENTO_CAJA.VENTA_CONTADO,
+      monto: montoEfectivo,
+      concepto: `Venta ${venta.id_venta}`,
+      id_venta: venta.id_venta,
+      id_usuario: datos.id_usuario
+    }, compensaciones);
+
     // Obtener la venta completa con detalles
     const ventaCompleta = await obtenerVentaPorId(venta.id_venta);
 
     return {
       ...ventaCompleta,
-      movimientos_generados: movimientos.length
+      movimientos_generados: movimientos.length,
+      id_sesion_caja: movimientoCaja ? movimientoCaja.id_sesion : null
     };
 
   } catch (error) {
-    // Si algo falla, el error se propaga
-    // Los movimientos ya registrados quedarán como evidencia en el historial
-    throw error;
+    // Si algo falla, deshacer todos los pasos ya aplicados (stock, detalles y encabezado)
+    await revertirOperacion(compensaciones, error);
   }
 }
 
@@ -336,7 +728,18 @@ async function crearVentaContado(datos) {
  * @param {string} datos.id_cliente - UUID del cliente (debe ser tipo CREDITO)
  * @param {string} datos.id_usuario - UUID del usuario que registra
  * @param {Array} datos.productos - Array de productos [{id_producto, cantidad, precio_unitario}]
- * @param {number} datos.dias_credito - Días de plazo para el crédito (default: 30) * @param {Object} datos.descuento - Descuento a aplicar {tipo, valor} (opcional) * @returns {Promise<Object>} Venta completa creada con crédito
+ * @param {number} datos.dias_credito - Días de plazo para el crédito (default: 30)
+ * @param {Object} datos.descuento - Descuento a aplicar {tipo, valor} (opcional)
+ * @param {string} datos.id_bodega - UUID de la bodega que despacha (opcional; default principal)
+ * @param {Object} datos.plan_cuotas - Plan {numero_cuotas, frecuencia, fecha_primera_cuota} (opcional;
+ *   reemplaza a dias_credito: el crédito vence con la última cuota)
+ * @param {number} datos.monto_anticipo - Saldo a favor del cliente que se usa como abono inicial
+ *   (opcional; el crédito se abre por el total menos el anticipo)
+ * @param {number} datos.monto_enganche - Pago inicial cobrado al vender (opcional; queda como primer
+ *   pago del crédito y el saldo arranca en lo financiado menos el enganche)
+ * @param {string} datos.metodo_pago_enganche - Método del enganche (default EFECTIVO)
+ * @param {string} datos.referencia_enganche - Referencia del enganche con tarjeta o transferencia (opcional)
+ * @returns {Promise<Object>} Venta completa creada con crédito
  */
 async function crearVentaCredito(datos) {
   // Validar datos básicos
@@ -351,6 +754,10 @@ async function crearVentaCredito(datos) {
     throw new ErrorConflicto('El cliente debe ser tipo CREDITO para realizar ventas a crédito');
   }
 
+  // VALIDACIÓN 1b: Política de crédito (mora / días de atraso); un bloqueo solo se salta
+  // con una autorización vigente de un administrador
+  const autorizacion = await politicaCreditoService.validarVentaCredito(datos.id_cliente);
+
   // Calcular subtotal
   const subtotal = calcularSubtotal(datos.productos);
 
@@ -363,97 +770,169 @@ async function crearVentaCredito(datos) {
   // Validar descuento
   validarDescuento(descuento, subtotal);
 
-  // Calcular totales con descuento
-  const totales = calcularTotalConDescuento(subtotal, descuento);
+  // Calcular totales con descuento e IVA (base imponible, exento e IVA por línea)
+  const impuestos = await impuestosService.prepararImpuestos(datos.productos);
+  const totales = calcularTotalConDescuento(subtotal, descuento, impuestos);
+
+  // El anticipo usado se descuenta del total; solo se financia el resto
+  const montoAnticipo = await validarAnticipoVenta(datos.id_cliente, datos.monto_anticipo, totales.total, true);
+  const montoFinanciado = parseFloat((totales.total - montoAnticipo).toFixed(2));
 
-  // VALIDACIÓN 2: Verificar límite de crédito disponible con el total DESPUÉS del descuento
+  // El enganche se cobra al vender: el saldo del crédito arranca en lo financiado menos el enganche
+  const enganche = validarEnganche(datos, montoFinanciado);
+  const saldoInicial = enganche
+    ? parseFloat((montoFinanciado - enganche.monto).toFixed(2))
+    : montoFinanciado;
+
+  // VALIDACIÓN 2: Verificar límite de crédito disponible con el saldo que queda financiado
   const reporteDeuda = await clientesService.obtenerReporteDeuda(datos.id_cliente);
 
-  if (reporteDeuda.disponible < totales.total) {
+  if (reporteDeuda.credito_disponible < saldoInicial) {
     throw new ErrorConflicto(
-      `Crédito insuficiente. Disponible: Q${reporteDeuda.disponible.toFixed(2)}, ` +
-      `Requerido: Q${totales.total.toFixed(2)}. ` +
+      `Crédito insuficiente. Disponible: Q${reporteDeuda.credito_disponible.toFixed(2)}, ` +
+      `Requerido: Q${saldoInicial.toFixed(2)}. ` +
       `Deuda actual: Q${reporteDeuda.deuda_total.toFixed(2)}`
     );
   }
 
-  // VALIDACIÓN 3: Verificar stock disponible
-  await validarStockDisponible(datos.productos);
+  // VALIDACIÓN 3: Verificar stock disponible en la bodega que despacha
+  const bodega = await obtenerBodegaVenta(datos.id_bodega);
+  const conversiones = await validarStockDisponible(datos.productos, bodega);
+
+  // Calcular fecha de vencimiento; con plan de cuotas es la de la última cuota
+  const hoy = new Date().toISOString().split('T')[0];
+  const plan = datos.plan_cuotas
+    ? creditosService.generarPlanCuotas(saldoInicial, hoy, datos.plan_cuotas)
+    : null;
 
-  // Calcular fecha de vencimiento
-  const dias_credito = datos.dias_credito || 30;
+  let dias_credito = datos.dias_credito || 30;
   const fecha_vencimiento = new Date();
+  if (plan) {
+    const ultimaCuota = plan.cuotas[plan.cuotas.length - 1].fecha_vencimiento;
+    dias_credito = Math.round((new Date(ultimaCuota) - new Date(hoy)) / (1000 * 60 * 60 * 24));
+  }
   fecha_vencimiento.setDate(fecha_vencimiento.getDate() + dias_credito);
 
+  // La política de caja aplica a toda venta; solo un enganche en efectivo entra a la caja
+  const sesionCaja = await cajaService.validarCajaParaVenta(datos.id_usuario);
+
+  const compensaciones = crearCompensaciones();
+
   try {
     // 1. Crear encabezado de venta con descuento
     const venta = await ventasRepository.crear({
       id_cliente: datos.id_cliente,
       id_usuario: datos.id_usuario,
       tipo_venta: TIPOS_VENTA.CREDITO,
+      id_bodega: bodega.id_bodega,
       subtotal: totales.subtotal,
       descuento_tipo: totales.descuento_tipo,
       descuento_valor: totales.descuento_valor,
       descuento_monto: totales.descuento_monto,
-      total: totales.total
+      ...camposImpuesto(totales),
+      total: totales.total,
+      monto_anticipo: montoAnticipo,
+      monto_enganche: enganche ? enganche.monto : 0
     });
+    compensaciones.registrar('Eliminar venta', () => ventasRepository.eliminar(venta.id_venta));
 
-    // 2. Crear detalles de venta
-    const detalles = datos.productos.map(item => ({
-      id_venta: venta.id_venta,
-      id_producto: item.id_producto,
-      cantidad: item.cantidad,
-      precio_unitario: item.precio_unitario,
-      subtotal: item.cantidad * item.precio_unitario
-    }));
-
-    await detalleVentaRepository.crearMultiples(detalles);
-
-    // 3. Generar movimientos de SALIDA y actualizar stock
+    // 2. Generar movimientos de SALIDA y actualizar stock
+    // Cada SALIDA se valoriza al costo promedio vigente del producto
     const movimientos = [];
     for (const item of datos.productos) {
       const movimiento = await movimientosService.registrarSalida({
         id_producto: item.id_producto,
         cantidad: item.cantidad,
+        id_unidad: item.id_unidad || null,
         motivo: 'Venta a crédito',
-        referencia: `Venta ${venta.id_venta}`
+        referencia: `Venta ${venta.id_venta}`,
+        id_bodega: bodega.id_bodega
       });
+      compensaciones.registrar('Revertir salida de inventario', () =>
+        movimientosRepository.revertir(movimiento)
+      );
       
       movimientos.push(movimiento);
     }
 
-    // 4. Crear registro de crédito con el total DESPUÉS del descuento
-    const hoy = new Date().toISOString().split('T')[0];
+    // 3. Crear detalles de venta con el costo al momento de la venta (para márgenes)
+    const detalles = construirDetallesVenta(
+      venta.id_venta, datos.productos, conversiones, movimientos, totales.lineas_impuesto
+    );
+
+    await detalleVentaRepository.crearMultiples(detalles);
+    compensaciones.registrar('Eliminar detalles de venta', () =>
+      detalleVentaRepository.eliminarPorVenta(venta.id_venta)
+    );
+
+    // 4. Crear registro de crédito por el total DESPUÉS del descuento y del anticipo
     const credito = await creditosRepository.crear({
       id_venta: venta.id_venta,
       id_cliente: datos.id_cliente,
-      monto_total: totales.total, // <- Total con descuento aplicado
-      saldo_pendiente: totales.total, // <- Saldo inicial es el total con descuento
+      monto_total: montoFinanciado, // <- Total con descuento, menos el anticipo usado
+      saldo_pendiente: saldoInicial, // <- Monto financiado menos el enganche
       fecha_inicio: hoy,
       fecha_vencimiento: fecha_vencimiento.toISOString().split('T')[0],
       dias_credito,
+      numero_cuotas: plan ? plan.numero_cuotas : null,
+      frecuencia_cuotas: plan ? plan.frecuencia : null,
       estado: 'ACTIVO'
     });
+    compensaciones.registrar('Eliminar crédito', () => creditosRepository.eliminar(credito.id_credito));
+
+    // 5. Registrar el enganche como primer pago del crédito (el efectivo entra a la caja)
+    const pagoEnganche = enganche
+      ? await creditosService.registrarEnganche(credito, {
+        ...enganche,
+        id_venta: venta.id_venta,
+        id_usuario: datos.id_usuario
+      }, enganche.metodo_pago === METODOS_PAGO.EFECTIVO ? sesionCaja : null, compensaciones)
+      : null;
+
+    // 6. Crear el calendario de cuotas (si la venta es a plazos)
+    let cuotas = [];
+    if (plan) {
+      cuotas = await creditosService.registrarCuotas(credito.id_credito, plan.cuotas);
+      compensaciones.registrar('Eliminar cuotas del crédito', () =>
+        cuotasRepository.eliminarPorCredito(credito.id_credito)
+      );
+    }
+
+    // 7. Descontar el anticipo usado del saldo a favor del cliente
+    await aplicarAnticipoVenta(venta, montoAnticipo, compensaciones);
+
+    // 8. Marcar como usada la autorización que permitió vender a un cliente bloqueado
+    const autorizacionUsada = autorizacion
+      ? await politicaCreditoService.usarAutorizacion(autorizacion, venta.id_venta, compensaciones)
+      : null;
 
     // Obtener la venta completa con detalles
     const ventaCompleta = await obtenerVentaPorId(venta.id_venta);
 
     return {
       ...ventaCompleta,
+      autorizacion_credito: autorizacionUsada,
       credito: {
         id_credito: credito.id_credito,
         monto_total: credito.monto_total,
         saldo_pendiente: credito.saldo_pendiente,
         fecha_vencimiento: credito.fecha_vencimiento,
         dias_credito: credito.dias_credito,
-        estado: credito.estado
+        estado: credito.estado,
+        numero_cuotas: credito.numero_cuotas,
+        frecuencia_cuotas: credito.frecuencia_cuotas,
+        cuotas
       },
+      enganche: pagoEnganche ? pagoEnganche.pago : null,
+      id_sesion_caja: pagoEnganche && pagoEnganche.movimiento_caja
+        ? pagoEnganche.movimiento_caja.id_sesion
+        : null,
       movimientos_generados: movimientos.length
     };
 
   } catch (error) {
-    // Si algo falla, el error se propaga
-    throw error;
+    // Si algo falla, deshacer todos los pasos ya aplicados (crédito, stock, detalles y encabezado)
+    await revertirOperacion(compensaciones, error);
   }
 }
 
@@ -474,10 +953,12 @@ async function obtenerVentas(filtros = {}) {
 async function obtenerVentaPorId(id) {
   const venta = await ventasRepository.obtenerPorId(id);
   const detalles = await detalleVentaRepository.obtenerPorVenta(id);
+  const pagos = await pagosVentaRepository.obtenerPorVenta(id);
 
   return {
     ...venta,
     detalles,
+    pagos,
     cantidad_productos: detalles.length,
     total_items: detalles.reduce((sum, d) => sum + d.cantidad, 0)
   };
@@ -499,36 +980,94 @@ async function anularVenta(id, motivo = 'Anulación de venta') {
     throw new ErrorConflicto('La venta ya está anulada');
   }
 
+  // Lo acreditado con notas de crédito ya se descontó del crédito o quedó a favor del cliente;
+  // anular la venta lo devolvería dos veces
+  const notas = await notasCreditoRepository.obtenerPorVenta(id);
+  if (notas.length > 0) {
+    throw new ErrorConflicto(
+      `La venta tiene ${notas.length} nota(s) de crédito; no se puede anular. ` +
+      'Registre una devolución de la mercadería en su lugar'
+    );
+  }
+
   // Obtener detalles para reversar stock
   const detalles = await detalleVentaRepository.obtenerPorVenta(id);
 
+  // Las cantidades ya devueltas reingresaron al inventario con su devolución
+  const cantidadesDevueltas = await devolucionesRepository.obtenerCantidadesDevueltas(id);
+
+  // Obtener el crédito asociado antes de modificar nada (para poder restaurarlo)
+  let credito = null;
+  if (venta.tipo_venta === TIPOS_VENTA.CREDITO) {
+    try {
+      credito = await creditosRepository.obtenerPorVenta(id);
+    } catch (error) {
+      if (!(error instanceof ErrorNoEncontrado)) throw error;
+      // Si no existe crédito asociado, continuar
+      console.warn(`No se encontró crédito asociado a la venta ${id}`);
+    }
+  }
+
+  if (credito && credito.fecha_castigo) {
+    throw new ErrorConflicto(
+      'El crédito de la venta fue castigado; no se puede anular. Registre una devolución de la mercadería en su lugar'
+    );
+  }
+
+  const compensaciones = crearCompensaciones();
+
   try {
     // 1. Cambiar estado a ANULADA
     const ventaAnulada = await ventasRepository.anular(id);
+    compensaciones.registrar('Reactivar venta', () => ventasRepository.reactivar(id));
 
     // 2. Generar movimientos de ENTRADA para reversar el stock
     const movimientos = [];
     for (const detalle of detalles) {
+      const cantidadPendiente = unidadesProductoService.redondearCantidad(
+        detalle.cantidad - (cantidadesDevueltas[detalle.id_detalle] || 0)
+      );
+      if (cantidadPendiente <= 0) {
+        continue;
+      }
+
+      // Reingresa al mismo costo con el que salió, en la bodega que la despachó
       const movimiento = await movimientosService.registrarEntrada({
         id_producto: detalle.id_producto,
-        cantidad: detalle.cantidad,
+        cantidad: cantidadPendiente,
+        id_unidad: detalle.id_unidad,
         motivo: 'Anulación de venta',
-        referencia: `Anulación venta ${id}`
+        referencia: `Anulación venta ${id}`,
+        costo_unitario: detalle.costo_unitario,
+        id_bodega: venta.id_bodega
       });
+      compensaciones.registrar('Revertir entrada de inventario', () =>
+        movimientosRepository.revertir(movimiento)
+      );
       
       movimientos.push(movimiento);
     }
 
-    // 3. Si es venta a CREDITO, anular el registro de crédito
+    // 3. Devolver al saldo a favor del cliente el anticipo usado en la venta
+    const montoAnticipo = parseFloat(venta.monto_anticipo || 0);
+    if (montoAnticipo > 0) {
+      const movimiento = await anticiposService.abonar(venta.id_cliente, montoAnticipo, {
+        origen: anticiposService.ORIGENES_ANTICIPO.ANULACION_VENTA,
+        id_venta: id,
+        descripcion: `Anulación venta ${id}`
+      });
+      compensaciones.registrar('Revertir devolución de anticipo', () =>
+        anticiposService.revertirMovimiento(movimiento)
+      );
+    }
+
+    // 4. Sacar de la caja (si sigue abierta) el efectivo que había entrado por la venta
+    const movimientosCajaAnulados = await cajaService.anularMovimientos({ id_venta: id }, compensaciones);
+
+    // 5. Si es venta a CREDITO, anular el registro de crédito
     let creditoAnulado = null;
-    if (venta.tipo_venta === TIPOS_VENTA.CREDITO) {
-      try {
-        const credito = await creditosRepository.obtenerPorVenta(id);
-        creditoAnulado = await creditosRepository.anular(credito.id_credito);
-      } catch (error) {
-        // Si no existe crédito asociado, continuar
-        console.warn(`No se encontró crédito asociado a la venta ${id}`);
-      }
+    if (credito) {
+      creditoAnulado = await creditosRepository.anular(credito.id_credito);
     }
 
     return {
@@ -536,14 +1075,256 @@ async function anularVenta(id, motivo = 'Anulación de venta') {
       detalles_anulados: detalles.length,
       movimientos_generados: movimientos.length,
       credito_anulado: creditoAnulado ? true : false,
+      anticipo_devuelto: montoAnticipo,
+      // El enganche cobrado se devuelve al cliente en la forma en que lo pagó
+      monto_reembolso_enganche: parseFloat(venta.monto_enganche || 0),
+      movimientos_caja_anulados: movimientosCajaAnulados,
       motivo
     };
 
   } catch (error) {
-    throw error;
+    // Si algo falla, dejar la venta, el stock y el crédito como estaban
+    await revertirOperacion(compensaciones, error);
+  }
+}
+
+/**
+ * Registra una devolución parcial de una venta
+ * TRANSACCIONAL: Registra la devolución, genera ENTRADAS solo por lo devuelto y ajusta
+ * el saldo del crédito (CREDITO) o registra el monto a reembolsar (CONTADO). El reembolso
+ * sale en efectivo de la caja abierta del usuario como un EGRESO
+ * El valor devuelto prorratea el descuento de la venta (total / subtotal)
+ * @param {string} id - UUID de la venta
+ * @param {Object} datos - Datos de la devolución
+ * @param {Array} datos.productos - Líneas devueltas [{id_detalle, cantidad}]
+ * @param {string} datos.motivo - Motivo de la devolución (opcional)
+ * @param {string} datos.id_usuario - UUID del usuario que registra
+ * @returns {Promise<Object>} Devolución registrada con sus efectos
+ * @throws {ErrorValidacion} Si se intenta devolver más de lo vendido menos lo ya devuelto,
+ *   o el reembolso excede el efectivo esperado en caja
+ * @throws {ErrorConflicto} Si la política exige caja abierta y el usuario no la tiene
+ */
+async function registrarDevolucion(id, datos) {
+  const venta = await ventasRepository.obtenerPorId(id);
+
+  if (venta.estado === ESTADOS_VENTA.ANULADA) {
+    throw new ErrorConflicto('No se pueden registrar devoluciones en una venta anulada');
+  }
+
+  if (!Array.isArray(datos.productos) || datos.productos.length === 0) {
+    throw new ErrorValidacion('Debe incluir al menos una línea a devolver');
+  }
+
+  const detalles = await detalleVentaRepository.obtenerPorVenta(id);
+  const cantidadesDevueltas = await devolucionesRepository.obtenerCantidadesDevueltas(id);
+
+  // Agrupar cantidades solicitadas por línea (por si se repite una línea en la petición)
+  const solicitadas = {};
+  for (const item of datos.productos) {
+    solicitadas[item.id_detalle] = (solicitadas[item.id_detalle] || 0) + item.cantidad;
+  }
+
+  // VALIDACIÓN CRÍTICA: no devolver más de lo vendido menos lo ya devuelto
+  const errores = [];
+  const lineas = [];
+  for (const [id_detalle, cantidad] of Object.entries(solicitadas)) {
+    const detalle = detalles.find(d => String(d.id_detalle) === String(id_detalle));
+
+    if (!detalle) {
+      errores.push(`Línea ${id_detalle}: no pertenece a esta venta`);
+      continue;
+    }
+
+    if (!cantidad || cantidad <= 0) {
+      errores.push(`${detalle.productos.nombre}: la cantidad a devolver debe ser mayor a 0`);
+      continue;
+    }
+
+    const devuelto = cantidadesDevueltas[detalle.id_detalle] || 0;
+    const disponible = unidadesProductoService.redondearCantidad(detalle.cantidad - devuelto);
+
+    if (cantidad > disponible) {
+      errores.push(
+        `${detalle.productos.nombre}: vendido ${detalle.cantidad}, ` +
+        `ya devuelto ${devuelto}, solicitado ${cantidad}`
+      );
+      continue;
+    }
+
+    lineas.push({ detalle, cantidad });
+  }
+
+  if (errores.length > 0) {
+    throw new ErrorValidacion('Cantidades de devolución inválidas', errores);
+  }
+
+  // Prorratear el descuento de la venta sobre las líneas devueltas. Las líneas con desglose
+  // de IVA ya traen su valor neto (base + IVA), que respeta exentos y precios sin IVA
+  const subtotalVenta = parseFloat(venta.subtotal || venta.total);
+  const factor = subtotalVenta > 0 ? parseFloat(venta.total) / subtotalVenta : 1;
+
+  const detallesDevolucion = lineas.map(({ detalle, cantidad }) => {
+    const valorUnitario = detalle.base_imponible !== null && detalle.base_imponible !== undefined
+      ? (parseFloat(detalle.base_imponible) + parseFloat(detalle.monto_iva || 0)) / detalle.cantidad
+      : parseFloat(detalle.precio_unitario) * factor;
+
+    return {
+      id_detalle: detalle.id_detalle,
+      id_producto: detalle.id_producto,
+      costo_unitario: detalle.costo_unitario,
+      cantidad,
+      precio_unitario: parseFloat(detalle.precio_unitario),
+      subtotal: parseFloat((cantidad * valorUnitario).toFixed(2))
+    };
+  });
+
+  const montoTotal = parseFloat(
+    detallesDevolucion.reduce((sum, d) => sum + d.subtotal, 0).toFixed(2)
+  );
+
+  // CREDITO: se reduce el saldo pendiente; lo que exceda el saldo se reembolsa
+  let credito = null;
+  let montoAplicadoCredito = 0;
+  if (venta.tipo_venta === TIPOS_VENTA.CREDITO) {
+    credito = await creditosRepository.obtenerPorVenta(id);
+    // La devolución reduce el capital; la mora cobrada no se descuenta con mercadería
+    const saldoCapital = parseFloat(credito.saldo_pendiente) - parseFloat(credito.saldo_mora || 0);
+    montoAplicadoCredito = parseFloat(Math.max(0, Math.min(montoTotal, saldoCapital)).toFixed(2));
+  }
+  const montoReembolso = parseFloat((montoTotal - montoAplicadoCredito).toFixed(2));
+
+  // El reembolso se entrega en efectivo, de la caja abierta del usuario
+  const sesionCaja = await cajaService.obtenerCajaParaReembolso(datos.id_usuario, montoReembolso);
+
+  const compensaciones = crearCompensaciones();
+
+  try {
+    // 1. Registrar encabezado y detalle de la devolución
+    const devolucion = await devolucionesRepository.crear({
+      id_venta: id,
+      id_usuario: datos.id_usuario,
+      monto_total: montoTotal,
+      monto_reembolso: montoReembolso,
+      monto_aplicado_credito: montoAplicadoCredito,
+      motivo: datos.motivo
+    });
+    compensaciones.registrar('Eliminar devolución', () =>
+      devolucionesRepository.eliminar(devolucion.id_devolucion)
+    );
+
+    const detallesCreados = await devolucionesRepository.crearDetalles(
+      detallesDevolucion.map(d => ({ ...d, id_devolucion: devolucion.id_devolucion }))
+    );
+
+    // 2. Generar movimientos de ENTRADA solo por lo devuelto
+    const movimientos = [];
+    for (const [i, linea] of detallesDevolucion.entries()) {
+      // Reingresa al mismo costo y en la misma unidad con que salió, en la bodega que la despachó
+      const movimiento = await movimientosService.registrarEntrada({
+        id_producto: linea.id_producto,
+        cantidad: linea.cantidad,
+        id_unidad: lineas[i].detalle.id_unidad,
+        motivo: 'Devolución',
+        referencia: `Devolución venta ${id}`,
+        costo_unitario: linea.costo_unitario,
+        id_bodega: venta.id_bodega
+      });
+      compensaciones.registrar('Revertir entrada de inventario', () =>
+        movimientosRepository.revertir(movimiento)
+      );
+
+      movimientos.push(movimiento);
+    }
+
+    // 3. Si es venta a CREDITO, reducir el saldo pendiente
+    let creditoActualizado = null;
+    if (credito && montoAplicadoCredito > 0) {
+      const nuevoSaldo = parseFloat(
+        (parseFloat(credito.saldo_pendiente) - montoAplicadoCredito).toFixed(2)
+      );
+      // Un crédito castigado sigue CASTIGADO: la devolución solo reduce lo que falta recuperar
+      creditoActualizado = credito.estado === creditosService.ESTADOS_CREDITO.CASTIGADO
+        ? await creditosRepository.actualizarSaldoMora(credito.id_credito, {
+          saldo_pendiente: nuevoSaldo,
+          saldo_mora: parseFloat(credito.saldo_mora || 0)
+        })
+        : await creditosRepository.actualizarSaldo(credito.id_credito, nuevoSaldo);
+      compensaciones.registrar('Restaurar saldo del crédito', () =>
+        creditosRepository.restaurar(credito.id_credito, {
+          estado: credito.estado,
+          saldo_pendiente: credito.saldo_pendiente
+        })
+      );
+
+      // Con plan de cuotas, la reducción se descuenta de las últimas cuotas
+      const cuotasAnteriores = await creditosService.reducirCuotas(credito.id_credito, montoAplicadoCredito);
+      compensaciones.registrar('Restaurar cuotas del crédito', () =>
+        creditosService.restaurarCuotas(cuotasAnteriores)
+      );
+    }
+
+    // 4. Registrar en caja el egreso del reembolso (sin él, el arqueo mostraría un faltante)
+    const movimientoCaja = await cajaService.registrarCobro(sesionCaja, {
+      tipo: cajaService.TIPOS_MOVIMIENTO_CAJA.EGRESO,
+      monto: montoReembolso,
+      concepto: `Reembolso devolución venta ${id}`,
+      id_devolucion: devolucion.id_devolucion,
+      id_usuario: datos.id_usuario
+    }, compensaciones);
+
+    return {
+      devolucion: {
+        ...devolucion,
+        detalles: detallesCreados
+      },
+      credito: creditoActualizado,
+      monto_reembolso: montoReembolso,
+      id_sesion_caja: movimientoCaja ? movimientoCaja.id_sesion : null,
+      movimientos_generados: movimientos.length
+    };
+
+  } catch (error) {
+    await revertirOperacion(compensaciones, error);
   }
 }
 
+/**
+ * Obtiene el historial de devoluciones de una venta
+ * Incluye por línea lo vendido, lo devuelto y lo que aún puede devolverse
+ * @param {string} id - UUID de la venta
+ * @returns {Promise<Object>} Devoluciones y resumen por línea
+ */
+async function obtenerDevolucionesVenta(id) {
+  await ventasRepository.obtenerPorId(id);
+
+  const devoluciones = await devolucionesRepository.obtenerPorVenta(id);
+  const detalles = await detalleVentaRepository.obtenerPorVenta(id);
+  const cantidadesDevueltas = await devolucionesRepository.obtenerCantidadesDevueltas(id);
+
+  const lineas = detalles.map(detalle => {
+    const devuelto = cantidadesDevueltas[detalle.id_detalle] || 0;
+    return {
+      id_detalle: detalle.id_detalle,
+      id_producto: detalle.id_producto,
+      producto: detalle.productos?.nombre,
+      cantidad_vendida: detalle.cantidad,
+      cantidad_devuelta: devuelto,
+      cantidad_disponible: unidadesProductoService.redondearCantidad(detalle.cantidad - devuelto)
+    };
+  });
+
+  return {
+    devoluciones,
+    lineas,
+    total_devuelto: parseFloat(
+      devoluciones.reduce((sum, d) => sum + parseFloat(d.monto_total), 0).toFixed(2)
+    ),
+    total_reembolsado: parseFloat(
+      devoluciones.reduce((sum, d) => sum + parseFloat(d.monto_reembolso || 0), 0).toFixed(2)
+    )
+  };
+}
+
 /**
  * Obtiene ventas por cliente
  * @param {string} id_cliente - UUID del cliente
@@ -589,7 +1370,19 @@ async function obtenerDashboardDia() {
  * @returns {Promise<Object>} Reporte consolidado
  */
 async function obtenerReportePorPeriodo(fecha_desde, fecha_hasta) {
-  // Validar fechas
+  const { desde, hasta } = validarRangoFechas(fecha_desde, fecha_hasta);
+
+  return await ventasRepository.obtenerReportePorPeriodo(desde, hasta);
+}
+
+/**
+ * Valida un rango de fechas de reporte (ambas requeridas, válidas y en orden)
+ * @param {Date|string} fecha_desde - Fecha inicio
+ * @param {Date|string} fecha_hasta - Fecha fin
+ * @returns {Object} { desde, hasta } como objetos Date
+ * @throws {ErrorValidacion} Si el rango es inválido
+ */
+function validarRangoFechas(fecha_desde, fecha_hasta) {
   if (!fecha_desde || !fecha_hasta) {
     throw new ErrorValidacion('Las fechas desde y hasta son requeridas');
   }
@@ -605,7 +1398,186 @@ async function obtenerReportePorPeriodo(fecha_desde, fecha_hasta) {
     throw new ErrorValidacion('La fecha desde no puede ser posterior a la fecha hasta');
   }
 
-  return await ventasRepository.obtenerReportePorPeriodo(desde, hasta);
+  return { desde, hasta };
+}
+
+/**
+ * Crea un acumulador vacío de margen
+ * @param {Object} datos - Campos identificadores del grupo
+ * @returns {Object} Acumulador
+ */
+function crearGrupoMargen(datos = {}) {
+  return {
+    ...datos,
+    cantidad: 0,
+    ingreso_bruto: 0,
+    descuento: 0,
+    ingreso_neto: 0,
+    costo: 0,
+    lineas_sin_costo: 0
+  };
+}
+
+/**
+ * Suma una línea al acumulador de margen
+ * @param {Object} grupo - Acumulador
+ * @param {Object} linea - Línea calculada
+ */
+function acumularMargen(grupo, linea) {
+  grupo.cantidad += linea.cantidad;
+  grupo.ingreso_bruto += linea.ingreso_bruto;
+  grupo.descuento += linea.descuento;
+  grupo.ingreso_neto += linea.ingreso_neto;
+  grupo.costo += linea.costo;
+  if (linea.sin_costo) {
+    grupo.lineas_sin_costo += 1;
+  }
+}
+
+/**
+ * Redondea el acumulador y calcula margen bruto, margen antes de descuento y porcentajes
+ * @param {Object} grupo - Acumulador
+ * @returns {Object} Grupo con indicadores de margen
+ */
+function finalizarGrupoMargen(grupo) {
+  const margenBruto = grupo.ingreso_neto - grupo.costo;
+  const margenSinDescuento = grupo.ingreso_bruto - grupo.costo;
+
+  return {
+    ...grupo,
+    ingreso_bruto: parseFloat(grupo.ingreso_bruto.toFixed(2)),
+    descuento: parseFloat(grupo.descuento.toFixed(2)),
+    ingreso_neto: parseFloat(grupo.ingreso_neto.toFixed(2)),
+    costo: parseFloat(grupo.costo.toFixed(2)),
+    margen_sin_descuento: parseFloat(margenSinDescuento.toFixed(2)),
+    margen_bruto: parseFloat(margenBruto.toFixed(2)),
+    margen_porcentaje: grupo.ingreso_neto > 0
+      ? parseFloat(((margenBruto / grupo.ingreso_neto) * 100).toFixed(2))
+      : 0
+  };
+}
+
+/**
+ * Agrupa líneas de margen por una clave y finaliza cada grupo
+ * @param {Array} lineas - Líneas calculadas
+ * @param {Function} obtenerClave - (linea) => clave del grupo
+ * @param {Function} obtenerDatos - (linea) => campos identificadores del grupo
+ * @returns {Array} Grupos ordenados por margen bruto descendente
+ */
+function agruparMargen(lineas, obtenerClave, obtenerDatos) {
+  const grupos = {};
+
+  for (const linea of lineas) {
+    const clave = obtenerClave(linea);
+    if (!grupos[clave]) {
+      grupos[clave] = crearGrupoMargen(obtenerDatos(linea));
+    }
+    acumularMargen(grupos[clave], linea);
+  }
+
+  return Object.values(grupos)
+    .map(finalizarGrupoMargen)
+    .sort((a, b) => b.margen_bruto - a.margen_bruto);
+}
+
+/**
+ * Obtiene el reporte de margen bruto (ingreso neto - costo de lo vendido) de un período
+ * Desglosa por venta, producto, categoría, vendedor y mes. El descuento de cada venta se
+ * prorratea entre sus líneas y se muestra aparte para ver su impacto en el margen.
+ * Las cantidades devueltas se excluyen; las líneas vendidas antes de registrar costos
+ * se cuentan en lineas_sin_costo (costo 0)
+ * @param {Date|string} fecha_desde - Fecha inicio
+ * @param {Date|string} fecha_hasta - Fecha fin
+ * @returns {Promise<Object>} Reporte de margen
+ */
+async function obtenerReporteMargen(fecha_desde, fecha_hasta) {
+  const { desde, hasta } = validarRangoFechas(fecha_desde, fecha_hasta);
+
+  const { ventas, detalles } = await detalleVentaRepository.obtenerDetallesParaMargen(desde, hasta);
+  const cantidadesDevueltas = await devolucionesRepository.obtenerCantidadesDevueltasPorVentas(
+    ventas.map(v => v.id_venta)
+  );
+
+  const ventasPorId = {};
+  ventas.forEach(v => { ventasPorId[v.id_venta] = v; });
+
+  // Calcular ingreso, descuento prorrateado y costo por línea
+  const lineas = [];
+  for (const detalle of detalles) {
+    const venta = ventasPorId[detalle.id_venta];
+    const cantidad = detalle.cantidad - (cantidadesDevueltas[detalle.id_detalle] || 0);
+    if (!venta || cantidad <= 0) {
+      continue;
+    }
+    // Las cantidades se agrupan en unidad base; ingreso y costo van por unidad vendida
+    const factorUnidad = parseFloat(detalle.factor_conversion) || 1;
+
+    // El IVA no es ingreso, se incluya en los precios o se sume al total: el ingreso de la
+    // venta es su base imponible más lo exento (el total en ventas sin desglose de IVA)
+    const subtotalVenta = parseFloat(venta.subtotal || venta.total);
+    const netoVenta = subtotalVenta - parseFloat(venta.descuento_monto || 0);
+    const ingresoVenta = venta.base_imponible !== null && venta.base_imponible !== undefined
+      ? parseFloat(venta.base_imponible) + parseFloat(venta.monto_exento || 0)
+      : parseFloat(venta.total);
+    const factor = subtotalVenta > 0 ? ingresoVenta / subtotalVenta : 1;
+    const factorSinIva = netoVenta > 0 ? ingresoVenta / netoVenta : 1;
+    const importe = cantidad * parseFloat(detalle.precio_unitario);
+    const ingresoBruto = importe * factorSinIva;
+    const ingresoNeto = importe * factor;
+    const sinCosto = detalle.costo_unitario === null || detalle.costo_unitario === undefined;
+    const producto = detalle.productos || {};
+
+    lineas.push({
+      id_venta: venta.id_venta,
+      fecha_venta: venta.fecha_venta,
+      mes: String(venta.fecha_venta).slice(0, 7),
+      id_usuario: venta.id_usuario,
+      vendedor: venta.usuarios?.nombre || 'Sin vendedor',
+      id_producto: detalle.id_producto,
+      producto: producto.nombre || 'Sin nombre',
+      id_categoria: producto.categorias?.id_categoria || null,
+      categoria: producto.categorias?.nombre || 'Sin categoría',
+      cantidad: unidadesProductoService.redondearCantidad(cantidad * factorUnidad),
+      ingreso_bruto: ingresoBruto,
+      descuento: ingresoBruto - ingresoNeto,
+      ingreso_neto: ingresoNeto,
+      costo: sinCosto ? 0 : cantidad * parseFloat(detalle.costo_unitario),
+      sin_costo: sinCosto
+    });
+  }
+
+  const resumen = crearGrupoMargen({ ventas: ventas.length });
+  lineas.forEach(linea => acumularMargen(resumen, linea));
+
+  return {
+    periodo: {
+      fecha_desde: desde,
+      fecha_hasta: hasta
+    },
+    resumen: finalizarGrupoMargen(resumen),
+    por_venta: agruparMargen(
+      lineas,
+      l => l.id_venta,
+      l => ({ id_venta: l.id_venta, fecha_venta: l.fecha_venta, vendedor: l.vendedor })
+    ),
+    por_producto: agruparMargen(
+      lineas,
+      l => l.id_producto,
+      l => ({ id_producto: l.id_producto, producto: l.producto, categoria: l.categoria })
+    ),
+    por_categoria: agruparMargen(
+      lineas,
+      l => l.id_categoria || 'sin-categoria',
+      l => ({ id_categoria: l.id_categoria, categoria: l.categoria })
+    ),
+    por_vendedor: agruparMargen(
+      lineas,
+      l => l.id_usuario,
+      l => ({ id_usuario: l.id_usuario, vendedor: l.vendedor })
+    ),
+    por_mes: agruparMargen(lineas, l => l.mes, l => ({ mes: l.mes }))
+      .sort((a, b) => a.mes.localeCompare(b.mes))
+  };
 }
 
 /**
@@ -625,18 +1597,29 @@ module.exports = {
   // Constantes
   TIPOS_VENTA,
   ESTADOS_VENTA,
+  TIPOS_DESCUENTO,
+  METODOS_PAGO,
+  METODO_PAGO_MIXTO,
+  
+  // Cálculos (reutilizados por cotizaciones)
+  calcularSubtotal,
+  validarDescuento,
+  calcularTotalConDescuento,
   
   // Funciones principales
   crearVentaContado,
   crearVentaCredito,
   anularVenta,
+  registrarDevolucion,
   
   // Consultas
   obtenerVentas,
   obtenerVentaPorId,
+  obtenerDevolucionesVenta,
   obtenerVentasPorCliente,
   obtenerVentasPorUsuario,
   obtenerDashboardDia,
   obtenerReportePorPeriodo,
+  obtenerReporteMargen,
   obtenerHistorialMensual
 };
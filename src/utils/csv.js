@@ -0,0 +1,42 @@
+/**
+ * Utilidades para exportar reportes en formato CSV
+ * Genera texto compatible con Excel (separador coma, BOM UTF-8 para acentos)
+ */
+
+/**
+ * Escapa un valor para CSV (comillas dobles si contiene coma, comillas o saltos de línea)
+ * @param {*} valor - Valor a escapar
+ * @returns {string} Valor listo para CSV
+ */
+const escaparValorCSV = (valor) => {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+
+  const texto = String(valor);
+  if (/[",\r\n]/.test(texto)) {
+    return `"${texto.replace(/"/g, '""')}"`;
+  }
+
+  return texto;
+};
+
+/**
+ * Genera un CSV a partir de columnas y filas
+ * @param {Array<Object>} columnas - [{ campo, titulo }] en el orden de salida
+ * @param {Array<Object>} filas - Objetos con los campos indicados en columnas
+ * @returns {string} Contenido CSV con encabezado
+ */
+const generarCSV = (columnas, filas) => {
+  const encabezado = columnas.map(c => escaparValorCSV(c.titulo)).join(',');
+  const lineas = filas.map(fila =>
+    columnas.map(c => escaparValorCSV(fila[c.campo])).join(',')
+  );
+
+  return '\ufeff' + [encabezado, ...lineas].join('\r\n');
+};
+
+module.exports = {
+  escaparValorCSV,
+  generarCSV
+};
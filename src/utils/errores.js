@@ -69,8 +69,8 @@ class ErrorNoEncontrado extends AppError {
  * Error de conflicto (409)
  */
 class ErrorConflicto extends AppError {
-  constructor(message = 'El recurso ya existe') {
-    super(message, 409);
+  constructor(message = 'El recurso ya existe', details = null) {
+    super(message, 409, details);
     this.name = 'ErrorConflicto';
   }
 }
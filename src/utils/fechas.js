@@ -25,7 +25,15 @@ function obtenerFechaGuatemala() {
  * @returns {string} Fecha en formato YYYY-MM-DD
  */
 function obtenerFechaHoyGuatemala() {
-  const fecha = obtenerFechaGuatemala();
+  return formatearFecha(obtenerFechaGuatemala());
+}
+
+/**
+ * Formatea una fecha como YYYY-MM-DD (sin hora)
+ * @param {Date} fecha - Fecha a formatear
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function formatearFecha(fecha) {
   const year = fecha.getFullYear();
   const month = String(fecha.getMonth() + 1).padStart(2, '0');
   const day = String(fecha.getDate()).padStart(2, '0');
@@ -86,11 +94,36 @@ function calcularDiasEntre(fecha1, fecha2) {
   return Math.ceil(diff / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Días de atraso de un vencimiento a hoy (0 si aún no vence)
+ * Compara solo la parte de fecha, así que acepta fechas YYYY-MM-DD o timestamps
+ * @param {string} fecha_vencimiento - Fecha de vencimiento
+ * @param {string} hoy - Fecha actual YYYY-MM-DD
+ * @returns {number} Días de atraso
+ */
+function diasAtraso(fecha_vencimiento, hoy) {
+  const vencimiento = new Date(`${String(fecha_vencimiento).slice(0, 10)}T00:00:00Z`);
+  const actual = new Date(`${String(hoy).slice(0, 10)}T00:00:00Z`);
+  return Math.max(0, Math.round((actual - vencimiento) / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} monto - Monto
+ * @returns {number} Monto con 2 decimales
+ */
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
 module.exports = {
   obtenerFechaGuatemala,
   obtenerFechaHoyGuatemala,
   convertirAGuatemala,
   obtenerFechaFuturaGuatemala,
   formatearISO,
-  calcularDiasEntre
+  formatearFecha,
+  calcularDiasEntre,
+  diasAtraso,
+  redondear
 };
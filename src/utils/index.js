@@ -8,6 +8,8 @@ const errores = require('./errores');
 const validaciones = require('./validaciones');
 const transacciones = require('./transacciones');
 const paginacion = require('./paginacion');
+const csv = require('./csv');
+const pdf = require('./pdf');
 
 module.exports = {
   // Respuestas HTTP
@@ -23,5 +25,11 @@ module.exports = {
   ...transacciones,
   
   // Paginación
-  ...paginacion
+  ...paginacion,
+
+  // Exportación CSV
+  ...csv,
+
+  // Reportes PDF
+  ...pdf
 };
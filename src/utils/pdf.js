@@ -0,0 +1,213 @@
+/**
+ * Utilidades para generar reportes imprimibles en PDF
+ * Genera documentos de texto simples (Helvetica, tamaño carta) sin dependencias externas
+ */
+
+/**
+ * Tamaño carta en puntos (1 pt = 1/72 pulgada)
+ */
+const ANCHO_PAGINA = 612;
+const ALTO_PAGINA = 792;
+
+/**
+ * Ancho de los caracteres ASCII 32-126 en Helvetica y Helvetica-Bold (milésimas del tamaño)
+ */
+const ANCHOS_HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const ANCHOS_HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Convierte el texto a Latin-1 (WinAnsi): los acentos del español se conservan y cualquier
+ * otro carácter fuera de rango se reemplaza por '?'
+ * @param {*} texto - Texto a convertir
+ * @returns {string} Texto con caracteres de un byte
+ */
+const normalizarTexto = (texto) => {
+  return String(texto ?? '').replace(/[^\x20-\xff]/g, c => (c === '\t' ? ' ' : '?'));
+};
+
+/**
+ * Calcula el ancho de un texto en puntos
+ * @param {string} texto - Texto
+ * @param {number} tamano - Tamaño de letra
+ * @param {boolean} negrita - Si se usa Helvetica-Bold
+ * @returns {number} Ancho en puntos
+ */
+const medirTexto = (texto, tamano, negrita = false) => {
+  const anchos = negrita ? ANCHOS_HELVETICA_BOLD : ANCHOS_HELVETICA;
+  let total = 0;
+
+  for (const caracter of normalizarTexto(texto)) {
+    // Las letras acentuadas miden lo mismo que su letra base
+    const base = caracter.normalize('NFD')[0];
+    const codigo = base.charCodeAt(0);
+    total += codigo >= 32 && codigo <= 126 ? anchos[codigo - 32] : 556;
+  }
+
+  return (total * tamano) / 1000;
+};
+
+/**
+ * Recorta un texto para que no pase de un ancho (agrega '...')
+ * @param {string} texto - Texto
+ * @param {number} anchoMaximo - Ancho disponible en puntos
+ * @param {number} tamano - Tamaño de letra
+ * @param {boolean} negrita - Si se usa Helvetica-Bold
+ * @returns {string} Texto recortado
+ */
+const recortarTexto = (texto, anchoMaximo, tamano, negrita = false) => {
+  let resultado = normalizarTexto(texto);
+  if (medirTexto(resultado, tamano, negrita) <= anchoMaximo) {
+    return resultado;
+  }
+
+  while (resultado.length > 0 && medirTexto(`${resultado}...`, tamano, negrita) > anchoMaximo) {
+    resultado = resultado.slice(0, -1);
+  }
+
+  return `${resultado}...`;
+};
+
+/**
+ * Escapa un texto para un string literal de PDF
+ * @param {string} texto - Texto normalizado
+ * @returns {string} Texto escapado
+ */
+const escaparTextoPDF = (texto) => texto.replace(/[\\()]/g, c => `\\${c}`);
+
+/**
+ * Crea un documento PDF. Las coordenadas se miden en puntos desde la esquina superior izquierda
+ * @returns {Object} Documento con texto(), linea(), nuevaPagina() y generar()
+ *
+ * @example
+ * const doc = crearDocumentoPDF();
+ * doc.texto(40, 50, 'Estado de cuenta', { tamano: 16, negrita: true });
+ * doc.texto(572, 50, 'Q1,250.00', { alinear: 'derecha' });
+ * doc.linea(40, 60, 572, 60);
+ * const buffer = doc.generar();
+ */
+const crearDocumentoPDF = () => {
+  const paginas = [[]];
+  const actual = () => paginas[paginas.length - 1];
+
+  return {
+    ancho: ANCHO_PAGINA,
+    alto: ALTO_PAGINA,
+
+    /**
+     * Escribe texto
+     * @param {number} x - Posición horizontal (con alinear 'derecha', es donde termina el texto)
+     * @param {number} y - Línea base del texto
+     * @param {string} texto - Texto
+     * @param {Object} opciones - { tamano (default 10), negrita, alinear: 'izquierda'|'derecha'|'centro' }
+     */
+    texto(x, y, texto, { tamano = 10, negrita = false, alinear = 'izquierda' } = {}) {
+      const contenido = normalizarTexto(texto);
+      const ancho = medirTexto(contenido, tamano, negrita);
+      let posicionX = x;
+
+      if (alinear === 'derecha') posicionX = x - ancho;
+      if (alinear === 'centro') posicionX = x - ancho / 2;
+
+      actual().push(
+        `BT /${negrita ? 'F2' : 'F1'} ${tamano} Tf ${posicionX.toFixed(2)} ` +
+        `${(ALTO_PAGINA - y).toFixed(2)} Td (${escaparTextoPDF(contenido)}) Tj ET`
+      );
+    },
+
+    /**
+     * Dibuja una línea
+     * @param {number} x1 - Inicio horizontal
+     * @param {number} y1 - Inicio vertical
+     * @param {number} x2 - Fin horizontal
+     * @param {number} y2 - Fin vertical
+     * @param {number} grosor - Grosor en puntos (default 0.5)
+     */
+    linea(x1, y1, x2, y2, grosor = 0.5) {
+      actual().push(
+        `${grosor} w ${x1} ${ALTO_PAGINA - y1} m ${x2} ${ALTO_PAGINA - y2} l S`
+      );
+    },
+
+    /**
+     * Empieza una página nueva
+     */
+    nuevaPagina() {
+      paginas.push([]);
+    },
+
+    /**
+     * Cantidad de páginas del documento
+     * @returns {number} Páginas
+     */
+    totalPaginas() {
+      return paginas.length;
+    },
+
+    /**
+     * Genera el archivo PDF
+     * @returns {Buffer} Contenido del PDF
+     */
+    generar() {
+      const objetos = [];
+      const idPaginas = [];
+
+      objetos[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objetos[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objetos[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      paginas.forEach((operaciones, i) => {
+        const idPagina = 5 + i * 2;
+        const idContenido = idPagina + 1;
+        const contenido = operaciones.join('\n');
+
+        idPaginas.push(idPagina);
+        objetos[idPagina] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ANCHO_PAGINA} ${ALTO_PAGINA}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${idContenido} 0 R >>`;
+        objetos[idContenido] =
+          `<< /Length ${Buffer.byteLength(contenido, 'latin1')} >>\nstream\n${contenido}\nendstream`;
+      });
+
+      objetos[2] = `<< /Type /Pages /Kids [${idPaginas.map(id => `${id} 0 R`).join(' ')}] ` +
+        `/Count ${idPaginas.length} >>`;
+
+      let pdf = '%PDF-1.4\n';
+      const posiciones = [];
+
+      for (let id = 1; id < objetos.length; id++) {
+        posiciones[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objetos[id]}\nendobj\n`;
+      }
+
+      const inicioXref = Buffer.byteLength(pdf, 'latin1');
+      pdf += `xref\n0 ${objetos.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objetos.length; id++) {
+        pdf += `${String(posiciones[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      pdf += `trailer\n<< /Size ${objetos.length} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+      return Buffer.from(pdf, 'latin1');
+    }
+  };
+};
+
+module.exports = {
+  medirTexto,
+  recortarTexto,
+  crearDocumentoPDF
+};
@@ -69,6 +69,20 @@ const eliminado = ({ res, mensaje = 'Recurso eliminado exitosamente' }) => {
   });
 };
 
+/**
+ * Respuesta de descarga de archivo (ej. reportes CSV)
+ * @param {Object} params - Parámetros de la respuesta
+ * @param {Object} params.res - Objeto response de Express
+ * @param {String} params.contenido - Contenido del archivo
+ * @param {String} params.nombreArchivo - Nombre sugerido para la descarga
+ * @param {String} params.tipo - Content-Type (default CSV)
+ */
+const archivo = ({ res, contenido, nombreArchivo, tipo = 'text/csv; charset=utf-8' }) => {
+  res.setHeader('Content-Type', tipo);
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+  return res.status(200).send(contenido);
+};
+
 /**
  * Respuesta con paginación
  * @param {Object} res - Objeto response de Express
@@ -174,6 +188,7 @@ module.exports = {
   creado,
   actualizado,
   eliminado,
+  archivo,
   conPaginacion,
   error,
   errorValidacion,
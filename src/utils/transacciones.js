@@ -202,9 +202,76 @@ const transaccionConRollback = async (operaciones) => {
   }
 };
 
+/**
+ * Crea un registro de acciones compensatorias para flujos de varios pasos
+ * Cada paso ya aplicado registra cómo deshacerse; si un paso posterior falla,
+ * revertir() ejecuta las compensaciones en orden inverso (de la última a la primera)
+ * 
+ * Los errores al compensar no detienen el rollback: se registran en consola y se
+ * devuelven para que el llamador pueda reportarlos junto con el error original
+ * 
+ * @returns {Object} { registrar(descripcion, accion), revertir() }
+ * 
+ * @example
+ * const compensaciones = crearCompensaciones();
+ * try {
+ *   const venta = await ventasRepository.crear({...});
+ *   compensaciones.registrar('Eliminar venta', () => ventasRepository.eliminar(venta.id_venta));
+ *   await detalleVentaRepository.crearMultiples(detalles);
+ *   ...
+ * } catch (error) {
+ *   await revertirOperacion(compensaciones, error);
+ * }
+ */
+const crearCompensaciones = () => {
+  const acciones = [];
+
+  return {
+    registrar(descripcion, accion) {
+      acciones.push({ descripcion, accion });
+    },
+
+    async revertir() {
+      const fallidas = [];
+
+      while (acciones.length > 0) {
+        const { descripcion, accion } = acciones.pop();
+        try {
+          await accion();
+        } catch (error) {
+          console.error(`Error en compensación "${descripcion}":`, error);
+          fallidas.push({ descripcion, error: error.message });
+        }
+      }
+
+      return fallidas;
+    }
+  };
+};
+
+/**
+ * Revierte los pasos ya aplicados de una operación fallida y relanza el error original
+ * Si alguna compensación falla, se agrega el detalle al error para que quede registrado
+ * @param {Object} compensaciones - Registro creado con crearCompensaciones()
+ * @param {Error} error - Error que interrumpió la operación
+ * @throws {Error} Siempre relanza el error original
+ */
+const revertirOperacion = async (compensaciones, error) => {
+  const fallidas = await compensaciones.revertir();
+
+  if (fallidas.length > 0) {
+    console.error('Compensaciones incompletas, revisar consistencia de datos:', fallidas);
+    error.compensaciones_fallidas = fallidas;
+  }
+
+  throw error;
+};
+
 module.exports = {
   ejecutarTransaccion,
   ejecutarRPC,
   operacionBatch,
-  transaccionConRollback
+  transaccionConRollback,
+  crearCompensaciones,
+  revertirOperacion
 };
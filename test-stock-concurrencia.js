@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Verificación de Concurrencia de Stock
+ * Dispara salidas simultáneas contra un mismo producto y verifica que no se pierda
+ * ninguna deducción (stock final = stock inicial - suma de cantidades)
+ *
+ * Uso:
+ *   PRODUCTO_ID=<uuid> [SALIDAS=20] [CANTIDAD=1] npm run test:stock
+ *
+ * IMPORTANTE: Registra movimientos reales. Al terminar registra una ENTRADA que
+ * devuelve el stock a su valor inicial. Usar en un entorno de pruebas.
+ */
+
+require('dotenv').config();
+
+const movimientosService = require('./src/services/movimientosService');
+const productosRepository = require('./src/repositories/productosRepository');
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+// Configuración
+const PRODUCTO_ID = process.env.PRODUCTO_ID;
+const SALIDAS = parseInt(process.env.SALIDAS) || 20;
+const CANTIDAD = parseInt(process.env.CANTIDAD) || 1;
+
+/**
+ * Ejecuta la prueba de concurrencia
+ */
+async function runTest() {
+  if (!PRODUCTO_ID) {
+    console.log(`${colors.red}❌ Debe definir PRODUCTO_ID${colors.reset}`);
+    process.exit(1);
+  }
+
+  const producto = await productosRepository.obtenerPorId(PRODUCTO_ID);
+  const stockInicial = producto.cantidad_stock;
+
+  console.log(`${colors.cyan}🧪 Prueba de concurrencia de stock${colors.reset}\n`);
+  console.log(`   Producto: ${producto.nombre}`);
+  console.log(`   Stock inicial: ${stockInicial}`);
+  console.log(`   Salidas paralelas: ${SALIDAS} x ${CANTIDAD}\n`);
+
+  if (stockInicial < SALIDAS * CANTIDAD) {
+    console.log(`${colors.yellow}⚠️  El stock inicial no cubre todas las salidas; ` +
+      `las que excedan deben ser rechazadas${colors.reset}\n`);
+  }
+
+  const resultados = await Promise.all(
+    Array.from({ length: SALIDAS }, (_, i) =>
+      movimientosService.registrarSalida({
+        id_producto: PRODUCTO_ID,
+        cantidad: CANTIDAD,
+        motivo: 'Corrección',
+        referencia: `Prueba concurrencia ${i + 1}`
+      })
+        .then(movimiento => ({ exito: true, movimiento }))
+        .catch(error => ({ exito: false, mensaje: error.message }))
+    )
+  );
+
+  const exitosas = resultados.filter(r => r.exito);
+  const fallidas = resultados.filter(r => !r.exito);
+  const totalDescontado = exitosas.length * CANTIDAD;
+
+  const productoFinal = await productosRepository.obtenerPorId(PRODUCTO_ID);
+  const stockEsperado = stockInicial - totalDescontado;
+
+  console.log(`${colors.cyan}📊 Resultados:${colors.reset}`);
+  console.log(`   ✅ Salidas exitosas: ${colors.green}${exitosas.length}${colors.reset}`);
+  console.log(`   ❌ Salidas rechazadas: ${colors.red}${fallidas.length}${colors.reset}`);
+  console.log(`   Stock esperado: ${stockEsperado}`);
+  console.log(`   Stock final: ${productoFinal.cantidad_stock}\n`);
+
+  // Cada movimiento debe reportar un stock_anterior distinto (ninguno leyó el mismo valor)
+  const anteriores = new Set(exitosas.map(r => r.movimiento.stock_anterior));
+  const stockConsistente = productoFinal.cantidad_stock === stockEsperado;
+  const sinLecturasRepetidas = anteriores.size === exitosas.length;
+
+  // Restaurar el stock inicial
+  if (totalDescontado > 0) {
+    await movimientosService.registrarEntrada({
+      id_producto: PRODUCTO_ID,
+      cantidad: totalDescontado,
+      motivo: 'Corrección',
+      referencia: 'Restauración prueba concurrencia'
+    });
+  }
+
+  if (stockConsistente && sinLecturasRepetidas) {
+    console.log(`${colors.green}✅ Sin deducciones perdidas${colors.reset}\n`);
+    process.exit(0);
+  }
+
+  console.log(`${colors.red}❌ Inconsistencia detectada` +
+    `${!sinLecturasRepetidas ? ' (stock_anterior repetido)' : ''}${colors.reset}\n`);
+  process.exit(1);
+}
+
+// Ejecutar prueba
+runTest().catch(err => {
+  console.error(`${colors.red}❌ Error en la prueba:${colors.reset}`, err.message);
+  process.exit(1);
+});
@@ -0,0 +1,531 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Verificación de Compensaciones en Ventas
+ * Fuerza una falla en cada escritura de crearVentaContado, crearVentaCredito, anularVenta y
+ * registrarDevolucion y verifica que los pasos ya aplicados se reviertan: sin ventas, detalles,
+ * movimientos, pagos ni créditos huérfanos, y sin compensaciones fallidas
+ *
+ * Uso:
+ *   npm run test:transacciones
+ *
+ * No usa la base de datos: los repositorios se reemplazan por tablas en memoria, así que la
+ * falla se puede inyectar en cualquier paso sin dejar datos de prueba.
+ */
+
+require('dotenv').config();
+
+// El cliente de Supabase se crea al cargar los repositorios aunque aquí no se use
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'sin-conexion';
+
+const ventasRepository = require('./src/repositories/ventasRepository');
+const detalleVentaRepository = require('./src/repositories/detalleVentaRepository');
+const pagosVentaRepository = require('./src/repositories/pagosVentaRepository');
+const productosRepository = require('./src/repositories/productosRepository');
+const clientesRepository = require('./src/repositories/clientesRepository');
+const bodegasRepository = require('./src/repositories/bodegasRepository');
+const movimientosRepository = require('./src/repositories/movimientosRepository');
+const creditosRepository = require('./src/repositories/creditosRepository');
+const pagosRepository = require('./src/repositories/pagosRepository');
+const cuotasRepository = require('./src/repositories/cuotasRepository');
+const anticiposRepository = require('./src/repositories/anticiposRepository');
+const cajaRepository = require('./src/repositories/cajaRepository');
+const devolucionesRepository = require('./src/repositories/devolucionesRepository');
+const notasCreditoRepository = require('./src/repositories/notasCreditoRepository');
+const impuestosRepository = require('./src/repositories/impuestosRepository');
+const politicaCreditoRepository = require('./src/repositories/politicaCreditoRepository');
+const politicaCreditoService = require('./src/services/politicaCreditoService');
+const ventasService = require('./src/services/ventasService');
+const { ErrorNoEncontrado } = require('./src/utils/errores');
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+const ID_CLIENTE = 'cliente-1';
+const ID_USUARIO = 'usuario-1';
+const BODEGA = { id_bodega: 'bodega-1', nombre: 'Principal', estado: true, es_principal: true };
+const PRODUCTOS = {
+  'producto-1': { nombre: 'Tabla de pino', precio_venta: 100 },
+  'producto-2': { nombre: 'Barniz', precio_venta: 50 }
+};
+
+// ============================================
+// BASE DE DATOS EN MEMORIA
+// ============================================
+
+let db;
+let secuencia = 0;
+
+/**
+ * Estado inicial: stock en la bodega principal, saldo a favor del cliente y una autorización
+ * de crédito sin usar
+ */
+function crearBaseInicial() {
+  return {
+    ventas: [],
+    detalle_venta: [],
+    pagos_venta: [],
+    movimientos_inventario: [],
+    stock: { 'producto-1': 20, 'producto-2': 20 },
+    saldos_anticipo: { [ID_CLIENTE]: 500 },
+    movimientos_anticipo: [],
+    creditos: [],
+    pagos_credito: [],
+    cuotas_credito: [],
+    movimientos_caja: [],
+    autorizaciones_credito: [{ id_autorizacion: 'autorizacion-1', id_venta: null, fecha_uso: null }],
+    devoluciones: [],
+    detalle_devolucion: []
+  };
+}
+
+function nuevoId(prefijo) {
+  secuencia++;
+  return `${prefijo}-${secuencia}`;
+}
+
+/**
+ * Quita una fila de una tabla; si no existe la compensación es incorrecta
+ */
+function quitar(tabla, campo, valor) {
+  const indice = db[tabla].findIndex(fila => fila[campo] === valor);
+  if (indice === -1) {
+    throw new Error(`${tabla}: no existe ${campo}=${valor}`);
+  }
+  db[tabla].splice(indice, 1);
+}
+
+/**
+ * Simula una llave foránea: no se puede borrar una fila con registros que la referencian
+ */
+function verificarSinReferencias(tablas, campo, valor) {
+  for (const tabla of tablas) {
+    if (db[tabla].some(fila => fila[campo] === valor)) {
+      throw new Error(`No se puede eliminar ${campo}=${valor}: aún tiene registros en ${tabla}`);
+    }
+  }
+}
+
+// ============================================
+// INYECCIÓN DE FALLAS
+// ============================================
+
+const falla = {
+  en: 0,
+  escrituras: [],
+  aplicada: false
+};
+
+/**
+ * Envuelve una escritura: cuenta el paso y falla si es el elegido
+ * Después de la falla las escrituras ya no se cuentan (son las compensaciones)
+ */
+function escritura(nombre, fn) {
+  return async (...args) => {
+    if (!falla.aplicada) {
+      falla.escrituras.push(nombre);
+      if (falla.escrituras.length === falla.en) {
+        falla.aplicada = true;
+        throw new Error(`Falla inyectada en ${nombre}`);
+      }
+    }
+    return fn(...args);
+  };
+}
+
+// ============================================
+// REPOSITORIOS EN MEMORIA
+// ============================================
+
+function instalarRepositorios() {
+  // Lecturas
+  clientesRepository.obtenerPorId = async id => ({
+    id_cliente: id,
+    nombre: 'Cliente',
+    tipo_cliente: 'CREDITO',
+    estado: true,
+    deleted_at: null
+  });
+  clientesRepository.obtenerDeudaCliente = async () => ({
+    cliente: { id_cliente: ID_CLIENTE, tipo_cliente: 'CREDITO' },
+    limite_credito: 10000,
+    deuda_total: 0,
+    credito_disponible: 10000,
+    porcentaje_utilizado: 0,
+    en_mora: false
+  });
+  productosRepository.obtenerPorId = async id => ({
+    id_producto: id,
+    ...PRODUCTOS[id],
+    unidad_medida: 'unidad',
+    costo_promedio: 40,
+    exento_iva: false,
+    estado: true,
+    deleted_at: null
+  });
+  bodegasRepository.obtenerPrincipal = async () => BODEGA;
+  bodegasRepository.obtenerPorId = async () => BODEGA;
+  bodegasRepository.obtenerCantidadEnBodega = async id_producto => db.stock[id_producto];
+  impuestosRepository.obtenerPolitica = async () => null;
+  notasCreditoRepository.obtenerPorVenta = async () => [];
+  cajaRepository.obtenerPolitica = async () => null;
+  cajaRepository.obtenerSesionAbierta = async id_usuario =>
+    ({ id_sesion: 'sesion-1', id_usuario, estado: 'ABIERTA', monto_apertura: 5000 });
+  cajaRepository.obtenerMovimientosPorSesion = async id_sesion =>
+    db.movimientos_caja.filter(m => m.id_sesion === id_sesion);
+  cajaRepository.obtenerMovimientosPorReferencia = async referencia =>
+    db.movimientos_caja
+      .filter(m => Object.entries(referencia).every(([campo, valor]) => m[campo] === valor))
+      .map(m => ({ ...m, sesiones_caja: { estado: 'ABIERTA' } }));
+  anticiposRepository.obtenerSaldo = async id_cliente => db.saldos_anticipo[id_cliente] || 0;
+
+  ventasRepository.obtenerPorId = async id => {
+    const venta = db.ventas.find(v => v.id_venta === id);
+    if (!venta) throw new ErrorNoEncontrado('Venta no encontrada');
+    return { ...venta };
+  };
+  detalleVentaRepository.obtenerPorVenta = async id_venta =>
+    db.detalle_venta
+      .filter(d => d.id_venta === id_venta)
+      .map(d => ({ ...d, productos: { nombre: PRODUCTOS[d.id_producto].nombre } }));
+  pagosVentaRepository.obtenerPorVenta = async id_venta =>
+    db.pagos_venta.filter(p => p.id_venta === id_venta);
+  creditosRepository.obtenerPorVenta = async id_venta => {
+    const credito = db.creditos.find(c => c.id_venta === id_venta);
+    if (!credito) throw new ErrorNoEncontrado('Crédito no encontrado');
+    return { ...credito };
+  };
+  cuotasRepository.obtenerPorCredito = async id_credito =>
+    db.cuotas_credito.filter(c => c.id_credito === id_credito).map(c => ({ ...c }));
+  devolucionesRepository.obtenerCantidadesDevueltas = async id_venta => {
+    const ids = db.devoluciones.filter(d => d.id_venta === id_venta).map(d => d.id_devolucion);
+    const cantidades = {};
+    for (const detalle of db.detalle_devolucion.filter(d => ids.includes(d.id_devolucion))) {
+      cantidades[detalle.id_detalle] = (cantidades[detalle.id_detalle] || 0) + detalle.cantidad;
+    }
+    return cantidades;
+  };
+
+  // Ventas
+  ventasRepository.crear = escritura('ventasRepository.crear', async venta => {
+    const creada = { ...venta, id_venta: nuevoId('venta'), estado: 'ACTIVA' };
+    db.ventas.push(creada);
+    return { ...creada };
+  });
+  ventasRepository.eliminar = async id => {
+    verificarSinReferencias(['detalle_venta', 'pagos_venta', 'creditos', 'movimientos_caja'], 'id_venta', id);
+    quitar('ventas', 'id_venta', id);
+  };
+  ventasRepository.anular = escritura('ventasRepository.anular', async id => {
+    const venta = db.ventas.find(v => v.id_venta === id && v.estado === 'ACTIVA');
+    if (!venta) throw new ErrorNoEncontrado('Venta no encontrada o ya está anulada');
+    venta.estado = 'ANULADA';
+    return { ...venta };
+  });
+  ventasRepository.reactivar = async id => {
+    const venta = db.ventas.find(v => v.id_venta === id && v.estado === 'ANULADA');
+    if (!venta) throw new Error(`La venta ${id} no está anulada`);
+    venta.estado = 'ACTIVA';
+    return { ...venta };
+  };
+
+  detalleVentaRepository.crearMultiples = escritura('detalleVentaRepository.crearMultiples', async detalles => {
+    const creados = detalles.map(d => ({ ...d, id_detalle: nuevoId('detalle') }));
+    db.detalle_venta.push(...creados);
+    return creados;
+  });
+  detalleVentaRepository.eliminarPorVenta = async id_venta => {
+    db.detalle_venta = db.detalle_venta.filter(d => d.id_venta !== id_venta);
+  };
+
+  pagosVentaRepository.crearMultiples = escritura('pagosVentaRepository.crearMultiples', async pagos => {
+    const creados = pagos.map(p => ({ ...p, id_pago_venta: nuevoId('pago-venta') }));
+    db.pagos_venta.push(...creados);
+    return creados;
+  });
+  pagosVentaRepository.eliminarPorVenta = async id_venta => {
+    db.pagos_venta = db.pagos_venta.filter(p => p.id_venta !== id_venta);
+  };
+
+  // Inventario: una SALIDA sin stock se rechaza igual que en ajustar_stock
+  movimientosRepository.crear = escritura('movimientosRepository.crear', async movimiento => {
+    const signo = movimiento.tipo_movimiento === 'ENTRADA' ? 1 : -1;
+    if (db.stock[movimiento.id_producto] + signo * movimiento.cantidad < 0) {
+      throw new Error('Stock insuficiente');
+    }
+    db.stock[movimiento.id_producto] += signo * movimiento.cantidad;
+    // Sin costo indicado el movimiento se valoriza al costo promedio del producto
+    const creado = {
+      ...movimiento,
+      costo_unitario: movimiento.costo_unitario ?? 40,
+      id_movimiento: nuevoId('movimiento')
+    };
+    db.movimientos_inventario.push(creado);
+    return { ...creado };
+  });
+  movimientosRepository.revertir = async movimiento => {
+    quitar('movimientos_inventario', 'id_movimiento', movimiento.id_movimiento);
+    const signo = movimiento.tipo_movimiento === 'ENTRADA' ? -1 : 1;
+    db.stock[movimiento.id_producto] += signo * movimiento.cantidad;
+  };
+
+  // Saldo a favor
+  anticiposRepository.actualizarSaldo = escritura('anticiposRepository.actualizarSaldo', async (id_cliente, saldo) => {
+    db.saldos_anticipo[id_cliente] = saldo;
+  });
+  anticiposRepository.crearMovimiento = escritura('anticiposRepository.crearMovimiento', async movimiento => {
+    const creado = { ...movimiento, id_movimiento: nuevoId('anticipo') };
+    db.movimientos_anticipo.push(creado);
+    return { ...creado };
+  });
+  anticiposRepository.eliminarMovimiento = async id => quitar('movimientos_anticipo', 'id_movimiento', id);
+
+  // Caja
+  cajaRepository.crearMovimiento = escritura('cajaRepository.crearMovimiento', async movimiento => {
+    const creado = { ...movimiento, id_movimiento: nuevoId('caja'), anulado: false };
+    db.movimientos_caja.push(creado);
+    return { ...creado };
+  });
+  cajaRepository.eliminarMovimiento = async id => quitar('movimientos_caja', 'id_movimiento', id);
+  cajaRepository.marcarAnulados = escritura('cajaRepository.marcarAnulados', async (ids, anulado = true) => {
+    for (const movimiento of db.movimientos_caja.filter(m => ids.includes(m.id_movimiento))) {
+      movimiento.anulado = anulado;
+    }
+  });
+
+  // Créditos
+  creditosRepository.crear = escritura('creditosRepository.crear', async credito => {
+    const creado = { ...credito, id_credito: nuevoId('credito'), saldo_mora: 0 };
+    db.creditos.push(creado);
+    return { ...creado };
+  });
+  creditosRepository.eliminar = async id => {
+    verificarSinReferencias(['pagos_credito', 'cuotas_credito'], 'id_credito', id);
+    quitar('creditos', 'id_credito', id);
+  };
+  const actualizarCredito = (id, cambios) => {
+    const credito = db.creditos.find(c => c.id_credito === id);
+    Object.assign(credito, cambios);
+    return { ...credito };
+  };
+  creditosRepository.anular = escritura('creditosRepository.anular', async id =>
+    actualizarCredito(id, { estado: 'ANULADO', saldo_pendiente: 0, saldo_mora: 0 })
+  );
+  creditosRepository.actualizarSaldo = escritura('creditosRepository.actualizarSaldo', async (id, saldo) =>
+    actualizarCredito(id, { saldo_pendiente: saldo, estado: saldo <= 0 ? 'PAGADO' : 'ACTIVO' })
+  );
+  creditosRepository.restaurar = async (id, { estado, saldo_pendiente, saldo_mora }) =>
+    actualizarCredito(id, { estado, saldo_pendiente, ...(saldo_mora !== undefined ? { saldo_mora } : {}) });
+
+  pagosRepository.crear = escritura('pagosRepository.crear', async pago => {
+    const creado = { ...pago, id_pago: nuevoId('pago') };
+    db.pagos_credito.push(creado);
+    return { ...creado };
+  });
+  pagosRepository.eliminar = async id => quitar('pagos_credito', 'id_pago', id);
+
+  cuotasRepository.crearMultiples = escritura('cuotasRepository.crearMultiples', async cuotas => {
+    const creadas = cuotas.map(c => ({
+      ...c,
+      id_cuota: nuevoId('cuota'),
+      monto_pagado: 0,
+      estado: 'PENDIENTE',
+      fecha_pago: null
+    }));
+    db.cuotas_credito.push(...creadas);
+    return creadas;
+  });
+  cuotasRepository.eliminarPorCredito = async id_credito => {
+    db.cuotas_credito = db.cuotas_credito.filter(c => c.id_credito !== id_credito);
+  };
+  cuotasRepository.actualizar = escritura('cuotasRepository.actualizar', async (id, cambios) => {
+    const cuota = db.cuotas_credito.find(c => c.id_cuota === id);
+    Object.assign(cuota, cambios);
+    return { ...cuota };
+  });
+
+  // Autorización para vender a un cliente bloqueado por la política de crédito
+  politicaCreditoService.validarVentaCredito = async () => ({ id_autorizacion: 'autorizacion-1' });
+  politicaCreditoRepository.usarAutorizacion = escritura('politicaCreditoRepository.usarAutorizacion', async (id, id_venta) => {
+    const autorizacion = db.autorizaciones_credito.find(a => a.id_autorizacion === id && !a.id_venta);
+    if (!autorizacion) return null;
+    Object.assign(autorizacion, { id_venta, fecha_uso: '2026-01-01T00:00:00' });
+    return { ...autorizacion };
+  });
+  politicaCreditoRepository.liberarAutorizacion = async id => {
+    Object.assign(db.autorizaciones_credito.find(a => a.id_autorizacion === id), { id_venta: null, fecha_uso: null });
+  };
+
+  // Devoluciones
+  devolucionesRepository.crear = escritura('devolucionesRepository.crear', async devolucion => {
+    const creada = { ...devolucion, id_devolucion: nuevoId('devolucion') };
+    db.devoluciones.push(creada);
+    return { ...creada };
+  });
+  devolucionesRepository.crearDetalles = escritura('devolucionesRepository.crearDetalles', async detalles => {
+    db.detalle_devolucion.push(...detalles.map(d => ({ ...d })));
+    return detalles;
+  });
+  devolucionesRepository.eliminar = async id => {
+    verificarSinReferencias(['movimientos_caja'], 'id_devolucion', id);
+    db.detalle_devolucion = db.detalle_devolucion.filter(d => d.id_devolucion !== id);
+    quitar('devoluciones', 'id_devolucion', id);
+  };
+}
+
+// ============================================
+// ESCENARIOS
+// ============================================
+
+const productosVenta = () => [
+  { id_producto: 'producto-1', cantidad: 2, precio_unitario: 100 },
+  { id_producto: 'producto-2', cantidad: 1, precio_unitario: 50 }
+];
+
+const ventaContado = () => ventasService.crearVentaContado({
+  id_cliente: ID_CLIENTE,
+  id_usuario: ID_USUARIO,
+  productos: productosVenta(),
+  monto_anticipo: 100,
+  metodo_pago: 'EFECTIVO'
+});
+
+// Total 250: anticipo 50, enganche 50 en efectivo y saldo de 150 en 3 cuotas
+const ventaCredito = () => ventasService.crearVentaCredito({
+  id_cliente: ID_CLIENTE,
+  id_usuario: ID_USUARIO,
+  productos: productosVenta(),
+  monto_anticipo: 50,
+  monto_enganche: 50,
+  metodo_pago_enganche: 'EFECTIVO',
+  plan_cuotas: { numero_cuotas: 3, frecuencia: 'MENSUAL' }
+});
+
+/**
+ * Devuelve una unidad de la línea del producto 1 (Q100): en la venta a crédito reduce las
+ * dos últimas cuotas
+ */
+async function devolverProducto1(venta) {
+  const detalle = db.detalle_venta.find(d => d.id_venta === venta.id_venta && d.id_producto === 'producto-1');
+  return ventasService.registrarDevolucion(venta.id_venta, {
+    productos: [{ id_detalle: detalle.id_detalle, cantidad: 1 }],
+    motivo: 'Producto dañado',
+    id_usuario: ID_USUARIO
+  });
+}
+
+const ESCENARIOS = [
+  { nombre: 'crearVentaContado', ejecutar: ventaContado },
+  { nombre: 'crearVentaCredito', ejecutar: ventaCredito },
+  { nombre: 'anularVenta (contado)', preparar: ventaContado, ejecutar: venta => ventasService.anularVenta(venta.id_venta) },
+  { nombre: 'anularVenta (crédito)', preparar: ventaCredito, ejecutar: venta => ventasService.anularVenta(venta.id_venta) },
+  { nombre: 'registrarDevolucion (contado)', preparar: ventaContado, ejecutar: devolverProducto1 },
+  { nombre: 'registrarDevolucion (crédito)', preparar: ventaCredito, ejecutar: devolverProducto1 }
+];
+
+/**
+ * Deja la base en el estado previo al escenario (con la venta de preparación, si la hay)
+ * @returns {Promise<Object>} Venta preparada o null
+ */
+async function prepararEscenario(escenario) {
+  db = crearBaseInicial();
+  falla.en = 0;
+  falla.escrituras = [];
+  falla.aplicada = false;
+
+  const venta = escenario.preparar ? await escenario.preparar() : null;
+  falla.escrituras = [];
+  return venta;
+}
+
+/**
+ * Ejecuta el escenario completo una vez y luego fallando en cada una de sus escrituras
+ * @returns {Promise<number>} Cantidad de fallas que dejaron datos inconsistentes
+ */
+async function probarEscenario(escenario) {
+  console.log(`${colors.cyan}▶ ${escenario.nombre}${colors.reset}`);
+
+  const venta = await prepararEscenario(escenario);
+  await escenario.ejecutar(venta);
+  const pasos = [...falla.escrituras];
+
+  let errores = 0;
+
+  for (let paso = 1; paso <= pasos.length; paso++) {
+    const ventaPreparada = await prepararEscenario(escenario);
+    const antes = JSON.stringify(db);
+    falla.en = paso;
+
+    let error = null;
+    try {
+      await escenario.ejecutar(ventaPreparada);
+    } catch (e) {
+      error = e;
+    }
+
+    const problemas = [];
+    if (!error) {
+      problemas.push('la operación no falló');
+    } else if (!error.message.startsWith('Falla inyectada')) {
+      problemas.push(`falló por otra causa: ${error.message}`);
+    }
+    if (error && error.compensaciones_fallidas) {
+      problemas.push(`compensaciones fallidas: ${JSON.stringify(error.compensaciones_fallidas)}`);
+    }
+    if (JSON.stringify(db) !== antes) {
+      problemas.push('quedaron cambios sin revertir');
+    }
+
+    if (problemas.length === 0) {
+      console.log(`   ✅ Paso ${paso} (${pasos[paso - 1]}): revertido`);
+    } else {
+      errores++;
+      console.log(`   ${colors.red}❌ Paso ${paso} (${pasos[paso - 1]}): ${problemas.join('; ')}${colors.reset}`);
+    }
+  }
+
+  return errores;
+}
+
+/**
+ * Ejecuta todos los escenarios
+ */
+async function runTest() {
+  console.log(`${colors.cyan}🧪 Prueba de compensaciones en ventas${colors.reset}\n`);
+
+  instalarRepositorios();
+
+  // Cada falla inyectada escribe su error en consola; el resultado de cada paso basta aquí
+  const consolaError = console.error;
+  console.error = () => {};
+
+  let errores = 0;
+  try {
+    for (const escenario of ESCENARIOS) {
+      errores += await probarEscenario(escenario);
+      console.log('');
+    }
+  } finally {
+    console.error = consolaError;
+  }
+
+  if (errores === 0) {
+    console.log(`${colors.green}✅ Todas las fallas dejaron los datos como estaban${colors.reset}\n`);
+    process.exit(0);
+  }
+
+  console.log(`${colors.red}❌ ${errores} falla(s) dejaron datos inconsistentes${colors.reset}\n`);
+  process.exit(1);
+}
+
+// Ejecutar prueba
+runTest().catch(err => {
+  console.error(`${colors.red}❌ Error en la prueba:${colors.reset}`, err.message);
+  process.exit(1);
+});